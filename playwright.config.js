@@ -4,11 +4,15 @@
  * - Captura de screenshots y video en cada test
  * - Trazas (trace) para depuración
  * - Retries y timeout global
+ * - Redacción de secretos en adjuntos, salida y trazas (redaction-reporter)
+ * - Drift de schemas por corrida en playwright-report/schema-drift.html (schema-drift-reporter)
+ * - MOCK=1: las pruebas de API usan el mock server local (test/global-setup.js)
  */
 
 const { defineConfig } = require("@playwright/test");
 
 module.exports = defineConfig({
+  globalSetup: require.resolve("./test/global-setup.js"),
   use: {
     baseURL: "https://dev.platform.mediastre.am/",
     screenshot: "only-on-failure", // 'on', 'only-on-failure', 'off'
@@ -19,8 +23,12 @@ module.exports = defineConfig({
     navigationTimeout: 20000,
   },
   reporter: [
+    // Primero: oculta tokens y contraseñas antes de que html/json escriban el reporte
+    ["./test/reporters/redaction-reporter.js"],
     ["html", { outputFolder: "playwright-report", open: "never" }],
     ["json", { outputFile: "playwright-report/json-report.json" }],
+    // Después del html (que vacía playwright-report): resumen e historial de drift de schemas
+    ["./test/reporters/schema-drift-reporter.js"],
   ],
   timeout: 60000, // Timeout global por test
   projects: [
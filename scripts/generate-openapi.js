@@ -0,0 +1,109 @@
+// generate-openapi.js
+//
+// Genera un documento OpenAPI 3.1 de la API de la plataforma a partir de
+// src/schemas y de las llamadas que hicieron los tests con ApiClient (los
+// api-calls.har adjuntos en el reporte JSON de Playwright).
+//
+//   MOCK=1 npx playwright test test/api && node scripts/generate-openapi.js
+//   node scripts/generate-openapi.js --har test/fixtures/har/cupones.har --out openapi.json
+//
+// Opciones:
+//   --report <archivo>   Reporte JSON de Playwright (por defecto PW_JSON o playwright-report/json-report.json)
+//   --har <archivo>      HAR adicional (repetible); sin --report solo se usan estos
+//   --out <archivo>      Destino (por defecto playwright-report/openapi.json)
+//   --server <url>       URL base a declarar en servers (por defecto API_BASE_URL)
+//   --observed-only      No incluir las rutas de schema-routes.js que ningún test llamó
+//   --stdout             Imprimir el documento en lugar de guardarlo
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const path = require("path");
+const { getSchemaRegistry } = require("../test/utils/schemas/schema-registry.js");
+const { OpenApiBuilder, harsFromReport } = require("../test/utils/schemas/openapi.js");
+
+const DEFAULT_REPORT = process.env.PW_JSON || "playwright-report/json-report.json";
+const DEFAULT_OUT = "playwright-report/openapi.json";
+
+const FLAGS = ["--observed-only", "--stdout"];
+const OPTIONS = ["--report", "--har", "--out", "--server"];
+
+/**
+ * Interpretar los argumentos de la línea de comandos
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const args = { har: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (FLAGS.includes(arg)) {
+      args[arg.slice(2)] = true;
+    } else if (OPTIONS.includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`Falta el valor de ${arg}`);
+      if (arg === "--har") {
+        args.har.push(value);
+      } else {
+        args[arg.slice(2)] = value;
+      }
+    } else {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+  }
+
+  // Con HAR explícitos y sin --report no se lee el reporte por defecto
+  if (!args.report && args.har.length === 0) args.report = DEFAULT_REPORT;
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const server = args.server || process.env.API_BASE_URL;
+  const builder = new OpenApiBuilder({
+    registry: getSchemaRegistry(),
+    servers: server ? [server.replace(/\/+$/, "")] : [],
+    includeUnobserved: !args["observed-only"],
+  });
+
+  if (args.report) {
+    if (!fs.existsSync(args.report)) {
+      throw new Error(
+        `No se encontró el reporte JSON: ${args.report}. Correr los tests antes o usar --har`
+      );
+    }
+    const report = JSON.parse(fs.readFileSync(args.report, "utf8"));
+    const hars = harsFromReport(report, path.dirname(args.report));
+    hars.forEach((har) => builder.addHar(har));
+    console.error(`📥 ${hars.length} HAR de tests leídos de ${args.report}`);
+  }
+  for (const file of args.har) {
+    builder.addHar(JSON.parse(fs.readFileSync(file, "utf8")));
+    console.error(`📥 HAR leído: ${file}`);
+  }
+
+  const document = builder.toDocument();
+  const json = `${JSON.stringify(document, null, 2)}\n`;
+
+  const operations = Object.values(document.paths).flatMap((item) => Object.values(item));
+  const observed = operations.filter((operation) => operation["x-observed"]).length;
+  console.error(
+    `📊 ${Object.keys(document.paths).length} rutas, ${operations.length} operaciones (${observed} observadas, ${operations.length - observed} solo mapeadas), ${Object.keys(document.components.schemas).length} schemas`
+  );
+
+  if (args.stdout) {
+    process.stdout.write(json);
+    return;
+  }
+
+  const out = args.out || DEFAULT_OUT;
+  fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+  fs.writeFileSync(out, json);
+  console.error(`✅ OpenAPI guardado en ${out}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,158 @@
+// infer-schema.js
+//
+// Genera un borrador de JSON Schema (draft-07) a partir de respuestas reales
+// de un endpoint y lo guarda en src/schemas/<recurso>/<nombre>.schema.json.
+//
+//   node scripts/infer-schema.js /api/coupon --out cupones/coupons-list --all-pages
+//   node scripts/infer-schema.js /api/category --out categoria/categories-list --param limit=100
+//   MOCK=1 node scripts/infer-schema.js /api/media --out media/media-list --stdout
+//
+// Opciones:
+//   --out <recurso/nombre>  Archivo destino dentro de src/schemas (obligatorio salvo --stdout)
+//   --param <clave=valor>   Parámetro de query (repetible)
+//   --all-pages             Recorrer todas las páginas del listado
+//   --style <page|offset>   Estilo de paginación (por defecto page)
+//   --max-pages <n>         Límite de páginas con --all-pages (por defecto 20)
+//   --profile <nombre>      Perfil de credenciales (por defecto API_PROFILE o default)
+//   --enum-max <n>          Máximo de valores distintos para proponer un enum (por defecto 8)
+//   --no-ranges             No incluir minimum/maximum observados
+//   --force                 Sobrescribir un schema que ya tiene contenido
+//   --stdout                Imprimir el schema en lugar de guardarlo
+// quiet: con --stdout la salida tiene que ser JSON válido, sin el aviso de dotenv
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const path = require("path");
+const { request } = require("@playwright/test");
+const { ApiClient } = require("../test/utils/api-client.js");
+const { inferFromEndpoint } = require("../test/utils/schemas/schema-inference.js");
+
+const SCHEMAS_DIR = path.join(__dirname, "..", "src", "schemas");
+const DEFAULT_MAX_PAGES = 20;
+
+const FLAGS = ["--all-pages", "--no-ranges", "--force", "--stdout"];
+const OPTIONS = ["--out", "--param", "--style", "--max-pages", "--profile", "--enum-max"];
+
+/**
+ * Interpretar los argumentos de la línea de comandos
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const args = { params: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (FLAGS.includes(arg)) {
+      args[arg.slice(2)] = true;
+    } else if (OPTIONS.includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`Falta el valor de ${arg}`);
+      if (arg === "--param") {
+        const [key, ...rest] = value.split("=");
+        args.params[key] = rest.join("=");
+      } else {
+        args[arg.slice(2)] = value;
+      }
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Opción desconocida: ${arg}`);
+    } else if (!args.endpoint) {
+      args.endpoint = arg;
+    } else {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+  }
+
+  if (!args.endpoint) throw new Error("Falta el endpoint a muestrear (por ejemplo /api/coupon)");
+  if (!args.stdout && !/^[\w-]+\/[\w-]+$/.test(args.out || "")) {
+    throw new Error("--out debe ser <recurso>/<nombre>, por ejemplo cupones/coupons-list");
+  }
+  return args;
+}
+
+/**
+ * Levantar el mock server si MOCK=1 (igual que test/global-setup.js)
+ * @returns {Promise<object|null>} Servidor iniciado o null
+ */
+async function startMockIfNeeded() {
+  if (process.env.MOCK !== "1") return null;
+
+  const { startMockServer, DEFAULT_TOKENS } = require("../test/mock-server/mock-server.js");
+  const server = await startMockServer({ port: 0, tokens: DEFAULT_TOKENS });
+  process.env.API_BASE_URL = server.url;
+  process.env.API_TOKEN = "mock-admin-token";
+  console.error(`🧪 Mock server iniciado en ${server.url} (MOCK=1)`);
+  return server;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const target = args.out ? path.join(SCHEMAS_DIR, `${args.out}.schema.json`) : null;
+
+  // Los archivos vacíos son schemas pendientes: se pueden completar sin --force
+  if (target && !args.stdout && !args.force && fs.existsSync(target) && fs.statSync(target).size > 0) {
+    throw new Error(
+      `${path.relative(process.cwd(), target)} ya tiene contenido. Usar --force para sobrescribirlo o --stdout para comparar`
+    );
+  }
+
+  const server = await startMockIfNeeded();
+  const context = await request.newContext();
+
+  try {
+    const apiClient = new ApiClient(context, {
+      profile: args.profile,
+      cassette: null,
+      validateSchemas: false,
+    });
+
+    console.error(
+      `🔎 Muestreando GET ${args.endpoint}${args["all-pages"] ? " (todas las páginas)" : ""}...`
+    );
+
+    const { inferrer, responses, items, statuses } = await inferFromEndpoint(
+      apiClient,
+      args.endpoint,
+      {
+        params: args.params,
+        allPages: args["all-pages"],
+        style: args.style,
+        maxPages: parseInt(args["max-pages"] || DEFAULT_MAX_PAGES, 10),
+        inference: {
+          ranges: !args["no-ranges"],
+          ...(args["enum-max"] ? { enumMaxValues: parseInt(args["enum-max"], 10) } : {}),
+        },
+      }
+    );
+
+    const name = args.out ? path.basename(args.out) : undefined;
+    const schema = inferrer.toSchema({
+      name,
+      title: name,
+      description: `Borrador inferido de ${responses} respuestas de GET ${args.endpoint} (${items} elementos) el ${new Date().toISOString().slice(0, 10)}. Revisar required, enums y rangos antes de mapearlo en schema-routes.js`,
+    });
+    const json = `${JSON.stringify(schema, null, 2)}\n`;
+
+    console.error(`📊 ${responses} respuestas, ${items} elementos (status ${statuses.join(", ")})`);
+
+    if (args.stdout) {
+      process.stdout.write(json);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, json);
+    console.error(`✅ Schema guardado en ${path.relative(process.cwd(), target)}`);
+    console.error(
+      `📝 Para validarlo automáticamente, agregar a test/utils/schemas/schema-routes.js:\n` +
+        `  { method: "GET", route: "${args.endpoint}", status: ${statuses[0]}, schema: "${args.out}" },`
+    );
+  } finally {
+    await context.dispose();
+    if (server) await server.stop();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -2,6 +2,11 @@
 const fs = require("fs");
 const axios = require("axios");
 require("dotenv").config();
+const { redact, redactText } = require("../test/utils/redactor.js");
+const {
+  ResourceLedger,
+  describeOrigin,
+} = require("../test/utils/resources/resource-ledger.js");
 
 const REPORT_PATH = process.env.PW_JSON || "playwright-report/json-report.json";
 const REPORT_URL =
@@ -11,6 +16,8 @@ const ENV_NAME =
   process.env.ENVIRONMENT || process.env.NODE_ENV || "development";
 const TZ = process.env.TZ || "America/Bogota";
 const MAX_FAILS = parseInt(process.env.MAX_FAILS || "5", 10);
+const DRIFT_PATH =
+  process.env.SCHEMA_DRIFT_JSON || "playwright-report/schema-drift.json";
 
 if (!WEBHOOK_URL) {
   console.error("Falta SLACK_WEBHOOK_URL en .env");
@@ -31,6 +38,11 @@ const collectTests = (suites = [], out = []) => {
       for (const spec of s.specs) {
         for (const t of spec.tests || []) {
           const r = (t.results || [])[t.results?.length - 1] || {};
+          // Playwright copia las annotations de runtime al test y al resultado:
+          // leer solo las del resultado para no contar dos veces
+          const annotations = t.results?.length
+            ? r.annotations || []
+            : t.annotations || [];
           out.push({
             file: spec.file || s.file,
             title: spec.title || s.title,
@@ -38,6 +50,8 @@ const collectTests = (suites = [], out = []) => {
             durationMs: r.duration || 0,
             stdout: (r.stdout || []).map((o) => o.text || "").join("\n"),
             error: (r.errors || [])[0]?.message || "",
+            apiRetries: annotations.filter((a) => a.type === "api-retry")
+              .length,
           });
         }
       }
@@ -75,6 +89,44 @@ if (failedTests.length > MAX_FAILS) {
   failLines.push(`… y ${failedTests.length - MAX_FAILS} fallos más`);
 }
 
+// Tests que pasaron solo gracias a reintentos de ApiClient (annotation "api-retry")
+const passedAfterRetry = tests.filter(
+  (t) => t.status === "passed" && t.apiRetries > 0
+);
+const cleanPasses = tests.filter(
+  (t) => t.status === "passed" && t.apiRetries === 0
+).length;
+const retryLines = passedAfterRetry.slice(0, MAX_FAILS).map(
+  (t) => `• *${t.title}*\n  _${t.file}_ (${t.apiRetries} reintento(s) HTTP)`
+);
+if (passedAfterRetry.length > MAX_FAILS) {
+  retryLines.push(`… y ${passedAfterRetry.length - MAX_FAILS} más`);
+}
+
+// Drift de schemas (resumen de test/reporters/schema-drift-reporter.js)
+const drift = fs.existsSync(DRIFT_PATH)
+  ? JSON.parse(fs.readFileSync(DRIFT_PATH, "utf8"))
+  : null;
+const driftLines = (drift?.changes || []).slice(0, MAX_FAILS).map(
+  (c) =>
+    `• ${c.breaking ? ":no_entry_sign:" : ":large_yellow_circle:"} *${c.schema}* \`${c.path}\` (${c.kind}${c.new ? ", nuevo" : ""})\n  _${c.method} ${c.route}_`
+);
+if (drift && drift.changes.length > MAX_FAILS) {
+  driftLines.push(`… y ${drift.changes.length - MAX_FAILS} cambios más`);
+}
+
+// Recursos que la corrida creó y no eliminó, con el test que los creó (ledger local)
+const ledger = ResourceLedger.shared();
+const ledgerRunId = process.env.TEST_RUN_ID || ledger?.latestRunId();
+const leftovers =
+  ledger && ledgerRunId ? ledger.leftovers({ runId: ledgerRunId }) : [];
+const leftoverLines = leftovers.slice(0, MAX_FAILS).map(
+  (r) =>
+    `• ${r.kind} *${r.label || r.id}* \`${r.id}\`\n  _${describeOrigin(r)}_`
+);
+if (leftovers.length > MAX_FAILS) {
+  leftoverLines.push(`… y ${leftovers.length - MAX_FAILS} recursos más`);
+}
 
 const statusLine =
   failed === 0 && total > 0
@@ -96,6 +148,10 @@ const blocks = [
       { type: "mrkdwn", text: `*Failed:*\n${failed}` },
       { type: "mrkdwn", text: `*Skipped:*\n${skipped}` },
       { type: "mrkdwn", text: `*Flaky:*\n${flaky}` },
+      {
+        type: "mrkdwn",
+        text: `*Pass tras reintento:*\n${passedAfterRetry.length} (limpios: ${cleanPasses})`,
+      },
       { type: "mrkdwn", text: `*Pass rate:*\n${passRate}%` },
       { type: "mrkdwn", text: `*Duración:*\n${durationSec}s` },
       { type: "mrkdwn", text: `*Ambiente:*\n${ENV_NAME}` },
@@ -115,6 +171,39 @@ if (failedTests.length) {
   });
 }
 
+if (passedAfterRetry.length) {
+  blocks.push({ type: "divider" });
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Pasaron tras reintento (${passedAfterRetry.length})*:\n${retryLines.join("\n\n")}`,
+    },
+  });
+}
+
+if (driftLines.length) {
+  blocks.push({ type: "divider" });
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Drift de schemas* (${drift.totals.breaking} rompen el contrato, ${drift.totals.additive} aditivos, <${REPORT_URL}schema-drift.html|detalle>):\n${driftLines.join("\n")}`,
+    },
+  });
+}
+
+if (leftoverLines.length) {
+  blocks.push({ type: "divider" });
+  blocks.push({
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Recursos sin eliminar (${leftovers.length})* de la corrida \`${ledgerRunId}\` (limpiar con \`node scripts/sweep-test-data.js --run ${ledgerRunId} --older-than 0m --yes\`):\n${leftoverLines.join("\n")}`,
+    },
+  });
+}
+
 blocks.push({
   type: "context",
   elements: [
@@ -125,13 +214,14 @@ blocks.push({
 // Fallback para clientes sin blocks
 const fallbackText = `Endpoint – Test Report | Total: ${total}, Passed: ${passed}, Failed: ${failed}, Pass rate: ${passRate}% | Reporte: ${REPORT_URL}`;
 
+// Nunca publicar tokens ni contraseñas que se hayan colado en títulos o errores
 axios
-  .post(WEBHOOK_URL, { blocks, text: fallbackText })
+  .post(WEBHOOK_URL, redact({ blocks, text: fallbackText }))
   .then(() => console.log("Resumen enviado a Slack"))
   .catch((err) => {
     console.error(
       "Error enviando a Slack:",
-      err?.response?.data || err.message
+      redact(err?.response?.data) || redactText(err.message)
     );
     process.exit(1);
   });
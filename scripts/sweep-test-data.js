@@ -0,0 +1,143 @@
+// sweep-test-data.js
+//
+// Elimina de la cuenta los datos que dejaron corridas de tests caídas: cupones
+// con metadata.created_by = qa-automation, categorías con sufijo
+// [qa <corrida> w<worker>] y las asociaciones media-categoría de esas
+// categorías. Solo elimina lo que supera el umbral de antigüedad, para no tocar
+// los datos de una corrida en curso. El origen (spec › test) sale de la
+// metadata del cupón o del ledger local.
+//
+// Sin --yes solo lista lo que eliminaría. Las marcas de nombre de los datos
+// anteriores a la procedencia ("QA-...", "... QA ...") pueden coincidir con
+// datos reales: solo se consideran con --include-legacy.
+//
+//   node scripts/sweep-test-data.js
+//   node scripts/sweep-test-data.js --older-than 6h --yes
+//   node scripts/sweep-test-data.js --run 20260310T120000-a1b2c3 --older-than 0m --yes
+//
+// Opciones:
+//   --older-than <duración>  Antigüedad mínima para eliminar: 90m, 24h, 7d (por defecto 24h)
+//   --run <id>               Solo recursos de esa corrida (metadata.run_id o sufijo del nombre)
+//   --profile <nombre>       Perfil de credenciales (por defecto API_PROFILE o default)
+//   --include-legacy         Incluir lo que solo coincide con las marcas de nombre heredadas
+//   --yes                    Eliminar (sin este flag es un dry run)
+//   --dry-run                Listar sin eliminar aunque se pase --yes
+//   --json                   Imprimir el resultado como JSON
+// Sin quiet, dotenv imprime un banner en stdout que rompe la salida --json
+require("dotenv").config({ quiet: true });
+const { request } = require("@playwright/test");
+const { ApiClient } = require("../test/utils/api-client.js");
+const { CouponApi } = require("../test/utils/resources/coupon-api.js");
+const { CategoryApi } = require("../test/utils/resources/category-api.js");
+const { MediaApi } = require("../test/utils/resources/media-api.js");
+const { ResourceLedger, describeOrigin } = require("../test/utils/resources/resource-ledger.js");
+const {
+  TestDataSweeper,
+  parseDuration,
+  formatAge,
+} = require("../test/utils/test-data-sweeper.js");
+
+const DEFAULT_OLDER_THAN = "24h";
+
+const FLAGS = ["--yes", "--dry-run", "--include-legacy", "--json"];
+const OPTIONS = ["--older-than", "--run", "--profile"];
+
+/**
+ * Interpretar los argumentos de la línea de comandos
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function parseArgs(argv) {
+  const args = { "older-than": DEFAULT_OLDER_THAN };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (FLAGS.includes(arg)) {
+      args[arg.slice(2)] = true;
+    } else if (OPTIONS.includes(arg)) {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`Falta el valor de ${arg}`);
+      args[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+  }
+  return args;
+}
+
+/**
+ * Línea del listado de un recurso
+ * @param {import("../test/utils/test-data-sweeper.js").SweepItem} item
+ * @param {string} icon
+ * @param {string} error - Motivo, si no se pudo eliminar
+ * @returns {string}
+ */
+function describeItem(item, icon, error = null) {
+  const origin = item.origin ? `\n     ↳ ${describeOrigin(item.origin)}` : "";
+  return `${icon} ${item.kind.padEnd(14)} ${item.id}  ${formatAge(item.ageMs).padStart(7)}  run ${
+    item.runId || "-"
+  }  ${item.label} (${item.marker}${item.legacy ? ", heredada" : ""})${error ? `: ${error}` : ""}${origin}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const olderThanMs = parseDuration(args["older-than"]);
+  const context = await request.newContext();
+
+  try {
+    const apiClient = new ApiClient(context, {
+      profile: args.profile,
+      cassette: null,
+      validateSchemas: false,
+    });
+    const sweeper = new TestDataSweeper(
+      {
+        coupons: new CouponApi(apiClient),
+        categories: new CategoryApi(apiClient),
+        media: new MediaApi(apiClient),
+      },
+      {
+        olderThanMs,
+        runId: args.run,
+        includeLegacy: args["include-legacy"] === true,
+        ledger: ResourceLedger.shared(),
+      }
+    );
+
+    console.error(`🔎 Buscando datos de prueba en ${apiClient.baseUrl} (perfil ${apiClient.profile})...`);
+    const items = await sweeper.find();
+    const stale = items.filter((item) => item.stale);
+
+    if (args["dry-run"] || !args.yes) {
+      if (args.json) {
+        process.stdout.write(`${JSON.stringify({ dryRun: true, items }, null, 2)}\n`);
+      } else {
+        items.forEach((item) => console.log(describeItem(item, item.stale ? "🗑️" : "⏳")));
+      }
+      console.error(
+        `🧪 Dry run: ${stale.length} de ${items.length} recursos superan ${args["older-than"]} y se eliminarían con --yes`
+      );
+      return;
+    }
+
+    const report = await sweeper.sweep(items);
+    if (args.json) {
+      process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+      report.deleted.forEach((item) => console.log(describeItem(item, "✅")));
+      report.failed.forEach((item) => console.log(describeItem(item, "❌", item.error)));
+    }
+
+    console.error(
+      `📊 ${report.deleted.length} eliminados, ${report.failed.length} con error, ${report.kept.length} más recientes que ${args["older-than"]}`
+    );
+    if (report.failed.length > 0) process.exitCode = 1;
+  } finally {
+    await context.dispose();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
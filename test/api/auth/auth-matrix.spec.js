@@ -0,0 +1,118 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
+
+const logger = new Logger("auth-matrix-tests");
+
+// Endpoints de listado representativos de cada recurso
+const ENDPOINTS = [
+  { resource: "cupones", path: "/api/coupon" },
+  { resource: "media", path: "/api/media" },
+  { resource: "categorías", path: "/api/category" },
+];
+
+// Estrategias que envían un token válido
+const VALID_STRATEGIES = ["header", "query", "both"];
+
+// Credenciales que la plataforma debe rechazar
+const INVALID_CREDENTIALS = [
+  { name: "sin token", auth: "none" },
+  { name: "token malformado", auth: "both", token: "not-a-valid-token" },
+  {
+    name: "token expirado",
+    auth: "both",
+    token: process.env.API_EXPIRED_TOKEN,
+    skipReason: "API_EXPIRED_TOKEN no está configurado",
+    // El mock distingue el token expirado de uno desconocido
+    mockError: "TOKEN_EXPIRED",
+  },
+];
+
+/**
+ * Validar el contrato de error de autenticación: 401/403 con envelope ERROR
+ * @param {object} response - Respuesta de ApiClient
+ */
+function expectAuthErrorContract(response) {
+  expect([401, 403]).toContain(response.status);
+  expect(response.data).not.toBeNull();
+  expect(response.data.status).toBe("ERROR");
+  expect(response.data).toHaveProperty("data");
+}
+
+test.describe("🔐 Matriz de autenticación", () => {
+  for (const endpoint of ENDPOINTS) {
+    for (const strategy of VALID_STRATEGIES) {
+      test(`TC-AUTH-${endpoint.resource}-${strategy}: GET ${endpoint.path} con token en ${strategy}`, async ({
+        request,
+      }) => {
+        const apiClient = new ApiClient(request, { auth: strategy });
+        logger.info(`🧪 Test: ${endpoint.path} con estrategia "${strategy}"`);
+
+        const response = await apiClient.get(endpoint.path, { limit: 1 });
+
+        logger.info(
+          `📡 ${strategy} → Status ${response.status}, Data Status: ${
+            response.data?.status || "N/A"
+          }`
+        );
+
+        // Dejar constancia de qué estrategias acepta realmente la plataforma
+        test.info().annotations.push({
+          type: "auth-strategy",
+          description: `${endpoint.path} ${strategy}: HTTP ${response.status}`,
+        });
+
+        if (strategy === "both") {
+          expect(response.status).toBe(200);
+          expect(response.data.status).toBe("OK");
+        } else if (response.status === 200) {
+          expect(response.data.status).toBe("OK");
+          logger.info(`✅ La plataforma acepta el token en ${strategy}`);
+        } else {
+          expectAuthErrorContract(response);
+          logger.info(`ℹ️ La plataforma no acepta el token solo en ${strategy}`);
+        }
+      });
+    }
+
+    for (const credentials of INVALID_CREDENTIALS) {
+      test(`TC-AUTH-${endpoint.resource}-rechazo: GET ${endpoint.path} ${credentials.name}`, async ({
+        request,
+      }) => {
+        if (credentials.skipReason && !credentials.token) {
+          test.skip(true, credentials.skipReason);
+          return;
+        }
+
+        const apiClient = new ApiClient(request, {
+          auth: credentials.auth,
+          token: credentials.token,
+          retry: false,
+        });
+        logger.info(`🧪 Test: ${endpoint.path} ${credentials.name}`);
+
+        const response = await apiClient.get(endpoint.path, { limit: 1 });
+
+        await attachJson("auth-error-response.json", {
+          status: response.status,
+          data: response.data,
+        });
+
+        logger.info(
+          `📡 ${credentials.name} → Status ${response.status}, Data Status: ${
+            response.data?.status || "N/A"
+          }`
+        );
+
+        expectAuthErrorContract(response);
+        if (process.env.MOCK === "1" && credentials.mockError) {
+          expect(response.status).toBe(401);
+          expect(response.data.data).toBe(credentials.mockError);
+        }
+
+        logger.info(`✅ Acceso rechazado correctamente (${credentials.name})`);
+      });
+    }
+  }
+});
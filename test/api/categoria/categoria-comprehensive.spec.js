@@ -1,9 +1,10 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
-const fs = require("fs");
-const path = require("path");
+const { loadFixtureImage } = require("../../utils/fixture-files.js");
+const { provenanceName } = require("../../utils/test-run.js");
 
 const logger = new Logger("categoria-comprehensive-tests");
 const testDataManager = new TestDataManager();
@@ -28,9 +29,11 @@ function logResponseDetails(response, expectedStatus = 200, expectedDataStatus =
 }
 
 test.describe("📂 Tests Comprehensivos - API Categorías", () => {
+  // categoryId (TC-CATEGORIA-003) se usa hasta TC-CATEGORIA-013
+  test.use({ cleanupScope: "worker" });
+
   let categoryId = null;
   let mediaId = null;
-  let createdCategoryIds = []; // Para cleanup
 
   test.beforeAll(async ({ request }) => {
     logger.info("📂 Iniciando tests comprehensivos de API Categorías");
@@ -52,29 +55,9 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     }
   });
 
-  test.afterAll(async ({ request }) => {
+  test.afterAll(() => {
     logger.info("📂 Tests comprehensivos de API Categorías completados");
 
-    // Cleanup: Eliminar categorías creadas durante los tests
-    if (createdCategoryIds.length > 0) {
-      const apiClient = new ApiClient(request);
-      logger.info(`🧹 Limpiando ${createdCategoryIds.length} categorías creadas en tests...`);
-
-      for (const catId of createdCategoryIds) {
-        try {
-          const deleteResponse = await apiClient.delete(`/api/category/${catId}`);
-          if (deleteResponse.status === 200 || deleteResponse.status === 204) {
-            logger.info(`✅ Categoría ${catId} eliminada correctamente`);
-          } else {
-            logger.info(`⚠️ Error eliminando categoría ${catId}: Status ${deleteResponse.status}`);
-          }
-        } catch (error) {
-          logger.info(`❌ Excepción eliminando categoría ${catId}: ${error.message}`);
-        }
-      }
-      logger.info("🧹 Proceso de cleanup completado");
-    }
-
     if (categoryId) {
       logger.info(`📊 ID de categoría utilizado en tests: ${categoryId}`);
     }
@@ -94,8 +77,8 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     const responseBody = response.data;
 
-    // Validamos que tenga la clave 'data' y que sea una lista
-    expect(responseBody).toHaveProperty("data");
+    // ApiClient validó cada categoría contra el schema del listado
+    expect(response.schema).toBe("categoria/categories-list");
     expect(Array.isArray(responseBody.data)).toBe(true);
 
     const categoryList = responseBody.data;
@@ -106,12 +89,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
       expect(categoryId).toBeDefined();
       logger.info(`📌 ID de categoría obtenido: ${categoryId}`);
 
-      // Validar estructura básica de categoría
       const sampleCategory = categoryList[0];
-      expect(sampleCategory).toHaveProperty("_id");
-      expect(sampleCategory).toHaveProperty("name");
-      expect(sampleCategory).toHaveProperty("slug");
-      
       logger.info(`📋 Categoría ejemplo: "${sampleCategory.name}" (${sampleCategory._id})`);
     }
 
@@ -127,26 +105,14 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
 
+    // Campos obligatorios y tipos: ver src/schemas/categoria/category.schema.json
+    expect(response.schema).toBe("categoria/categories-list");
+
     const categories = response.data.data;
 
     if (categories.length > 0) {
-      const category = categories[0];
-
-      // Validar campos obligatorios
-      expect(category).toHaveProperty("_id");
-      expect(category).toHaveProperty("name");
-      expect(category).toHaveProperty("slug");
-      expect(category).toHaveProperty("date_created");
-      expect(category).toHaveProperty("visible");
-
-      // Validar tipos
-      expect(typeof category._id).toBe("string");
-      expect(typeof category.name).toBe("string");
-      expect(typeof category.slug).toBe("string");
-      expect(typeof category.visible).toBe("boolean");
-
       logger.info("✅ Estructura de categoría validada correctamente");
-      logger.info(`📊 Campos validados: _id, name, slug, date_created, visible`);
+      logger.info(`📊 ${categories.length} categorías validadas contra el schema`);
     }
   });
 
@@ -158,7 +124,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     const timestamp = Date.now().toString().slice(-6);
     const payload = {
-      name: `Categoría de Prueba QA ${timestamp}`,
+      name: provenanceName(`Categoría de Prueba QA ${timestamp}`),
       description: "Descripción de prueba para categoría automatizada",
       is_active: true,
     };
@@ -173,24 +139,18 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     const responseBody = response.data;
 
-    // Validamos la estructura básica de la respuesta
-    expect(responseBody).toHaveProperty("status");
+    // Validamos la estructura de la respuesta contra el schema de creación
     expect(responseBody.status).toBe("OK");
-    expect(responseBody).toHaveProperty("data");
+    expect(response.schema).toBe("categoria/category-create");
 
     const createdCategory = responseBody.data;
 
     // Validamos los campos específicos de la categoría
     expect(createdCategory.name).toBe(payload.name);
     expect(createdCategory.description).toBe(payload.description);
-    expect(createdCategory).toHaveProperty("_id");
-    expect(createdCategory).toHaveProperty("slug");
-    expect(createdCategory).toHaveProperty("date_created");
-    expect(createdCategory).toHaveProperty("visible");
 
     // Guardamos el ID de la categoría creada para usar en otros tests
     categoryId = createdCategory._id;
-    createdCategoryIds.push(categoryId); // Para cleanup
 
     logger.info(`📌 Categoría creada con ID: ${categoryId}`);
     logger.info(`📌 Slug generado: ${createdCategory.slug}`);
@@ -203,7 +163,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     const timestamp = Date.now().toString().slice(-6);
     const payload = {
-      name: `Categoría Meta QA ${timestamp}`,
+      name: provenanceName(`Categoría Meta QA ${timestamp}`),
       description: "Categoría con metadatos de prueba",
       is_active: true,
       color: "#FF5733",
@@ -220,12 +180,10 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
 
+    expect(response.schema).toBe("categoria/category-create");
+
     const createdCategory = response.data.data;
     expect(createdCategory.name).toBe(payload.name);
-    expect(createdCategory).toHaveProperty("_id");
-
-    // Agregar para cleanup
-    createdCategoryIds.push(createdCategory._id);
 
     logger.info(`📌 Categoría con metadatos creada: ${createdCategory._id}`);
     logger.info("✅ Metadatos procesados correctamente");
@@ -252,14 +210,10 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     expect(response.status).toBe(200);
 
-    const responseBody = response.data;
-    expect(responseBody).toHaveProperty("data");
+    expect(response.schema).toBe("categoria/category");
 
-    const category = responseBody.data;
-    expect(category).toHaveProperty("_id");
+    const category = response.data.data;
     expect(category._id).toBe(categoryId);
-    expect(category).toHaveProperty("name");
-    expect(category).toHaveProperty("slug");
 
     logger.info(`📋 Categoría obtenida: "${category.name}" (Slug: ${category.slug})`);
     logger.info("✅ Categoría obtenida por ID correctamente");
@@ -279,7 +233,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     }
 
     const payload = {
-      name: "Categoría Actualizada QA",
+      name: provenanceName("Categoría Actualizada QA"),
       description: "Descripción actualizada de prueba automatizada",
       is_active: true,
     };
@@ -295,6 +249,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     // Si la respuesta incluye datos, validarlos
     if (response.status === 200 && response.data.data) {
+      expect(response.schema).toBe("categoria/category-update");
       const updatedCategory = response.data.data;
       expect(updatedCategory.name).toBe(payload.name);
       expect(updatedCategory.description).toBe(payload.description);
@@ -308,7 +263,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     expect(verifyResponse.status).toBe(200);
 
     const updated = verifyResponse.data.data;
-    expect(updated.name).toBe("Categoría Actualizada QA");
+    expect(updated.name).toBe(payload.name);
 
     logger.info(`📌 Categoría actualizada verificada: ${updated.name}`);
     logger.info("✅ Actualización verificada correctamente");
@@ -367,17 +322,13 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     expect(response.status).toBe(200);
 
-    const responseBody = response.data;
-    expect(responseBody).toHaveProperty("data");
-    expect(Array.isArray(responseBody.data)).toBe(true);
+    expect(response.schema).toBe("categoria/category-media");
 
-    const mediaList = responseBody.data;
+    const mediaList = response.data.data;
     logger.info(`📊 Media encontrado en categoría: ${mediaList.length} elementos`);
 
     if (mediaList.length > 0) {
       const sampleMedia = mediaList[0];
-      expect(sampleMedia).toHaveProperty("_id");
-      expect(sampleMedia).toHaveProperty("title");
       logger.info(`📋 Media ejemplo: "${sampleMedia.title}" (${sampleMedia._id})`);
     }
 
@@ -386,7 +337,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
   // ==================== TESTS DE IMAGEN ====================
 
-  test("TC-CATEGORIA-009: POST /api/category/{id}/image - Subir imagen a categoría (implementación pendiente)", async ({ request }) => {
+  test("TC-CATEGORIA-009: POST /api/category/{id}/image - Subir imagen a categoría", async ({ request }) => {
     const apiClient = new ApiClient(request);
     logger.info("🧪 Test: Subir imagen a categoría");
 
@@ -397,35 +348,24 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
       return;
     }
 
-    // Ruta a imagen de prueba (ajustar según disponibilidad)
-    const imagePath = "C:/Users/andre/Downloads/technicaldifficultieswp6.jpg";
-
-    // Verificamos que el archivo existe
-    if (!fs.existsSync(imagePath)) {
-      logger.info(`⚠️ Archivo de imagen no encontrado en: ${imagePath}, saltando test`);
-      test.skip();
-      return;
-    }
+    // Imagen incluida en test/fixtures/images (disponible en cualquier runner)
+    const image = loadFixtureImage("jpg");
 
-    logger.info(`📌 Usando imagen desde: ${imagePath}`);
+    logger.info(`📌 Usando imagen de fixture: ${image.name} (${image.buffer.length} bytes)`);
     logger.info(`🎯 Subiendo imagen a categoría con ID: ${categoryId}`);
 
-    // Leer el archivo de imagen
-    const imageBuffer = fs.readFileSync(imagePath);
-    const fileName = path.basename(imagePath);
+    const response = await apiClient.upload(`/api/category/${categoryId}/image`, {
+      image,
+    });
 
-    try {
-      // Para este test, necesitaremos usar form-data con archivos
-      // Por ahora, registramos que el test está implementado
-      logger.info("📝 Test de subida de imagen implementado (requiere configuración de multipart)");
-      logger.info(`📁 Archivo preparado: ${fileName} (${imageBuffer.length} bytes)`);
+    logResponseDetails(response, 200, "OK", "POST /api/category/{id}/image");
 
-      // Marcar como pendiente hasta implementar multipart en ApiClient
-      test.skip("Implementación de multipart/form-data pendiente en ApiClient");
-    } catch (error) {
-      logger.error(`❌ Error preparando imagen: ${error.message}`);
-      throw error;
-    }
+    await attachJson("upload-category-image-response.json", response.data);
+
+    expect([200, 201]).toContain(response.status);
+    expect(response.data.status).toBe("OK");
+
+    logger.info("✅ Imagen subida a categoría correctamente");
   });
 
   test("TC-CATEGORIA-010: DELETE /api/category/{id}/image - Eliminar imagen de categoría", async ({ request }) => {
@@ -449,6 +389,11 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     if (response.status === 404) {
       logger.info("ℹ️ No había imagen para eliminar (404 esperado)");
+    } else if (response.status === 204) {
+      // 204 sin cuerpo: el cliente no intenta interpretar JSON
+      expect(response.data).toBeNull();
+      expect(response.rawText).toBe("");
+      logger.info("✅ Imagen eliminada correctamente (204 sin cuerpo)");
     } else {
       logger.info("✅ Imagen eliminada correctamente");
     }
@@ -471,6 +416,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     expect([404, 200]).toContain(response.status);
 
     if (response.status === 404) {
+      expect(response.schema).toBe("categoria/categoria-error");
       logger.info("✅ Error 404 esperado para categoría inexistente");
     } else if (response.status === 200) {
       // Algunas APIs devuelven 200 con data null
@@ -499,6 +445,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     // La API puede devolver 400, 422 o 500 dependiendo del tipo de validación
     expect([400, 422, 500]).toContain(response.status);
+    expect(response.schema).toBe("categoria/categoria-error");
 
     logger.info(`✅ Error esperado con datos inválidos (${response.status})`);
   });
@@ -512,7 +459,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
       logger.info("⚠️ No hay categoryId disponible, creando categoría temporal");
       
       const tempPayload = {
-        name: "Categoría Temp para Duplicado",
+        name: provenanceName("Categoría Temp para Duplicado"),
         description: "Temporal",
         is_active: true,
       };
@@ -520,7 +467,6 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
       const tempResponse = await apiClient.post("/api/category", tempPayload);
       if (tempResponse.status === 200) {
         categoryId = tempResponse.data.data._id;
-        createdCategoryIds.push(categoryId);
       }
     }
 
@@ -544,10 +490,6 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
         // La API puede aceptar el duplicado o rechazarlo
         if (response.status === 200) {
-          // Si acepta, agregar para cleanup
-          if (response.data.data && response.data.data._id) {
-            createdCategoryIds.push(response.data.data._id);
-          }
           logger.info("ℹ️ API permite nombres duplicados");
         } else {
           expect([400, 422, 409]).toContain(response.status);
@@ -616,21 +558,23 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
   // ==================== TEST DE ELIMINACIÓN ====================
 
-  test("TC-CATEGORIA-999: DELETE /api/category/{id} - Eliminar categoría de prueba", async ({ request }) => {
+  test("TC-CATEGORIA-016: DELETE /api/category/{id} - Eliminar categoría", async ({ request }) => {
     const apiClient = new ApiClient(request);
-    logger.info("🧪 Test: Eliminar categoría de prueba");
+    logger.info("🧪 Test: Eliminar categoría");
 
-    // Este test eliminará la categoría principal usada en las pruebas
-    // Las demás se limpiarán en afterAll
-    if (!categoryId) {
-      logger.info("⚠️ No hay categoryId disponible, saltando test");
-      test.skip();
-      return;
-    }
+    // Categoría propia: el test no depende de las creadas en tests anteriores
+    const createResponse = await apiClient.post("/api/category", {
+      name: provenanceName(`Categoría a Eliminar QA ${Date.now().toString().slice(-6)}`),
+      description: "Categoría temporal para test de eliminación",
+      is_active: true,
+    });
+    expect(createResponse.status).toBe(200);
+    expect(createResponse.data.status).toBe("OK");
 
-    logger.info(`🎯 Eliminando categoría principal con ID: ${categoryId}`);
+    const deletedCategoryId = createResponse.data.data._id;
+    logger.info(`🎯 Eliminando categoría con ID: ${deletedCategoryId}`);
 
-    const response = await apiClient.delete(`/api/category/${categoryId}`);
+    const response = await apiClient.delete(`/api/category/${deletedCategoryId}`);
 
     logResponseDetails(response, [200, 204], "OK", "DELETE /api/category/{id}");
 
@@ -638,7 +582,7 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
 
     // Verificamos que la categoría ya no existe
     logger.info("🔍 Verificando que la categoría fue eliminada...");
-    const verifyResponse = await apiClient.get(`/api/category/${categoryId}`);
+    const verifyResponse = await apiClient.get(`/api/category/${deletedCategoryId}`);
 
     expect([404, 200]).toContain(verifyResponse.status);
 
@@ -649,11 +593,5 @@ test.describe("📂 Tests Comprehensivos - API Categorías", () => {
     }
 
     logger.info("✅ Verificación de eliminación completada");
-
-    // Remover de la lista de cleanup ya que fue eliminada
-    const index = createdCategoryIds.indexOf(categoryId);
-    if (index > -1) {
-      createdCategoryIds.splice(index, 1);
-    }
   });
 });
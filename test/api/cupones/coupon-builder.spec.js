@@ -0,0 +1,112 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const {
+  CouponBuilder,
+  couponWindow,
+  uniqueCouponCode,
+} = require("../../utils/builders/coupon-builder.js");
+const { AUTOMATION_TAG, currentRunId, currentProvenance } = require("../../utils/test-run.js");
+
+const logger = new Logger("coupon-builder-tests");
+
+const GROUP_ID = "64b7f0c2a1b2c3d4e5f6a7b8";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test.describe("🎫 CouponBuilder", () => {
+  test("TC-CUPONES-BUILDER-001: Presets válidos, ventanas relativas y códigos únicos", async () => {
+    const now = new Date("2026-03-10T12:00:00.000Z");
+    expect(couponWindow({ now })).toEqual({
+      valid_from: "2026-03-10T11:00:00.000Z",
+      valid_to: "2026-04-09T11:00:00.000Z",
+    });
+    expect(couponWindow({ now, startsInDays: 7, days: 2 })).toEqual({
+      valid_from: "2026-03-17T12:00:00.000Z",
+      valid_to: "2026-03-19T12:00:00.000Z",
+    });
+
+    const single = CouponBuilder.singleUse(GROUP_ID).build();
+    expect(single).toMatchObject({
+      group: GROUP_ID,
+      is_reusable: "false",
+      max_use: "1",
+      customer_max_use: "1",
+      quantity: "1",
+      discount_type: "percent",
+      percent: "10",
+      type: "ppv-live",
+      payment_required: "false",
+    });
+    expect(single).not.toHaveProperty("custom_code");
+    expect(Date.parse(single.valid_from)).toBeLessThan(Date.now());
+    expect(Date.parse(single.valid_to)).toBeGreaterThan(Date.now());
+
+    const reusable = CouponBuilder.reusable(GROUP_ID).amount(15).build();
+    expect(reusable.is_reusable).toBe("true");
+    expect(reusable.custom_code).toMatch(/^QA-REUSE-[A-Z0-9]+$/);
+    expect(reusable).toMatchObject({ discount_type: "amount", amount: "15" });
+    expect(reusable).not.toHaveProperty("percent");
+
+    // Códigos y type_code no se repiten aunque se pidan en el mismo milisegundo
+    const codes = Array.from({ length: 20 }, () => uniqueCouponCode("QA"));
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(CouponBuilder.singleUse(GROUP_ID).build().type_code).not.toBe(single.type_code);
+
+    // Todo cupón lleva el tag estándar y la procedencia, también los que agregan metadata
+    expect(JSON.parse(single.metadata)).toEqual({
+      created_by: AUTOMATION_TAG,
+      ...currentProvenance(),
+    });
+    expect(currentProvenance()).toMatchObject({
+      run_id: currentRunId(),
+      worker: test.info().workerIndex,
+      spec: "test/api/cupones/coupon-builder.spec.js",
+      test: expect.stringContaining("BUILDER-001"),
+    });
+    const withMetadata = CouponBuilder.withMetadata(GROUP_ID, { source: "ui", created_by: "otro" }).build();
+    expect(JSON.parse(withMetadata.metadata)).toEqual({
+      source: "ui",
+      created_by: AUTOMATION_TAG,
+      ...currentProvenance(),
+    });
+
+    const expired = CouponBuilder.singleUse(GROUP_ID).expired(2).build();
+    expect(Date.parse(expired.valid_to)).toBeLessThan(Date.now() - DAY_MS);
+
+    // Estado inconsistente: build() lo rechaza; with() y without() son la vía explícita
+    expect(() => CouponBuilder.singleUse(GROUP_ID).percent(150).build()).toThrow(
+      /percent debe estar entre 0 y 100/
+    );
+    expect(() =>
+      CouponBuilder.reusable(GROUP_ID).singleUse().maxUse(1, 3).build()
+    ).toThrow(/customer_max_use no puede superar max_use/);
+
+    const invalid = CouponBuilder.singleUse(GROUP_ID)
+      .with({ valid_from: "fecha-invalida", percent: "150" })
+      .without("type_code")
+      .build();
+    expect(invalid.valid_from).toBe("fecha-invalida");
+    expect(invalid.percent).toBe("150");
+    expect(invalid).not.toHaveProperty("type_code");
+
+    logger.info(`✅ Presets validados (${reusable.custom_code}, ${single.type_code})`);
+  });
+
+  test("TC-CUPONES-BUILDER-002: Los cupones del builder se crean vigentes y expired() los crea vencidos", async ({
+    coupons,
+    couponGroups,
+  }) => {
+    const groups = await couponGroups.list();
+    test.skip(groups.length === 0, "La cuenta no tiene grupos de cupones");
+
+    // Los cupones los elimina la fixture resources al terminar el test
+    const [valid] = await coupons.create(CouponBuilder.singleUse(groups[0]._id).build());
+    expect((await coupons.getById(valid._id)).is_valid).toBe(true);
+
+    const [expired] = await coupons.create(
+      CouponBuilder.singleUse(groups[0]._id).expired().typeCode("qa_expired").build()
+    );
+    expect((await coupons.getById(expired._id)).is_valid).toBe(false);
+
+    logger.info(`✅ Cupón vigente ${valid.code} y vencido ${expired.code}`);
+  });
+});
@@ -1,7 +1,11 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
+const {
+  CouponBuilder,
+  uniqueCouponCode,
+} = require("../../utils/builders/coupon-builder.js");
 
 const logger = new Logger("cupones-negative-tests");
 const testDataManager = new TestDataManager();
@@ -89,110 +93,73 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     );
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test
-
-    try {
-      // Validar datos necesarios
-      if (extractedGroupIds.length === 0) {
-        logger.info("⚠️ No hay Group IDs disponibles, saltando test");
-        test.skip();
-        return;
-      }
-
-      const groupId = extractedGroupIds[0];
-      const testCode = `DUPLICATE_TEST_${Date.now()}`;
-
-      // Paso 1: Crear cupón inicial
-      const initialCouponData = {
-        group: groupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-08-31T23:59:59Z",
-        is_reusable: "true",
-        max_use: "5",
-        customer_max_use: "2",
-        custom_code: testCode,
-        detail: "Test Negativo - Cupón Inicial",
-        quantity: "1",
-        discount_type: "percent",
-        percent: "10",
-        type: "ppv-live",
-        type_code: "neg_test_initial",
-        payment_required: "false",
-      };
-
-      logger.info(`🎯 Creando cupón inicial con código: ${testCode}`);
-      const initialResponse = await apiClient.post(
-        "/api/coupon",
-        initialCouponData
-      );
+    // Validar datos necesarios
+    if (extractedGroupIds.length === 0) {
+      logger.info("⚠️ No hay Group IDs disponibles, saltando test");
+      test.skip();
+      return;
+    }
 
-      expect(initialResponse.status).toBe(200);
-      expect(initialResponse.data.status).toBe("OK");
+    const groupId = extractedGroupIds[0];
+    const testCode = uniqueCouponCode("DUPLICATE_TEST");
 
-      const createdCoupon = initialResponse.data.data[0];
-      testCouponsToCleanup.push(createdCoupon._id); // Agregar a fixtures para cleanup
+    // Paso 1: Crear cupón inicial
+    const initialCouponData = CouponBuilder.reusable(groupId, testCode)
+      .percent(10)
+      .typeCode("neg_test_initial")
+      .detail("Test Negativo - Cupón Inicial")
+      .build();
 
-      logger.info(
-        `✅ Cupón inicial creado: ${createdCoupon.code} (ID: ${createdCoupon._id})`
-      );
+    logger.info(`🎯 Creando cupón inicial con código: ${testCode}`);
+    const initialResponse = await apiClient.post(
+      "/api/coupon",
+      initialCouponData
+    );
 
-      // Paso 2: Intentar crear otro cupón con el mismo código
-      const duplicateCouponData = {
-        group: groupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-08-31T23:59:59Z",
-        is_reusable: "true",
-        max_use: "3",
-        customer_max_use: "1",
-        custom_code: testCode, // Usar código duplicado
-        detail: "Test Negativo - Intento de Duplicación",
-        quantity: "1",
-        discount_type: "percent",
-        percent: "5",
-        type: "ppv-live",
-        type_code: "neg_test_duplicate",
-        payment_required: "false",
-      };
+    expect(initialResponse.status).toBe(200);
+    expect(initialResponse.data.status).toBe("OK");
 
-      logger.info(
-        `🎯 Intentando crear cupón duplicado con código: ${testCode}`
-      );
-      const duplicateResponse = await apiClient.post(
-        "/api/coupon",
-        duplicateCouponData
-      );
+    const createdCoupon = initialResponse.data.data[0];
 
-      // Log detallado de la respuesta
-      logNegativeResponseDetails(
-        duplicateResponse,
-        400,
-        "ERROR",
-        "POST /api/coupon (código duplicado)"
-      );
+    logger.info(
+      `✅ Cupón inicial creado: ${createdCoupon.code} (ID: ${createdCoupon._id})`
+    );
 
-      // Validar que la API rechaza el código duplicado
-      expect(duplicateResponse.status).toBe(400);
-      expect(duplicateResponse.data.status).toBe("ERROR");
-      expect(duplicateResponse.data.data).toBeDefined();
-      expect(duplicateResponse.data.data).toBe("COUPON_CODE_ALREADY_EXISTS");
+    // Paso 2: Intentar crear otro cupón con el mismo código
+    const duplicateCouponData = CouponBuilder.reusable(groupId, testCode) // Usar código duplicado
+      .maxUse(3, 1)
+      .percent(5)
+      .typeCode("neg_test_duplicate")
+      .detail("Test Negativo - Intento de Duplicación")
+      .build();
 
-      logger.info(`✅ ERROR ESPERADO: ${duplicateResponse.data.data}`);
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: Los códigos duplicados se rechazan correctamente en cupones reutilizables"
-      );
-    } finally {
-      // CLEANUP: Limpiar fixtures creadas en este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    logger.info(
+      `🎯 Intentando crear cupón duplicado con código: ${testCode}`
+    );
+    const duplicateResponse = await apiClient.post(
+      "/api/coupon",
+      duplicateCouponData
+    );
+
+    // Log detallado de la respuesta
+    logNegativeResponseDetails(
+      duplicateResponse,
+      400,
+      "ERROR",
+      "POST /api/coupon (código duplicado)"
+    );
+
+    // Validar que la API rechaza el código duplicado
+    expect(duplicateResponse.status).toBe(400);
+    expect(duplicateResponse.data.status).toBe("ERROR");
+    expect(duplicateResponse.schema).toBe("cupones/error");
+    expect(duplicateResponse.data.data).toBeDefined();
+    expect(duplicateResponse.data.data).toBe("COUPON_CODE_ALREADY_EXISTS");
+
+    logger.info(`✅ ERROR ESPERADO: ${duplicateResponse.data.data}`);
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: Los códigos duplicados se rechazan correctamente en cupones reutilizables"
+    );
   });
 
   test("TC-NEG-002: POST /api/coupon - Comportamiento con código duplicado en cupón no reutilizable", async ({
@@ -203,93 +170,68 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     );
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test
-
-    try {
-      // Usar códigos existentes del sistema
-      if (existingCouponCodes.length === 0 || extractedGroupIds.length === 0) {
-        logger.info("⚠️ No hay datos suficientes, saltando test");
-        test.skip();
-        return;
-      }
-
-      const existingCode = existingCouponCodes[0]; // Código que ya existe en el sistema
-      const groupId = extractedGroupIds[0];
-
-      const nonReusableCouponData = {
-        group: groupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-08-31T23:59:59Z",
-        is_reusable: "false", // NO REUTILIZABLE
-        max_use: "1",
-        customer_max_use: "1",
-        custom_code: existingCode, // Usar código que YA EXISTE
-        detail: "Test Negativo - Cupón No Reutilizable con Código Existente",
-        quantity: "1",
-        discount_type: "percent",
-        percent: "15",
-        type: "ppv-live",
-        type_code: "neg_test_non_reusable",
-        payment_required: "false",
-      };
+    // Usar códigos existentes del sistema
+    if (existingCouponCodes.length === 0 || extractedGroupIds.length === 0) {
+      logger.info("⚠️ No hay datos suficientes, saltando test");
+      test.skip();
+      return;
+    }
 
-      logger.info(
-        `🎯 Intentando crear cupón NO REUTILIZABLE con código existente: ${existingCode}`
-      );
-      logger.info(
-        "⚠️ COMPORTAMIENTO ESPERADO: El sistema debería crear un cupón con código diferente (ignora el custom_code)"
-      );
+    const existingCode = existingCouponCodes[0]; // Código que ya existe en el sistema
+    const groupId = extractedGroupIds[0];
 
-      const response = await apiClient.post(
-        "/api/coupon",
-        nonReusableCouponData
-      );
+    // NO REUTILIZABLE: custom_code no aplica, se fuerza con with()
+    const nonReusableCouponData = CouponBuilder.singleUse(groupId)
+      .percent(15)
+      .typeCode("neg_test_non_reusable")
+      .detail("Test Negativo - Cupón No Reutilizable con Código Existente")
+      .with({ custom_code: existingCode }) // Usar código que YA EXISTE
+      .build();
 
-      // Log detallado de la respuesta
-      logNegativeResponseDetails(
-        response,
-        200,
-        "OK",
-        "POST /api/coupon (no reutilizable, código existente)"
-      );
+    logger.info(
+      `🎯 Intentando crear cupón NO REUTILIZABLE con código existente: ${existingCode}`
+    );
+    logger.info(
+      "⚠️ COMPORTAMIENTO ESPERADO: El sistema debería crear un cupón con código diferente (ignora el custom_code)"
+    );
 
-      // VALIDACIÓN ESPECIAL: Para cupones no reutilizables, el sistema NO genera error
-      // sino que crea un nuevo cupón con código diferente para evitar duplicidad
-      expect(response.status).toBe(200);
-      expect(response.data.status).toBe("OK");
-      expect(Array.isArray(response.data.data)).toBe(true);
-      expect(response.data.data.length).toBeGreaterThan(0);
+    const response = await apiClient.post(
+      "/api/coupon",
+      nonReusableCouponData
+    );
 
-      const createdCoupon = response.data.data[0];
-      testCouponsToCleanup.push(createdCoupon._id); // Agregar a fixtures para cleanup
+    // Log detallado de la respuesta
+    logNegativeResponseDetails(
+      response,
+      200,
+      "OK",
+      "POST /api/coupon (no reutilizable, código existente)"
+    );
 
-      // VALIDACIÓN CRÍTICA: El código generado debe ser DIFERENTE al solicitado
-      expect(createdCoupon.code).not.toBe(existingCode);
-      expect(createdCoupon.code).toBeDefined();
-      expect(typeof createdCoupon.code).toBe("string");
+    // VALIDACIÓN ESPECIAL: Para cupones no reutilizables, el sistema NO genera error
+    // sino que crea un nuevo cupón con código diferente para evitar duplicidad
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
+    expect(Array.isArray(response.data.data)).toBe(true);
+    expect(response.data.data.length).toBeGreaterThan(0);
 
-      logger.info(`✅ COMPORTAMIENTO CORRECTO VALIDADO:`);
-      logger.info(`   - Código solicitado: ${existingCode} (duplicado)`);
-      logger.info(
-        `   - Código generado: ${createdCoupon.code} (nuevo y único)`
-      );
-      logger.info(`   - ID del cupón: ${createdCoupon._id}`);
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: Para cupones NO REUTILIZABLES, el sistema ignora códigos duplicados y genera uno nuevo"
-      );
-    } finally {
-      // CLEANUP: Limpiar fixtures creadas en este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    const createdCoupon = response.data.data[0];
+
+    // VALIDACIÓN CRÍTICA: El código generado debe ser DIFERENTE al solicitado
+    expect(createdCoupon.code).not.toBe(existingCode);
+    expect(createdCoupon.code).toBeDefined();
+    expect(typeof createdCoupon.code).toBe("string");
+
+    logger.info(`✅ COMPORTAMIENTO CORRECTO VALIDADO:`);
+    logger.info(`   - Código solicitado: ${existingCode} (duplicado)`);
+    logger.info(
+      `   - Código generado: ${createdCoupon.code} (nuevo y único)`
+    );
+    logger.info(`   - ID del cupón: ${createdCoupon._id}`);
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: Para cupones NO REUTILIZABLES, el sistema ignora códigos duplicados y genera uno nuevo"
+    );
   });
 
   test("TC-NEG-003: POST /api/coupon - Error con datos inválidos", async ({
@@ -298,18 +240,14 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     logger.info("🧪 Test Negativo: Error con datos inválidos");
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test (aunque no debería crear nada)
-
-    try {
-      const invalidCouponData = {
-        group: "", // Group ID vacío - debería causar error
+    const invalidCouponData = new CouponBuilder("") // Group ID vacío - debería causar error
+      .detail("Test Negativo - Datos Inválidos")
+      .with({
         valid_from: "fecha-invalida", // Fecha mal formateada
-        valid_to: "2025-08-31T23:59:59Z",
         is_reusable: "maybe", // Valor inválido para boolean
         max_use: "-1", // Valor negativo
         customer_max_use: "texto", // No es número
         custom_code: "INVALID CODE WITH SPACES AND SPECIAL CHARS!", // Código con espacios y caracteres especiales
-        detail: "Test Negativo - Datos Inválidos",
         quantity: "0", // Cantidad cero
         discount_type: "invalid_type", // Tipo de descuento inválido
         amount: "not_a_number", // Monto no numérico
@@ -317,49 +255,37 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
         type: "", // Tipo vacío
         type_code: "", // Type code vacío
         payment_required: "not_boolean", // No es boolean
-      };
+      })
+      .build();
 
-      logger.info(
-        "🎯 Enviando datos completamente inválidos para validar manejo de errores"
-      );
+    logger.info(
+      "🎯 Enviando datos completamente inválidos para validar manejo de errores"
+    );
 
-      const response = await apiClient.post("/api/coupon", invalidCouponData);
+    const response = await apiClient.post("/api/coupon", invalidCouponData);
 
-      // Log detallado para errores esperados
-      logNegativeResponseDetails(
-        response,
-        [400, 500],
-        "ERROR",
-        "POST /api/coupon (datos inválidos)"
-      );
+    // Log detallado para errores esperados
+    logNegativeResponseDetails(
+      response,
+      [400, 500],
+      "ERROR",
+      "POST /api/coupon (datos inválidos)"
+    );
 
-      // La API puede devolver 400 o 500 dependiendo del tipo de validación
-      expect([400, 500]).toContain(response.status);
-      expect(response.data.status).toBe("ERROR");
-      expect(response.data.data).toBeDefined();
+    // La API puede devolver 400 o 500 dependiendo del tipo de validación
+    expect([400, 500]).toContain(response.status);
+    expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/error");
+    expect(response.data.data).toBeDefined();
 
-      logger.info(
-        `✅ ERROR ESPERADO con datos inválidos (${response.status}): ${
-          response.data.data || "Validation Error"
-        }`
-      );
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: El sistema rechaza correctamente datos inválidos"
-      );
-    } finally {
-      // CLEANUP: No debería haber fixtures que limpiar para este test
-      // pero mantenemos la estructura consistente
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    logger.info(
+      `✅ ERROR ESPERADO con datos inválidos (${response.status}): ${
+        response.data.data || "Validation Error"
+      }`
+    );
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: El sistema rechaza correctamente datos inválidos"
+    );
   });
 
   test("TC-NEG-004: POST /api/coupon - Error con Group ID inexistente", async ({
@@ -368,68 +294,45 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     logger.info("🧪 Test Negativo: Error con Group ID que no existe");
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test (aunque no debería crear nada)
-
-    try {
-      const nonExistentGroupId = "000000000000000000000000"; // ID que no existe
-
-      const couponDataWithInvalidGroup = {
-        group: nonExistentGroupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-08-31T23:59:59Z",
-        is_reusable: "true",
-        max_use: "5",
-        customer_max_use: "2",
-        detail: "Test Negativo - Group ID Inexistente",
-        quantity: "1",
-        discount_type: "percent",
-        percent: "10",
-        type: "ppv-live",
-        type_code: "neg_test_invalid_group",
-        payment_required: "false",
-      };
+    const nonExistentGroupId = "000000000000000000000000"; // ID que no existe
 
-      logger.info(
-        `🎯 Intentando crear cupón con Group ID inexistente: ${nonExistentGroupId}`
-      );
+    const couponDataWithInvalidGroup = CouponBuilder.reusable(nonExistentGroupId)
+      .without("custom_code")
+      .percent(10)
+      .typeCode("neg_test_invalid_group")
+      .detail("Test Negativo - Group ID Inexistente")
+      .build();
 
-      const response = await apiClient.post(
-        "/api/coupon",
-        couponDataWithInvalidGroup
-      );
+    logger.info(
+      `🎯 Intentando crear cupón con Group ID inexistente: ${nonExistentGroupId}`
+    );
 
-      logNegativeResponseDetails(
-        response,
-        [200, 400, 404],
-        "ERROR",
-        "POST /api/coupon (Group ID inexistente)"
-      );
+    const response = await apiClient.post(
+      "/api/coupon",
+      couponDataWithInvalidGroup
+    );
 
-      // Validar que la API rechaza el Group ID inexistente (puede ser 200 con ERROR, 400 o 404)
-      expect([200, 400, 404]).toContain(response.status);
-      expect(response.data.status).toBe("ERROR");
-      expect(response.data.data).toBeDefined();
+    logNegativeResponseDetails(
+      response,
+      [200, 400, 404],
+      "ERROR",
+      "POST /api/coupon (Group ID inexistente)"
+    );
 
-      logger.info(
-        `✅ ERROR ESPERADO con Group ID inexistente: ${response.data.data}`
-      );
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: La API rechaza Group IDs que no existen"
-      );
-    } finally {
-      // CLEANUP: No debería haber fixtures que limpiar para este test
-      // pero mantenemos la estructura consistente
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    // Validar que la API rechaza el Group ID inexistente (puede ser 200 con ERROR, 400 o 404)
+    expect([200, 400, 404]).toContain(response.status);
+    expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe(
+      response.status === 200 ? "cupones/coupon-create" : "cupones/error"
+    );
+    expect(response.data.data).toBeDefined();
+
+    logger.info(
+      `✅ ERROR ESPERADO con Group ID inexistente: ${response.data.data}`
+    );
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: La API rechaza Group IDs que no existen"
+    );
   });
 
   // ==================== TESTS DE ACTUALIZACIÓN NEGATIVA ====================
@@ -442,133 +345,103 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     );
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test
-
-    try {
-      // Verificar que tenemos datos necesarios
-      if (existingCouponCodes.length === 0 || extractedGroupIds.length === 0) {
-        logger.info("⚠️ No hay datos suficientes, saltando test");
-        test.skip();
-        return;
-      }
-
-      const groupId = extractedGroupIds[0];
-      const existingCode = existingCouponCodes[0]; // Código que ya existe en el sistema
-
-      // Paso 1: Crear un cupón que vamos a intentar actualizar
-      const initialCouponData = {
-        group: groupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-08-31T23:59:59Z",
-        is_reusable: "true",
-        max_use: "5",
-        customer_max_use: "2",
-        custom_code: "UPDATE_TEST_ORIGINAL",
-        detail: "Test de Actualización - Original",
-        quantity: "1",
-        discount_type: "percent",
-        percent: "10",
-        type: "ppv-live",
-        type_code: "update_test_original",
-        payment_required: "false",
-      };
-
-      logger.info("🎯 Creando cupón para test de actualización");
-      const createResponse = await apiClient.post(
-        "/api/coupon",
-        initialCouponData
-      );
+    // Verificar que tenemos datos necesarios
+    if (existingCouponCodes.length === 0 || extractedGroupIds.length === 0) {
+      logger.info("⚠️ No hay datos suficientes, saltando test");
+      test.skip();
+      return;
+    }
 
-      expect(createResponse.status).toBe(200);
-      expect(createResponse.data.status).toBe("OK");
+    const groupId = extractedGroupIds[0];
+    const existingCode = existingCouponCodes[0]; // Código que ya existe en el sistema
+
+    // Paso 1: Crear un cupón que vamos a intentar actualizar
+    const initialCouponData = CouponBuilder.reusable(
+      groupId,
+      uniqueCouponCode("UPDATE_TEST_ORIGINAL")
+    )
+      .percent(10)
+      .typeCode("update_test_original")
+      .detail("Test de Actualización - Original")
+      .build();
+
+    logger.info("🎯 Creando cupón para test de actualización");
+    const createResponse = await apiClient.post(
+      "/api/coupon",
+      initialCouponData
+    );
 
-      const createdCoupon = createResponse.data.data[0];
-      testCouponsToCleanup.push(createdCoupon._id); // Agregar a fixtures para cleanup
-      const originalCode = createdCoupon.code;
+    expect(createResponse.status).toBe(200);
+    expect(createResponse.data.status).toBe("OK");
 
-      logger.info(
-        `✅ Cupón creado para actualización: ${originalCode} (ID: ${createdCoupon._id})`
-      );
+    const createdCoupon = createResponse.data.data[0];
+    const originalCode = createdCoupon.code;
 
-      // Paso 2: Intentar actualizar con código existente
-      const updateDataWithDuplicateCode = {
-        group: groupId,
-        valid_from: "2025-08-01T08:00:00Z",
-        valid_to: "2025-09-30T23:59:59Z",
-        is_reusable: "true",
-        max_use: "5",
-        customer_max_use: "2",
-        custom_code: existingCode, // Intentar usar código ya existente
-        detail: "Test Negativo - Actualización con Código Duplicado",
-        amount: "20",
-        type: "ppv-live",
-        type_code: "neg_test_update_duplicate",
-        payment_required: "true",
-      };
-
-      logger.info(`🎯 Intentando actualizar cupón ${createdCoupon._id}`);
-      logger.info(`   - Código actual: ${originalCode}`);
-      logger.info(
-        `   - Código que se quiere usar: ${existingCode} (YA EXISTE en el sistema)`
-      );
-      logger.info(
-        "⚠️ COMPORTAMIENTO ESPERADO: La API devuelve 200 OK pero mantiene el código original"
-      );
+    logger.info(
+      `✅ Cupón creado para actualización: ${originalCode} (ID: ${createdCoupon._id})`
+    );
 
-      const response = await apiClient.post(
-        `/api/coupon/${createdCoupon._id}`,
-        updateDataWithDuplicateCode
-      );
+    // Paso 2: Intentar actualizar con código existente
+    const updateDataWithDuplicateCode = CouponBuilder.reusable(groupId, existingCode) // Intentar usar código ya existente
+      .without("quantity")
+      .validFor({ days: 60 })
+      .amount(20)
+      .paymentRequired()
+      .typeCode("neg_test_update_duplicate")
+      .detail("Test Negativo - Actualización con Código Duplicado")
+      .build();
+
+    logger.info(`🎯 Intentando actualizar cupón ${createdCoupon._id}`);
+    logger.info(`   - Código actual: ${originalCode}`);
+    logger.info(
+      `   - Código que se quiere usar: ${existingCode} (YA EXISTE en el sistema)`
+    );
+    logger.info(
+      "⚠️ COMPORTAMIENTO ESPERADO: La API devuelve 200 OK pero mantiene el código original"
+    );
 
-      logNegativeResponseDetails(
-        response,
-        200,
-        "OK",
-        "POST /api/coupon/{id} (código duplicado)"
-      );
+    const response = await apiClient.post(
+      `/api/coupon/${createdCoupon._id}`,
+      updateDataWithDuplicateCode
+    );
 
-      // VALIDACIÓN ESPECIAL: La API devuelve 200 OK pero NO actualiza el código
-      expect(response.status).toBe(200);
-      expect(response.data.status).toBe("OK");
-      expect(response.data.data).toBeDefined();
+    logNegativeResponseDetails(
+      response,
+      200,
+      "OK",
+      "POST /api/coupon/{id} (código duplicado)"
+    );
 
-      const updatedCoupon = response.data.data;
+    // VALIDACIÓN ESPECIAL: La API devuelve 200 OK pero NO actualiza el código
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
+    expect(response.data.data).toBeDefined();
 
-      // VALIDACIÓN CRÍTICA: El código NO debe haber cambiado
-      expect(updatedCoupon.code).toBe(originalCode);
-      expect(updatedCoupon.code).not.toBe(existingCode);
-      expect(updatedCoupon._id).toBe(createdCoupon._id);
+    const updatedCoupon = response.data.data;
 
-      // Otras actualizaciones SÍ deben haberse aplicado
-      expect(updatedCoupon.detail).toContain("Código Duplicado");
-      expect(updatedCoupon.amount).toBe(20);
+    // VALIDACIÓN CRÍTICA: El código NO debe haber cambiado
+    expect(updatedCoupon.code).toBe(originalCode);
+    expect(updatedCoupon.code).not.toBe(existingCode);
+    expect(updatedCoupon._id).toBe(createdCoupon._id);
 
-      logger.info(`✅ COMPORTAMIENTO SILENCIOSO VALIDADO:`);
-      logger.info(
-        `   - Código solicitado: ${existingCode} (RECHAZADO silenciosamente)`
-      );
-      logger.info(
-        `   - Código actual: ${updatedCoupon.code} (MANTUVO el original)`
-      );
-      logger.info(
-        `   - Otras actualizaciones: SÍ se aplicaron (detail, amount, etc.)`
-      );
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: Los códigos duplicados en actualizaciones se rechazan silenciosamente"
-      );
-    } finally {
-      // CLEANUP: Limpiar fixtures creadas en este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    // Otras actualizaciones SÍ deben haberse aplicado
+    expect(updatedCoupon.detail).toContain("Código Duplicado");
+    expect(updatedCoupon.amount).toBe(20);
+
+    logger.info(`✅ COMPORTAMIENTO SILENCIOSO VALIDADO:`);
+    logger.info(
+      `   - Código solicitado: ${existingCode} (RECHAZADO silenciosamente)`
+    );
+    logger.info(
+      `   - Código actual: ${updatedCoupon.code} (MANTUVO el original)`
+    );
+    logger.info(
+      `   - Otras actualizaciones: SÍ se aplicaron (detail, amount, etc.)`
+    );
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: Los códigos duplicados en actualizaciones se rechazan silenciosamente"
+    );
   });
 
   // ==================== TESTS DE CONSULTA NEGATIVA ====================
@@ -579,44 +452,29 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     logger.info("🧪 Test Negativo: Error para cupón inexistente");
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test (no habrá ninguna)
+    const nonExistentId = "000000000000000000000000"; // ID MongoDB que no existe
 
-    try {
-      const nonExistentId = "000000000000000000000000"; // ID MongoDB que no existe
+    logger.info(`🎯 Buscando cupón inexistente con ID: ${nonExistentId}`);
 
-      logger.info(`🎯 Buscando cupón inexistente con ID: ${nonExistentId}`);
+    const response = await apiClient.get(`/api/coupon/${nonExistentId}`);
 
-      const response = await apiClient.get(`/api/coupon/${nonExistentId}`);
-
-      logNegativeResponseDetails(
-        response,
-        200,
-        "ERROR",
-        "GET /api/coupon/{id} - cupón inexistente"
-      );
+    logNegativeResponseDetails(
+      response,
+      200,
+      "ERROR",
+      "GET /api/coupon/{id} - cupón inexistente"
+    );
 
-      // La API devuelve 200 con status ERROR y data null para recursos no encontrados
-      expect(response.status).toBe(200);
-      expect(response.data.status).toBe("ERROR");
-      expect(response.data.data).toBe(null);
+    // La API devuelve 200 con status ERROR y data null para recursos no encontrados
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/coupon");
+    expect(response.data.data).toBe(null);
 
-      logger.info("✅ ERROR ESPERADO para cupón inexistente: data = null");
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente cupones inexistentes"
-      );
-    } finally {
-      // CLEANUP: No hay fixtures que limpiar para este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    logger.info("✅ ERROR ESPERADO para cupón inexistente: data = null");
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente cupones inexistentes"
+    );
   });
 
   test("TC-NEG-007: GET /api/coupon/{code}/search - Error para código inexistente", async ({
@@ -625,48 +483,33 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     logger.info("🧪 Test Negativo: Error para código de cupón inexistente");
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test (no habrá ninguna)
-
-    try {
-      const nonExistentCode = "CODIGO_QUE_NO_EXISTE_123";
+    const nonExistentCode = "CODIGO_QUE_NO_EXISTE_123";
 
-      logger.info(
-        `🎯 Buscando cupón por código inexistente: ${nonExistentCode}`
-      );
+    logger.info(
+      `🎯 Buscando cupón por código inexistente: ${nonExistentCode}`
+    );
 
-      const response = await apiClient.get(
-        `/api/coupon/${nonExistentCode}/search`
-      );
+    const response = await apiClient.get(
+      `/api/coupon/${nonExistentCode}/search`
+    );
 
-      logNegativeResponseDetails(
-        response,
-        200,
-        "ERROR",
-        "GET /api/coupon/{code}/search - código inexistente"
-      );
+    logNegativeResponseDetails(
+      response,
+      200,
+      "ERROR",
+      "GET /api/coupon/{code}/search - código inexistente"
+    );
 
-      // La API devuelve 200 con status ERROR y data null para códigos no encontrados
-      expect(response.status).toBe(200);
-      expect(response.data.status).toBe("ERROR");
-      expect(response.data.data).toBe(null);
+    // La API devuelve 200 con status ERROR y data null para códigos no encontrados
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/coupon");
+    expect(response.data.data).toBe(null);
 
-      logger.info("✅ ERROR ESPERADO para código inexistente: data = null");
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente códigos inexistentes"
-      );
-    } finally {
-      // CLEANUP: No hay fixtures que limpiar para este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
-    }
+    logger.info("✅ ERROR ESPERADO para código inexistente: data = null");
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente códigos inexistentes"
+    );
   });
 
   test("TC-NEG-008: DELETE /api/coupon/{id} - Error para cupón inexistente", async ({
@@ -675,50 +518,35 @@ test.describe("🚫 Tests Negativos - API Cupones", () => {
     logger.info("🧪 Test Negativo: Error al eliminar cupón inexistente");
 
     const apiClient = new ApiClient(request);
-    const testCouponsToCleanup = []; // Fixtures para este test (no habrá ninguna)
-
-    try {
-      const nonExistentId = "000000000000000000000000"; // ID MongoDB que no existe
-
-      logger.info(
-        `🎯 Intentando eliminar cupón inexistente con ID: ${nonExistentId}`
-      );
+    const nonExistentId = "000000000000000000000000"; // ID MongoDB que no existe
 
-      const response = await apiClient.delete(`/api/coupon/${nonExistentId}`);
+    logger.info(
+      `🎯 Intentando eliminar cupón inexistente con ID: ${nonExistentId}`
+    );
 
-      logNegativeResponseDetails(
-        response,
-        [200, 404],
-        "ERROR",
-        "DELETE /api/coupon/{id} - cupón inexistente"
-      );
+    const response = await apiClient.delete(`/api/coupon/${nonExistentId}`);
 
-      // La API puede devolver 200 con ERROR o 404 directamente
-      expect([200, 404]).toContain(response.status);
+    logNegativeResponseDetails(
+      response,
+      [200, 404],
+      "ERROR",
+      "DELETE /api/coupon/{id} - cupón inexistente"
+    );
 
-      if (response.status === 200) {
-        expect(response.data.status).toBe("ERROR");
-        expect(response.data.data).toBeDefined();
-      }
+    // La API puede devolver 200 con ERROR o 404 directamente
+    expect([200, 404]).toContain(response.status);
 
-      logger.info(
-        `✅ ERROR ESPERADO para eliminación de cupón inexistente (${response.status})`
-      );
-      logger.info(
-        "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente intentos de eliminar cupones inexistentes"
-      );
-    } finally {
-      // CLEANUP: No hay fixtures que limpiar para este test
-      for (const couponId of testCouponsToCleanup) {
-        try {
-          await apiClient.delete(`/api/coupon/${couponId}`);
-          logger.info(`🧹 Fixture eliminada: ${couponId}`);
-        } catch (error) {
-          logger.info(
-            `⚠️ Error limpiando fixture ${couponId}: ${error.message}`
-          );
-        }
-      }
+    if (response.status === 200) {
+      expect(response.data.status).toBe("ERROR");
+      expect(response.schema).toBe("cupones/coupon");
+      expect(response.data.data).toBeDefined();
     }
+
+    logger.info(
+      `✅ ERROR ESPERADO para eliminación de cupón inexistente (${response.status})`
+    );
+    logger.info(
+      "🔒 VALIDACIÓN EXITOSA: La API maneja correctamente intentos de eliminar cupones inexistentes"
+    );
   });
 });
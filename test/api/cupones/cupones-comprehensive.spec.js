@@ -1,7 +1,9 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
+const { CouponBuilder, uniqueCouponCode } = require("../../utils/builders/coupon-builder.js");
 
 const logger = new Logger("cupones-comprehensive-tests");
 const testDataManager = new TestDataManager();
@@ -26,6 +28,9 @@ function logResponseDetails(response, expectedStatus = 200, expectedDataStatus =
 }
 
 test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
+  // Los cupones creados se reutilizan en los tests siguientes: se eliminan al terminar el worker
+  test.use({ cleanupScope: "worker" });
+
   let extractedGroupIds = [];
   let generatedCouponCodes = [];
   let generatedCouponIds = [];
@@ -88,6 +93,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     // Procesar datos para tests posteriores
@@ -104,6 +110,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     logger.info("✅ Respuesta con parámetros verificada");
@@ -117,6 +124,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
     expect(Array.isArray(response.data.data)).toBe(true);
     expect(response.data.data.length).toBeGreaterThan(0);
 
@@ -147,6 +155,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
 
     const coupons = response.data.data;
     if (coupons.length > 0) {
@@ -168,16 +177,21 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     const apiClient = new ApiClient(request);
     logger.info("🧪 Test: Validar paginación de cupones");
 
-    const responsePage1 = await apiClient.get("/api/coupon", { page: 1, limit: 5 });
-    const responsePage2 = await apiClient.get("/api/coupon", { page: 2, limit: 5 });
+    // Recorre la colección completa; falla si hay IDs duplicados o faltantes entre páginas
+    const paginator = apiClient.paginate("/api/coupon", { limit: 20 }, { style: "page" });
+
+    for await (const page of paginator) {
+      expect(page.items.length).toBeLessThanOrEqual(20);
+      logger.info(`📄 Página ${page.number}: ${page.items.length} cupones`);
+    }
 
-    expect(responsePage1.status).toBe(200);
-    expect(responsePage2.status).toBe(200);
+    await attachJson("coupon-pagination-report.json", paginator.report);
 
-    expect(responsePage1.data.status).toBe("OK");
-    expect(responsePage2.data.status).toBe("OK");
+    expect(paginator.report.pages).toBeGreaterThan(0);
+    expect(paginator.report.duplicates).toHaveLength(0);
+    expect(paginator.report.missing).toBe(0);
 
-    logger.info("✅ Paginación validada");
+    logger.info(`✅ Paginación validada: ${paginator.report.items} cupones en ${paginator.report.pages} páginas`);
   });
 
   test("TC-CUPONES-COMP-006: GET /api/coupon - Test con filtros de fecha", async ({ request }) => {
@@ -189,6 +203,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
 
     logger.info("✅ Filtros de fecha validados");
   });
@@ -201,6 +216,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     logger.info("✅ Límites validados");
@@ -218,6 +234,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
       expect(searchResponse.status).toBe(200);
       expect(searchResponse.data.status).toBe("OK");
+      expect(searchResponse.schema).toBe("cupones/coupons-list");
     }
 
     logger.info("✅ Búsqueda validada");
@@ -231,6 +248,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
 
     logger.info("✅ Ordenamiento validado");
   });
@@ -239,16 +257,16 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     const apiClient = new ApiClient(request);
     logger.info("🧪 Test: Performance básico");
 
-    const startTime = Date.now();
     const response = await apiClient.get("/api/coupon");
-    const endTime = Date.now();
 
-    const responseTime = endTime - startTime;
+    // Tiempo medido por ApiClient, sin contar esperas de reintentos
+    const responseTime = response.timing.total - response.timing.retryWait;
 
     expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("application/json");
     expect(responseTime).toBeLessThan(5000); // Menos de 5 segundos
 
-    logger.info(`⏱️ Tiempo de respuesta: ${responseTime}ms`);
+    logger.info(`⏱️ Tiempo de respuesta: ${responseTime}ms (petición: ${response.timing.request}ms, parseo: ${response.timing.parse}ms)`);
     logger.info("✅ Performance básico validado");
   });
 
@@ -268,21 +286,11 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     // Usar un Group ID real de los datos extraídos
     const groupId = extractedGroupIds[0];
 
-    const couponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "false",
-      max_use: "1",
-      customer_max_use: "1",
-      detail: "Test Comprehensivo - Single Use Coupon",
-      quantity: "1",
-      discount_type: "percent",
-      percent: "10",
-      type: "ppv-live",
-      type_code: "comp_test_single",
-      payment_required: "false",
-    };
+    const couponData = CouponBuilder.singleUse(groupId)
+      .percent(10)
+      .typeCode("comp_test_single")
+      .detail("Test Comprehensivo - Single Use Coupon")
+      .build();
 
     logger.info(`🎯 Creando cupón con Group ID: ${groupId}`);
     logger.info(`📝 Datos: ${JSON.stringify(couponData)}`);
@@ -293,6 +301,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
     expect(Array.isArray(response.data.data)).toBe(true);
     expect(response.data.data.length).toBeGreaterThan(0);
 
@@ -325,25 +334,15 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     const groupId = extractedGroupIds[0];
 
     // Generar un código único para evitar duplicados
-    const timestamp = Date.now().toString().slice(-6);
-    const customCode = `COMP-TEST-${timestamp}`;
-
-    const couponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "true",
-      max_use: "5",
-      customer_max_use: "2",
-      custom_code: customCode,
-      detail: "Test Comprehensivo - Reusable Custom Coupon",
-      quantity: "1",
-      discount_type: "amount",
-      amount: "15",
-      type: "ppv-live",
-      type_code: "comp_test_reusable",
-      payment_required: "true",
-    };
+    const customCode = uniqueCouponCode("COMP-TEST");
+
+    const couponData = CouponBuilder.reusable(groupId, customCode)
+      .maxUse(5, 2)
+      .amount(15)
+      .paymentRequired()
+      .typeCode("comp_test_reusable")
+      .detail("Test Comprehensivo - Reusable Custom Coupon")
+      .build();
 
     logger.info(`🎯 Creando cupón reutilizable con código personalizado: ${customCode}`);
     logger.info(`📝 Datos: ${JSON.stringify(couponData)}`);
@@ -352,6 +351,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
     expect(Array.isArray(response.data.data)).toBe(true);
     expect(response.data.data.length).toBeGreaterThan(0);
 
@@ -391,22 +391,12 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     const groupId = extractedGroupIds[0];
 
-    const duplicateCouponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "true",
-      max_use: "3",
-      customer_max_use: "1",
-      custom_code: existingCode, // Usar código duplicado
-      detail: "Test Comprehensivo - Duplicate Code Attempt",
-      quantity: "1",
-      discount_type: "percent",
-      percent: "5",
-      type: "ppv-live",
-      type_code: "comp_test_duplicate",
-      payment_required: "false",
-    };
+    const duplicateCouponData = CouponBuilder.reusable(groupId, existingCode) // Usar código duplicado
+      .maxUse(3, 1)
+      .percent(5)
+      .typeCode("comp_test_duplicate")
+      .detail("Test Comprehensivo - Duplicate Code Attempt")
+      .build();
 
     logger.info(`🎯 Intentando crear cupón con código duplicado: ${existingCode}`);
 
@@ -417,15 +407,15 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     if (response.status === 400) {
       expect(response.data.status).toBe("ERROR");
+      expect(response.schema).toBe("cupones/error");
       logger.info(`✅ Error esperado con código duplicado: ${response.data.data}`);
     } else {
       // Si devuelve 200, debe haber generado un código diferente
       expect(response.data.status).toBe("OK");
+      expect(response.schema).toBe("cupones/coupon-create");
       const createdCoupon = response.data.data[0];
       expect(createdCoupon.code).not.toBe(existingCode);
       logger.info(`✅ Sistema generó código alternativo: ${createdCoupon.code}`);
-      // Limpiar el cupón creado
-      generatedCouponIds.push(createdCoupon._id);
     }
   });
 
@@ -433,19 +423,21 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     const apiClient = new ApiClient(request);
     logger.info("🧪 Test: Error con datos inválidos");
 
-    const invalidCouponData = {
-      group: "", // Group vacío
-      valid_from: "fecha-invalida", // Fecha mal formateada
-      is_reusable: "maybe", // Valor inválido
-      max_use: "-1", // Valor negativo
-      custom_code: "INVALID CODE WITH SPACES!", // Código con espacios y caracteres especiales
-      detail: "Test Comprehensivo - Invalid Data",
-      quantity: "0", // Cantidad cero
-      discount_type: "invalid_type",
-      amount: "not_a_number",
-      type: "",
-      payment_required: "not_boolean",
-    };
+    const invalidCouponData = new CouponBuilder("") // Group vacío
+      .detail("Test Comprehensivo - Invalid Data")
+      .without("valid_to", "customer_max_use", "percent", "type_code")
+      .with({
+        valid_from: "fecha-invalida", // Fecha mal formateada
+        is_reusable: "maybe", // Valor inválido
+        max_use: "-1", // Valor negativo
+        custom_code: "INVALID CODE WITH SPACES!", // Código con espacios y caracteres especiales
+        quantity: "0", // Cantidad cero
+        discount_type: "invalid_type",
+        amount: "not_a_number",
+        type: "",
+        payment_required: "not_boolean",
+      })
+      .build();
 
     logger.info("🎯 Enviando datos inválidos para validar manejo de errores");
 
@@ -459,6 +451,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     // Aceptamos ambos como válidos para validación de datos inválidos
     expect([400, 500]).toContain(response.status);
     expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/error");
 
     logger.info(`✅ Error esperado con datos inválidos (${response.status}): ${response.data.data || "Bad Request"}`);
   });
@@ -475,30 +468,18 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     }
 
     const groupId = extractedGroupIds[0];
-    const timestamp = Date.now().toString().slice(-6);
-    const customCode = `COMP-META-${timestamp}`;
-
-    const couponWithMetadata = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "true",
-      max_use: "3",
-      customer_max_use: "1",
-      custom_code: customCode,
-      detail: "Test Comprehensivo - Cupón con metadatos",
-      quantity: "1",
-      discount_type: "percent",
-      percent: "20",
-      type: "ppv-live",
-      type_code: "comp_test_metadata",
-      payment_required: "false",
-      metadata: JSON.stringify({
+    const customCode = uniqueCouponCode("COMP-META");
+
+    const couponWithMetadata = CouponBuilder.reusable(groupId, customCode)
+      .maxUse(3, 1)
+      .percent(20)
+      .metadata({
         test_type: "comprehensive",
-        created_by: "playwright-automation",
         test_timestamp: new Date().toISOString(),
-      }),
-    };
+      })
+      .typeCode("comp_test_metadata")
+      .detail("Test Comprehensivo - Cupón con metadatos")
+      .build();
 
     logger.info(`🎯 Creando cupón con metadatos: ${customCode}`);
 
@@ -506,6 +487,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     const createdCoupon = response.data.data[0];
@@ -537,6 +519,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data._id).toBe(couponId);
 
@@ -571,6 +554,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data.code).toBe(couponCode);
 
@@ -607,23 +591,16 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     const groupId = extractedGroupIds[0];
 
-    const updateData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-09-30T23:59:59Z", // Extender fecha
-      is_reusable: "true",
-      max_use: "10", // Aumentar usos
-      customer_max_use: "5",
-      detail: "Test Comprehensivo - Cupón Actualizado",
-      amount: "25", // Cambiar monto
-      type: "ppv-live",
-      type_code: "comp_test_updated",
-      payment_required: "true",
-      metadata: JSON.stringify({
-        updated: "true",
-        update_date: new Date().toISOString(),
-      }),
-    };
+    const updateData = CouponBuilder.reusable(groupId)
+      .without("custom_code", "quantity") // Solo aplican al crear
+      .validFor({ days: 60 }) // Extender fecha
+      .maxUse(10, 5) // Aumentar usos
+      .amount(25) // Cambiar monto
+      .paymentRequired()
+      .metadata({ updated: "true", update_date: new Date().toISOString() })
+      .typeCode("comp_test_updated")
+      .detail("Test Comprehensivo - Cupón Actualizado")
+      .build();
 
     logger.info(`🎯 Actualizando cupón con ID: ${couponId}`);
     logger.info(`📝 Datos de actualización: ${JSON.stringify(updateData)}`);
@@ -632,6 +609,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data._id).toBe(couponId);
 
@@ -674,20 +652,14 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     const groupId = extractedGroupIds[0];
 
-    const updateDataWithDuplicateCode = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-09-30T23:59:59Z",
-      is_reusable: "true",
-      max_use: "5",
-      customer_max_use: "2",
-      custom_code: existingCode, // Intentar usar código ya existente
-      detail: "Test Comprehensivo - Intento de código duplicado",
-      amount: "20",
-      type: "ppv-live",
-      type_code: "comp_test_duplicate_update",
-      payment_required: "true",
-    };
+    const updateDataWithDuplicateCode = CouponBuilder.reusable(groupId, existingCode) // Intentar usar código ya existente
+      .without("quantity")
+      .validFor({ days: 60 })
+      .amount(20)
+      .paymentRequired()
+      .typeCode("comp_test_duplicate_update")
+      .detail("Test Comprehensivo - Intento de código duplicado")
+      .build();
 
     logger.info(`🎯 Intentando actualizar cupón generado ${couponIdToUpdate} con código existente del sistema: ${existingCode}`);
 
@@ -716,6 +688,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     // Validar que la API devuelve 200 OK pero NO actualiza el código
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
 
     const updatedCoupon = response.data.data;
@@ -745,28 +718,14 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
     }
 
     const groupId = extractedGroupIds[0];
-    const timestamp = Date.now().toString().slice(-6);
-    const tempCode = `COMP-DELETE-${timestamp}`;
-
     // Primero crear un cupón temporal para eliminar
-    const tempCouponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "false",
-      max_use: "1",
-      customer_max_use: "1",
-      custom_code: tempCode,
-      detail: "Test Comprehensivo - Cupón para eliminar",
-      quantity: "1",
-      discount_type: "percent",
-      percent: "5",
-      type: "ppv-live",
-      type_code: "comp_test_delete",
-      payment_required: "false",
-    };
-
-    logger.info(`🎯 Creando cupón temporal para eliminar: ${tempCode}`);
+    const tempCouponData = CouponBuilder.singleUse(groupId)
+      .percent(5)
+      .typeCode("comp_test_delete")
+      .detail("Test Comprehensivo - Cupón para eliminar")
+      .build();
+
+    logger.info(`🎯 Creando cupón temporal para eliminar (${tempCouponData.type_code})`);
 
     const createResponse = await apiClient.post("/api/coupon", tempCouponData);
 
@@ -795,8 +754,9 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(deleteResponse.status).toBe(200);
     expect(deleteResponse.data.status).toBe("OK");
+    expect(deleteResponse.schema).toBe("cupones/coupon");
 
-    logger.info(`✅ Cupón eliminado exitosamente: ${tempCode}`);
+    logger.info(`✅ Cupón eliminado exitosamente: ${createdTempCoupon.code}`);
 
     // Verificar que el cupón ya no existe
     logger.info(`📋 Verificando que el cupón ya no existe...`);
@@ -804,6 +764,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(verifyResponse.status).toBe(200);
     expect(verifyResponse.data.status).toBe("ERROR");
+    expect(verifyResponse.schema).toBe("cupones/coupon");
     expect(verifyResponse.data.data).toBe(null);
 
     logger.info(`✅ Verificación exitosa: Cupón no encontrado después de eliminar`);
@@ -825,6 +786,7 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBe(null);
 
     logger.info(`✅ Error esperado para cupón inexistente`);
@@ -844,37 +806,9 @@ test.describe("🎫 Tests Comprehensivos - API Cupones", () => {
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("ERROR");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBe(null);
 
     logger.info(`✅ Error esperado para código inexistente`);
   });
-
-  // ==================== CLEANUP FINAL ====================
-
-  test("TC-CUPONES-COMP-999: Cleanup - Eliminar cupones generados en tests", async ({ request }) => {
-    const apiClient = new ApiClient(request);
-    logger.info("🧹 Test: Cleanup - Eliminar cupones generados");
-
-    if (generatedCouponIds.length === 0) {
-      logger.info("✅ No hay cupones generados para limpiar");
-      return;
-    }
-
-    logger.info(`🗑️ Eliminando ${generatedCouponIds.length} cupones generados en tests...`);
-
-    for (const couponId of generatedCouponIds) {
-      try {
-        const deleteResponse = await apiClient.delete(`/api/coupon/${couponId}`);
-        if (deleteResponse.status === 200 && deleteResponse.data.status === "OK") {
-          logger.info(`✅ Cupón ${couponId} eliminado correctamente`);
-        } else {
-          logger.info(`⚠️ Error eliminando cupón ${couponId}: ${deleteResponse.data?.data || "Unknown error"}`);
-        }
-      } catch (error) {
-        logger.info(`❌ Excepción eliminando cupón ${couponId}: ${error.message}`);
-      }
-    }
-
-    logger.info("🧹 Proceso de cleanup completado");
-  });
 });
@@ -1,7 +1,12 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
+const {
+  CouponBuilder,
+  uniqueCouponCode,
+} = require("../../utils/builders/coupon-builder.js");
 
 const logger = new Logger("cupones-crud-tests");
 const testDataManager = new TestDataManager();
@@ -39,6 +44,9 @@ function logResponseDetails(
 }
 
 test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
+  // READ y UPDATE usan los cupones de TC-CUPONES-003/004
+  test.use({ cleanupScope: "worker" });
+
   let apiClient;
   let extractedGroupIds = [];
   let generatedCouponCodes = [];
@@ -116,38 +124,23 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
     }
 
     const groupId = extractedGroupIds[0];
-    const timestamp = Date.now().toString().slice(-6);
-
-    const couponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "false",
-      max_use: "1",
-      customer_max_use: "1",
-      detail: `QA Test - Single Use Coupon ${timestamp}`,
-      quantity: "1",
-      discount_type: "percent",
-      percent: "10",
-      type: "ppv-live",
-      type_code: `qa_test_single_${timestamp}`,
-      payment_required: "false",
-    };
+    const couponData = CouponBuilder.singleUse(groupId)
+      .percent(10)
+      .typeCode("qa_test_single")
+      .build();
 
     logger.info(` Creando cupón no reutilizable con Group ID: ${groupId}`);
 
     const response = await apiClient.post("/api/coupon", couponData);
 
     // Adjuntar respuesta al reporte
-    await test.info().attach("create-coupon-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("create-coupon-response.json", response.data);
 
     logResponseDetails(response, 200, "OK", "CREATE cupón no reutilizable");
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
     expect(Array.isArray(response.data.data)).toBe(true);
     expect(response.data.data.length).toBeGreaterThan(0);
 
@@ -177,25 +170,13 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
     }
 
     const groupId = extractedGroupIds[0];
-    const timestamp = Date.now().toString().slice(-6);
-    const customCode = `QA-REUSE-${timestamp}`;
-
-    const couponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "true",
-      max_use: "5",
-      customer_max_use: "2",
-      custom_code: customCode,
-      detail: `QA Test - Reusable Custom Coupon ${timestamp}`,
-      quantity: "1",
-      discount_type: "amount",
-      amount: "15",
-      type: "ppv-live",
-      type_code: `qa_test_reusable_${timestamp}`,
-      payment_required: "true",
-    };
+    const customCode = uniqueCouponCode("QA-REUSE");
+    const couponData = CouponBuilder.reusable(groupId, customCode)
+      .maxUse(5, 2)
+      .amount(15)
+      .paymentRequired()
+      .typeCode("qa_test_reusable")
+      .build();
 
     logger.info(
       ` Creando cupón reutilizable con código personalizado: ${customCode}`
@@ -203,13 +184,11 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
 
     const response = await apiClient.post("/api/coupon", couponData);
 
-    await test.info().attach("create-reusable-coupon-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("create-reusable-coupon-response.json", response.data);
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon-create");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     const createdCoupon = response.data.data[0];
@@ -236,15 +215,13 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
 
     const response = await apiClient.get("/api/coupon", { limit: 10 });
 
-    await test.info().attach("read-coupons-list-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("read-coupons-list-response.json", response.data);
 
     logResponseDetails(response, 200, "OK", "READ lista cupones");
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupons-list");
     expect(Array.isArray(response.data.data)).toBe(true);
 
     // Procesar datos para tests posteriores
@@ -288,13 +265,11 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
 
     const response = await apiClient.get(`/api/coupon/${couponId}`);
 
-    await test.info().attach("read-coupon-by-id-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("read-coupon-by-id-response.json", response.data);
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data._id).toBe(couponId);
 
@@ -345,13 +320,11 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
 
     const response = await apiClient.get(`/api/coupon/${couponCode}/search`);
 
-    await test.info().attach("search-coupon-by-code-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("search-coupon-by-code-response.json", response.data);
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data.code).toBe(couponCode);
 
@@ -403,20 +376,15 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
 
     const groupId = extractedGroupIds[0];
 
-    const updateData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-09-30T23:59:59Z", // Extender fecha
-      is_reusable: "true",
-      max_use: "10", // Aumentar usos
-      customer_max_use: "5",
-      detail: "QA Test - Cupón Actualizado",
-      discount_type: "amount",
-      amount: "25", // Cambiar monto
-      type: "ppv-live",
-      type_code: "qa_test_updated",
-      payment_required: "true",
-    };
+    const updateData = CouponBuilder.reusable(groupId)
+      .without("custom_code", "quantity") // Solo aplican al crear
+      .validFor({ days: 60 }) // Extender fecha
+      .maxUse(10, 5) // Aumentar usos
+      .amount(25) // Cambiar monto
+      .paymentRequired()
+      .typeCode("qa_test_updated")
+      .detail("QA Test - Cupón Actualizado")
+      .build();
 
     logger.info(` Actualizando cupón con ID: ${couponId}`);
 
@@ -425,13 +393,11 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
       updateData
     );
 
-    await test.info().attach("update-coupon-response.json", {
-      body: JSON.stringify(response.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("update-coupon-response.json", response.data);
 
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
+    expect(response.schema).toBe("cupones/coupon");
     expect(response.data.data).toBeDefined();
     expect(response.data.data._id).toBe(couponId);
 
@@ -458,28 +424,15 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
     }
 
     const groupId = extractedGroupIds[0];
-    const timestamp = Date.now().toString().slice(-6);
-    const tempCode = `QA-DELETE-${timestamp}`;
 
     // Crear cupón temporal
-    const tempCouponData = {
-      group: groupId,
-      valid_from: "2025-08-01T08:00:00Z",
-      valid_to: "2025-08-31T23:59:59Z",
-      is_reusable: "false",
-      max_use: "1",
-      customer_max_use: "1",
-      custom_code: tempCode,
-      detail: "QA Test - Cupón para eliminar",
-      quantity: "1",
-      discount_type: "percent",
-      percent: "5",
-      type: "ppv-live",
-      type_code: `qa_test_delete_${timestamp}`,
-      payment_required: "false",
-    };
-
-    logger.info(` Creando cupón temporal para eliminar: ${tempCode}`);
+    const tempCouponData = CouponBuilder.singleUse(groupId)
+      .percent(5)
+      .typeCode("qa_test_delete")
+      .detail("QA Test - Cupón para eliminar")
+      .build();
+
+    logger.info(` Creando cupón temporal para eliminar (${tempCouponData.type_code})`);
 
     const createResponse = await apiClient.post("/api/coupon", tempCouponData);
     expect(createResponse.status).toBe(200);
@@ -504,19 +457,18 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
       `/api/coupon/${tempCouponId}`
     );
 
-    await test.info().attach("delete-coupon-response.json", {
-      body: JSON.stringify(deleteResponse.data, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("delete-coupon-response.json", deleteResponse.data);
 
     expect(deleteResponse.status).toBe(200);
+    expect(deleteResponse.schema).toBe("cupones/coupon");
     expect(deleteResponse.data.status).toBe("OK");
 
-    logger.info(`✅ Cupón eliminado exitosamente: ${tempCode}`);
+    logger.info(`✅ Cupón eliminado exitosamente: ${createdTempCoupon.code}`);
 
     // Verificar que ya no existe
     const verifyResponse = await apiClient.get(`/api/coupon/${tempCouponId}`);
     expect(verifyResponse.status).toBe(200);
+    expect(verifyResponse.schema).toBe("cupones/coupon");
     expect(verifyResponse.data.status).toBe("ERROR");
     expect(verifyResponse.data.data).toBe(null);
 
@@ -524,11 +476,4 @@ test.describe("🎫 Cupones CRUD - Happy Path Tests", () => {
       `✅ Verificación exitosa: Cupón no encontrado después de eliminar`
     );
   });
-
-  // ==================== CLEANUP ====================
-
-  test.afterEach(async ({ request }) => {
-    // Este hook se ejecuta después de cada test individual
-    // Aquí puedes agregar lógica de cleanup si es necesaria
-  });
 });
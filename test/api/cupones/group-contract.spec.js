@@ -1,33 +1,14 @@
-const { test, expect } = require("@playwright/test");
-const Ajv = require("ajv");
-const addFormats = require("ajv-formats");
-const fs = require("fs");
-const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
-const ajv = new Ajv({ allErrors: true, $data: true });
-addFormats(ajv);
+const { getSchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { formatSchemaErrors } = require("../../utils/schemas/schema-validation-error.js");
 
 const logger = new Logger("cupones-contract-tests");
 const testDataManager = new TestDataManager();
-
-const grupoListSchema = JSON.parse(
-  fs.readFileSync(
-    path.join(__dirname, "../../../src/schemas/cupones/grupo-list.schema.json"),
-    "utf8"
-  )
-);
-
-const cuponesBySubgroupSchema = JSON.parse(
-  fs.readFileSync(
-    path.join(
-      __dirname,
-      "../../../src/schemas/cupones/cupones-by-subgroup.schema.json"
-    ),
-    "utf8"
-  )
-);
+const schemaRegistry = getSchemaRegistry();
 
 test.describe("Contratos de API - Cupones", () => {
   test("TC-CUPONES-001 - debe responder con status 200 y cumplir el contrato del schema para grupos", async ({
@@ -45,19 +26,18 @@ test.describe("Contratos de API - Cupones", () => {
     const responseBody = response.data;
 
     // Adjuntar el body de la respuesta al reporte HTML de Playwright
-    await test.info().attach("groups-response-body.json", {
-      body: JSON.stringify(responseBody, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("groups-response-body.json", responseBody);
 
     logger.info(`Response status: ${response.status}`);
 
-    const validate = ajv.compile(grupoListSchema);
-    const valid = validate(responseBody);
-    if (!valid) {
-      logger.error("Errores de validación del schema:", validate.errors);
+    // ApiClient ya validó la respuesta contra el schema mapeado para la ruta
+    expect(response.schema).toBe("cupones/grupo-list");
+
+    const validation = schemaRegistry.validate("cupones/grupo-list", responseBody);
+    if (!validation.valid) {
+      logger.error(`Errores de validación del schema:\n${formatSchemaErrors(validation.errors, responseBody)}`);
     }
-    expect(valid).toBe(true);
+    expect(validation.valid).toBe(true);
     expect(responseBody.status).toBe("OK");
     expect(Array.isArray(responseBody.data)).toBe(true);
 
@@ -79,16 +59,12 @@ test.describe("Contratos de API - Cupones", () => {
     expect(groupsBody.status).toBe("OK");
     expect(Array.isArray(groupsBody.data)).toBe(true);
 
-    // Buscar un grupo que tenga al menos un cupón total
-    const groupWithCoupons = groupsBody.data.find(
-      (group) => group.coupon_total && group.coupon_total > 0
-    );
-
-    // Si no hay grupos con cupones, skip el test
-    if (!groupWithCoupons) {
-      test.skip(true, "No se encontraron grupos con cupones para probar");
-      return;
-    }
+    // Buscar un grupo que tenga al menos un cupón total (si no hay, el test se salta)
+    testDataManager.load("coupon-group", groupsBody);
+    const groupWithCoupons = testDataManager.pick("coupon-group", {
+      where: (group) => group.coupon_total > 0,
+      reason: "con cupones (coupon_total > 0)",
+    });
 
     logger.info(
       `Grupo seleccionado: ${groupWithCoupons.name} (${groupWithCoupons._id}) - Cupones totales: ${groupWithCoupons.coupon_total}`
@@ -103,11 +79,9 @@ test.describe("Contratos de API - Cupones", () => {
     const groupDetailBody = groupDetailResponse.data;
 
     // Adjuntar el body del detalle del grupo al reporte
-    await test.info().attach("group-detail-response.json", {
-      body: JSON.stringify(groupDetailBody, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("group-detail-response.json", groupDetailBody);
 
+    expect(groupDetailResponse.schema).toBe("cupones/grupo");
     expect(groupDetailBody.status).toBe("OK");
     expect(Array.isArray(groupDetailBody.data)).toBe(true);
 
@@ -129,36 +103,25 @@ test.describe("Contratos de API - Cupones", () => {
     // Paso 3: Obtener cupones por subgrupo usando ApiClient
     const subgroupId = subgroupWithCoupons._id;
     const couponsResponse = await apiClient.get("/api/coupon", {
-      params: { subgroup: subgroupId },
+      subgroup: subgroupId,
     });
 
     expect(couponsResponse.status).toBe(200);
     const couponsBody = couponsResponse.data;
 
     // Adjuntar el body de la respuesta al reporte HTML de Playwright
-    await test.info().attach("coupons-by-subgroup-response.json", {
-      body: JSON.stringify(couponsBody, null, 2),
-      contentType: "application/json",
-    });
+    await attachJson("coupons-by-subgroup-response.json", couponsBody);
 
     logger.info(`Cupones encontrados: ${couponsBody.data?.length || 0}`);
 
     // Validar el schema de respuesta de cupones por subgrupo
-    // Nota: Solo validamos la estructura básica debido a variaciones en la API real
-    expect(couponsBody.status).toBe("OK");
-    expect(Array.isArray(couponsBody.data)).toBe(true);
-
-    // Validar que si encontramos cupones, tengan la estructura correcta
-    if (couponsBody.data.length > 0) {
-      const firstCoupon = couponsBody.data[0];
-      expect(firstCoupon).toHaveProperty("_id");
-      expect(firstCoupon).toHaveProperty("code");
-      expect(firstCoupon).toHaveProperty("group");
-      expect(firstCoupon).toHaveProperty("subgroup");
-      expect(firstCoupon.subgroup).toBe(subgroupId);
-
-      logger.info("Estructura básica de cupones validada correctamente");
+    const validation = schemaRegistry.validate("cupones/cupones-by-subgroup", couponsBody);
+    if (!validation.valid) {
+      logger.error(`Errores de validación del schema:\n${formatSchemaErrors(validation.errors, couponsBody)}`);
     }
+    expect(validation.valid).toBe(true);
+    expect(couponsBody.status).toBe("OK");
+    expect(couponsBody.data.every((coupon) => coupon.subgroup === subgroupId)).toBe(true);
 
     logger.info("TC-CUPONES-002 completado exitosamente");
   });
@@ -0,0 +1,264 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { ApiEnvelopeError } = require("../../utils/resources/api-envelope-error.js");
+
+const logger = new Logger("fault-injection-tests");
+
+/**
+ * Fallas inyectadas en el mock server (MOCK=1) para verificar cómo reaccionan
+ * ApiClient y los clientes de recursos ante una API degradada. Fuera del mock
+ * los tests se omiten.
+ */
+test.describe("💥 Inyección de fallas", () => {
+  test("TC-FAULT-001: Latencia - La respuesta llega tras la demora configurada", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "latency", path: "/api/coupon", delayMs: 800, times: 1 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.timing.total).toBeGreaterThanOrEqual(800);
+    logger.info(`⏱️ Respuesta con latencia en ${response.timing.total}ms`);
+  });
+
+  test("TC-FAULT-002: Timeout - El cliente corta la petición que nunca responde", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "timeout", path: "/api/coupon", times: 1 });
+
+    const error = await apiClient
+      .get("/api/coupon", { limit: 1 }, { timeout: 500, retry: false })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toMatch(/timed? ?out|Timeout/i);
+    logger.info("✅ Timeout detectado por el cliente");
+  });
+
+  test("TC-FAULT-003: 503 transitorio - Se reintenta hasta obtener respuesta", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "status", path: "/api/coupon", status: 503, times: 2 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.attempts).toBe(3);
+    logger.info(`🔁 Respuesta OK tras ${response.attempts} intentos`);
+  });
+
+  test("TC-FAULT-004: 503 persistente - Sin reintentos devuelve el error", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "status", path: "/api/coupon", status: 503 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 }, { retry: false });
+
+    expect(response.status).toBe(503);
+    expect(response.data.status).toBe("ERROR");
+    expect(response.attempts).toBe(1);
+  });
+
+  test("TC-FAULT-005: JSON malformado - Se expone parseError y el texto crudo", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "malformed-json", path: "/api/coupon", times: 1 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.parseError).toBeTruthy();
+    expect(typeof response.data).toBe("string");
+    expect(response.rawText).toContain('"status": "OK"');
+    logger.info(`⚠️ parseError: ${response.parseError}`);
+  });
+
+  test("TC-FAULT-006: Respuesta truncada - El corte de conexión se reintenta", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "truncated", path: "/api/coupon", times: 1 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.attempts).toBe(2);
+  });
+
+  test("TC-FAULT-007: Content-Type incorrecto - El cuerpo JSON se interpreta igual", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({
+      type: "content-type",
+      path: "/api/coupon",
+      contentType: "text/html",
+      times: 1,
+    });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.headers["content-type"]).toContain("text/html");
+    expect(response.data.status).toBe("OK");
+    expect(Array.isArray(response.data.data)).toBe(true);
+  });
+
+  test("TC-FAULT-008: 429 - Se respeta Retry-After antes de reintentar", async ({
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "rate-limit", path: "/api/coupon", retryAfter: 1, times: 1 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.attempts).toBe(2);
+    expect(response.timing.retryWait).toBeGreaterThanOrEqual(1000);
+    logger.info(`🚦 Rate limit superado tras esperar ${response.timing.retryWait}ms`);
+  });
+
+  test("TC-FAULT-009: Envelope ERROR con HTTP 200 - CouponApi lanza ApiEnvelopeError", async ({
+    coupons,
+    faults,
+  }) => {
+    await faults.inject({
+      type: "error-envelope",
+      method: "GET",
+      path: "/api/coupon/:id",
+      data: "INTERNAL_ERROR",
+      times: 1,
+    });
+
+    const [coupon] = await coupons.list({ limit: 1 });
+    const error = await coupons.getById(coupon._id).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiEnvelopeError);
+    expect(error.status).toBe(200);
+    expect(error.dataStatus).toBe("ERROR");
+    expect(error.code).toBe("INTERNAL_ERROR");
+  });
+
+  test("TC-FAULT-010: Scope - Las fallas de un test no afectan a otros clientes", async ({
+    request,
+    apiClient,
+    faults,
+  }) => {
+    await faults.inject({ type: "status", path: "/api/coupon", status: 500 });
+
+    const unscoped = await new ApiClient(request).get("/api/coupon", { limit: 1 });
+    const scoped = await apiClient.get("/api/coupon", { limit: 1 }, { retry: false });
+
+    expect(unscoped.status).toBe(200);
+    expect(scoped.status).toBe(500);
+
+    const active = await faults.list();
+    expect(active).toHaveLength(1);
+    expect(active[0].hits).toBe(1);
+  });
+
+  test("TC-FAULT-011: Altas entre páginas - El paginador reporta los duplicados", async ({
+    apiClient,
+    faults,
+  }) => {
+    const params = { limit: 4, count: true };
+    const options = { style: "offset" };
+    const expected = await apiClient.paginate("/api/media", params, options).all();
+    const ids = expected.map((media) => media._id);
+
+    // Cada página repite el último elemento de la anterior: la página n empieza en 3·(n-1)
+    await faults.inject({ type: "page-shift", method: "GET", path: "/api/media", shift: -1 });
+
+    const paginator = apiClient.paginate("/api/media", params, { ...options, strict: false });
+    const items = await paginator.all();
+
+    expect(new Set(items.map((media) => media._id))).toEqual(new Set(ids));
+    expect(paginator.report.duplicates).toEqual(
+      [3, 6, 9]
+        .filter((index) => index < ids.length)
+        .map((index) => ({ id: ids[index], firstPage: index / 3, page: index / 3 + 1 }))
+    );
+    expect(paginator.report.missing).toBe(0);
+
+    const error = await apiClient.paginate("/api/media", params, options).all().catch((e) => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toMatch(/^Paginación inconsistente en \/api\/media/);
+    expect(error.message).toContain(`${ids[3]} duplicado: página 1 y página 2`);
+    logger.info(`🔁 ${paginator.report.duplicates.length} duplicados detectados`);
+  });
+
+  test("TC-FAULT-012: Bajas entre páginas - El paginador reporta los faltantes", async ({
+    apiClient,
+    faults,
+  }) => {
+    const params = { limit: 4, count: true };
+    const options = { style: "offset" };
+    const expected = await apiClient.paginate("/api/media", params, options).all();
+
+    // Cada página saltea el primer elemento que le correspondía
+    await faults.inject({ type: "page-shift", method: "GET", path: "/api/media", shift: 1 });
+
+    const paginator = apiClient.paginate("/api/media", params, { ...options, strict: false });
+    const items = await paginator.all();
+    const seen = new Set(items.map((media) => media._id));
+    const skipped = expected.filter((media) => !seen.has(media._id));
+
+    expect(skipped.length).toBeGreaterThan(0);
+    expect(paginator.report.total).toBe(expected.length);
+    expect(paginator.report.missing).toBe(skipped.length);
+    expect(paginator.report.duplicates).toHaveLength(0);
+
+    const error = await apiClient.paginate("/api/media", params, options).all().catch((e) => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toContain(
+      `Faltan ${skipped.length} elementos respecto del total informado (${expected.length})`
+    );
+    logger.info(`🕳️ ${skipped.length} faltantes detectados`);
+  });
+
+  test("TC-FAULT-013: API que ignora el parámetro page - El paginador se detiene en la página repetida", async ({
+    apiClient,
+    faults,
+  }) => {
+    const params = { limit: 4, count: true };
+    const expected = await apiClient.paginate("/api/media", params).all();
+    const firstPage = expected.slice(0, 4).map((media) => media._id);
+
+    // Corriendo cada página un limit completo hacia atrás, todas devuelven la primera
+    await faults.inject({ type: "page-shift", method: "GET", path: "/api/media", shift: -4 });
+
+    const paginator = apiClient.paginate("/api/media", params, { strict: false });
+    const items = await paginator.all();
+
+    expect(items.map((media) => media._id)).toEqual(firstPage);
+    expect(paginator.report).toMatchObject({
+      pages: 2,
+      total: expected.length,
+      missing: expected.length - firstPage.length,
+      stoppedBy: "repeatedPage",
+    });
+    expect(paginator.report.duplicates).toEqual(
+      firstPage.map((id) => ({ id, firstPage: 1, page: 2 }))
+    );
+
+    const error = await apiClient.paginate("/api/media", params).all().catch((e) => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe(
+      [
+        "Paginación inconsistente en /api/media (page, 2 páginas):",
+        ...firstPage.map((id) => `  - ${id} duplicado: página 1 y página 2`),
+        `  - Faltan ${expected.length - firstPage.length} elementos respecto del total informado (${expected.length})`,
+      ].join("\n")
+    );
+    logger.info(`🔂 Página repetida detectada tras ${paginator.report.pages} páginas`);
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { execFile } = require("child_process");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { RetryPolicy, parseRetryAfter } = require("../../utils/retry-policy.js");
+
+const logger = new Logger("retry-policy-tests");
+
+// Reintentos sin esperas largas: el backoff no es lo que se verifica aquí
+const FAST_RETRY = { maxAttempts: 3, baseDelayMs: 1, jitter: 0 };
+const SLACK_REPORT = path.join(__dirname, "..", "..", "..", "scripts", "slack-report.js");
+
+/**
+ * Anotaciones api-retry del test en curso
+ * @returns {string[]} Descripciones
+ */
+function retryAnnotations() {
+  return test
+    .info()
+    .annotations.filter((annotation) => annotation.type === "api-retry")
+    .map((annotation) => annotation.description);
+}
+
+/**
+ * Ejecutar scripts/slack-report.js con un reporte JSON y capturar el mensaje
+ * que enviaría a Slack (un webhook local en lugar del real)
+ * @param {string} reportPath
+ * @returns {Promise<object>} Payload recibido por el webhook
+ */
+async function runSlackReport(reportPath) {
+  let payload;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      payload = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      res.end("ok");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    await new Promise((resolve, reject) => {
+      execFile(
+        process.execPath,
+        [SLACK_REPORT],
+        {
+          timeout: 30000,
+          env: {
+            ...process.env,
+            SLACK_WEBHOOK_URL: `http://127.0.0.1:${server.address().port}/hook`,
+            PW_JSON: reportPath,
+            SCHEMA_DRIFT_JSON: path.join(path.dirname(reportPath), "sin-drift.json"),
+            RESOURCE_LEDGER: "off",
+          },
+        },
+        (error, stdout, stderr) => (error ? reject(new Error(`${error.message}\n${stderr}`)) : resolve())
+      );
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  return payload;
+}
+
+/**
+ * Reintentos automáticos de ApiClient (retry-policy.js): qué se reintenta,
+ * cómo queda en el reporte y cómo lo cuenta el resumen de Slack
+ */
+test.describe("🔁 Política de reintentos", () => {
+  test("TC-RETRY-001: RetryPolicy - Solo métodos idempotentes y status transitorios", async () => {
+    const policy = new RetryPolicy(FAST_RETRY);
+
+    expect(policy.shouldRetryStatus("GET", 1, 503)).toBe(true);
+    expect(policy.shouldRetryStatus("put", 2, 429)).toBe(true);
+    expect(policy.shouldRetryStatus("DELETE", 3, 503)).toBe(false); // Último intento
+    expect(policy.shouldRetryStatus("GET", 1, 500)).toBe(false);
+    expect(policy.shouldRetryStatus("POST", 1, 503)).toBe(false);
+    expect(policy.shouldRetryStatus("PATCH", 1, 503)).toBe(false);
+    expect(policy.shouldRetryError("POST", 1, new Error("read ECONNRESET"))).toBe(false);
+    expect(policy.shouldRetryError("GET", 1, new Error("read ECONNRESET"))).toBe(true);
+    expect(policy.shouldRetryError("GET", 1, new Error("Unexpected token <"))).toBe(false);
+
+    // POST y PATCH solo si se declaran seguros de repetir
+    expect(policy.with({ retryNonIdempotent: true }).shouldRetryStatus("POST", 1, 503)).toBe(true);
+    expect(policy.with(false).shouldRetryStatus("GET", 1, 503)).toBe(false);
+
+    // Retry-After tiene prioridad sobre el backoff, con el máximo como tope
+    expect(policy.delayFor(1, "2")).toBe(2000);
+    expect(policy.with({ maxDelayMs: 500 }).delayFor(1, "2")).toBe(500);
+    expect(policy.delayFor(3)).toBe(4);
+    expect(parseRetryAfter("no-es-fecha")).toBeNull();
+    logger.info("✅ Decisiones de reintento según método, status y Retry-After");
+  });
+
+  test("TC-RETRY-002: POST con 503 - No se reintenta automáticamente", async ({
+    apiClientFor,
+    faults,
+  }) => {
+    const apiClient = apiClientFor("admin", { retry: FAST_RETRY });
+    await faults.inject({ type: "status", status: 503, method: "POST", path: "/api/category", times: 1 });
+
+    const response = await apiClient.post("/api/category", {
+      name: "No debería crearse",
+      is_active: true,
+    });
+
+    expect(response.status).toBe(503);
+    expect(response.attempts).toBe(1);
+    expect(retryAnnotations()).toEqual([]);
+
+    // Un DELETE con la misma falla sí se reintenta
+    await faults.inject({ type: "status", status: 503, method: "DELETE", path: "/api/category/:id", times: 1 });
+    const deleted = await apiClient.delete("/api/category/000000000000000000000000");
+
+    expect(deleted.attempts).toBe(2);
+    expect(deleted.status).toBe(404);
+    logger.info("✅ POST devuelto tal cual; DELETE reintentado");
+  });
+
+  test("TC-RETRY-003: GET con 503 - Cada reintento queda como anotación api-retry", async ({
+    apiClientFor,
+    faults,
+  }) => {
+    const apiClient = apiClientFor("admin", { retry: FAST_RETRY });
+    await faults.inject({ type: "status", status: 503, path: "/api/coupon", times: 2 });
+
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.attempts).toBe(3);
+    const annotations = retryAnnotations();
+    expect(annotations).toHaveLength(2);
+    expect(annotations[0]).toMatch(
+      /^GET \/api\/coupon intento 1\/3 falló \(HTTP 503\), reintentando en \d+ms$/
+    );
+    expect(annotations[1]).toMatch(/^GET \/api\/coupon intento 2\/3 falló \(HTTP 503\)/);
+    logger.info(`✅ ${annotations.length} reintentos anotados en el reporte`);
+  });
+
+  test("TC-RETRY-004: Slack - Cuenta los reintentos HTTP una vez por test", async ({}, testInfo) => {
+    const retried = [
+      { type: "api-retry", description: "GET /api/coupon intento 1/3 falló (HTTP 503), reintentando en 300ms" },
+      { type: "api-retry", description: "GET /api/coupon intento 2/3 falló (HTTP 503), reintentando en 600ms" },
+    ];
+    const reportPath = testInfo.outputPath("json-report.json");
+    fs.writeFileSync(
+      reportPath,
+      JSON.stringify({
+        stats: { expected: 2, unexpected: 0, skipped: 0, flaky: 0, duration: 1200 },
+        suites: [
+          {
+            title: "cupones.spec.js",
+            file: "cupones.spec.js",
+            specs: [
+              {
+                title: "Con reintentos",
+                file: "cupones.spec.js",
+                // Playwright copia las anotaciones de runtime al test y al resultado
+                tests: [{ annotations: retried, results: [{ status: "passed", annotations: retried }] }],
+              },
+              {
+                title: "Sin reintentos",
+                file: "cupones.spec.js",
+                tests: [{ annotations: [], results: [{ status: "passed", annotations: [] }] }],
+              },
+            ],
+          },
+        ],
+      })
+    );
+
+    const payload = await runSlackReport(reportPath);
+    const texts = payload.blocks.flatMap((block) => [
+      block.text?.text,
+      ...(block.fields || []).map((field) => field.text),
+    ]);
+
+    expect(texts).toContain("*Pass tras reintento:*\n1 (limpios: 1)");
+    expect(texts).toContain(
+      "*Pasaron tras reintento (1)*:\n• *Con reintentos*\n  _cupones.spec.js_ (2 reintento(s) HTTP)"
+    );
+    logger.info("✅ El resumen de Slack cuenta 2 reintentos, no 4");
+  });
+});
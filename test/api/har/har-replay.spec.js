@@ -0,0 +1,82 @@
+const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { loadHarSteps, runHarStep } = require("../../utils/har.js");
+
+const logger = new Logger("har-tests");
+
+const SAMPLE_HAR = path.join(__dirname, "..", "..", "fixtures", "har", "platform-ui-sample.har");
+
+// HAR_FILE permite reproducir un HAR capturado desde la UI de la plataforma
+const HAR_FILE = process.env.HAR_FILE || SAMPLE_HAR;
+const steps = loadHarSteps(HAR_FILE);
+
+test.describe("🧾 HAR de llamadas a la API", () => {
+  test("TC-HAR-001: loadHarSteps - Solo toma llamadas a /api/ y descarta credenciales", async () => {
+    const sampleSteps = loadHarSteps(SAMPLE_HAR);
+
+    expect(sampleSteps.map((step) => step.name)).toEqual([
+      "GET /api/coupon",
+      "GET /api/coupon-group",
+      "GET /api/media",
+      "GET /api/category",
+      "POST /api/category",
+    ]);
+
+    const [coupons] = sampleSteps;
+    expect(coupons.params).toEqual({ limit: "5" });
+    expect(coupons.expected).toEqual({ status: 200, dataStatus: "OK" });
+    expect(coupons.mutating).toBe(false);
+
+    const create = sampleSteps[sampleSteps.length - 1];
+    expect(create.mutating).toBe(true);
+    expect(create.encoding).toBe("json");
+    expect(create.data).not.toHaveProperty("token");
+    expect(create.data.name).toBe("Categoría desde UI");
+
+    logger.info(`✅ ${sampleSteps.length} pasos obtenidos del HAR de ejemplo`);
+  });
+
+  test("TC-HAR-002: api-calls.har - Registra cada petición de ApiClient sin el token", async ({
+    apiClient,
+    apiHar,
+  }) => {
+    await apiClient.get("/api/coupon", { limit: 1 });
+    await apiClient.get("/api/media", { limit: 1 });
+
+    const har = apiHar.toHar();
+    expect(har.log.version).toBe("1.2");
+    expect(har.log.entries).toHaveLength(2);
+
+    const [entry] = har.log.entries;
+    expect(entry.request.method).toBe("GET");
+    expect(entry.request.url).toContain("/api/coupon");
+    expect(entry.response.status).toBe(200);
+    expect(JSON.parse(entry.response.content.text).status).toBe("OK");
+
+    const serialized = JSON.stringify(har);
+    expect(serialized).not.toContain(apiClient.token);
+
+    logger.info(`✅ HAR con ${har.log.entries.length} entradas, token oculto`);
+  });
+
+  steps.forEach((step, index) => {
+    test(`TC-HAR-STEP-${index + 1}: ${step.name}`, async ({ apiClient }) => {
+      test.skip(
+        step.mutating && process.env.HAR_REPLAY_WRITES !== "1",
+        "Paso que modifica datos: reproducir con HAR_REPLAY_WRITES=1"
+      );
+
+      const response = await runHarStep(apiClient, step);
+
+      logger.info(
+        `📡 ${step.name} → Status ${response.status} (capturado: ${step.expected.status})`
+      );
+      expect(response.status).toBe(step.expected.status);
+      if (step.expected.dataStatus) {
+        expect(response.data?.status).toBe(step.expected.dataStatus);
+      }
+    });
+  });
+});
+
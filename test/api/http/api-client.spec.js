@@ -0,0 +1,211 @@
+const http = require("http");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
+const { REDACTED } = require("../../utils/redactor.js");
+
+const logger = new Logger("api-client-tests");
+
+// Puerto sin servidor: la conexión se rechaza enseguida
+const CLOSED_PORT_URL = "http://127.0.0.1:9";
+
+/**
+ * Servidor local con respuestas fijas por ruta, para probar ApiClient sin
+ * depender de la API ni del mock server
+ * @param {Record<string, {status?: number, headers?: object, body?: string, delayMs?: number}>} routes
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+async function startStubServer(routes) {
+  const server = http.createServer((req, res) => {
+    const route = routes[new URL(req.url, "http://stub").pathname];
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    setTimeout(() => {
+      res.writeHead(route.status ?? 200, route.headers || {});
+      res.end(req.method === "HEAD" ? undefined : route.body ?? "");
+    }, route.delayMs ?? 0);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Cliente sin cassette ni reintentos contra el servidor local
+ * @param {import("@playwright/test").APIRequestContext} request
+ * @param {string} baseUrl
+ * @param {object} options - Opciones de ApiClient a sobrescribir
+ * @returns {ApiClient}
+ */
+function stubClient(request, baseUrl, options = {}) {
+  return new ApiClient(request, {
+    baseUrl,
+    token: "stub-client-token",
+    cassette: null,
+    retry: { maxAttempts: 1 },
+    ...options,
+  });
+}
+
+/**
+ * Ejecutar una función capturando lo que escribe en console
+ * @param {() => Promise<any>} fn
+ * @returns {Promise<string>} Salida de console.log, warn y error
+ */
+async function captureConsole(fn) {
+  const output = [];
+  const originals = {};
+  for (const method of ["log", "warn", "error"]) {
+    originals[method] = console[method];
+    console[method] = (...args) =>
+      output.push(args.map((arg) => (arg instanceof Error ? arg.stack : String(arg))).join(" "));
+  }
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, originals);
+  }
+  return output.join("\n");
+}
+
+/**
+ * ApiClient contra respuestas controladas: interpretación del cuerpo según
+ * content-type y longitud, tiempos y secretos en lo que se publica
+ */
+test.describe("🧰 ApiClient", () => {
+  let stub;
+
+  test.beforeAll(async () => {
+    const json = { "content-type": "application/json; charset=utf-8" };
+    stub = await startStubServer({
+      "/json": { headers: json, body: JSON.stringify({ status: "OK", data: [{ _id: "1" }] }) },
+      "/json-as-html": { headers: { "content-type": "text/html" }, body: '{"status":"OK"}' },
+      "/empty": { headers: json, body: "" },
+      "/blank": { headers: json, body: "  \n" },
+      "/no-content": { status: 204 },
+      "/text": { headers: { "content-type": "text/plain" }, body: "pong" },
+      "/html-error": {
+        status: 502,
+        headers: { "content-type": "text/html" },
+        body: "<html><body>Bad Gateway</body></html>",
+      },
+      "/malformed": { headers: json, body: '{"status":"OK","data":[' },
+      "/slow": { headers: json, body: '{"status":"OK"}', delayMs: 200 },
+    });
+  });
+
+  test.afterAll(async () => {
+    await stub?.close();
+  });
+
+  test("TC-CLIENT-001: JSON - Se interpreta por content-type o por su forma", async ({ request }) => {
+    const apiClient = stubClient(request, stub.url);
+
+    const response = await apiClient.get("/json");
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ status: "OK", data: [{ _id: "1" }] });
+    expect(response.rawText).toBe(JSON.stringify(response.data));
+    expect(response.headers["content-type"]).toContain("application/json");
+    expect(response.parseError).toBeUndefined();
+
+    // Un cuerpo JSON con content-type equivocado también se interpreta
+    const mislabeled = await apiClient.get("/json-as-html");
+    expect(mislabeled.data).toEqual({ status: "OK" });
+    logger.info("✅ Respuestas JSON interpretadas");
+  });
+
+  test("TC-CLIENT-002: Cuerpo vacío, 204 y HEAD - data es null", async ({ request }) => {
+    const apiClient = stubClient(request, stub.url);
+
+    for (const endpoint of ["/empty", "/blank", "/no-content"]) {
+      const response = await apiClient.get(endpoint);
+      expect(response.data, endpoint).toBeNull();
+      expect(response.parseError, endpoint).toBeUndefined();
+    }
+    expect((await apiClient.get("/no-content")).status).toBe(204);
+
+    const head = await apiClient.head("/json");
+    expect(head.status).toBe(200);
+    expect(head.data).toBeNull();
+    expect(head.rawText).toBe("");
+    logger.info("✅ Cuerpos vacíos devuelven data null");
+  });
+
+  test("TC-CLIENT-003: Texto y JSON malformado - Se conserva el texto recibido", async ({ request }) => {
+    const apiClient = stubClient(request, stub.url);
+
+    const text = await apiClient.get("/text");
+    expect(text.data).toBe("pong");
+    expect(text.parseError).toBeUndefined();
+
+    const html = await apiClient.get("/html-error");
+    expect(html.status).toBe(502);
+    expect(html.data).toBe("<html><body>Bad Gateway</body></html>");
+
+    const malformed = await apiClient.get("/malformed");
+    expect(malformed.status).toBe(200);
+    expect(malformed.data).toBe('{"status":"OK","data":[');
+    expect(malformed.rawText).toBe(malformed.data);
+    expect(malformed.parseError).toMatch(/JSON/);
+    logger.info("✅ Texto y JSON inválido disponibles para asertar");
+  });
+
+  test("TC-CLIENT-004: timing - Separa petición, parseo y espera de reintentos", async ({ request }) => {
+    const apiClient = stubClient(request, stub.url);
+
+    const response = await apiClient.get("/slow");
+
+    const { timing } = response;
+    expect(Object.values(timing).every(Number.isInteger)).toBe(true);
+    expect(timing.request).toBeGreaterThanOrEqual(200);
+    expect(timing.parse).toBeGreaterThanOrEqual(0);
+    expect(timing.retryWait).toBe(0);
+    // Cada tiempo se redondea por separado: la suma puede pasar al total por 1ms
+    expect(timing.total).toBeGreaterThanOrEqual(timing.request + timing.parse - 1);
+    expect(response.attempts).toBe(1);
+    logger.info(`✅ timing: ${JSON.stringify(timing)}`);
+  });
+
+  test("TC-CLIENT-005: El token no aparece en url, request, logs ni adjuntos", async ({
+    request,
+  }, testInfo) => {
+    const token = `stub-secret-${Date.now().toString(36)}`;
+    const apiClient = stubClient(request, stub.url, { token, auth: "both" });
+
+    const response = await apiClient.get("/json", { limit: 1 });
+
+    expect(response.url).toBe(`${stub.url}/json?token=${REDACTED}&limit=1`);
+    expect(response.request.url).toBe(response.url);
+    expect(response.request.headers["X-API-Token"]).toBe(REDACTED);
+
+    await attachJson("api-client-request.json", response.request);
+    const attachment = testInfo.attachments.find(({ name }) => name === "api-client-request.json");
+    expect(attachment.body.toString("utf8")).not.toContain(token);
+    expect(JSON.parse(attachment.body.toString("utf8")).url).toBe(response.url);
+
+    // Un error de red incluye la URL con el token: se oculta en el log y en el error
+    const unreachable = stubClient(request, CLOSED_PORT_URL, {
+      token,
+      auth: "query",
+      retry: { maxAttempts: 2, baseDelayMs: 1, jitter: 0 },
+    });
+    let error;
+    const output = await captureConsole(async () => {
+      logger.info(`Token configurado: ${token}`);
+      error = await unreachable.get("/json").catch((e) => e);
+    });
+
+    expect(error.message).toContain("ECONNREFUSED");
+    expect(`${error.message}\n${error.stack}`).not.toContain(token);
+    expect(output).toContain("intento 1/2 falló");
+    expect(output).toContain("Error en GET /json");
+    expect(output).toContain(`Token configurado: ${REDACTED}`);
+    expect(output).not.toContain(token);
+    logger.info("✅ Token oculto en url, request, logs y adjuntos");
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { Cassette, CassetteError } = require("../../utils/cassette.js");
+const { Logger } = require("../../utils/logger.js");
+const { provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("cassette-tests");
+
+// En replay no debe haber red: cualquier petición real a este host falla
+const UNREACHABLE_BASE_URL = "http://127.0.0.1:9";
+// Campos de categoryRoundTrip que cambian en cada corrida
+const ROUND_TRIP_VOLATILE = ["body.name", "body.description"];
+
+/**
+ * Crear, leer y eliminar una categoría con valores propios de la corrida
+ * (nombre y descripción con fecha), como hacen los specs CRUD
+ * @param {ApiClient} apiClient
+ * @param {string} suffix - Distinto en cada corrida
+ * @returns {Promise<import("../../utils/api-client.js").ApiResponse[]>}
+ */
+async function categoryRoundTrip(apiClient, suffix) {
+  const created = await apiClient.post("/api/category", {
+    name: provenanceName(`Categoría Cassette QA ${suffix}`),
+    description: `Grabada el ${new Date().toISOString()}`,
+    is_active: true,
+  });
+  const id = created.data.data._id;
+
+  return [
+    created,
+    await apiClient.get(`/api/category/${id}`),
+    await apiClient.delete(`/api/category/${id}`),
+  ];
+}
+
+/**
+ * Cassettes grabados contra el mock server (MOCK=1) en el directorio de salida
+ * del test y reproducidos sin red
+ */
+test.describe("📼 Cassettes de grabación y reproducción", () => {
+  test.beforeEach(() => {
+    test.skip(process.env.MOCK !== "1", "Los cassettes se graban contra el mock server (MOCK=1)");
+  });
+
+  test("TC-CASSETTE-001: Record - Graba cada interacción sin secretos", async ({ request }, testInfo) => {
+    const file = testInfo.outputPath("record.json");
+    const apiClient = new ApiClient(request, { cassette: new Cassette(file, "record") });
+
+    await categoryRoundTrip(apiClient, Date.now().toString(36));
+
+    const content = fs.readFileSync(file, "utf8");
+    const { interactions } = JSON.parse(content);
+    expect(interactions.map(({ request: recorded }) => recorded.method)).toEqual([
+      "POST",
+      "GET",
+      "DELETE",
+    ]);
+    expect(interactions[0].response).toMatchObject({ status: 200, encoding: "json" });
+    expect(content).not.toContain(apiClient.token);
+    logger.info(`✅ ${interactions.length} interacciones grabadas`);
+  });
+
+  test("TC-CASSETTE-002: Replay - Solo los campos volátiles declarados toman otro valor", async ({
+    request,
+  }, testInfo) => {
+    const file = testInfo.outputPath("replay.json");
+    const recorded = await categoryRoundTrip(
+      new ApiClient(request, { cassette: new Cassette(file, "record") }),
+      "grabada1"
+    );
+
+    // Sin declararlos, los valores de otra corrida no coinciden
+    const strict = await categoryRoundTrip(
+      new ApiClient(request, {
+        baseUrl: UNREACHABLE_BASE_URL,
+        cassette: new Cassette(file, "replay", {}, { volatile: [] }),
+      }),
+      "otra2corrida"
+    ).catch((e) => e);
+    expect(strict).toBeInstanceOf(CassetteError);
+    expect(strict.reason).toBe("mismatch");
+    expect(strict.message).toContain(
+      `  body.name: "${provenanceName("Categoría Cassette QA grabada1")}" → ` +
+        `"${provenanceName("Categoría Cassette QA otra2corrida")}"`
+    );
+
+    const replayClient = new ApiClient(request, {
+      baseUrl: UNREACHABLE_BASE_URL,
+      cassette: new Cassette(file, "replay", {}, { volatile: ROUND_TRIP_VOLATILE }),
+    });
+    const replayed = await categoryRoundTrip(replayClient, "otra2corrida");
+
+    expect(replayed.map((response) => response.status)).toEqual(
+      recorded.map((response) => response.status)
+    );
+    // Mismo _id grabado; el nombre es el de esta corrida, también al leerla
+    const [created, fetched] = replayed;
+    expect(created.data.data._id).toBe(recorded[0].data.data._id);
+    expect(created.data.data.name).toBe(provenanceName("Categoría Cassette QA otra2corrida"));
+    expect(fetched.data.data.name).toBe(created.data.data.name);
+    expect(fetched.data.data.is_active).toBe(recorded[1].data.data.is_active);
+    logger.info(`✅ ${replayed.length} respuestas reproducidas sin red`);
+  });
+
+  test("TC-CASSETTE-003: Replay - Cassette o petición sin grabar lanzan CassetteError", async ({
+    request,
+  }, testInfo) => {
+    const missing = new ApiClient(request, {
+      baseUrl: UNREACHABLE_BASE_URL,
+      cassette: new Cassette(testInfo.outputPath("no-existe.json"), "replay"),
+    });
+    const missingError = await missing.get("/api/coupon", { limit: 1 }).catch((e) => e);
+    expect(missingError).toBeInstanceOf(CassetteError);
+    expect(missingError.reason).toBe("missing");
+    expect(missingError.message).toContain("API_CASSETTE=record");
+
+    const file = testInfo.outputPath("coupons.json");
+    await new ApiClient(request, { cassette: new Cassette(file, "record") }).get("/api/coupon", { limit: 1 });
+
+    const replayClient = new ApiClient(request, {
+      baseUrl: UNREACHABLE_BASE_URL,
+      cassette: new Cassette(file, "replay"),
+    });
+    const unrecorded = await replayClient.get("/api/media", { limit: 1 }).catch((e) => e);
+    expect(unrecorded).toBeInstanceOf(CassetteError);
+    expect(unrecorded.reason).toBe("mismatch");
+    expect(unrecorded.message).toMatch(/La petición GET \/api\/media\?.* no está grabada/);
+    expect(unrecorded.message).toContain("Peticiones grabadas sin usar:\n  - GET /api/coupon?");
+
+    // Cada interacción se usa una vez
+    await replayClient.get("/api/coupon", { limit: 1 });
+    const repeated = await replayClient.get("/api/coupon", { limit: 1 }).catch((e) => e);
+    expect(repeated).toBeInstanceOf(CassetteError);
+    expect(repeated.message).toContain("Todas las peticiones grabadas ya fueron usadas");
+  });
+
+  test("TC-CASSETTE-004: Replay - Un cuerpo con otros campos no coincide y se muestra la diferencia", async ({
+    request,
+  }, testInfo) => {
+    const file = testInfo.outputPath("body.json");
+    const recordClient = new ApiClient(request, { cassette: new Cassette(file, "record") });
+    const created = await recordClient.post("/api/category", {
+      name: provenanceName(`Categoría Cuerpo QA ${Date.now().toString(36)}`),
+      description: "Cuerpo grabado",
+      is_active: true,
+    });
+    await recordClient.delete(`/api/category/${created.data.data._id}`);
+
+    const replayClient = new ApiClient(request, {
+      baseUrl: UNREACHABLE_BASE_URL,
+      cassette: new Cassette(file, "replay"),
+    });
+    const error = await replayClient
+      .post("/api/category", { name: "Sin descripción", is_active: true, visible: "true" })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(CassetteError);
+    expect(error.reason).toBe("mismatch");
+    expect(error.message).toContain(
+      'POST /api/category?token=[REDACTED] {"is_active":true,"name":"Sin descripción","visible":"true"}'
+    );
+    expect(error.message).toContain(
+      "Diferencias con POST /api/category?token=[REDACTED] (grabada → actual):\n" +
+        '  body.description: "Cuerpo grabado" → (ausente)\n' +
+        `  body.name: "${created.data.data.name}" → "Sin descripción"\n` +
+        '  body.visible: (ausente) → "true"'
+    );
+    logger.info("✅ Cuerpo con otros campos rechazado");
+  });
+
+  test("TC-CASSETTE-005: Replay - Una interacción de otro cassette del spec se usa una vez", async ({
+    request,
+  }, testInfo) => {
+    // Lo grabado en beforeAll queda en el cassette del primer test del spec
+    const hookFile = testInfo.outputPath("cassettes", "primer-test.json");
+    await new ApiClient(request, { cassette: new Cassette(hookFile, "record") }).get(
+      "/api/coupon",
+      { limit: 1 }
+    );
+    const file = testInfo.outputPath("cassettes", "segundo-test.json");
+    await new ApiClient(request, { cassette: new Cassette(file, "record") }).get("/api/media", {
+      limit: 1,
+    });
+
+    const replayClient = new ApiClient(request, {
+      baseUrl: UNREACHABLE_BASE_URL,
+      cassette: new Cassette(file, "replay"),
+    });
+    expect((await replayClient.get("/api/coupon", { limit: 1 })).status).toBe(200);
+    const repeated = await replayClient.get("/api/coupon", { limit: 1 }).catch((e) => e);
+
+    expect(repeated).toBeInstanceOf(CassetteError);
+    expect(repeated.message).toMatch(/La petición GET \/api\/coupon\?.* no está grabada/);
+    expect((await replayClient.get("/api/media", { limit: 1 })).status).toBe(200);
+    logger.info("✅ La interacción del otro cassette no se reprodujo dos veces");
+  });
+});
@@ -0,0 +1,209 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { Logger } = require("../../utils/logger.js");
+const { provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("http-verbs-tests");
+
+// El mock server implementa HEAD, el preflight CORS y el eco de peticiones
+const IS_MOCK = process.env.MOCK === "1";
+
+test.describe("🌐 Cobertura de verbos HTTP", () => {
+  test("TC-HTTP-001: HEAD /api/media - Comprobar existencia sin cuerpo", async ({
+    request,
+  }) => {
+    const apiClient = new ApiClient(request);
+    logger.info("🧪 Test: HEAD sobre listado de media");
+
+    const response = await apiClient.head("/api/media", {
+      params: { limit: 1 },
+    });
+
+    logger.info(`📡 HEAD /api/media - Status: ${response.status}`);
+
+    // La plataforma puede no implementar HEAD y responder 404/405
+    if (IS_MOCK) {
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("application/json");
+    } else {
+      expect([200, 204, 404, 405]).toContain(response.status);
+    }
+    expect(response.data).toBeNull();
+
+    logger.info("✅ HEAD procesado sin intentar leer cuerpo");
+  });
+
+  test("TC-HTTP-002: OPTIONS /api/media - Preflight CORS", async ({
+    request,
+  }) => {
+    const apiClient = new ApiClient(request);
+    logger.info("🧪 Test: Preflight CORS sobre /api/media");
+
+    const response = await apiClient.options("/api/media", {
+      headers: {
+        Origin: "https://dev.platform.mediastre.am",
+        "Access-Control-Request-Method": "GET",
+        "Access-Control-Request-Headers": "X-API-Token",
+      },
+    });
+
+    logger.info(`📡 OPTIONS /api/media - Status: ${response.status}`);
+
+    if (IS_MOCK) {
+      expect(response.status).toBe(204);
+      expect(response.headers["access-control-allow-origin"]).toBe(
+        "https://dev.platform.mediastre.am"
+      );
+      expect(response.headers["access-control-allow-methods"]).toContain("GET");
+      expect(response.headers["access-control-allow-headers"]).toContain("X-API-Token");
+    } else {
+      expect([200, 204, 404, 405]).toContain(response.status);
+    }
+
+    logger.info("✅ Preflight CORS respondido");
+  });
+
+  test("TC-HTTP-003: GET /api/coupon - Parámetros de query sin mutar los recibidos", async ({
+    request,
+  }) => {
+    const apiClient = new ApiClient(request);
+    logger.info("🧪 Test: Parámetros de query combinados con el token");
+
+    const params = { limit: 2 };
+    const response = await apiClient.get("/api/coupon", params);
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    expect(response.data.data.length).toBeLessThanOrEqual(2);
+
+    // El cliente no debe mutar los parámetros recibidos
+    expect(params).toEqual({ limit: 2 });
+
+    logger.info("✅ Parámetros respetados sin mutación");
+  });
+
+  test("TC-HTTP-004: POST /api/category - Cuerpo JSON en lugar de form", async ({
+    request,
+  }) => {
+    const apiClient = new ApiClient(request);
+    logger.info("🧪 Test: Crear categoría enviando JSON");
+
+    const timestamp = Date.now().toString().slice(-6);
+    const payload = {
+      name: provenanceName(`Categoría JSON QA ${timestamp}`),
+      description: "Categoría creada con cuerpo JSON",
+    };
+
+    const response = await apiClient.post("/api/category", payload, {
+      encoding: "json",
+    });
+
+    logger.info(
+      `📡 POST JSON - Status: ${response.status}, Data Status: ${
+        response.data?.status || "N/A"
+      }`
+    );
+
+    // La plataforma puede no aceptar JSON; lo importante es la respuesta controlada
+    if (IS_MOCK) {
+      expect(response.status).toBe(200);
+      expect(response.data.status).toBe("OK");
+    } else {
+      expect([200, 400, 415]).toContain(response.status);
+    }
+
+    if (response.status === 200 && response.data.data?._id) {
+      expect(response.data.data.name).toBe(payload.name);
+      await apiClient.delete(`/api/category/${response.data.data._id}`);
+      logger.info("🧹 Categoría JSON eliminada");
+    }
+
+    logger.info("✅ Cuerpo JSON enviado correctamente");
+  });
+});
+
+/**
+ * El mock server devuelve en /__mock/echo el verbo, el Content-Type, el query
+ * y el cuerpo que recibió: así se verifica lo que ApiClient envía realmente
+ * con cada verbo y codificación.
+ */
+test.describe("🔁 Peticiones recibidas por el servidor", () => {
+  test.beforeEach(() => {
+    test.skip(!IS_MOCK, "El eco de peticiones requiere el mock server (MOCK=1)");
+  });
+
+  test("TC-HTTP-005: Parámetros de query en cualquier verbo", async ({ request }) => {
+    const apiClient = new ApiClient(request);
+    const params = { limit: 2, sort: "code" };
+
+    for (const verb of ["GET", "POST", "PUT", "PATCH", "DELETE"]) {
+      const response = await apiClient.send(verb, "/__mock/echo", { params });
+
+      expect(response.status).toBe(200);
+      expect(response.data.data).toMatchObject({
+        method: verb,
+        query: { limit: "2", sort: "code" },
+      });
+    }
+
+    expect(params).toEqual({ limit: 2, sort: "code" });
+    logger.info("✅ Query recibido igual con todos los verbos");
+  });
+
+  test("TC-HTTP-006: PUT y PATCH - Cuerpo form y JSON", async ({ request }) => {
+    const apiClient = new ApiClient(request);
+    const payload = { name: "Categoría eco", is_active: true };
+
+    const put = await apiClient.put("/__mock/echo", payload);
+    expect(put.data.data).toMatchObject({
+      method: "PUT",
+      contentType: "application/x-www-form-urlencoded",
+    });
+    expect(Object.fromEntries(new URLSearchParams(put.data.data.body))).toEqual({
+      name: "Categoría eco",
+      is_active: "true",
+    });
+
+    // Los arrays van como un campo repetido por elemento, vacío si no tiene ninguno
+    const lists = await apiClient.put("/__mock/echo", { categories: ["a", "b"], tags: [] });
+    const fields = new URLSearchParams(lists.data.data.body);
+    expect(fields.getAll("categories")).toEqual(["a", "b"]);
+    expect(fields.getAll("tags")).toEqual([""]);
+
+    const patch = await apiClient.patch("/__mock/echo", payload, { encoding: "json" });
+    expect(patch.data.data).toMatchObject({
+      method: "PATCH",
+      contentType: "application/json",
+    });
+    expect(JSON.parse(patch.data.data.body)).toEqual(payload);
+
+    logger.info("✅ PUT envía form y PATCH envía JSON");
+  });
+
+  test("TC-HTTP-007: Cuerpo raw - Se envía sin transformar con su Content-Type", async ({
+    request,
+  }) => {
+    const apiClient = new ApiClient(request);
+    const csv = "code,percent\nQA-1,10\nQA-2,20\n";
+
+    const posted = await apiClient.post("/__mock/echo", csv, {
+      encoding: "raw",
+      contentType: "text/csv",
+    });
+    expect(posted.data.data).toEqual({
+      method: "POST",
+      contentType: "text/csv",
+      query: {},
+      body: csv,
+    });
+
+    const put = await apiClient.put("/__mock/echo", "sin Content-Type", { encoding: "raw" });
+    expect(put.data.data).toMatchObject({
+      method: "PUT",
+      contentType: "text/plain",
+      body: "sin Content-Type",
+    });
+
+    logger.info("✅ Cuerpo raw recibido byte a byte");
+  });
+});
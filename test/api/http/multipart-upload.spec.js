@@ -0,0 +1,108 @@
+const fs = require("fs");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { ApiEnvelopeError } = require("../../utils/resources/api-envelope-error.js");
+const {
+  IMAGE_FIXTURES,
+  getFixtureImagePath,
+  loadFixtureImage,
+  fixtureImageStream,
+  generatePng,
+} = require("../../utils/fixture-files.js");
+const { provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("multipart-upload-tests");
+
+/**
+ * Crear la categoría que recibe la imagen (la elimina el ResourceTracker)
+ * @param {import("../../utils/resources/category-api.js").CategoryApi} categories
+ * @returns {Promise<string>} _id de la categoría
+ */
+async function createCategory(categories) {
+  const category = await categories.create({
+    name: provenanceName(`Categoría Imagen QA ${Date.now().toString(36)}`),
+    description: "Categoría de prueba de subidas multipart",
+    is_active: true,
+  });
+  return category._id;
+}
+
+/**
+ * Subidas multipart/form-data con cada forma de archivo que acepta ApiClient
+ * (stream, ruta, buffer generado, fixture en memoria). El mock server valida
+ * la firma de la imagen y su eco devuelve el cuerpo recibido, así que fuera
+ * del mock los tests se omiten.
+ */
+test.describe("📤 Subidas multipart", () => {
+  test.beforeEach(() => {
+    test.skip(process.env.MOCK !== "1", "Las subidas se verifican contra el mock server (MOCK=1)");
+  });
+
+  test("TC-UPLOAD-001: Imagen desde stream - Se sube sin cargarla en memoria", async ({
+    categories,
+  }) => {
+    const categoryId = await createCategory(categories);
+    const category = await categories.uploadImage(categoryId, fixtureImageStream("png"));
+
+    expect(category.image).toMatchObject({
+      name: IMAGE_FIXTURES.png.file,
+      mimeType: "image/png",
+      size: fs.statSync(getFixtureImagePath("png")).size,
+    });
+    logger.info(`✅ Stream subido: ${category.image.size} bytes`);
+  });
+
+  test("TC-UPLOAD-002: PNG generado en memoria - Llega con nombre, tipo y tamaño", async ({
+    categories,
+  }) => {
+    const categoryId = await createCategory(categories);
+    const image = generatePng({ width: 32, height: 16, color: [0, 128, 255] });
+
+    const category = await categories.uploadImage(categoryId, image);
+
+    expect(category.image).toMatchObject({
+      name: "generated-32x16.png",
+      mimeType: "image/png",
+      size: image.buffer.length,
+    });
+    logger.info(`✅ PNG generado subido: ${image.buffer.length} bytes`);
+  });
+
+  test("TC-UPLOAD-003: Imagen corrupta - La API la rechaza con INVALID_IMAGE", async ({
+    categories,
+  }) => {
+    const categoryId = await createCategory(categories);
+    const error = await categories
+      .uploadImage(categoryId, loadFixtureImage("corrupt"))
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiEnvelopeError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe("INVALID_IMAGE");
+
+    const category = await categories.getById(categoryId);
+    expect(category.image).toBeNull();
+    logger.info("✅ Imagen corrupta rechazada sin modificar la categoría");
+  });
+
+  test("TC-UPLOAD-004: Archivo por ruta y campos de formulario en la misma petición", async ({
+    apiClient,
+  }) => {
+    const response = await apiClient.upload(
+      "/__mock/echo",
+      { image: getFixtureImagePath("jpg") },
+      { title: "Portada", tags: ["promo", "home"], skipped: null }
+    );
+
+    const { method, contentType, body } = response.data.data;
+    expect(method).toBe("POST");
+    expect(contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(body).toContain('name="title"\r\n\r\nPortada\r\n');
+    expect(body).toContain('name="tags"\r\n\r\n["promo","home"]\r\n');
+    expect(body).not.toContain('name="skipped"');
+    expect(body).toMatch(
+      new RegExp(`name="image"; filename="${IMAGE_FIXTURES.jpg.file}"\\r\\ncontent-type: image/jpeg`, "i")
+    );
+    logger.info("✅ Archivo y campos recibidos en el mismo multipart");
+  });
+});
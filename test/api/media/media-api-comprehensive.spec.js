@@ -1,4 +1,4 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { ApiClient } = require("../../utils/api-client.js");
 const { Logger } = require("../../utils/logger.js");
 const { TestDataManager } = require("../../utils/test-data-manager.js");
@@ -36,17 +36,6 @@ function logResponseDetails(
 }
 
 test.describe("🎬 Tests Comprehensivos - API Media", () => {
-  let extractedData = {
-    ids: [],
-    titles: [],
-    types: [],
-    tags: [],
-    durations: [],
-    views: [],
-    categories: [],
-    dates: [],
-  };
-
   test.beforeAll(async ({ request }) => {
     logger.info("🎬 Iniciando suite de tests comprehensivos para API Media");
     const apiClient = new ApiClient(request);
@@ -59,53 +48,16 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
       });
 
       if (response.status === 200 && response.data.status === "OK") {
-        const mediaData = response.data.data;
-
-        if (Array.isArray(mediaData) && mediaData.length > 0) {
-          // Extraer datos para usar en tests posteriores
-          mediaData.forEach((media) => {
-            if (media.id) extractedData.ids.push(media.id);
-            if (media._id) extractedData.ids.push(media._id);
-            if (media.title) extractedData.titles.push(media.title);
-            if (media.type) extractedData.types.push(media.type);
-            if (media.duration) extractedData.durations.push(media.duration);
-            if (media.views !== undefined)
-              extractedData.views.push(media.views);
-            if (media.date_created)
-              extractedData.dates.push(media.date_created);
-            if (media.created_at) extractedData.dates.push(media.created_at);
-
-            // Extraer categorías
-            if (media.categories && Array.isArray(media.categories)) {
-              media.categories.forEach((cat) => {
-                const categoryName = cat.name || cat.id || cat;
-                if (categoryName) extractedData.categories.push(categoryName);
-              });
-            }
-
-            // Extraer tags
-            if (media.tags && Array.isArray(media.tags)) {
-              media.tags.forEach((tag) => {
-                const tagName = tag.name || tag.id || tag;
-                if (tagName) extractedData.tags.push(tagName);
-              });
-            }
-          });
-        }
+        // Pool de medias: ids, títulos, tipos, tags, duraciones, vistas, categorías
+        const loaded = testDataManager.load("media", response.data);
+        const { fields } = testDataManager.poolStats().media;
 
-        // Remover duplicados
-        Object.keys(extractedData).forEach((key) => {
-          extractedData[key] = [...new Set(extractedData[key])];
-        });
-
-        logger.info(
-          `✅ ${mediaData.length} elementos de media obtenidos para tests`
-        );
+        logger.info(`✅ ${loaded} elementos de media obtenidos para tests`);
         logger.info(
-          `📊 IDs: ${extractedData.ids.length}, Títulos: ${extractedData.titles.length}, Tipos: ${extractedData.types.length}`
+          `📊 IDs: ${fields.ids}, Títulos: ${fields.titles}, Tipos: ${fields.types}`
         );
         logger.info(
-          `🏷️ Categorías: ${extractedData.categories.length}, Tags: ${extractedData.tags.length}`
+          `🏷️ Categorías: ${fields.categories}, Tags: ${fields.tags}`
         );
       } else {
         logger.info("❌ Error obteniendo datos iniciales para tests de media");
@@ -138,23 +90,14 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
     expect(response.data.data).toBeDefined();
     expect(Array.isArray(response.data.data)).toBe(true);
 
+    // Campos obligatorios y tipos: ApiClient validó cada media contra el schema
+    expect(response.schema).toBe("media/media-list");
+
     const mediaData = response.data.data;
 
     if (mediaData.length > 0) {
       const media = mediaData[0];
 
-      // Verificar campos obligatorios
-      expect(media).toHaveProperty("id");
-      expect(media).toHaveProperty("_id");
-      expect(media).toHaveProperty("title");
-      expect(media).toHaveProperty("type");
-      expect(media).toHaveProperty("status");
-      expect(media).toHaveProperty("duration");
-      expect(media).toHaveProperty("views");
-      expect(media).toHaveProperty("categories");
-      expect(media).toHaveProperty("date_created");
-      expect(media).toHaveProperty("slug");
-
       logger.info(`✅ Estructura básica validada correctamente`);
       logger.info(`📋 Media ejemplo: "${media.title}" (ID: ${media.id})`);
       logger.info(
@@ -170,13 +113,7 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.ids.length === 0) {
-      logger.info("⚠️ No hay IDs disponibles, saltando test");
-      test.skip();
-      return;
-    }
-
-    const testId = extractedData.ids[0];
+    const testId = testDataManager.pickValue("media", "ids");
 
     const response = await apiClient.get("/api/media", { id: testId });
 
@@ -222,27 +159,12 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
     expect(response.status).toBe(200);
     expect(response.data.status).toBe("OK");
 
+    // access_restrictions, protocols, thumbnails, meta...: ver src/schemas/media/media.schema.json
+    expect(response.schema).toBe("media/media-list");
+
     if (response.data.data.length > 0) {
       const media = response.data.data[0];
 
-      // Verificar campos principales
-      expect(media).toHaveProperty("access_restrictions");
-      expect(media).toHaveProperty("access_rules");
-      expect(media).toHaveProperty("preview");
-      expect(media).toHaveProperty("meta");
-      expect(media).toHaveProperty("thumbnails");
-      expect(media).toHaveProperty("protocols");
-      expect(media).toHaveProperty("show_info");
-      expect(media).toHaveProperty("is_published");
-      expect(media).toHaveProperty("is_initialized");
-
-      // Verificar tipos
-      expect(typeof media.is_published).toBe("boolean");
-      expect(typeof media.is_initialized).toBe("boolean");
-      expect(Array.isArray(media.meta)).toBe(true);
-      expect(Array.isArray(media.thumbnails)).toBe(true);
-      expect(Array.isArray(media.categories)).toBe(true);
-
       logger.info(`✅ Estructura completa validada`);
       logger.info(`📋 Media: "${media.title}" (Tipo: ${media.type})`);
       logger.info(
@@ -263,14 +185,10 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.titles.length === 0) {
-      logger.info("⚠️ No hay títulos disponibles, saltando test");
-      test.skip();
-      return;
-    }
-
     // Usar una palabra del primer título
-    const testTitle = extractedData.titles[0];
+    const testTitle = testDataManager.pickValue("media", "titles", {
+      reason: "con título",
+    });
     const searchWord = testTitle.split(" ")[0]; // Primera palabra del título
 
     const response = await apiClient.get("/api/media", {
@@ -316,13 +234,9 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.types.length === 0) {
-      logger.info("⚠️ No hay tipos disponibles, saltando test");
-      test.skip();
-      return;
-    }
-
-    const testType = extractedData.types[0];
+    const testType = testDataManager.pickValue("media", "types", {
+      reason: "con tipo",
+    });
 
     const response = await apiClient.get("/api/media", {
       type: testType,
@@ -356,13 +270,9 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.durations.length === 0) {
-      logger.info("⚠️ No hay datos de duración, saltando test");
-      test.skip();
-      return;
-    }
-
-    const durations = extractedData.durations.sort((a, b) => a - b);
+    const durations = testDataManager
+      .requireValues("media", "durations", "con duración")
+      .sort((a, b) => a - b);
     const minDuration = durations[Math.floor(durations.length * 0.25)]; // Percentil 25
     const maxDuration = durations[Math.floor(durations.length * 0.75)]; // Percentil 75
 
@@ -402,13 +312,9 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.views.length === 0) {
-      logger.info("⚠️ No hay datos de vistas, saltando test");
-      test.skip();
-      return;
-    }
-
-    const views = extractedData.views.sort((a, b) => a - b);
+    const views = testDataManager
+      .requireValues("media", "views", "con vistas")
+      .sort((a, b) => a - b);
     const minViews = views[Math.floor(views.length * 0.1)]; // Percentil 10
 
     const response = await apiClient.get("/api/media", {
@@ -471,22 +377,36 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    const response = await apiClient.get("/api/media", {
-      limit: 5,
-      offset: 5,
-    });
+    const paginator = apiClient.paginate(
+      "/api/media",
+      { limit: 5 },
+      { style: "offset", maxPages: 2 }
+    );
+    const pages = [];
 
-    logResponseDetails(response, 200, "OK", "GET /api/media (segunda página)");
+    for await (const page of paginator) {
+      pages.push(page);
+    }
 
-    expect(response.status).toBe(200);
-    expect(response.data.status).toBe("OK");
+    if (pages.length < 2) {
+      logger.info("⚠️ No hay suficientes medias para una segunda página, saltando test");
+      test.skip();
+      return;
+    }
 
-    const data = response.data.data;
+    const [firstPage, secondPage] = pages;
 
-    if (Array.isArray(data)) {
-      expect(data.length).toBeLessThanOrEqual(5);
-      logger.info(`✅ Segunda página: ${data.length} elementos (límite: 5)`);
-    }
+    logResponseDetails(secondPage.response, 200, "OK", "GET /api/media (segunda página)");
+
+    expect(secondPage.params.offset).toBe(5);
+    expect(secondPage.items.length).toBeLessThanOrEqual(5);
+
+    // Ningún elemento de la primera página se repite en la segunda
+    const firstPageIds = firstPage.items.map((item) => item._id);
+    const repeated = secondPage.items.filter((item) => firstPageIds.includes(item._id));
+    expect(repeated).toHaveLength(0);
+
+    logger.info(`✅ Segunda página: ${secondPage.items.length} elementos (límite: 5)`);
   });
 
   // ==================== TESTS DE CATEGORÍAS Y TAGS ====================
@@ -498,13 +418,9 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.categories.length === 0) {
-      logger.info("⚠️ No hay categorías disponibles, saltando test");
-      test.skip();
-      return;
-    }
-
-    const testCategory = extractedData.categories[0];
+    const testCategory = testDataManager.pickValue("media", "categories", {
+      reason: "con categorías",
+    });
 
     const response = await apiClient.get("/api/media", {
       category: testCategory,
@@ -580,13 +496,9 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
 
     const apiClient = new ApiClient(request);
 
-    if (extractedData.tags.length === 0) {
-      logger.info("⚠️ No hay tags disponibles, saltando test");
-      test.skip();
-      return;
-    }
-
-    const testTag = extractedData.tags[0];
+    const testTag = testDataManager.pickValue("media", "tags", {
+      reason: "con tags",
+    });
 
     const response = await apiClient.get("/api/media", {
       tag: testTag,
@@ -744,9 +656,10 @@ test.describe("🎬 Tests Comprehensivos - API Media", () => {
     const params = { limit: 10 };
 
     // Agregar filtros disponibles
-    if (extractedData.types.length > 0) params.type = extractedData.types[0];
-    if (extractedData.categories.length > 0)
-      params.category = extractedData.categories[0];
+    const [type] = testDataManager.values("media", "types");
+    const [category] = testDataManager.values("media", "categories");
+    if (type) params.type = type;
+    if (category) params.category = category;
 
     const response = await apiClient.get("/api/media", params);
 
@@ -0,0 +1,95 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { ApiClient } = require("../../utils/api-client.js");
+const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
+const { getSchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { formatSchemaErrors } = require("../../utils/schemas/schema-validation-error.js");
+
+const logger = new Logger("media-contract-tests");
+const schemaRegistry = getSchemaRegistry();
+
+test.describe("Contratos de API - Media", () => {
+  test("TC-MEDIA-CONTRACT-001 - debe responder con status 200 y cumplir el contrato del schema para el listado", async ({
+    request,
+  }) => {
+    logger.info("Iniciando TC-MEDIA-CONTRACT-001: Validación de contrato para /api/media");
+
+    const apiClient = new ApiClient(request);
+    const response = await apiClient.get("/api/media", { limit: 20 });
+
+    expect(response.status).toBe(200);
+
+    const responseBody = response.data;
+    await attachJson("media-list-response-body.json", responseBody);
+
+    // ApiClient ya validó la respuesta contra el schema mapeado para la ruta
+    expect(response.schema).toBe("media/media-list");
+
+    const validation = schemaRegistry.validate("media/media-list", responseBody);
+    if (!validation.valid) {
+      logger.error(`Errores de validación del schema:\n${formatSchemaErrors(validation.errors, responseBody)}`);
+    }
+    expect(validation.valid).toBe(true);
+    expect(responseBody.status).toBe("OK");
+    expect(Array.isArray(responseBody.data)).toBe(true);
+
+    logger.info(`TC-MEDIA-CONTRACT-001 completado: ${responseBody.data.length} medias validados`);
+  });
+
+  test("TC-MEDIA-CONTRACT-002 - debe incluir total en el contrato cuando se pide count", async ({
+    request,
+  }) => {
+    logger.info("Iniciando TC-MEDIA-CONTRACT-002: Validación de contrato con count=true");
+
+    const apiClient = new ApiClient(request);
+    const response = await apiClient.get("/api/media", { limit: 5, count: true });
+
+    expect(response.status).toBe(200);
+
+    const responseBody = response.data;
+    await attachJson("media-count-response-body.json", responseBody);
+
+    expect(response.schema).toBe("media/media-list");
+    expect(Number.isInteger(responseBody.total)).toBe(true);
+    expect(responseBody.total).toBeGreaterThanOrEqual(responseBody.data.length);
+
+    logger.info(`TC-MEDIA-CONTRACT-002 completado: total ${responseBody.total}`);
+  });
+
+  test("TC-MEDIA-CONTRACT-003 - debe cumplir el contrato al filtrar un media por id", async ({
+    request,
+  }) => {
+    logger.info("Iniciando TC-MEDIA-CONTRACT-003: Validación de contrato filtrando por id");
+
+    const apiClient = new ApiClient(request);
+
+    // Paso 1: Tomar un media existente del listado
+    const listResponse = await apiClient.get("/api/media", { limit: 1 });
+    expect(listResponse.status).toBe(200);
+
+    const [sample] = listResponse.data.data;
+    if (!sample) {
+      test.skip(true, "No se encontraron medias para probar");
+      return;
+    }
+
+    // Paso 2: La API devuelve el detalle filtrando el listado con ?id=
+    const response = await apiClient.get("/api/media", { id: sample._id });
+
+    expect(response.status).toBe(200);
+
+    const responseBody = response.data;
+    await attachJson("media-by-id-response-body.json", responseBody);
+
+    expect(response.schema).toBe("media/media-list");
+
+    const validation = schemaRegistry.validate("media/media-list", responseBody);
+    if (!validation.valid) {
+      logger.error(`Errores de validación del schema:\n${formatSchemaErrors(validation.errors, responseBody)}`);
+    }
+    expect(validation.valid).toBe(true);
+    expect(responseBody.data.map((media) => media._id)).toContain(sample._id);
+
+    logger.info(`TC-MEDIA-CONTRACT-003 completado: "${sample.title}" (${sample._id})`);
+  });
+});
@@ -1,4 +1,4 @@
-const { test, expect } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { deleteMedia } = require("../../utils/test-data-manager");
 const { ApiClient } = require("../../utils/api-client");
 
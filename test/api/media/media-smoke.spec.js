@@ -1,4 +1,5 @@
-const { test, expect, request } = require("@playwright/test");
+const { request } = require("@playwright/test");
+const { test, expect } = require("../../utils/api-fixtures.js");
 const { deleteMedia } = require("../../utils/test-data-manager");
 const { ApiClient } = require("../../utils/api-client");
 
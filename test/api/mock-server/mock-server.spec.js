@@ -0,0 +1,143 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { MockFaults, MOCK_SCOPE_HEADER } = require("../../utils/mock-faults.js");
+const { startMockServer } = require("../../mock-server/mock-server.js");
+
+const logger = new Logger("mock-server-tests");
+
+const ADMIN_HEADERS = { "X-API-Token": "mock-admin-token" };
+
+/**
+ * API de control del mock server (/__mock). Cada test levanta su propio
+ * servidor: reset y las fallas sin scope afectarían al de la suite.
+ */
+test.describe("🧪 Mock server - API de control", () => {
+  let server;
+
+  test.beforeEach(async () => {
+    server = await startMockServer({ port: 0 });
+  });
+
+  test.afterEach(async () => {
+    await server?.stop();
+  });
+
+  test("TC-MOCK-001: /__mock/faults - Alta, listado por scope y baja", async ({ request }) => {
+    const faults = new MockFaults(request, server.url, "test-a");
+    const other = new MockFaults(request, server.url, "test-b");
+
+    const fault = await faults.inject({ type: "status", status: 503, path: "/api/coupon", times: 1 });
+    await other.inject({ type: "latency", delayMs: 10, path: "/api/media" });
+    expect(fault).toMatchObject({ type: "status", method: "*", scope: "test-a", hits: 0 });
+    expect(fault.id).toEqual(expect.any(String));
+    expect(await faults.list()).toEqual([fault]);
+
+    // Solo aplica a las peticiones de su scope, y times: 1 la consume
+    const unscoped = await request.get(`${server.url}/api/coupon`, { headers: ADMIN_HEADERS });
+    expect(unscoped.status()).toBe(200);
+    const scopedHeaders = { ...ADMIN_HEADERS, [MOCK_SCOPE_HEADER]: "test-a" };
+    const faulted = await request.get(`${server.url}/api/coupon`, { headers: scopedHeaders });
+    expect(faulted.status()).toBe(503);
+    expect(await faults.list()).toEqual([]);
+
+    const [latency] = await other.list();
+    await other.remove(latency.id);
+    const missing = await request.delete(`${server.url}/__mock/faults/${latency.id}`);
+    expect(missing.status()).toBe(404);
+    expect(await missing.json()).toEqual({ status: "ERROR", data: "FAULT_NOT_FOUND" });
+
+    // clear solo quita las del scope indicado
+    await faults.inject({ type: "status", path: "/api/coupon" });
+    await other.inject({ type: "status", path: "/api/coupon" });
+    await faults.clear();
+    expect(await faults.list()).toEqual([]);
+    expect(await other.list()).toHaveLength(1);
+    logger.info("✅ Fallas registradas, aplicadas y quitadas por scope");
+  });
+
+  test("TC-MOCK-002: /__mock/faults - Fallas inválidas se rechazan con 400", async ({ request }) => {
+    const unknownType = await request.post(`${server.url}/__mock/faults`, {
+      data: { type: "explode", path: "/api/coupon" },
+    });
+    expect(unknownType.status()).toBe(400);
+    expect((await unknownType.json()).data).toMatch(/^Tipo de falla no soportado: explode/);
+
+    const withoutPath = await request.post(`${server.url}/__mock/faults`, {
+      data: { type: "status" },
+    });
+    expect(withoutPath.status()).toBe(400);
+    expect((await withoutPath.json()).data).toMatch(/necesita un path/);
+
+    const unknownControl = await request.get(`${server.url}/__mock/nada`);
+    expect(unknownControl.status()).toBe(404);
+    logger.info("✅ API de control rechaza fallas inválidas");
+  });
+
+  test("TC-MOCK-003: /__mock/echo - Devuelve lo recibido sin el token y sin autenticar", async ({
+    request,
+  }) => {
+    const response = await request.post(`${server.url}/__mock/echo`, {
+      params: { token: "mock-admin-token", tags: "a,b" },
+      headers: { "Content-Type": "application/json" },
+      data: '{"name":"Eco","nested":{"ok":true}}',
+    });
+
+    expect(response.status()).toBe(200);
+    expect(await response.json()).toEqual({
+      status: "OK",
+      data: {
+        method: "POST",
+        contentType: "application/json",
+        query: { tags: "a,b" },
+        body: '{"name":"Eco","nested":{"ok":true}}',
+      },
+    });
+
+    const get = await request.get(`${server.url}/__mock/echo`);
+    expect((await get.json()).data).toEqual({
+      method: "GET",
+      contentType: null,
+      query: {},
+      body: "",
+    });
+    logger.info("✅ Eco devuelve método, content-type, query y cuerpo crudo");
+  });
+
+  test("TC-MOCK-004: /__mock/reset - Restaura los datos iniciales y quita las fallas", async ({
+    request,
+  }) => {
+    const listCategories = async () =>
+      (await (await request.get(`${server.url}/api/category`, { headers: ADMIN_HEADERS })).json())
+        .data;
+    const listMedia = async () =>
+      (
+        await (
+          await request.get(`${server.url}/api/media`, {
+            headers: ADMIN_HEADERS,
+            params: { count: true },
+          })
+        ).json()
+      ).total;
+
+    const initialCategories = await listCategories();
+    const initialMedia = await listMedia();
+    const created = await request.post(`${server.url}/api/category`, {
+      headers: ADMIN_HEADERS,
+      form: { name: "Categoría antes del reset", is_active: "true" },
+    });
+    expect((await created.json()).status).toBe("OK");
+    expect(await listCategories()).toHaveLength(initialCategories.length + 1);
+    await new MockFaults(request, server.url, "reset").inject({ type: "status", path: "/api/media" });
+
+    const reset = await request.post(`${server.url}/__mock/reset`);
+    expect(await reset.json()).toEqual({ status: "OK", data: { reset: true } });
+
+    const categories = await listCategories();
+    expect(categories.map((category) => category.name)).toEqual(
+      initialCategories.map((category) => category.name)
+    );
+    expect(await listMedia()).toBe(initialMedia);
+    expect((await (await request.get(`${server.url}/__mock/faults`)).json()).data).toEqual([]);
+    logger.info("✅ Reset deja el mock como recién iniciado");
+  });
+});
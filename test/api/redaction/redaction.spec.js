@@ -0,0 +1,208 @@
+const fs = require("fs");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const {
+  REDACTED,
+  registerSecret,
+  redact,
+  redactText,
+} = require("../../utils/redactor.js");
+const {
+  redactTraceArchive,
+  readZipEntries,
+  writeZipEntries,
+} = require("../../utils/trace-redactor.js");
+const RedactionReporter = require("../../reporters/redaction-reporter.js");
+
+const logger = new Logger("redaction-tests");
+
+/**
+ * Secreto distinto en cada test, para no depender de los ya registrados
+ * @param {string} label
+ * @returns {string}
+ */
+function uniqueSecret(label) {
+  return `${label}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Redacción de secretos en objetos, textos, trazas y reportes (redactor.js,
+ * trace-redactor.js y redaction-reporter.js). No hacen peticiones.
+ */
+test.describe("🔒 Redacción de secretos", () => {
+  test("TC-REDACT-001: Claves token, password y authorization se ocultan en objetos", async () => {
+    const redacted = redact({
+      token: "abc123token",
+      Authorization: "Bearer abc123token",
+      user: { name: "qa", PASSWORD: "hunter22" },
+      headers: [{ "x-api-token": "otro-token" }],
+      secret: null,
+      limit: 10,
+    });
+
+    expect(redacted).toEqual({
+      token: REDACTED,
+      Authorization: REDACTED,
+      user: { name: "qa", PASSWORD: REDACTED },
+      headers: [{ "x-api-token": REDACTED }],
+      secret: null,
+      limit: 10,
+    });
+    logger.info("✅ Claves sensibles ocultas sin importar mayúsculas ni anidamiento");
+  });
+
+  test("TC-REDACT-002: Secretos en query strings y URLs", async () => {
+    const url =
+      "https://api.example.com/api/coupon?limit=5&token=abc123token&Password=p%40ss-1234#frag";
+    expect(redactText(url)).toBe(
+      `https://api.example.com/api/coupon?limit=5&token=${REDACTED}&Password=${REDACTED}#frag`
+    );
+    expect(redactText("amount=25&api_token=abc123token&detail=ok")).toBe(
+      `amount=25&api_token=${REDACTED}&detail=ok`
+    );
+
+    // Un valor registrado se oculta también fuera de claves sensibles (ruta del webhook)
+    const secret = uniqueSecret("hook");
+    registerSecret(secret);
+    expect(redactText(`POST https://hooks.example.com/services/${secret}/end`)).toBe(
+      `POST https://hooks.example.com/services/${REDACTED}/end`
+    );
+    // Los valores cortos no se registran para no mutilar texto legítimo
+    registerSecret("abc");
+    expect(redactText("abcdef")).toBe("abcdef");
+    logger.info("✅ Query strings, cuerpos form y URLs saneados");
+  });
+
+  test("TC-REDACT-003: Cuerpos JSON y JSON serializado dos veces", async () => {
+    const body = {
+      name: "Cupón QA",
+      token: "abc123token",
+      nested: { authorization: "Bearer abc123token", amount: 25 },
+    };
+
+    const json = JSON.parse(redactText(JSON.stringify(body, null, 2)));
+    expect(json).toEqual({
+      name: "Cupón QA",
+      token: REDACTED,
+      nested: { authorization: REDACTED, amount: 25 },
+    });
+
+    // Metadata o logs que guardan el JSON como string dentro de otro JSON
+    const doubleEncoded = JSON.stringify({ payload: JSON.stringify(body) });
+    const redacted = redactText(doubleEncoded);
+    expect(redacted).not.toContain("abc123token");
+    expect(JSON.parse(JSON.parse(redacted).payload)).toEqual({
+      name: "Cupón QA",
+      token: REDACTED,
+      nested: { authorization: REDACTED, amount: 25 },
+    });
+    logger.info("✅ JSON simple y doble saneados sin romper su estructura");
+  });
+
+  test("TC-REDACT-004: trace.zip - Se reescriben las entradas de texto con secretos", async ({}, testInfo) => {
+    const secret = uniqueSecret("trace");
+    registerSecret(secret);
+    const binary = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0]), Buffer.from(secret)]);
+    const tracePath = testInfo.outputPath("trace.zip");
+    fs.writeFileSync(
+      tracePath,
+      writeZipEntries([
+        {
+          name: "trace.network",
+          data: Buffer.from(
+            JSON.stringify({
+              url: `https://api.example.com/api/media?token=${secret}`,
+              headers: [{ name: "authorization", value: `Bearer ${secret}` }],
+            })
+          ),
+        },
+        { name: "trace.trace", data: Buffer.from(`{"type":"log","text":"sin secretos"}\n`) },
+        { name: "resources/page@1.png", data: binary },
+      ])
+    );
+
+    expect(redactTraceArchive(tracePath)).toBe(1);
+
+    const entries = Object.fromEntries(
+      readZipEntries(fs.readFileSync(tracePath)).map((entry) => [entry.name, entry.data])
+    );
+    expect(Object.keys(entries)).toEqual([
+      "trace.network",
+      "trace.trace",
+      "resources/page@1.png",
+    ]);
+    expect(entries["trace.network"].toString("utf8")).not.toContain(secret);
+    expect(JSON.parse(entries["trace.network"].toString("utf8")).url).toBe(
+      `https://api.example.com/api/media?token=${REDACTED}`
+    );
+    expect(entries["trace.trace"].toString("utf8")).toBe(`{"type":"log","text":"sin secretos"}\n`);
+    // Las entradas binarias se copian sin tocar
+    expect(entries["resources/page@1.png"].equals(binary)).toBe(true);
+
+    // Sin secretos el archivo no se reescribe
+    const before = fs.readFileSync(tracePath);
+    expect(redactTraceArchive(tracePath)).toBe(0);
+    expect(fs.readFileSync(tracePath).equals(before)).toBe(true);
+    logger.info("✅ trace.zip saneado entrada por entrada");
+  });
+
+  test("TC-REDACT-005: El reporter sanea salida, errores, adjuntos y trazas", async ({}, testInfo) => {
+    const secret = uniqueSecret("reporter");
+    const previous = process.env.REDACT_VALUES;
+    process.env.REDACT_VALUES = secret;
+    const reporter = new RedactionReporter();
+    try {
+      // Los valores de REDACT_VALUES se registran al empezar la corrida
+      reporter.onBegin();
+    } finally {
+      if (previous === undefined) delete process.env.REDACT_VALUES;
+      else process.env.REDACT_VALUES = previous;
+    }
+
+    const tracePath = testInfo.outputPath("reporter-trace.zip");
+    fs.writeFileSync(
+      tracePath,
+      writeZipEntries([{ name: "trace.trace", data: Buffer.from(`GET /api?token=${secret}`) }])
+    );
+    const png = Buffer.from(`\u0000png ${secret}`);
+    const result = {
+      stdout: [`Token: ${secret}\n`, Buffer.from(`?password=${secret}`)],
+      stderr: [`Error con ${secret}`],
+      errors: [
+        {
+          message: `Falló ${secret}`,
+          stack: `Error: Falló ${secret}\n    at spec.js:1`,
+          snippet: `> token=${secret}`,
+        },
+      ],
+      attachments: [
+        {
+          name: "request.json",
+          contentType: "application/json",
+          body: Buffer.from(JSON.stringify({ url: `/api?token=${secret}`, body: { name: "ok" } })),
+        },
+        { name: "screenshot", contentType: "image/png", body: png },
+        { name: "trace", contentType: "application/zip", path: tracePath },
+      ],
+    };
+
+    reporter.onTestEnd({}, result);
+
+    expect(result.stdout).toEqual([`Token: ${REDACTED}\n`, Buffer.from(`?password=${REDACTED}`)]);
+    expect(result.stderr).toEqual([`Error con ${REDACTED}`]);
+    expect(result.errors[0]).toEqual({
+      message: `Falló ${REDACTED}`,
+      stack: `Error: Falló ${REDACTED}\n    at spec.js:1`,
+      snippet: `> token=${REDACTED}`,
+    });
+    expect(JSON.parse(result.attachments[0].body.toString("utf8"))).toEqual({
+      url: `/api?token=${REDACTED}`,
+      body: { name: "ok" },
+    });
+    // Solo se sanean adjuntos de texto
+    expect(result.attachments[1].body).toBe(png);
+    const [traceEntry] = readZipEntries(fs.readFileSync(tracePath));
+    expect(traceEntry.data.toString("utf8")).toBe(`GET /api?token=${REDACTED}`);
+    logger.info("✅ Reporte sin secretos en salida, errores, adjuntos ni trazas");
+  });
+});
@@ -0,0 +1,163 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { CouponBuilder } = require("../../utils/builders/coupon-builder.js");
+const {
+  ResourceTracker,
+  CLEANUP_ATTACHMENT,
+  CLEANUP_ANNOTATION,
+} = require("../../utils/resources/resource-tracker.js");
+const { ResourceLedger } = require("../../utils/resources/resource-ledger.js");
+const { currentRunId, provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("resource-cleanup-tests");
+
+const SPEC = "test/api/resources/resource-cleanup.spec.js";
+
+/**
+ * Datos de una categoría de prueba con nombre único
+ * @param {string} prefix
+ * @returns {import("../../utils/resources/category-api.js").CategoryPayload}
+ */
+function categoryPayload(prefix) {
+  return {
+    name: provenanceName(`${prefix} QA ${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`),
+    description: "Categoría de prueba de limpieza automática",
+    is_active: true,
+  };
+}
+
+test.describe("🧹 Limpieza automática de recursos", () => {
+  test("TC-RES-005: resources registra lo creado con ApiClient y lo elimina en orden de dependencias", async ({
+    apiClient,
+    resources,
+    coupons,
+    couponGroups,
+    categories,
+  }) => {
+    const groups = await couponGroups.list();
+    test.skip(groups.length === 0, "La cuenta no tiene grupos de cupones");
+
+    const first = await categories.create(categoryPayload("Primera"));
+    const [removedByTest] = await coupons.create(CouponBuilder.singleUse(groups[0]._id).build());
+    const second = await categories.create(categoryPayload("Segunda"));
+    const [coupon] = await coupons.create(CouponBuilder.singleUse(groups[0]._id).build());
+
+    // Lo que el test elimina y lo que la API rechaza no queda registrado
+    await coupons.remove(removedByTest._id);
+    await expect(
+      coupons.create(CouponBuilder.singleUse(groups[0]._id).with({ valid_from: "fecha-invalida" }).build())
+    ).rejects.toMatchObject({ name: "ApiEnvelopeError" });
+
+    expect(resources.entries.map((entry) => entry.id)).toEqual([first._id, second._id, coupon._id]);
+
+    // Un recurso registrado a mano que ya no existe cuenta como eliminado
+    resources.track(apiClient, "coupon", "000000000000000000000000", "inexistente");
+
+    const report = await resources.cleanup();
+
+    expect(report.failed).toEqual([]);
+    expect(report.deleted.map((item) => [item.kind, item.id])).toEqual([
+      ["coupon", coupon._id],
+      ["category", second._id],
+      ["category", first._id],
+    ]);
+    expect(report.deleted[0]).toMatchObject({
+      label: coupon.code,
+      attempts: 1,
+      origin: { run_id: currentRunId(), spec: SPEC, test: expect.stringContaining("TC-RES-005") },
+    });
+    expect(report.alreadyGone).toEqual([
+      { kind: "coupon", id: "000000000000000000000000", label: "inexistente", origin: null, attempts: 1 },
+    ]);
+    expect(resources.entries).toEqual([]);
+
+    await expect(categories.getById(first._id)).rejects.toMatchObject({ status: 404 });
+    await expect(coupons.getById(coupon._id)).rejects.toMatchObject({ dataStatus: "ERROR" });
+
+    logger.info(`✅ ${report.deleted.length} recursos eliminados en orden`);
+  });
+
+  test("TC-RES-006: La limpieza reintenta y reporta lo que no pudo eliminar", async ({
+    resources,
+    categories,
+    faults,
+  }) => {
+    const transient = await categories.create(categoryPayload("Transitoria"));
+    await faults.inject({
+      type: "error-envelope",
+      method: "DELETE",
+      path: `/api/category/${transient._id}`,
+      data: "CATEGORY_LOCKED",
+      times: 2,
+    });
+
+    const retried = await resources.cleanup({ baseDelayMs: 10 });
+    expect(retried.deleted).toEqual([
+      expect.objectContaining({ id: transient._id, attempts: 3 }),
+    ]);
+
+    const locked = await categories.create(categoryPayload("Bloqueada"));
+    await faults.inject({
+      type: "error-envelope",
+      method: "DELETE",
+      path: `/api/category/${locked._id}`,
+      data: "CATEGORY_LOCKED",
+    });
+
+    const report = await resources.cleanup({ attempts: 2, baseDelayMs: 10 });
+    expect(report.deleted).toEqual([]);
+    expect(report.failed).toEqual([
+      expect.objectContaining({ kind: "category", id: locked._id, attempts: 2 }),
+    ]);
+    expect(report.failed[0].error).toContain("CATEGORY_LOCKED");
+
+    // Sigue registrada: la fixture la elimina al terminar, cuando ya no hay fallas
+    expect(resources.entries.map((entry) => entry.id)).toEqual([locked._id]);
+
+    await ResourceTracker.attach(test.info(), report);
+    expect(test.info().annotations).toContainEqual({
+      type: CLEANUP_ANNOTATION,
+      description: expect.stringContaining(`${locked.name} de ${SPEC} › `),
+    });
+    const attachment = test.info().attachments.find((a) => a.name === CLEANUP_ATTACHMENT);
+    expect(JSON.parse(attachment.body.toString()).failed[0].id).toBe(locked._id);
+
+    logger.info(`✅ Falla reportada: ${report.failed[0].error}`);
+  });
+
+  test("TC-RES-009: El ledger asocia cada recurso a su test y registra cuándo se eliminó", async ({
+    coupons,
+    couponGroups,
+    categories,
+  }) => {
+    const ledger = ResourceLedger.shared();
+    test.skip(!ledger, "Ledger desactivado (RESOURCE_LEDGER=off)");
+    const groups = await couponGroups.list();
+    test.skip(groups.length === 0, "La cuenta no tiene grupos de cupones");
+
+    const category = await categories.create(categoryPayload("Ledger"));
+    const [coupon] = await coupons.create(CouponBuilder.singleUse(groups[0]._id).build());
+    const origin = {
+      run_id: currentRunId(),
+      worker: test.info().workerIndex,
+      spec: SPEC,
+      test: "🧹 Limpieza automática de recursos › TC-RES-009: El ledger asocia cada recurso a su test y registra cuándo se eliminó",
+    };
+
+    // Cupones: procedencia en metadata; categorías: sufijo en el nombre
+    expect(JSON.parse(CouponBuilder.singleUse(groups[0]._id).build().metadata)).toMatchObject(origin);
+    expect(category.name).toMatch(new RegExp(`\\[qa ${origin.run_id} w${origin.worker}\\]$`));
+
+    expect(ledger.origin("coupon", coupon._id)).toMatchObject({ ...origin, label: coupon.code, deletedAt: null });
+    expect(ledger.origin("category", category._id)).toMatchObject({ ...origin, label: category.name });
+    expect(ledger.leftovers({ runId: origin.run_id }).map((r) => r.id)).toEqual(
+      expect.arrayContaining([coupon._id, category._id])
+    );
+
+    await categories.remove(category._id);
+    expect(ledger.origin("category", category._id).deletedAt).not.toBeNull();
+    expect(ledger.leftovers({ runId: origin.run_id }).map((r) => r.id)).not.toContain(category._id);
+
+    logger.info(`✅ Ledger: ${coupon.code} y ${category.name} asociados a ${origin.spec}`);
+  });
+});
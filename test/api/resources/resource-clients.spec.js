@@ -0,0 +1,92 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { ApiEnvelopeError } = require("../../utils/resources/api-envelope-error.js");
+const { provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("resource-clients-tests");
+
+test.describe("🧩 Clientes de recursos", () => {
+  test("TC-RES-001: CategoryApi - Ciclo create, getById, update y remove", async ({
+    categories,
+  }) => {
+    const timestamp = Date.now().toString().slice(-6);
+    const created = await categories.create({
+      name: provenanceName(`Categoría Cliente QA ${timestamp}`),
+      description: "Creada desde CategoryApi",
+      is_active: true,
+    });
+
+    logger.info(`📌 Categoría creada con ID: ${created._id}`);
+
+    expect(created).toHaveProperty("_id");
+    expect(created).toHaveProperty("slug");
+
+    const fetched = await categories.getById(created._id);
+    expect(fetched._id).toBe(created._id);
+    expect(fetched.name).toBe(created.name);
+
+    await categories.update(created._id, {
+      description: "Actualizada desde CategoryApi",
+    });
+    const updated = await categories.getById(created._id);
+    expect(updated.description).toBe("Actualizada desde CategoryApi");
+
+    // Si algo falla antes, la fixture resources la elimina al terminar el test
+    await categories.remove(created._id);
+    logger.info(`🧹 Categoría ${created._id} eliminada`);
+
+    logger.info("✅ Ciclo completo de CategoryApi validado");
+  });
+
+  test("TC-RES-002: CouponApi - getById inexistente lanza ApiEnvelopeError", async ({
+    coupons,
+  }) => {
+    const nonExistentId = "000000000000000000000000";
+
+    const error = await coupons.getById(nonExistentId).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiEnvelopeError);
+    expect(error.endpoint).toBe(`/api/coupon/${nonExistentId}`);
+    expect(error.dataStatus).toBe("ERROR");
+    expect(error.response.status).toBe(error.status);
+
+    logger.info(`✅ Error tipado recibido: ${error.message}`);
+  });
+
+  test("TC-RES-003: CouponGroupApi - Grupos y subgrupos", async ({
+    couponGroups,
+  }) => {
+    const groups = await couponGroups.list();
+    expect(Array.isArray(groups)).toBe(true);
+
+    const group = groups.find((g) => g.coupon_total > 0);
+    if (!group) {
+      test.skip(true, "No se encontraron grupos con cupones para probar");
+      return;
+    }
+
+    const subgroups = await couponGroups.getById(group._id);
+    expect(Array.isArray(subgroups)).toBe(true);
+
+    logger.info(
+      `✅ Grupo ${group.name}: ${subgroups.length} subgrupos obtenidos con CouponGroupApi`
+    );
+  });
+
+  test("TC-RES-004: MediaApi - getById devuelve el media del listado", async ({
+    media,
+  }) => {
+    const [first] = await media.list({ limit: 1 });
+    if (!first) {
+      test.skip(true, "No hay medias disponibles");
+      return;
+    }
+
+    const found = await media.getById(first._id);
+
+    expect(found).not.toBeNull();
+    expect(found._id).toBe(first._id);
+
+    logger.info(`✅ Media ${first._id} obtenido con MediaApi`);
+  });
+});
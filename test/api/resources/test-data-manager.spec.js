@@ -0,0 +1,89 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { TestDataManager } = require("../../utils/test-data-manager.js");
+
+const logger = new Logger("test-data-manager-tests");
+
+test.describe("🗃️ Pools de datos de prueba", () => {
+  test("TC-RES-010: Los extractores arman pools por recurso y los picks filtran", async ({
+    apiClient,
+    coupons,
+    couponGroups,
+    media,
+    categories,
+  }) => {
+    const testData = new TestDataManager();
+
+    expect(testData.load("coupon-group", await couponGroups.list())).toBeGreaterThan(0);
+    expect(testData.load("media", await media.list({ limit: 50 }))).toBeGreaterThan(0);
+    testData.load("category", await categories.list());
+
+    // processCouponsData sigue aceptando el envelope de la API
+    const couponsResponse = await apiClient.get("/api/coupon", { limit: 20 });
+    testData.processCouponsData(couponsResponse.data);
+    expect(testData.getAllCoupons()).toHaveLength(couponsResponse.data.data.length);
+    expect(testData.getAllGroupIds()).toEqual(testData.values("coupon", "groupIds"));
+    expect(new Set(testData.getAllCouponCodes()).size).toBe(testData.getAllCouponCodes().length);
+    expect(testData.getStats()).toMatchObject({ totalCoupons: couponsResponse.data.data.length });
+    expect(testData.load("coupon", { status: "ERROR", data: "sin lista" })).toBe(0);
+    expect(testData.getAllCoupons()).toHaveLength(couponsResponse.data.data.length);
+
+    const group = testData.pick("coupon-group", {
+      where: (g) => g.coupon_total > 0,
+      reason: "con coupon_total > 0",
+    });
+    expect(group.coupon_total).toBeGreaterThan(0);
+    expect(await coupons.list({ group: group._id })).not.toHaveLength(0);
+
+    const longTagged = testData.pick("media", {
+      where: (m) => m.tags.length > 0 && m.duration > 60,
+      reason: "con tags y duración > 60",
+      random: true,
+    });
+    expect(longTagged.duration).toBeGreaterThan(60);
+    expect(testData.values("media", "tags")).toEqual(expect.arrayContaining(longTagged.tags));
+
+    // Campos sin valores repetidos ni vacíos
+    const durations = testData.values("media", "durations");
+    expect(new Set(durations).size).toBe(durations.length);
+    expect(durations).not.toContain(null);
+
+    expect(() => testData.values("media", "codes")).toThrow(/no tiene el campo codes/);
+    expect(() => testData.load("playlist", [])).toThrow(/sin extractor: playlist/);
+
+    // Extractores propios: por instancia o registrados para todas
+    const custom = new TestDataManager({
+      extractors: { playlist: { label: "playlist", id: (p) => p._id, fields: { names: (p) => p.name } } },
+    });
+    custom.load("playlist", [{ _id: "p1", name: "Destacados" }, { _id: "p2", name: "Destacados" }]);
+    expect(custom.values("playlist", "names")).toEqual(["Destacados"]);
+    expect(() => TestDataManager.registerExtractor("playlist", { fields: {} })).toThrow(/Extractor inválido/);
+
+    logger.info(`✅ Pools: ${JSON.stringify(testData.poolStats())}`);
+  });
+
+  test.describe("sin candidatos", () => {
+    test.afterEach(async ({}, testInfo) => {
+      expect(testInfo.status).toBe("skipped");
+      expect(testInfo.annotations).toContainEqual(
+        expect.objectContaining({
+          type: "skip",
+          description: expect.stringMatching(
+            /^No hay grupo de cupones con más de 1000 cupones en los datos de la cuenta \(\d+ cargados\)$/
+          ),
+        })
+      );
+    });
+
+    test("TC-RES-011: Un pick sin candidatos salta el test con el motivo", async ({ couponGroups }) => {
+      const testData = new TestDataManager();
+      testData.load("coupon-group", await couponGroups.list());
+
+      testData.pick("coupon-group", {
+        where: (g) => g.coupon_total > 1000,
+        reason: "con más de 1000 cupones",
+      });
+      throw new Error("pick() debió saltar el test");
+    });
+  });
+});
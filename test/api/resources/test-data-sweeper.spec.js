@@ -0,0 +1,116 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { CouponBuilder } = require("../../utils/builders/coupon-builder.js");
+const { AUTOMATION_TAG, currentRunId, provenanceName } = require("../../utils/test-run.js");
+const { ResourceLedger } = require("../../utils/resources/resource-ledger.js");
+const {
+  TestDataSweeper,
+  parseDuration,
+  formatAge,
+} = require("../../utils/test-data-sweeper.js");
+
+const logger = new Logger("test-data-sweeper-tests");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SPEC = "test/api/resources/test-data-sweeper.spec.js";
+
+test.describe("🧹 Barrido de datos de prueba", () => {
+  test("TC-RES-007: parseDuration y formatAge", async () => {
+    expect(parseDuration("90m")).toBe(90 * 60 * 1000);
+    expect(parseDuration("24h")).toBe(DAY_MS);
+    expect(parseDuration("1.5d")).toBe(1.5 * DAY_MS);
+    expect(() => parseDuration("24")).toThrow(/Duración inválida/);
+
+    expect(formatAge(45 * 60 * 1000)).toBe("45m");
+    expect(formatAge(DAY_MS + 4 * 60 * 60 * 1000)).toBe("1d 4h");
+  });
+
+  test("TC-RES-008: El sweeper encuentra lo creado por la suite y elimina solo lo vencido", async ({
+    coupons,
+    couponGroups,
+    categories,
+    media,
+  }) => {
+    // Reescribe las categorías de un media y barre toda la cuenta: solo contra el mock
+    test.skip(process.env.MOCK !== "1", "El barrido se verifica contra el mock server (MOCK=1)");
+
+    const groups = await couponGroups.list();
+    const [linkedMedia] = await media.list({ limit: 1 });
+    test.skip(groups.length === 0 || !linkedMedia, "La cuenta no tiene grupos de cupones o medias");
+
+    const [coupon] = await coupons.create(CouponBuilder.singleUse(groups[0]._id).build());
+    const category = await categories.create({
+      name: provenanceName(`Categoría Barrido QA ${Date.now().toString(36)}`),
+      description: "Categoría de prueba del sweeper",
+      is_active: true,
+    });
+    await categories.attachMedia(category._id, linkedMedia._id);
+    // Sin sufijo de procedencia: solo la encuentra una marca de nombre heredada
+    const legacyCategory = await categories.create({
+      name: `Categoría Legado QA ${Date.now().toString(36)}`,
+      description: "Categoría de prueba sin procedencia",
+      is_active: true,
+    });
+
+    const clients = { coupons, categories, media };
+    const mine = (item) => [coupon._id, category._id].includes(item.categoryId || item.id);
+    const isLegacyCategory = (item) => item.id === legacyCategory._id;
+
+    // Recién creados: aparecen pero quedan por debajo del umbral
+    const ledger = ResourceLedger.shared();
+    const found = await new TestDataSweeper(clients, { ledger }).find();
+    const recent = found.filter(mine);
+    expect(found.some(isLegacyCategory)).toBe(false);
+    expect(recent.map((item) => item.kind).sort()).toEqual(["category", "coupon", "media-category"]);
+    expect(recent.find((item) => item.kind === "coupon")).toMatchObject({
+      label: coupon.code,
+      runId: currentRunId(),
+      marker: `metadata.created_by=${AUTOMATION_TAG}`,
+      legacy: false,
+      origin: { spec: SPEC, test: expect.stringContaining("TC-RES-008") },
+      stale: false,
+    });
+    // La corrida sale del nombre; el test, del ledger (si está activo)
+    expect(recent.find((item) => item.kind === "category")).toMatchObject({
+      runId: currentRunId(),
+      marker: `name=${category.name}`,
+      legacy: false,
+      origin: ledger ? { spec: SPEC, test: expect.stringContaining("TC-RES-008") } : null,
+    });
+    expect(recent.find((item) => item.kind === "media-category")).toMatchObject({
+      id: linkedMedia._id,
+      categoryId: category._id,
+    });
+
+    const withLegacy = await new TestDataSweeper(clients, { includeLegacy: true }).find();
+    expect(withLegacy.find(isLegacyCategory)).toMatchObject({
+      kind: "category",
+      runId: null,
+      marker: `name=${legacyCategory.name}`,
+      legacy: true,
+    });
+
+    const untouched = await new TestDataSweeper(clients).sweep(recent);
+    expect(untouched.deleted).toEqual([]);
+    expect(untouched.kept).toHaveLength(3);
+
+    // Dos días después ya superan el umbral de 24h
+    const later = new TestDataSweeper(clients, {
+      olderThanMs: parseDuration("24h"),
+      now: new Date(Date.now() + 2 * DAY_MS),
+    });
+    const stale = (await later.find()).filter(mine);
+    expect(stale.every((item) => item.stale)).toBe(true);
+
+    const report = await later.sweep(stale);
+    expect(report.failed).toEqual([]);
+    expect(report.deleted.map((item) => item.kind)).toEqual(["media-category", "coupon", "category"]);
+
+    const detached = await media.getById(linkedMedia._id);
+    expect(detached.categories.map((c) => c._id || c)).not.toContain(category._id);
+    await expect(categories.getById(category._id)).rejects.toMatchObject({ status: 404 });
+    await expect(coupons.getById(coupon._id)).rejects.toMatchObject({ dataStatus: "ERROR" });
+
+    logger.info(`✅ ${report.deleted.length} recursos barridos (${coupon.code}, ${category.name})`);
+  });
+});
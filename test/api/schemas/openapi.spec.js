@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { HarRecorder } = require("../../utils/har.js");
+const { getSchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { OpenApiBuilder, harsFromReport } = require("../../utils/schemas/openapi.js");
+
+const logger = new Logger("openapi-tests");
+
+const SAMPLE_HAR = path.join(__dirname, "..", "..", "fixtures", "har", "platform-ui-sample.har");
+
+/**
+ * Todos los $ref de un documento
+ * @param {any} value
+ * @param {string[]} refs
+ * @returns {string[]}
+ */
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) value.forEach((item) => collectRefs(item, refs));
+  else if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === "$ref") refs.push(child);
+      else collectRefs(child, refs);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Resolver un $ref local (#/a/b) dentro del documento
+ * @param {object} document
+ * @param {string} ref
+ * @returns {any}
+ */
+function resolvePointer(document, ref) {
+  return ref
+    .slice(2)
+    .split("/")
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, part) => (node === undefined ? undefined : node[part]), document);
+}
+
+test.describe("📐 Documento OpenAPI", () => {
+  test("TC-SCHEMA-008: OpenApiBuilder documenta rutas, parámetros y status observados con los schemas", async ({
+    apiClient,
+  }) => {
+    const list = await apiClient.get("/api/coupon", { limit: 2, offset: 0, sort: "date_created" });
+    expect(list.status).toBe(200);
+    test.skip(list.data.data.length === 0, "La cuenta no tiene cupones");
+
+    await apiClient.get(`/api/coupon/${list.data.data[0]._id}`);
+    await apiClient.get("/api/media", { limit: 1, is_published: true });
+
+    // El HAR del test en curso es la misma fuente que usa el script con el reporte
+    const har = HarRecorder.forCurrentTest().toHar();
+    const document = new OpenApiBuilder({
+      registry: getSchemaRegistry(),
+      servers: ["https://dev.platform.mediastre.am"],
+    })
+      .addHar(har)
+      .toDocument();
+
+    expect(document.openapi).toBe("3.1.0");
+    expect(document.servers).toEqual([{ url: "https://dev.platform.mediastre.am" }]);
+    expect(Object.keys(document.components.securitySchemes)).toEqual([
+      "apiTokenHeader",
+      "apiTokenQuery",
+    ]);
+
+    const listOperation = document.paths["/api/coupon"].get;
+    expect(listOperation["x-observed"]).toBe(true);
+    expect(listOperation["x-observed-calls"]).toBe(1);
+    expect(listOperation.parameters).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ name: "limit", in: "query", schema: { type: "integer" } }),
+        expect.objectContaining({ name: "sort", in: "query", schema: { type: "string" } }),
+      ])
+    );
+    // El token nunca aparece como parámetro: está en securitySchemes
+    expect(listOperation.parameters.map((param) => param.name)).not.toContain("token");
+    expect(listOperation.responses["200"].content["application/json"].schema).toEqual({
+      $ref: "#/components/schemas/cupones.coupons-list",
+    });
+
+    const detail = document.paths["/api/coupon/{id}"].get;
+    expect(detail.operationId).toBe("getApiCouponById");
+    expect(detail.parameters[0]).toMatchObject({ name: "id", in: "path", required: true });
+    expect(detail.responses["200"].content["application/json"].schema.$ref).toBe(
+      "#/components/schemas/cupones.coupon"
+    );
+
+    const media = document.paths["/api/media"].get;
+    expect(media.parameters).toContainEqual(
+      expect.objectContaining({ name: "is_published", schema: { type: "boolean" } })
+    );
+
+    // Rutas de schema-routes.js que el test no llamó
+    expect(document.paths["/api/media/{id}"].post["x-observed"]).toBe(false);
+
+    // Todos los $ref (incluidos los que venían de common.schema.json) se resuelven en el documento
+    const refs = collectRefs(document);
+    expect(refs.length).toBeGreaterThan(0);
+    const unresolved = refs.filter((ref) => resolvePointer(document, ref) === undefined);
+    expect(unresolved).toEqual([]);
+    expect(JSON.stringify(document.components.schemas)).not.toContain("$data");
+
+    logger.info(
+      `✅ ${Object.keys(document.paths).length} rutas y ${refs.length} $ref resueltos en el documento`
+    );
+  });
+
+  test("TC-SCHEMA-009: harsFromReport toma los api-calls.har adjuntos del reporte JSON", async () => {
+    const har = { log: { version: "1.2", entries: [] } };
+    const report = {
+      suites: [
+        {
+          specs: [],
+          suites: [
+            {
+              specs: [
+                {
+                  tests: [
+                    {
+                      results: [
+                        {
+                          attachments: [
+                            { name: "trace", contentType: "application/zip", path: "trace.zip" },
+                            {
+                              name: "api-calls.har",
+                              contentType: "application/json",
+                              body: Buffer.from(JSON.stringify(har)).toString("base64"),
+                            },
+                          ],
+                        },
+                      ],
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      ],
+    };
+
+    expect(harsFromReport(report)).toEqual([har]);
+  });
+
+  test("TC-SCHEMA-010: Un HAR del navegador aporta los parámetros de la URL y no documenta campos sensibles", async () => {
+    // Exportado desde DevTools: queryString vacío, parámetros solo en la URL y token en el body
+    const har = JSON.parse(fs.readFileSync(SAMPLE_HAR, "utf8"));
+    const document = new OpenApiBuilder({ registry: getSchemaRegistry() }).addHar(har).toDocument();
+
+    const list = document.paths["/api/coupon"].get;
+    expect(list.parameters).toContainEqual(
+      expect.objectContaining({ name: "limit", in: "query", schema: { type: "integer" } })
+    );
+    expect(list.parameters.map((param) => param.name)).not.toContain("token");
+
+    const create = document.paths["/api/category"].post;
+    const bodySchema = create.requestBody.content["application/json"].schema;
+    expect(Object.keys(bodySchema.properties).sort()).toEqual(["description", "name"]);
+    expect(JSON.stringify(document)).not.toContain("REPLACE_ME");
+  });
+});
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { SchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { DRIFT_ANNOTATION } = require("../../utils/schemas/schema-drift.js");
+
+const logger = new Logger("schema-drift-tests");
+
+/**
+ * Crear un directorio de schemas temporal con un schema de lista estricto
+ * (additionalProperties: false) que solo declara parte de los campos reales
+ * @returns {string}
+ */
+function createStrictSchemaDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schemas-"));
+  fs.mkdirSync(path.join(dir, "grupos"));
+
+  fs.writeFileSync(
+    path.join(dir, "grupos", "grupo-list.schema.json"),
+    JSON.stringify({
+      $id: "https://example.com/schemas/drift-grupo-list.schema.json",
+      type: "object",
+      additionalProperties: false,
+      required: ["status", "data"],
+      properties: {
+        status: { enum: ["OK"] },
+        data: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["_id", "name"],
+            properties: {
+              _id: { type: "string" },
+              name: { type: "string" },
+              gateway: { type: "string" },
+            },
+          },
+        },
+      },
+    })
+  );
+
+  return dir;
+}
+
+test.describe("📐 Drift de schemas", () => {
+  test("TC-SCHEMA-006: checkDrift separa campos nuevos de cambios que rompen el contrato", async () => {
+    const registry = new SchemaRegistry({ dir: createStrictSchemaDir(), routes: [] });
+
+    const valid = registry.checkDrift("grupos/grupo-list", {
+      status: "OK",
+      data: [{ _id: "a", name: "Grupo" }],
+    });
+    expect(valid).toEqual({ valid: true, breaking: false, changes: [], errors: [] });
+
+    // Campos nuevos en dos elementos: un solo cambio aditivo con la ruta agrupada
+    const additive = registry.checkDrift("grupos/grupo-list", {
+      status: "OK",
+      data: [
+        { _id: "a", name: "Grupo", coupon_total: 3 },
+        { _id: "b", name: "Otro", coupon_total: 0 },
+      ],
+    });
+    expect(additive.valid).toBe(false);
+    expect(additive.breaking).toBe(false);
+    expect(additive.errors).toEqual([]);
+    expect(additive.changes).toEqual([
+      { kind: "added", breaking: false, path: "data[].coupon_total", actual: "integer" },
+    ]);
+
+    const breaking = registry.checkDrift("grupos/grupo-list", {
+      status: "OK",
+      data: [
+        { _id: "a", extra: true },
+        { _id: 7, name: "Grupo" },
+        { _id: "c", name: null },
+      ],
+    });
+    expect(breaking.breaking).toBe(true);
+    expect(breaking.errors.length).toBeGreaterThan(0);
+
+    // Los nombres de campo se repiten entre cambios (faltante y null): se comparan completos
+    expect(breaking.changes).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ kind: "added", breaking: false, path: "data[].extra" }),
+        expect.objectContaining({ kind: "removed", breaking: true, path: "data[].name" }),
+        expect.objectContaining({
+          kind: "type",
+          breaking: true,
+          path: "data[]._id",
+          expected: "string",
+          actual: "integer",
+        }),
+        expect.objectContaining({ kind: "nullability", path: "data[].name", actual: "null" }),
+      ])
+    );
+
+    logger.info(`✅ ${breaking.changes.length} cambios clasificados`);
+  });
+
+  test("TC-SCHEMA-007: ApiClient acepta campos nuevos y los anota como drift del test", async ({
+    apiClientFor,
+    schemaDrift,
+  }) => {
+    const registry = new SchemaRegistry({
+      dir: createStrictSchemaDir(),
+      routes: [
+        { method: "GET", route: "/api/coupon-group", status: 200, schema: "grupos/grupo-list" },
+      ],
+    });
+    const apiClient = apiClientFor("default", { schemaRegistry: registry });
+
+    // Los grupos reales tienen más campos que el schema: aditivo, no falla
+    const response = await apiClient.get("/api/coupon-group");
+    expect(response.status).toBe(200);
+    expect(response.schema).toBe("grupos/grupo-list");
+    test.skip(response.data.data.length === 0, "La cuenta no tiene grupos de cupones");
+
+    expect(schemaDrift.entries.length).toBeGreaterThan(0);
+    expect(schemaDrift.entries.every((entry) => entry.kind === "added")).toBe(true);
+    expect(schemaDrift.entries).toContainEqual(
+      expect.objectContaining({
+        schema: "grupos/grupo-list",
+        path: "data[].coupon_total",
+        method: "GET",
+        route: "/api/coupon-group",
+        status: 200,
+      })
+    );
+
+    // Repetir la petición no duplica los cambios del test
+    const recorded = schemaDrift.entries.length;
+    await apiClient.get("/api/coupon-group");
+    expect(schemaDrift.entries).toHaveLength(recorded);
+
+    const annotations = test
+      .info()
+      .annotations.filter((annotation) => annotation.type === DRIFT_ANNOTATION);
+    expect(annotations).toHaveLength(recorded);
+    expect(annotations[0].description).toMatch(/^aditivo · grupos\/grupo-list · campo nuevo /);
+    logger.info(`📋 Drift anotado:\n${annotations.map((a) => a.description).join("\n")}`);
+  });
+});
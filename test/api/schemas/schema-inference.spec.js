@@ -0,0 +1,95 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { SchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { SchemaInferrer, inferFromEndpoint } = require("../../utils/schemas/schema-inference.js");
+
+const logger = new Logger("schema-inference-tests");
+
+const COMMON_SCHEMA = path.join(
+  __dirname, "..", "..", "..", "src", "schemas", "common", "common.schema.json"
+);
+
+test.describe("📐 Inferencia de schemas", () => {
+  test("TC-SCHEMA-004: SchemaInferrer detecta required, enums, formatos y rangos", async () => {
+    const inferrer = new SchemaInferrer();
+    const types = ["ppv-live", "ppv-vod", "ppv-live", "subscription", "ppv-vod", "ppv-live"];
+
+    types.forEach((type, i) => {
+      inferrer.add({
+        _id: `64b7f0c2a1b2c3d4e5f6a7b${i}`,
+        type,
+        code: `CODE-${i}`,
+        percent: i * 10,
+        amount: i === 2 ? 9.5 : i,
+        date_created: `2026-01-0${i + 1}T10:00:00.000Z`,
+        detail: i % 2 === 0 ? "Cupón de prueba" : null,
+        ...(i === 3 ? { metadata: { source: "ui" } } : {}),
+      });
+    });
+
+    const schema = inferrer.toSchema({ name: "coupon-sample", title: "Coupon Sample" });
+
+    expect(schema.$id).toBe("https://example.com/schemas/coupon-sample.schema.json");
+    expect(schema.required).toEqual([
+      "_id", "type", "code", "percent", "amount", "date_created", "detail",
+    ]);
+    expect(schema.additionalProperties).toBe(false);
+
+    const { properties } = schema;
+    expect(properties._id).toEqual({ $ref: "common.schema.json#/$defs/ObjectId" });
+    expect(properties.date_created).toEqual({ $ref: "common.schema.json#/$defs/DateTime" });
+    expect(properties.type).toEqual({
+      type: "string",
+      enum: ["ppv-live", "ppv-vod", "subscription"],
+    });
+    // Todos los códigos son distintos: texto libre, no enum
+    expect(properties.code).toEqual({ type: "string", minLength: 1 });
+    expect(properties.percent).toEqual({ type: "integer", minimum: 0, maximum: 50 });
+    expect(properties.amount).toEqual({ type: "number", minimum: 0, maximum: 9.5 });
+    expect(properties.detail).toEqual({ type: ["string", "null"], minLength: 1 });
+    expect(properties.metadata.required).toEqual(["source"]);
+
+    logger.info(`✅ Schema inferido con ${schema.required.length} campos requeridos`);
+  });
+
+  test("TC-SCHEMA-005: inferFromEndpoint recorre todas las páginas y el borrador valida las respuestas", async ({
+    apiClientFor,
+  }) => {
+    const apiClient = apiClientFor("default", { validateSchemas: false });
+
+    const { inferrer, responses, items } = await inferFromEndpoint(apiClient, "/api/media", {
+      params: { limit: 5 },
+      allPages: true,
+      style: "offset",
+      maxPages: 5,
+    });
+    test.skip(items === 0, "La cuenta no tiene medias");
+
+    expect(responses).toBeGreaterThan(0);
+    const schema = inferrer.toSchema({ name: "media-draft" });
+    expect(schema.properties.data.items.properties._id).toEqual({
+      $ref: "common.schema.json#/$defs/ObjectId",
+    });
+
+    // El borrador se guarda junto a common.schema.json para resolver los $ref
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schemas-"));
+    fs.mkdirSync(path.join(dir, "common"));
+    fs.mkdirSync(path.join(dir, "media"));
+    fs.copyFileSync(COMMON_SCHEMA, path.join(dir, "common", "common.schema.json"));
+    fs.writeFileSync(
+      path.join(dir, "media", "media-draft.schema.json"),
+      JSON.stringify(schema, null, 2)
+    );
+
+    const registry = new SchemaRegistry({ dir, routes: [] });
+    const page = await apiClient.get("/api/media", { limit: 5 });
+    const validation = registry.validate("media/media-draft", page.data);
+
+    expect(validation.errors).toEqual([]);
+    expect(validation.valid).toBe(true);
+    logger.info(`✅ Borrador inferido de ${responses} páginas (${items} medias) valida la respuesta`);
+  });
+});
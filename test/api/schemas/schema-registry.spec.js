@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { SchemaRegistry, getSchemaRegistry } = require("../../utils/schemas/schema-registry.js");
+const { SchemaValidationError } = require("../../utils/schemas/schema-validation-error.js");
+
+const logger = new Logger("schema-registry-tests");
+
+/**
+ * Crear un directorio de schemas temporal con un schema común y uno de lista
+ * que lo referencia desde otro archivo
+ * @returns {string}
+ */
+function createSchemaDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schemas-"));
+  fs.mkdirSync(path.join(dir, "common"));
+  fs.mkdirSync(path.join(dir, "grupos"));
+
+  fs.writeFileSync(
+    path.join(dir, "common", "defs.schema.json"),
+    JSON.stringify({
+      $id: "https://example.com/schemas/test-defs.schema.json",
+      $defs: {
+        ObjectId: { type: "string", pattern: "^[a-fA-F0-9]{24}$" },
+        Group: {
+          type: "object",
+          required: ["_id", "name", "owner_email"],
+          properties: {
+            _id: { $ref: "#/$defs/ObjectId" },
+            name: { type: "string" },
+            owner_email: { type: "string", format: "email" },
+          },
+        },
+      },
+    })
+  );
+  fs.writeFileSync(
+    path.join(dir, "grupos", "grupo-list.schema.json"),
+    JSON.stringify({
+      $id: "https://example.com/schemas/test-grupo-list.schema.json",
+      type: "object",
+      required: ["status", "data"],
+      properties: {
+        status: { enum: ["OK"] },
+        data: { type: "array", items: { $ref: "test-defs.schema.json#/$defs/Group" } },
+      },
+    })
+  );
+  // Schema pendiente de escribir: se omite
+  fs.writeFileSync(path.join(dir, "grupos", "grupo.schema.json"), "");
+
+  return dir;
+}
+
+test.describe("📐 Registro de schemas", () => {
+  test("TC-SCHEMA-001: Carga src/schemas, omite archivos vacíos y cachea validadores", async () => {
+    const registry = getSchemaRegistry();
+
+    expect(registry.names()).toContain("cupones/grupo-list");
+    expect(registry.names()).toContain("cupones/cupones-by-subgroup");
+    expect(registry.getValidator("cupones/grupo-list")).toBe(
+      registry.getValidator("cupones/grupo-list")
+    );
+    expect(registry.schemaFor("GET", "/api/coupon-group", 200)).toBe("cupones/grupo-list");
+    expect(registry.schemaFor("GET", "/api/coupon-group", 404)).toBeNull();
+
+    logger.info(`✅ Schemas cargados: ${registry.names().join(", ")}`);
+  });
+
+  test("TC-SCHEMA-002: Resuelve $ref entre archivos y describe los errores por ruta", async () => {
+    const registry = new SchemaRegistry({ dir: createSchemaDir(), routes: [] });
+
+    expect(registry.names()).toEqual(["common/defs", "grupos/grupo-list"]);
+
+    const body = { status: "OK", data: [{ _id: "123", name: "Grupo" }] };
+    expect(registry.validate("grupos/grupo-list", body).valid).toBe(false);
+
+    let error;
+    try {
+      registry.assertValid("grupos/grupo-list", body);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.message).toContain('data[0]: falta la propiedad requerida "owner_email"');
+    expect(error.message).toContain(
+      'data[0]._id: no cumple el patrón ^[a-fA-F0-9]{24}$ (valor: "123")'
+    );
+    logger.info(`📋 Diff de schema:\n${error.message}`);
+  });
+
+  test("TC-SCHEMA-003: ApiClient valida automáticamente la respuesta mapeada", async ({
+    apiClientFor,
+  }) => {
+    const registry = new SchemaRegistry({
+      dir: createSchemaDir(),
+      routes: [
+        { method: "GET", route: "/api/coupon-group", status: 200, schema: "grupos/grupo-list" },
+      ],
+    });
+    const apiClient = apiClientFor("default", { schemaRegistry: registry });
+
+    const unchecked = await apiClient.get("/api/coupon-group", {}, { validateSchema: false });
+    expect(unchecked.status).toBe(200);
+    expect(unchecked.schema).toBeNull();
+    test.skip(unchecked.data.data.length === 0, "La cuenta no tiene grupos de cupones");
+
+    // Los grupos reales no tienen owner_email: la validación automática debe fallar
+    const error = await apiClient.get("/api/coupon-group").catch((e) => e);
+
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.schema).toBe("grupos/grupo-list");
+    expect(error.message).toMatch(
+      /^GET \/api\/coupon-group \(200\) no cumple el schema grupos\/grupo-list/
+    );
+    expect(error.message).toContain('data[0]: falta la propiedad requerida "owner_email"');
+    logger.info("✅ Respuesta rechazada con diff de schema");
+  });
+});
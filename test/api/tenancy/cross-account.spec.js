@@ -0,0 +1,168 @@
+const { test, expect } = require("../../utils/api-fixtures.js");
+const { Logger } = require("../../utils/logger.js");
+const { attachJson } = require("../../utils/attachments.js");
+const { getProfile } = require("../../utils/profiles.js");
+const { CouponApi } = require("../../utils/resources/coupon-api.js");
+const { provenanceName } = require("../../utils/test-run.js");
+
+const logger = new Logger("cross-account-tests");
+
+/**
+ * Validar que una respuesta no expone el recurso de otra cuenta
+ * @param {object} response - Respuesta de ApiClient
+ * @param {string} resourceId - _id del recurso ajeno
+ */
+function expectNotVisible(response, resourceId) {
+  const body = response.data?.data;
+  const leaked = Array.isArray(body)
+    ? body.some((item) => item?._id === resourceId)
+    : body?._id === resourceId;
+
+  expect(leaked).toBe(false);
+  expect([200, 400, 403, 404]).toContain(response.status);
+  if (response.status === 200) {
+    expect(response.data.status === "ERROR" || !body || body.length === 0).toBe(
+      true
+    );
+  }
+}
+
+test.describe("🏢 Aislamiento entre cuentas", () => {
+  let ownerApi;
+  let otherApi;
+
+  test.beforeEach(async ({ apiClientFor }) => {
+    ownerApi = apiClientFor("admin");
+    otherApi = apiClientFor("second-account");
+
+    test.skip(
+      getProfile("admin").token === getProfile("second-account").token,
+      "Los perfiles admin y second-account usan el mismo token"
+    );
+  });
+
+  test("TC-TENANT-001: GET /api/coupon/{id} - Cupón de otra cuenta no es legible", async () => {
+    logger.info("🧪 Test: Leer cupones de la cuenta admin desde second-account");
+
+    const listResponse = await ownerApi.get("/api/coupon", { limit: 5 });
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.data.status).toBe("OK");
+
+    const couponIds = listResponse.data.data.map((coupon) => coupon._id);
+    test.skip(couponIds.length === 0, "La cuenta admin no tiene cupones");
+
+    for (const couponId of couponIds) {
+      const response = await otherApi.get(`/api/coupon/${couponId}`);
+
+      logger.info(
+        `📡 ${couponId} → Status ${response.status}, Data Status: ${
+          response.data?.status || "N/A"
+        }`
+      );
+
+      expectNotVisible(response, couponId);
+    }
+
+    logger.info(`✅ ${couponIds.length} cupones ajenos no son legibles`);
+  });
+
+  test("TC-TENANT-002: GET /api/coupon - El listado no incluye cupones de otra cuenta", async () => {
+    logger.info("🧪 Test: Comparar listados de cupones entre cuentas");
+
+    // Todas las páginas: un cupón ajeno más allá de la primera también es una fuga
+    const ownerCoupons = await new CouponApi(ownerApi).paginate({ limit: 100 }).all();
+    const otherCoupons = await new CouponApi(otherApi).paginate({ limit: 100 }).all();
+    logger.info(`📊 ${ownerCoupons.length} cupones en admin, ${otherCoupons.length} en second-account`);
+
+    const ownerIds = new Set(ownerCoupons.map((c) => c._id));
+    const shared = otherCoupons.filter((c) => ownerIds.has(c._id));
+
+    await attachJson("shared-coupons.json", shared);
+
+    expect(shared).toHaveLength(0);
+    logger.info("✅ Ningún cupón aparece en ambas cuentas");
+  });
+
+  test("TC-TENANT-003: GET /api/coupon/{code}/search - Código de otra cuenta no se encuentra", async () => {
+    logger.info("🧪 Test: Buscar por código un cupón de otra cuenta");
+
+    const listResponse = await ownerApi.get("/api/coupon", { limit: 1 });
+    const coupon = listResponse.data?.data?.[0];
+    test.skip(!coupon, "La cuenta admin no tiene cupones");
+
+    const response = await otherApi.get(
+      `/api/coupon/${encodeURIComponent(coupon.code)}/search`
+    );
+
+    logger.info(
+      `📡 ${coupon.code} → Status ${response.status}, Data Status: ${
+        response.data?.status || "N/A"
+      }`
+    );
+
+    expectNotVisible(response, coupon._id);
+    logger.info("✅ El código ajeno no es accesible");
+  });
+
+  test("TC-TENANT-004: GET /api/category/{id} - Categoría de otra cuenta no es legible", async () => {
+    logger.info("🧪 Test: Leer categorías de la cuenta admin desde second-account");
+
+    const listResponse = await ownerApi.get("/api/category", { limit: 5 });
+    expect(listResponse.data.status).toBe("OK");
+
+    const categoryIds = listResponse.data.data.map((category) => category._id);
+    test.skip(categoryIds.length === 0, "La cuenta admin no tiene categorías");
+
+    for (const categoryId of categoryIds) {
+      const response = await otherApi.get(`/api/category/${categoryId}`);
+      expectNotVisible(response, categoryId);
+    }
+
+    logger.info(`✅ ${categoryIds.length} categorías ajenas no son legibles`);
+  });
+});
+
+test.describe("👀 Perfil de solo lectura", () => {
+  test.use({ apiProfile: "read-only" });
+
+  test("TC-TENANT-005: GET /api/coupon - Solo lectura puede listar", async ({
+    apiClient,
+  }) => {
+    const response = await apiClient.get("/api/coupon", { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.data.status).toBe("OK");
+    logger.info("✅ El perfil read-only puede consultar cupones");
+  });
+
+  test("TC-TENANT-006: POST /api/category - Solo lectura no puede crear", async ({
+    apiClient,
+    apiClientFor,
+  }) => {
+    const timestamp = Date.now().toString().slice(-6);
+    const payload = {
+      name: provenanceName(`Categoría Solo Lectura QA ${timestamp}`),
+      description: "No debería crearse con el perfil read-only",
+      is_active: true,
+    };
+
+    const response = await apiClient.post("/api/category", payload);
+
+    logger.info(
+      `📡 read-only POST → Status ${response.status}, Data Status: ${
+        response.data?.status || "N/A"
+      }`
+    );
+
+    // Si la plataforma la creó igualmente, se elimina con el perfil admin
+    if (response.data?.status === "OK" && response.data.data?._id) {
+      await apiClientFor("admin").delete(
+        `/api/category/${response.data.data._id}`
+      );
+    }
+
+    expect([401, 403]).toContain(response.status);
+    expect(response.data.status).toBe("ERROR");
+    logger.info("✅ Escritura rechazada para el perfil read-only");
+  });
+});
@@ -0,0 +1,40 @@
+const { startMockServer, DEFAULT_TOKENS } = require("./mock-server/mock-server.js");
+const { currentRunId } = require("./utils/test-run.js");
+
+// Token de cada perfil de credenciales cuando se usa el mock server
+const MOCK_PROFILE_TOKENS = {
+  API_TOKEN: "mock-admin-token",
+  API_PROFILE_READ_ONLY_TOKEN: "mock-read-only-token",
+  API_PROFILE_SECOND_ACCOUNT_TOKEN: "mock-second-account-token",
+  // Caso "token expirado" de la matriz de autenticación
+  API_EXPIRED_TOKEN: "mock-expired-token",
+};
+
+/**
+ * Setup global de Playwright. Fija TEST_RUN_ID (la corrida que queda en
+ * metadata.run_id de los recursos creados). Con MOCK=1 levanta el mock server
+ * y apunta API_BASE_URL y los tokens de todos los perfiles a él; los workers
+ * heredan estas variables. Devuelve el teardown que detiene el servidor.
+ */
+module.exports = async function globalSetup() {
+  console.log(`🏷️ Corrida ${currentRunId()}`);
+  if (process.env.MOCK !== "1") return;
+
+  const server = await startMockServer({
+    port: parseInt(process.env.MOCK_PORT || "0", 10),
+    tokens: DEFAULT_TOKENS,
+  });
+
+  process.env.API_BASE_URL = server.url;
+  for (const prefix of ["API_PROFILE_READ_ONLY", "API_PROFILE_SECOND_ACCOUNT", "API_PROFILE_ADMIN"]) {
+    delete process.env[`${prefix}_BASE_URL`];
+  }
+  delete process.env.API_PROFILE_ADMIN_TOKEN;
+  Object.assign(process.env, MOCK_PROFILE_TOKENS);
+
+  console.log(`🧪 Mock server iniciado en ${server.url} (MOCK=1)`);
+
+  return async () => {
+    await server.stop();
+  };
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+
+// Fallas soportadas y lo que hace cada una
+const FAULT_TYPES = [
+  "latency", // Demora delayMs la respuesta normal
+  "timeout", // Nunca responde (el cliente debe cortar por timeout)
+  "status", // Responde con status (5xx por defecto) y envelope ERROR
+  "malformed-json", // 200 application/json con un cuerpo JSON inválido
+  "truncated", // Corta la conexión a mitad del cuerpo
+  "content-type", // Cuerpo normal con un Content-Type incorrecto
+  "rate-limit", // 429 con header Retry-After
+  "error-envelope", // HTTP 200 con { status: "ERROR" }
+  "page-shift", // Listado normal con la ventana corrida por página (altas o bajas entre páginas)
+];
+
+/**
+ * Falla configurada en el mock server
+ * @typedef {object} Fault
+ * @property {string} id
+ * @property {string} type - Uno de FAULT_TYPES
+ * @property {string} method - Verbo HTTP o "*"
+ * @property {string} path - Ruta exacta o patrón (/api/coupon/:id)
+ * @property {string} [scope] - Solo aplica a peticiones con este header X-Mock-Scope
+ * @property {number} [times] - Cantidad de peticiones afectadas (sin límite si no se indica)
+ * @property {number} [delayMs] - latency
+ * @property {number} [status] - status (por defecto 503)
+ * @property {number} [retryAfter] - rate-limit, en segundos
+ * @property {string} [contentType] - content-type (por defecto text/html)
+ * @property {any} [data] - error-envelope y status: contenido de data
+ * @property {number} [shift] - page-shift: elementos que se corre cada página
+ *   (negativo repite los últimos de la anterior, positivo saltea; por defecto -1)
+ * @property {number} hits - Peticiones afectadas hasta ahora
+ */
+
+/**
+ * Registro de fallas por ruta del mock server
+ */
+class FaultInjector {
+  constructor() {
+    this.faults = [];
+  }
+
+  /**
+   * Registrar una falla
+   * @param {object} spec - Ver typedef Fault (id y hits se generan)
+   * @returns {Fault}
+   */
+  add(spec = {}) {
+    if (!FAULT_TYPES.includes(spec.type)) {
+      throw new Error(
+        `Tipo de falla no soportado: ${spec.type}. Usar: ${FAULT_TYPES.join(", ")}`
+      );
+    }
+    if (!spec.path) {
+      throw new Error("La falla necesita un path (por ejemplo /api/coupon/:id)");
+    }
+
+    const fault = {
+      ...spec,
+      method: (spec.method || "*").toUpperCase(),
+      id: crypto.randomUUID(),
+      hits: 0,
+      pattern: compileFaultPath(spec.path),
+    };
+    this.faults.push(fault);
+    return fault;
+  }
+
+  /**
+   * Listar las fallas activas
+   * @param {string} [scope] - Filtrar por scope
+   * @returns {Fault[]}
+   */
+  list(scope) {
+    return this.faults
+      .filter((fault) => !scope || fault.scope === scope)
+      .map(({ pattern, ...fault }) => fault);
+  }
+
+  /**
+   * Eliminar una falla por id
+   * @param {string} id
+   * @returns {boolean} true si existía
+   */
+  remove(id) {
+    const before = this.faults.length;
+    this.faults = this.faults.filter((fault) => fault.id !== id);
+    return this.faults.length < before;
+  }
+
+  /**
+   * Eliminar todas las fallas (o solo las de un scope)
+   * @param {string} [scope]
+   * @returns {number} Cantidad eliminada
+   */
+  clear(scope) {
+    const before = this.faults.length;
+    this.faults = scope
+      ? this.faults.filter((fault) => fault.scope !== scope)
+      : [];
+    return before - this.faults.length;
+  }
+
+  /**
+   * Buscar la falla que aplica a una petición y contabilizarla
+   * @param {string} method
+   * @param {string} pathname
+   * @param {string} [scope] - Valor del header X-Mock-Scope
+   * @returns {Fault|null}
+   */
+  take(method, pathname, scope) {
+    const fault = this.faults.find(
+      (candidate) =>
+        (candidate.method === "*" || candidate.method === method) &&
+        (!candidate.scope || candidate.scope === scope) &&
+        candidate.pattern.test(pathname)
+    );
+    if (!fault) return null;
+
+    fault.hits++;
+    if (fault.times !== undefined && fault.hits >= fault.times) {
+      this.remove(fault.id);
+    }
+    return fault;
+  }
+}
+
+/**
+ * Convertir el path de una falla en expresión regular (":param" acepta cualquier segmento)
+ * @param {string} path
+ * @returns {RegExp}
+ */
+function compileFaultPath(path) {
+  const source = path
+    .split("/")
+    .map((segment) =>
+      segment.startsWith(":")
+        ? "[^/]+"
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("/");
+  return new RegExp(`^${source}/?$`);
+}
+
+module.exports = { FaultInjector, FAULT_TYPES };
@@ -0,0 +1,102 @@
+// Límite por defecto de los listados cuando no se envía limit
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Respuesta exitosa con el envelope de la plataforma
+ * @param {any} data
+ * @param {object} extra - Campos adicionales del envelope (por ejemplo total)
+ * @returns {{status: number, body: object}}
+ */
+function ok(data, extra = {}) {
+  return { status: 200, body: { status: "OK", data, ...extra } };
+}
+
+/**
+ * Respuesta de error con el envelope de la plataforma
+ * @param {number} status - Status HTTP (la API real responde 200 en algunos errores)
+ * @param {any} data - Código o detalle del error
+ * @returns {{status: number, body: object}}
+ */
+function fail(status, data) {
+  return { status, body: { status: "ERROR", data } };
+}
+
+/**
+ * Aplicar limit + page u offset a un listado
+ * @param {any[]} items
+ * @param {object} query
+ * @returns {any[]}
+ */
+function paginateItems(items, query) {
+  const { limit, offset } = pageWindow(query);
+  return items.slice(offset, offset + limit);
+}
+
+/**
+ * Correr la ventana de un listado shift elementos por cada página anterior,
+ * como si entre una página y la siguiente se dieran de alta (shift < 0: se
+ * repiten elementos) o de baja (shift > 0: se saltean) elementos
+ * @param {object} query
+ * @param {number} shift
+ * @returns {object} Query con offset en lugar de page
+ */
+function shiftPageQuery(query, shift) {
+  const { limit, offset } = pageWindow(query);
+  const { page, ...rest } = query;
+  const shifted = offset + shift * Math.floor(offset / limit);
+  return { ...rest, offset: String(Math.max(shifted, 0)) };
+}
+
+/**
+ * limit y offset de un listado a partir de limit + page u offset
+ * @param {object} query
+ * @returns {{limit: number, offset: number}}
+ */
+function pageWindow(query) {
+  const limit = toNumber(query.limit) || DEFAULT_LIMIT;
+  const offset =
+    query.offset !== undefined
+      ? toNumber(query.offset) || 0
+      : ((toNumber(query.page) || 1) - 1) * limit;
+  return { limit, offset };
+}
+
+/**
+ * Ordenar un listado con sort y order (asc | desc)
+ * @param {any[]} items
+ * @param {object} query
+ * @param {string} defaultSort - Campo por defecto
+ * @returns {any[]}
+ */
+function sortItems(items, query, defaultSort = "date_created") {
+  const field = query.sort || defaultSort;
+  const direction = (query.order || (query.sort ? "asc" : "desc")) === "asc" ? 1 : -1;
+  return [...items].sort((a, b) => {
+    if (a[field] === b[field]) return 0;
+    return a[field] > b[field] ? direction : -direction;
+  });
+}
+
+/**
+ * Convertir un valor de form/query a número (NaN → undefined)
+ * @param {any} value
+ * @returns {number|undefined}
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Convertir "true"/"false" (o booleanos) a booleano; otro valor → undefined
+ * @param {any} value
+ * @returns {boolean|undefined}
+ */
+function toBoolean(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return undefined;
+}
+
+module.exports = { ok, fail, paginateItems, shiftPageQuery, sortItems, toNumber, toBoolean };
@@ -0,0 +1,442 @@
+const http = require("http");
+const { MockStore } = require("./mock-store.js");
+const { FaultInjector } = require("./fault-injector.js");
+const { ok, fail, shiftPageQuery } = require("./mock-response.js");
+const couponRoutes = require("./routes/coupons.js").routes;
+const couponGroupRoutes = require("./routes/coupon-groups.js").routes;
+const mediaRoutes = require("./routes/media.js").routes;
+const categoryRoutes = require("./routes/categories.js").routes;
+
+// Tokens aceptados por el mock: cuenta y rol de cada uno. Los expirados se
+// reconocen pero se rechazan con 401 TOKEN_EXPIRED
+const DEFAULT_TOKENS = {
+  "mock-admin-token": { account: "primary", role: "admin" },
+  "mock-read-only-token": { account: "primary", role: "read-only" },
+  "mock-second-account-token": { account: "secondary", role: "admin" },
+  "mock-expired-token": { account: "primary", role: "admin", expired: true },
+};
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Prefijo de la API de control (fallas, reset); no requiere token
+const CONTROL_PREFIX = "/__mock";
+
+/**
+ * Servidor HTTP en memoria que emula las APIs de cupones, grupos, media y
+ * categorías de la plataforma: mismo envelope { status, data }, mismos
+ * códigos de error y token obligatorio (header X-API-Token o ?token=).
+ * HEAD se atiende con la ruta GET y OPTIONS responde el preflight CORS.
+ *
+ * La API de control en /__mock permite inyectar fallas por ruta
+ * (ver fault-injector.js) y reiniciar el estado:
+ *   POST   /__mock/faults        { type, path, method?, scope?, times?, ... }
+ *   GET    /__mock/faults?scope=
+ *   DELETE /__mock/faults?scope=  |  DELETE /__mock/faults/{id}
+ *   POST   /__mock/reset
+ *   *      /__mock/echo          → { method, contentType, query, body } recibidos
+ */
+class MockServer {
+  /**
+   * @param {object} options
+   * @param {number} options.port - Puerto (0 = cualquiera libre)
+   * @param {object} options.tokens - Mapa token → { account, role, expired? }
+   * @param {boolean} options.seed - Cargar datos iniciales en cada cuenta
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 0;
+    this.tokens = options.tokens || DEFAULT_TOKENS;
+    this.store = new MockStore();
+    this.faults = new FaultInjector();
+    this.seedData = options.seed !== false;
+    this.routes = [
+      ...couponRoutes,
+      ...couponGroupRoutes,
+      ...mediaRoutes,
+      ...categoryRoutes,
+    ].map((route) => ({ ...route, pattern: compilePath(route.path) }));
+
+    this._seed();
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Iniciar el servidor
+   * @returns {Promise<string>} URL base (http://127.0.0.1:<puerto>)
+   */
+  async start() {
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, "127.0.0.1", resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Detener el servidor
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.server.closeAllConnections?.();
+    await new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Atender una petición: autenticación, ruteo y envelope
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://mock.local");
+    const query = Object.fromEntries(url.searchParams);
+
+    try {
+      if (url.pathname.startsWith(CONTROL_PREFIX)) {
+        return this._send(res, await this._handleControl(req, url, query));
+      }
+
+      if (req.method === "OPTIONS") {
+        return this._sendPreflight(req, res, url.pathname);
+      }
+
+      const match = this._match(req.method === "HEAD" ? "GET" : req.method, url.pathname);
+      if (!match) {
+        return this._send(res, fail(404, "NOT_FOUND"));
+      }
+
+      const fault = this.faults.take(
+        req.method,
+        url.pathname,
+        req.headers["x-mock-scope"]
+      );
+      if (fault && (await this._applyFault(fault, res))) {
+        return;
+      }
+
+      const token = req.headers["x-api-token"] || query.token;
+      const credentials = this.tokens[token];
+      if (!credentials) {
+        return this._send(res, fail(401, "INVALID_TOKEN"), fault);
+      }
+      if (credentials.expired) {
+        return this._send(res, fail(401, "TOKEN_EXPIRED"), fault);
+      }
+      if (credentials.role === "read-only" && !READ_METHODS.includes(req.method)) {
+        return this._send(res, fail(403, "FORBIDDEN"), fault);
+      }
+
+      const { body, files, error } = parseBody(
+        req.headers["content-type"],
+        await readBody(req)
+      );
+      if (error) {
+        return this._send(res, fail(400, error), fault);
+      }
+
+      delete query.token;
+      const result = await match.route.handler({
+        store: this.store,
+        account: this.store.accountId(credentials.account),
+        role: credentials.role,
+        params: match.params,
+        query: fault?.type === "page-shift" ? shiftPageQuery(query, fault.shift ?? -1) : query,
+        body,
+        files,
+        req,
+      });
+      this._send(res, result, fault);
+    } catch (error) {
+      this._send(res, fail(500, error.message));
+    }
+  }
+
+  /**
+   * Atender la API de control (/__mock/faults, /__mock/reset, /__mock/echo)
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   * @param {object} query
+   * @returns {Promise<{status: number, body: object}>}
+   */
+  async _handleControl(req, url, query) {
+    const path = url.pathname.slice(CONTROL_PREFIX.length);
+    const faultId = /^\/faults\/([^/]+)$/.exec(path)?.[1];
+
+    if (req.method === "POST" && path === "/reset") {
+      this.store.reset();
+      this.faults.clear();
+      this._seed();
+      return ok({ reset: true });
+    }
+    if (path === "/echo") {
+      // Lo que recibió el servidor, sin el token, para verificar lo que envía el cliente
+      const { token, ...params } = query;
+      return ok({
+        method: req.method,
+        contentType: req.headers["content-type"] || null,
+        query: params,
+        body: (await readBody(req)).toString("utf8"),
+      });
+    }
+    if (path === "/faults" && req.method === "GET") {
+      return ok(this.faults.list(query.scope));
+    }
+    if (path === "/faults" && req.method === "POST") {
+      const { body, error } = parseBody(
+        req.headers["content-type"],
+        await readBody(req)
+      );
+      if (error) return fail(400, error);
+      try {
+        const { pattern, ...fault } = this.faults.add(body);
+        return ok(fault);
+      } catch (addError) {
+        return fail(400, addError.message);
+      }
+    }
+    if (path === "/faults" && req.method === "DELETE") {
+      return ok({ removed: this.faults.clear(query.scope) });
+    }
+    if (faultId && req.method === "DELETE") {
+      return this.faults.remove(faultId)
+        ? ok({ removed: 1 })
+        : fail(404, "FAULT_NOT_FOUND");
+    }
+    return fail(404, "NOT_FOUND");
+  }
+
+  /**
+   * Aplicar las fallas que reemplazan la respuesta
+   * @param {import("./fault-injector.js").Fault} fault
+   * @param {http.ServerResponse} res
+   * @returns {Promise<boolean>} true si la respuesta ya quedó resuelta
+   */
+  async _applyFault(fault, res) {
+    switch (fault.type) {
+      case "latency":
+        await new Promise((resolve) => setTimeout(resolve, fault.delayMs ?? 1000));
+        return false;
+      case "timeout":
+        // No se responde; la conexión se libera cuando el cliente corta
+        return true;
+      case "status":
+        this._send(res, fail(fault.status ?? 503, fault.data ?? "SERVICE_UNAVAILABLE"));
+        return true;
+      case "rate-limit":
+        res.setHeader("Retry-After", String(fault.retryAfter ?? 1));
+        this._send(res, fail(429, fault.data ?? "RATE_LIMIT_EXCEEDED"));
+        return true;
+      case "error-envelope":
+        this._send(res, fail(200, fault.data ?? "INTERNAL_ERROR"));
+        return true;
+      case "malformed-json": {
+        const payload = '{"status": "OK", "data": [{"_id": ';
+        res.writeHead(200, {
+          "Content-Type": "application/json; charset=utf-8",
+          "Content-Length": Buffer.byteLength(payload),
+        });
+        res.end(payload);
+        return true;
+      }
+      default:
+        // content-type y truncated modifican la respuesta normal en _send;
+        // page-shift, el query que recibe la ruta
+        return false;
+    }
+  }
+
+  /**
+   * Responder un preflight CORS con los verbos que atiende el path
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} pathname
+   */
+  _sendPreflight(req, res, pathname) {
+    const methods = this.routes
+      .filter((route) => route.pattern.test(pathname))
+      .map((route) => route.method);
+    if (methods.length === 0) {
+      return this._send(res, fail(404, "NOT_FOUND"));
+    }
+    if (methods.includes("GET")) methods.push("HEAD");
+
+    res.writeHead(204, {
+      "Access-Control-Allow-Origin": req.headers.origin || "*",
+      "Access-Control-Allow-Methods": [...methods, "OPTIONS"].join(", "),
+      "Access-Control-Allow-Headers": "X-API-Token, Content-Type",
+    });
+    res.end();
+  }
+
+  /**
+   * Buscar la ruta que atiende un método y path
+   * @param {string} method
+   * @param {string} pathname
+   * @returns {{route: object, params: object}|null}
+   */
+  _match(method, pathname) {
+    for (const route of this.routes) {
+      if (route.method !== method) continue;
+      const result = route.pattern.exec(pathname);
+      if (result) {
+        const params = {};
+        for (const [key, value] of Object.entries(result.groups || {})) {
+          params[key] = decodeURIComponent(value);
+        }
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Escribir una respuesta JSON
+   * @param {http.ServerResponse} res
+   * @param {{status: number, body: object}} result
+   * @param {import("./fault-injector.js").Fault} [fault] - content-type o truncated
+   */
+  _send(res, result, fault) {
+    const payload = Buffer.from(JSON.stringify(result.body));
+    const contentType =
+      fault?.type === "content-type"
+        ? fault.contentType || "text/html; charset=utf-8"
+        : "application/json; charset=utf-8";
+
+    res.writeHead(result.status, {
+      "Content-Type": contentType,
+      "Content-Length": payload.length,
+    });
+
+    if (fault?.type === "truncated") {
+      // Se anuncia el cuerpo completo pero se corta la conexión a la mitad
+      res.write(payload.subarray(0, Math.floor(payload.length / 2)));
+      res.socket.destroy();
+      return;
+    }
+    res.end(payload);
+  }
+
+  /**
+   * Cargar los datos iniciales de cada cuenta configurada
+   */
+  _seed() {
+    if (!this.seedData) return;
+    const accounts = new Set(Object.values(this.tokens).map((t) => t.account));
+    accounts.forEach((account) => this.store.seed(account));
+  }
+}
+
+/**
+ * Convertir "/api/coupon/:id/search" en una expresión regular con grupos nombrados
+ * @param {string} path
+ * @returns {RegExp}
+ */
+function compilePath(path) {
+  const source = path.replace(/:(\w+)/g, "(?<$1>[^/]+)");
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Leer el cuerpo completo de una petición
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Interpretar el cuerpo según su Content-Type (form, JSON o multipart)
+ * @param {string} contentType
+ * @param {Buffer} raw
+ * @returns {{body: object, files: object, error?: string}}
+ */
+function parseBody(contentType = "", raw) {
+  if (raw.length === 0) return { body: {}, files: {} };
+
+  if (contentType.startsWith("application/json")) {
+    try {
+      return { body: JSON.parse(raw.toString("utf8")), files: {} };
+    } catch {
+      return { body: {}, files: {}, error: "INVALID_JSON" };
+    }
+  }
+
+  if (contentType.startsWith("multipart/form-data")) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType);
+    if (!boundary) return { body: {}, files: {}, error: "INVALID_MULTIPART" };
+    return parseMultipart(raw, boundary[1] || boundary[2]);
+  }
+
+  // Un campo repetido (categories=a&categories=b) llega como array
+  const params = new URLSearchParams(raw.toString("utf8"));
+  const body = {};
+  for (const key of new Set(params.keys())) {
+    const values = params.getAll(key);
+    body[key] = values.length > 1 ? values : values[0];
+  }
+  return { body, files: {} };
+}
+
+/**
+ * Separar un cuerpo multipart/form-data en campos y archivos
+ * @param {Buffer} raw
+ * @param {string} boundary
+ * @returns {{body: object, files: object}}
+ */
+function parseMultipart(raw, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const body = {};
+  const files = {};
+
+  let start = raw.indexOf(delimiter);
+  while (start !== -1) {
+    const next = raw.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Cada parte: \r\n<headers>\r\n\r\n<contenido>\r\n
+    const part = raw.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const content = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+      const mimeType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+      if (name && filename !== undefined) {
+        files[name] = { name: filename, mimeType, buffer: Buffer.from(content) };
+      } else if (name) {
+        body[name] = content.toString("utf8");
+      }
+    }
+    start = next;
+  }
+
+  return { body, files };
+}
+
+/**
+ * Crear e iniciar un mock server
+ * @param {object} options - Opciones de MockServer
+ * @returns {Promise<MockServer>}
+ */
+async function startMockServer(options = {}) {
+  const server = new MockServer(options);
+  await server.start();
+  return server;
+}
+
+// Uso directo: node test/mock-server/mock-server.js [puerto]
+if (require.main === module) {
+  startMockServer({ port: parseInt(process.argv[2] || "4010", 10) }).then(
+    (server) => console.log(`🧪 Mock server escuchando en ${server.url}`)
+  );
+}
+
+module.exports = { MockServer, startMockServer, DEFAULT_TOKENS };
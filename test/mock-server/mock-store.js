@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+
+/**
+ * Generar un ObjectId de MongoDB (24 caracteres hex)
+ * @returns {string}
+ */
+function objectId() {
+  const timestamp = Math.floor(Date.now() / 1000)
+    .toString(16)
+    .padStart(8, "0");
+  return timestamp + crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Estado en memoria del mock server. Cada recurso guarda el _id de la
+ * cuenta dueña para poder emular el aislamiento entre cuentas.
+ */
+class MockStore {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Vaciar todas las colecciones
+   */
+  reset() {
+    this.accounts = new Map();
+    this.groups = [];
+    this.subgroups = [];
+    this.coupons = [];
+    this.media = [];
+    this.categories = [];
+  }
+
+  /**
+   * Obtener (o crear) el _id de una cuenta por su nombre
+   * @param {string} name
+   * @returns {string}
+   */
+  accountId(name) {
+    if (!this.accounts.has(name)) {
+      this.accounts.set(name, objectId());
+    }
+    return this.accounts.get(name);
+  }
+
+  /**
+   * Cargar datos iniciales para una cuenta: grupos con cupones, categorías y medias
+   * @param {string} accountName
+   */
+  seed(accountName) {
+    const account = this.accountId(accountName);
+    const now = new Date();
+    const nextYear = new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000);
+
+    const groups = ["Promociones Mock", "Suscripciones Mock"].map((name) =>
+      this.insert("groups", {
+        name: `${name} ${accountName}`,
+        account,
+        gateway: "stripe",
+      })
+    );
+
+    const subgroup = this.insert("subgroups", {
+      group: groups[0]._id,
+      account,
+      name: "Lote inicial",
+    });
+
+    for (let i = 1; i <= 3; i++) {
+      this.insert("coupons", {
+        account,
+        group: groups[0]._id,
+        subgroup: subgroup._id,
+        code: `MOCK-${accountName.toUpperCase()}-${i}`,
+        is_reusable: false,
+        is_used: i === 3,
+        is_active: true,
+        payment_required: false,
+        valid_from: now.toISOString(),
+        valid_to: nextYear.toISOString(),
+        max_use: 1,
+        customer_max_use: 1,
+        discount_type: "percent",
+        percent: 10 * i,
+        type: "ppv-live",
+        type_code: `mock_seed_${i}`,
+        detail: `Cupón semilla ${i}`,
+      });
+    }
+
+    const categories = ["Deportes", "Noticias", "Series"].map((name) =>
+      this.insert("categories", {
+        account,
+        name: `${name} ${accountName}`,
+        description: `Categoría mock de ${name.toLowerCase()}`,
+        visible: true,
+        media: [],
+        image: null,
+      })
+    );
+
+    for (let i = 1; i <= 12; i++) {
+      const category = categories[i % categories.length];
+      const media = this.insert("media", {
+        account,
+        title: `Video mock ${i} ${accountName}`,
+        slug: `video-mock-${i}-${accountName}`,
+        status: "OK",
+        description: `Contenido de prueba número ${i}`,
+        type: i % 4 === 0 ? "audio" : "video",
+        duration: 60 * i,
+        views: 25 * i,
+        is_published: i % 5 !== 0,
+        is_initialized: true,
+        tags: [i % 2 === 0 ? "par" : "impar"],
+        categories: i % 6 === 0 ? [] : [category._id],
+        date_created: new Date(now.getTime() - i * 60 * 60 * 1000).toISOString(),
+      });
+      if (media.categories.length > 0) category.media.push(media._id);
+    }
+  }
+
+  /**
+   * Insertar un documento con _id, date_created y __v
+   * @param {string} collection
+   * @param {object} document
+   * @returns {object} Documento insertado
+   */
+  insert(collection, document) {
+    const record = {
+      _id: objectId(),
+      date_created: new Date().toISOString(),
+      __v: 0,
+      ...document,
+    };
+    this[collection].push(record);
+    return record;
+  }
+
+  /**
+   * Buscar un documento de una cuenta por _id
+   * @param {string} collection
+   * @param {string} account
+   * @param {string} id
+   * @returns {object|undefined}
+   */
+  find(collection, account, id) {
+    return this[collection].find(
+      (item) => item._id === id && item.account === account
+    );
+  }
+
+  /**
+   * Listar los documentos de una cuenta
+   * @param {string} collection
+   * @param {string} account
+   * @returns {object[]}
+   */
+  list(collection, account) {
+    return this[collection].filter((item) => item.account === account);
+  }
+
+  /**
+   * Eliminar un documento por _id
+   * @param {string} collection
+   * @param {string} id
+   */
+  remove(collection, id) {
+    this[collection] = this[collection].filter((item) => item._id !== id);
+  }
+}
+
+module.exports = { MockStore, objectId };
@@ -0,0 +1,206 @@
+const { ok, fail, paginateItems, sortItems, toBoolean } = require("../mock-response.js");
+const { serializeMedia } = require("./media.js");
+
+// Firmas de los formatos de imagen aceptados
+const IMAGE_SIGNATURES = [
+  Buffer.from([0xff, 0xd8, 0xff]), // JPEG
+  Buffer.from([0x89, 0x50, 0x4e, 0x47]), // PNG
+];
+
+/**
+ * Generar el slug de una categoría a partir de su nombre
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Serializar una categoría como la devuelve la API
+ * @param {object} category
+ * @returns {object}
+ */
+function serializeCategory(category) {
+  const { media, ...fields } = category;
+  return { ...fields, slug: slugify(category.name) };
+}
+
+/**
+ * Validar nombre y flags de una categoría; devuelve un mensaje de error o null
+ * @param {object} body
+ * @param {boolean} partial - true en actualizaciones (name opcional)
+ * @returns {string|null}
+ */
+function validateCategoryPayload(body, partial = false) {
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || body.name.trim() === "") {
+      return "name is required";
+    }
+  }
+  if (body.is_active !== undefined && toBoolean(body.is_active) === undefined) {
+    return "is_active must be boolean";
+  }
+  return null;
+}
+
+/**
+ * Campos de la categoría a partir del cuerpo recibido
+ * @param {object} body
+ * @returns {object}
+ */
+function categoryFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.is_active !== undefined) fields.visible = toBoolean(body.is_active);
+  if (body.parent !== undefined) fields.parent = body.parent || null;
+  return fields;
+}
+
+const routes = [
+  {
+    method: "GET",
+    path: "/api/category",
+    handler: ({ store, account, query }) => {
+      let categories = store.list("categories", account);
+      if (query.search) {
+        const search = String(query.search).toLowerCase();
+        categories = categories.filter((c) => c.name.toLowerCase().includes(search));
+      }
+      const page = paginateItems(sortItems(categories, query), query);
+      return ok(page.map(serializeCategory));
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/category",
+    handler: ({ store, account, body }) => {
+      const validationError = validateCategoryPayload(body);
+      if (validationError) return fail(400, validationError);
+
+      const duplicated = store
+        .list("categories", account)
+        .some((c) => c.name === body.name);
+      if (duplicated) return fail(409, "CATEGORY_NAME_ALREADY_EXISTS");
+
+      const category = store.insert("categories", {
+        account,
+        description: "",
+        visible: true,
+        parent: null,
+        image: null,
+        media: [],
+        ...categoryFields(body),
+      });
+      return ok(serializeCategory(category));
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/category/:id",
+    handler: ({ store, account, params }) => {
+      const category = store.find("categories", account, params.id);
+      return category ? ok(serializeCategory(category)) : fail(404, null);
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/category/:id",
+    handler: ({ store, account, params, body }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+
+      const validationError = validateCategoryPayload(body, true);
+      if (validationError) return fail(400, validationError);
+
+      Object.assign(category, categoryFields(body));
+      category.__v++;
+      return ok(serializeCategory(category));
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/api/category/:id",
+    handler: ({ store, account, params }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+
+      store.remove("categories", category._id);
+      store.media.forEach((media) => {
+        media.categories = media.categories.filter((id) => id !== category._id);
+      });
+      return ok(serializeCategory(category));
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/category/:id/media",
+    handler: ({ store, account, params }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+
+      const media = category.media
+        .map((id) => store.find("media", account, id))
+        .filter(Boolean);
+      return ok(media.map((item) => serializeMedia(store, item)));
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/category/:id/media",
+    handler: ({ store, account, params, body }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+
+      const media = store.find("media", account, body.media_id);
+      if (!media) return fail(400, "MEDIA_NOT_FOUND");
+
+      if (!category.media.includes(media._id)) category.media.push(media._id);
+      if (!media.categories.includes(category._id)) media.categories.push(category._id);
+      return ok(serializeCategory(category));
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/category/:id/image",
+    handler: ({ store, account, params, files }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+
+      const image = files.image;
+      if (!image) return fail(400, "IMAGE_REQUIRED");
+      const isImage = IMAGE_SIGNATURES.some(
+        (signature) => image.buffer.subarray(0, signature.length).equals(signature)
+      );
+      if (!isImage) return fail(400, "INVALID_IMAGE");
+
+      category.image = {
+        name: image.name,
+        mimeType: image.mimeType,
+        size: image.buffer.length,
+        url: `https://mock.local/categories/${category._id}/${image.name}`,
+      };
+      return ok(serializeCategory(category));
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/api/category/:id/image",
+    handler: ({ store, account, params }) => {
+      const category = store.find("categories", account, params.id);
+      if (!category) return fail(404, null);
+      if (!category.image) return fail(404, "IMAGE_NOT_FOUND");
+
+      category.image = null;
+      return ok(serializeCategory(category));
+    },
+  },
+];
+
+module.exports = { routes };
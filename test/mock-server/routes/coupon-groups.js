@@ -0,0 +1,86 @@
+const { ok, fail, paginateItems, sortItems } = require("../mock-response.js");
+const { serializeCoupon } = require("./coupons.js");
+
+/**
+ * Contadores de cupones de un conjunto
+ * @param {import("../mock-store.js").MockStore} store
+ * @param {object[]} coupons
+ * @returns {{total: number, used: number, valid: number}}
+ */
+function countCoupons(store, coupons) {
+  const serialized = coupons.map((coupon) => serializeCoupon(store, coupon));
+  return {
+    total: serialized.length,
+    used: serialized.filter((c) => c.is_used).length,
+    valid: serialized.filter((c) => c.is_valid).length,
+  };
+}
+
+/**
+ * Serializar un grupo con sus contadores (ver grupo-list.schema.json)
+ * @param {import("../mock-store.js").MockStore} store
+ * @param {object} group
+ * @returns {object}
+ */
+function serializeGroup(store, group) {
+  const counts = countCoupons(
+    store,
+    store.coupons.filter((c) => c.group === group._id)
+  );
+  return {
+    coupon_total: counts.total,
+    coupon_used_total: counts.used,
+    coupon_valid_total: counts.valid,
+    _id: group._id,
+    name: group.name,
+    account: group.account,
+    date_created: group.date_created,
+    gateway: group.gateway,
+    _name: group.name.toLowerCase(),
+    __v: group.__v,
+  };
+}
+
+const routes = [
+  {
+    method: "GET",
+    path: "/api/coupon-group",
+    handler: ({ store, account, query }) => {
+      const groups = paginateItems(
+        sortItems(store.list("groups", account), query),
+        query
+      );
+      return ok(groups.map((group) => serializeGroup(store, group)));
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/coupon-group/:id",
+    handler: ({ store, account, params }) => {
+      const group = store.find("groups", account, params.id);
+      if (!group) return fail(200, null);
+
+      // El detalle de un grupo es la lista de sus subgrupos
+      const subgroups = store.subgroups
+        .filter((subgroup) => subgroup.group === group._id)
+        .map((subgroup) => {
+          const counts = countCoupons(
+            store,
+            store.coupons.filter((c) => c.subgroup === subgroup._id)
+          );
+          return {
+            _id: subgroup._id,
+            name: subgroup.name,
+            group: group._id,
+            date_created: subgroup.date_created,
+            total: counts.total,
+            used: counts.used,
+            valid: counts.valid,
+          };
+        });
+      return ok(subgroups);
+    },
+  },
+];
+
+module.exports = { routes };
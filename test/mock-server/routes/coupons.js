@@ -0,0 +1,231 @@
+const crypto = require("crypto");
+const { ok, fail, paginateItems, sortItems, toNumber, toBoolean } = require("../mock-response.js");
+
+const OBJECT_ID_PATTERN = /^[a-fA-F0-9]{24}$/;
+const DISCOUNT_TYPES = ["percent", "amount"];
+
+// Campos que POST /api/coupon/{id} puede modificar (el código nunca cambia)
+const UPDATABLE_FIELDS = [
+  "valid_from",
+  "valid_to",
+  "is_reusable",
+  "max_use",
+  "customer_max_use",
+  "detail",
+  "discount_type",
+  "percent",
+  "amount",
+  "type",
+  "type_code",
+  "payment_required",
+  "metadata",
+];
+
+/**
+ * Serializar un cupón como lo devuelve la API (grupo poblado, campos _code/_detail)
+ * @param {import("../mock-store.js").MockStore} store
+ * @param {object} coupon
+ * @returns {object}
+ */
+function serializeCoupon(store, coupon) {
+  const group = store.groups.find((g) => g._id === coupon.group);
+  const now = Date.now();
+  const inWindow =
+    Date.parse(coupon.valid_from) <= now && now <= Date.parse(coupon.valid_to);
+
+  return {
+    ...coupon,
+    id: coupon._id,
+    group: group
+      ? { _id: group._id, name: group.name, gateway: group.gateway }
+      : coupon.group,
+    percent: coupon.percent ?? 0,
+    is_valid: coupon.is_active && !coupon.is_used && inWindow,
+    _code: coupon.code.toLowerCase(),
+    _detail: (coupon.detail || "").toLowerCase(),
+  };
+}
+
+/**
+ * Validar los datos de creación; devuelve un mensaje de error o null
+ * @param {object} body
+ * @returns {string|null}
+ */
+function validateCouponPayload(body) {
+  const errors = [];
+  if (!body.group) errors.push("group is required");
+  for (const field of ["valid_from", "valid_to"]) {
+    if (Number.isNaN(Date.parse(body[field]))) errors.push(`${field} must be a date`);
+  }
+  for (const field of ["is_reusable", "payment_required"]) {
+    if (toBoolean(body[field]) === undefined) errors.push(`${field} must be boolean`);
+  }
+  if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+    errors.push("discount_type must be percent or amount");
+  }
+  if (body.discount_type === "percent") {
+    const percent = toNumber(body.percent);
+    if (percent === undefined || percent < 0 || percent > 100) {
+      errors.push("percent must be between 0 and 100");
+    }
+  }
+  if (body.discount_type === "amount" && toNumber(body.amount) === undefined) {
+    errors.push("amount must be a number");
+  }
+  const quantity = body.quantity === undefined ? 1 : toNumber(body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    errors.push("quantity must be a positive integer");
+  }
+  for (const field of ["max_use", "customer_max_use"]) {
+    const value = toNumber(body[field]);
+    if (body[field] !== undefined && (value === undefined || value < 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  }
+  if (!body.type) errors.push("type is required");
+  if (!body.type_code) errors.push("type_code is required");
+
+  return errors.length > 0 ? errors.join(", ") : null;
+}
+
+/**
+ * Normalizar campos de form a los tipos que guarda la API
+ * @param {object} body
+ * @returns {object}
+ */
+function normalizeFields(body) {
+  const fields = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (["is_reusable", "payment_required"].includes(field)) {
+      fields[field] = toBoolean(body[field]);
+    } else if (["max_use", "customer_max_use", "percent", "amount"].includes(field)) {
+      fields[field] = toNumber(body[field]);
+    } else if (field === "metadata" && typeof body.metadata === "string") {
+      try {
+        fields.metadata = JSON.parse(body.metadata);
+      } catch {
+        fields.metadata = body.metadata;
+      }
+    } else {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Generar un código de cupón aleatorio
+ * @returns {string}
+ */
+function generateCode() {
+  return crypto.randomBytes(4).toString("hex").toUpperCase();
+}
+
+const routes = [
+  {
+    method: "GET",
+    path: "/api/coupon",
+    handler: ({ store, account, query }) => {
+      let coupons = store.list("coupons", account);
+      if (query.group) coupons = coupons.filter((c) => c.group === query.group);
+      if (query.subgroup) coupons = coupons.filter((c) => c.subgroup === query.subgroup);
+      if (query.search) {
+        const search = String(query.search).toLowerCase();
+        coupons = coupons.filter((c) => c.code.toLowerCase().includes(search));
+      }
+      const page = paginateItems(sortItems(coupons, query), query);
+      return ok(page.map((coupon) => serializeCoupon(store, coupon)));
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/coupon",
+    handler: ({ store, account, body }) => {
+      const validationError = validateCouponPayload(body);
+      if (validationError) return fail(400, validationError);
+
+      if (!OBJECT_ID_PATTERN.test(body.group) || !store.find("groups", account, body.group)) {
+        return fail(400, "COUPON_GROUP_NOT_FOUND");
+      }
+
+      const isReusable = toBoolean(body.is_reusable);
+      // El código propio solo se respeta en cupones reutilizables
+      if (isReusable && body.custom_code) {
+        const exists = store
+          .list("coupons", account)
+          .some((c) => c.code === body.custom_code);
+        if (exists) return fail(400, "COUPON_CODE_ALREADY_EXISTS");
+      }
+
+      const subgroup = store.insert("subgroups", {
+        group: body.group,
+        account,
+        name: body.detail || body.type_code,
+      });
+
+      const quantity = isReusable ? 1 : toNumber(body.quantity) || 1;
+      const created = [];
+      for (let i = 0; i < quantity; i++) {
+        created.push(
+          store.insert("coupons", {
+            account,
+            group: body.group,
+            subgroup: subgroup._id,
+            code: isReusable && body.custom_code ? body.custom_code : generateCode(),
+            is_used: false,
+            is_active: true,
+            percent: 0,
+            ...normalizeFields(body),
+          })
+        );
+      }
+
+      return ok(created.map((coupon) => serializeCoupon(store, coupon)));
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/coupon/:code/search",
+    handler: ({ store, account, params }) => {
+      const coupon = store
+        .list("coupons", account)
+        .find((c) => c.code === params.code);
+      return coupon ? ok(serializeCoupon(store, coupon)) : fail(200, null);
+    },
+  },
+  {
+    method: "GET",
+    path: "/api/coupon/:id",
+    handler: ({ store, account, params }) => {
+      const coupon = store.find("coupons", account, params.id);
+      return coupon ? ok(serializeCoupon(store, coupon)) : fail(200, null);
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/coupon/:id",
+    handler: ({ store, account, params, body }) => {
+      const coupon = store.find("coupons", account, params.id);
+      if (!coupon) return fail(200, null);
+
+      // La API ignora custom_code al actualizar: el código original se mantiene
+      Object.assign(coupon, normalizeFields(body));
+      coupon.__v++;
+      return ok(serializeCoupon(store, coupon));
+    },
+  },
+  {
+    method: "DELETE",
+    path: "/api/coupon/:id",
+    handler: ({ store, account, params }) => {
+      const coupon = store.find("coupons", account, params.id);
+      if (!coupon) return fail(200, "COUPON_NOT_FOUND");
+
+      store.remove("coupons", coupon._id);
+      return ok(serializeCoupon(store, coupon));
+    },
+  },
+];
+
+module.exports = { routes, serializeCoupon };
@@ -0,0 +1,118 @@
+const { ok, fail, paginateItems, sortItems, toNumber, toBoolean } = require("../mock-response.js");
+
+// Campos que POST /api/media/{id} puede modificar
+const UPDATABLE_FIELDS = ["title", "description", "is_published", "categories", "tags"];
+
+/**
+ * Serializar un media como lo devuelve la API (categorías pobladas)
+ * @param {import("../mock-store.js").MockStore} store
+ * @param {object} media
+ * @returns {object}
+ */
+function serializeMedia(store, media) {
+  return {
+    ...media,
+    id: media._id,
+    categories: media.categories
+      .map((id) => store.categories.find((category) => category._id === id))
+      .filter(Boolean)
+      .map((category) => ({ _id: category._id, name: category.name })),
+    thumbnails: [{ url: `https://mock.local/thumbs/${media._id}.jpg` }],
+    preview: { mp4: `https://mock.local/previews/${media._id}.mp4` },
+    protocols: { hls: `https://mock.local/hls/${media._id}.m3u8` },
+    meta: [],
+    access_rules: {},
+    access_restrictions: {},
+    show_info: null,
+  };
+}
+
+/**
+ * Aplicar los filtros soportados por GET /api/media
+ * @param {import("../mock-store.js").MockStore} store
+ * @param {object[]} items
+ * @param {object} query
+ * @returns {object[]}
+ */
+function filterMedia(store, items, query) {
+  let result = items;
+
+  if (query.id) result = result.filter((m) => m._id === query.id);
+  if (query.query) {
+    const text = String(query.query).toLowerCase();
+    result = result.filter((m) => m.title.toLowerCase().includes(text));
+  }
+  if (query.type) result = result.filter((m) => m.type === query.type);
+  if (query.category) {
+    // Se acepta el _id o el nombre de la categoría
+    const category = store.categories.find(
+      (c) => c._id === query.category || c.name === query.category
+    );
+    result = category
+      ? result.filter((m) => m.categories.includes(category._id))
+      : [];
+  }
+  if (toBoolean(query.without_category)) {
+    result = result.filter((m) => m.categories.length === 0);
+  }
+
+  const minDuration = toNumber(query.min_duration);
+  const maxDuration = toNumber(query.max_duration);
+  const minViews = toNumber(query.min_views);
+  if (minDuration !== undefined) result = result.filter((m) => m.duration >= minDuration);
+  if (maxDuration !== undefined) result = result.filter((m) => m.duration <= maxDuration);
+  if (minViews !== undefined) result = result.filter((m) => m.views >= minViews);
+
+  return result;
+}
+
+const routes = [
+  {
+    method: "GET",
+    path: "/api/media",
+    handler: ({ store, account, query }) => {
+      const filtered = filterMedia(store, store.list("media", account), query);
+      const page = paginateItems(sortItems(filtered, query), query);
+      const extra = toBoolean(query.count) ? { total: filtered.length } : {};
+      return ok(
+        page.map((media) => serializeMedia(store, media)),
+        extra
+      );
+    },
+  },
+  {
+    method: "POST",
+    path: "/api/media/:id",
+    handler: ({ store, account, params, body }) => {
+      const media = store.find("media", account, params.id);
+      if (!media) return fail(404, "MEDIA_NOT_FOUND");
+
+      const fields = Object.fromEntries(
+        Object.entries(body || {}).filter(([field]) => UPDATABLE_FIELDS.includes(field))
+      );
+      if (Object.keys(fields).length === 0) return fail(400, "NOTHING_TO_UPDATE");
+      if (fields.is_published !== undefined) fields.is_published = toBoolean(fields.is_published);
+
+      if (fields.categories !== undefined) {
+        // En un formulario la lista vacía llega como un campo vacío
+        const categories = [].concat(fields.categories).filter(Boolean);
+        if (!categories.every((id) => store.find("categories", account, id))) {
+          return fail(400, "CATEGORY_NOT_FOUND");
+        }
+        // La asociación se guarda en los dos lados (ver POST /api/category/{id}/media)
+        store.list("categories", account).forEach((category) => {
+          const linked = categories.includes(category._id);
+          category.media = category.media.filter((id) => id !== media._id);
+          if (linked) category.media.push(media._id);
+        });
+        fields.categories = categories;
+      }
+
+      Object.assign(media, fields);
+      media.__v++;
+      return ok(serializeMedia(store, media));
+    },
+  },
+];
+
+module.exports = { routes, serializeMedia };
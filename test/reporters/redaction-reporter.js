@@ -0,0 +1,64 @@
+const { redactText, registerEnvSecrets } = require("../utils/redactor.js");
+const { redactTraceArchive } = require("../utils/trace-redactor.js");
+
+// Adjuntos en memoria cuyo contenido es texto y puede contener secretos
+const TEXT_CONTENT_TYPE = /^(text\/|application\/(json|xml|x-www-form-urlencoded))/;
+
+/**
+ * Reporter que oculta secretos antes de que el reporte HTML/JSON los publique.
+ * Debe declararse antes que los demás reporters en playwright.config.js: el
+ * HTML y el JSON leen los adjuntos y la salida estándar ya saneados.
+ */
+class RedactionReporter {
+  onBegin() {
+    // El reporter se crea antes de cargar los specs; para cuando empieza la
+    // corrida api-client.js ya cargó .env en este proceso
+    registerEnvSecrets();
+  }
+
+  onTestEnd(test, result) {
+    result.stdout = result.stdout.map(redactChunk);
+    result.stderr = result.stderr.map(redactChunk);
+
+    for (const error of result.errors || []) {
+      if (error.message) error.message = redactText(error.message);
+      if (error.stack) error.stack = redactText(error.stack);
+      if (error.snippet) error.snippet = redactText(error.snippet);
+    }
+
+    for (const attachment of result.attachments) {
+      if (attachment.body && TEXT_CONTENT_TYPE.test(attachment.contentType)) {
+        attachment.body = Buffer.from(
+          redactText(attachment.body.toString("utf8"))
+        );
+      }
+
+      if (attachment.path && attachment.name === "trace") {
+        try {
+          redactTraceArchive(attachment.path);
+        } catch (error) {
+          console.warn(
+            `[redaction-reporter] No se pudo sanear el trace ${attachment.path}: ${error.message}`
+          );
+        }
+      }
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+/**
+ * Ocultar secretos en un fragmento de stdout/stderr (string o Buffer)
+ * @param {string|Buffer} chunk
+ * @returns {string|Buffer}
+ */
+function redactChunk(chunk) {
+  return Buffer.isBuffer(chunk)
+    ? Buffer.from(redactText(chunk.toString("utf8")))
+    : redactText(chunk);
+}
+
+module.exports = RedactionReporter;
@@ -0,0 +1,244 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  DRIFT_ATTACHMENT,
+  DRIFT_KINDS,
+  DRIFT_LABELS,
+} = require("../utils/schemas/schema-drift.js");
+
+const SUMMARY_FILE = "schema-drift.json";
+const HTML_FILE = "schema-drift.html";
+const DEFAULT_HISTORY = path.join("schema-drift", "history.jsonl");
+
+// Corridas anteriores que se muestran en la página de drift
+const HISTORY_ROWS = 10;
+
+/**
+ * Reporter que junta el drift de schemas de todos los tests (adjuntos
+ * schema-drift.json de ApiClient) y al terminar el run:
+ *
+ *   - escribe playwright-report/schema-drift.json (lo lee scripts/slack-report.js)
+ *   - escribe playwright-report/schema-drift.html, la sección de drift del reporte
+ *   - agrega una línea al historial (SCHEMA_DRIFT_HISTORY, por defecto
+ *     schema-drift/history.jsonl) y marca los cambios que no estaban en la corrida anterior
+ *
+ * Debe declararse después del reporter html, que vacía su carpeta al escribir.
+ */
+class SchemaDriftReporter {
+  /**
+   * @param {object} options
+   * @param {string} options.outputFolder - Carpeta del reporte HTML (por defecto playwright-report)
+   * @param {string} options.historyFile - Historial de corridas
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.changes = new Map();
+  }
+
+  onBegin(config) {
+    const rootDir = config.configFile ? path.dirname(config.configFile) : process.cwd();
+    this.outputFolder = path.resolve(rootDir, this.options.outputFolder || "playwright-report");
+    this.historyFile = path.resolve(
+      rootDir,
+      process.env.SCHEMA_DRIFT_HISTORY || this.options.historyFile || DEFAULT_HISTORY
+    );
+  }
+
+  onTestEnd(test, result) {
+    const attachment = result.attachments.find(
+      (item) => item.name === DRIFT_ATTACHMENT && item.body
+    );
+    if (!attachment) return;
+
+    let entries;
+    try {
+      entries = JSON.parse(attachment.body.toString("utf8"));
+    } catch (error) {
+      console.warn(`[schema-drift-reporter] Adjunto inválido en "${test.title}": ${error.message}`);
+      return;
+    }
+
+    const title = test.titlePath().filter(Boolean).slice(1).join(" › ");
+    for (const entry of entries) {
+      const key = changeKey(entry);
+      if (!this.changes.has(key)) {
+        this.changes.set(key, { ...entry, tests: new Set(), occurrences: 0 });
+      }
+      const change = this.changes.get(key);
+      change.tests.add(title);
+      change.occurrences++;
+    }
+  }
+
+  onEnd(result) {
+    const history = readHistory(this.historyFile);
+    const previous = history[history.length - 1];
+    const previousKeys = new Set((previous?.changes || []).map(changeKey));
+
+    const changes = [...this.changes.values()]
+      .map(({ tests, ...change }) => ({
+        ...change,
+        tests: [...tests],
+        new: !previousKeys.has(changeKey(change)),
+      }))
+      .sort(
+        (a, b) =>
+          Number(b.breaking) - Number(a.breaking) ||
+          DRIFT_KINDS.indexOf(a.kind) - DRIFT_KINDS.indexOf(b.kind) ||
+          a.schema.localeCompare(b.schema)
+      );
+
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      environment: process.env.ENVIRONMENT || process.env.NODE_ENV || "development",
+      status: result.status,
+      totals: {
+        additive: changes.filter((change) => !change.breaking).length,
+        breaking: changes.filter((change) => change.breaking).length,
+        new: changes.filter((change) => change.new).length,
+      },
+      changes,
+    };
+
+    const run = {
+      date: summary.generatedAt,
+      environment: summary.environment,
+      status: summary.status,
+      ...summary.totals,
+      changes: changes.map(({ schema, kind, path: field, breaking }) => ({
+        schema,
+        kind,
+        path: field,
+        breaking,
+      })),
+    };
+
+    fs.mkdirSync(this.outputFolder, { recursive: true });
+    fs.writeFileSync(path.join(this.outputFolder, SUMMARY_FILE), JSON.stringify(summary, null, 2));
+    fs.writeFileSync(
+      path.join(this.outputFolder, HTML_FILE),
+      renderHtml(summary, [...history, run].slice(-HISTORY_ROWS))
+    );
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    fs.appendFileSync(this.historyFile, `${JSON.stringify(run)}\n`);
+
+    if (changes.length > 0) {
+      console.log(
+        `📐 Drift de schemas: ${summary.totals.breaking} cambios que rompen el contrato, ${summary.totals.additive} aditivos (${summary.totals.new} nuevos). Ver ${path.relative(process.cwd(), path.join(this.outputFolder, HTML_FILE))}`
+      );
+    }
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+/**
+ * Clave de un cambio: mismo schema, tipo de cambio y campo
+ * @param {{schema: string, kind: string, path: string}} change
+ * @returns {string}
+ */
+function changeKey(change) {
+  return `${change.schema}|${change.kind}|${change.path}`;
+}
+
+/**
+ * Leer el historial de corridas (una línea JSON por corrida)
+ * @param {string} file
+ * @returns {object[]}
+ */
+function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Página HTML con el drift del run y las últimas corridas
+ * @param {object} summary
+ * @param {object[]} runs
+ * @returns {string}
+ */
+function renderHtml(summary, runs) {
+  const rows = summary.changes
+    .map(
+      (change) => `
+      <tr class="${change.breaking ? "breaking" : "additive"}">
+        <td>${change.breaking ? "Rompe el contrato" : "Aditivo"}${change.new ? " <b>(nuevo)</b>" : ""}</td>
+        <td>${escapeHtml(DRIFT_LABELS[change.kind])}</td>
+        <td><code>${escapeHtml(change.schema)}</code></td>
+        <td><code>${escapeHtml(change.path)}</code></td>
+        <td>${escapeHtml(change.expected ? `${change.expected} → ${change.actual}` : change.actual || "")}</td>
+        <td>${escapeHtml(`${change.method} ${change.route}`)}</td>
+        <td>${change.tests.map(escapeHtml).join("<br>")}</td>
+      </tr>`
+    )
+    .join("");
+
+  const historyRows = runs
+    .slice()
+    .reverse()
+    .map(
+      (run) => `
+      <tr><td>${escapeHtml(run.date)}</td><td>${escapeHtml(run.environment)}</td><td>${escapeHtml(run.status)}</td><td>${run.breaking}</td><td>${run.additive}</td><td>${run.new}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Drift de schemas</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 14px; }
+    th { background: #f4f4f4; }
+    tr.breaking td:first-child { color: #b00020; font-weight: 600; }
+    tr.additive td:first-child { color: #8a6d00; }
+  </style>
+</head>
+<body>
+  <h1>📐 Drift de schemas</h1>
+  <p>${escapeHtml(summary.generatedAt)} · ${escapeHtml(summary.environment)} ·
+    <b>${summary.totals.breaking}</b> cambios que rompen el contrato ·
+    <b>${summary.totals.additive}</b> aditivos · <b>${summary.totals.new}</b> nuevos desde la corrida anterior</p>
+  ${
+    summary.changes.length === 0
+      ? "<p>Las respuestas coinciden con los schemas de src/schemas.</p>"
+      : `<table>
+    <tr><th>Impacto</th><th>Cambio</th><th>Schema</th><th>Campo</th><th>Detalle</th><th>Endpoint</th><th>Tests</th></tr>${rows}
+  </table>`
+  }
+  <h2>Últimas corridas</h2>
+  <table>
+    <tr><th>Fecha</th><th>Ambiente</th><th>Resultado</th><th>Rompen</th><th>Aditivos</th><th>Nuevos</th></tr>${historyRows}
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = SchemaDriftReporter;
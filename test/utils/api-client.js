@@ -1,96 +1,677 @@
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const { test } = require("@playwright/test");
+const { RetryPolicy, sleep } = require("./retry-policy.js");
+const { getProfile, missingProfileMessage } = require("./profiles.js");
+const { Paginator } = require("./paginator.js");
+const { Cassette } = require("./cassette.js");
+const { HarRecorder } = require("./har.js");
+const { getSchemaRegistry } = require("./schemas/schema-registry.js");
+const { SchemaValidationError } = require("./schemas/schema-validation-error.js");
+const { DriftRecorder } = require("./schemas/schema-drift.js");
+const { ResourceTracker } = require("./resources/resource-tracker.js");
+const {
+  redact,
+  redactText,
+  redactError,
+  registerSecret,
+} = require("./redactor.js");
+
+// Codificaciones de cuerpo soportadas por petición
+const ENCODINGS = ["form", "json", "raw", "multipart"];
+
+// Estrategias de autenticación soportadas (además de una función propia)
+const AUTH_MODES = ["header", "query", "both", "none"];
+const DEFAULT_AUTH_MODE = process.env.API_AUTH_MODE || "both";
+
+// Métodos y status cuya respuesta no trae cuerpo que interpretar
+const METHODS_WITHOUT_BODY = ["HEAD", "OPTIONS"];
+const STATUSES_WITHOUT_BODY = [204, 205, 304];
+
+/**
+ * Resultado de cualquier llamada de ApiClient
+ * @typedef {object} ApiResponse
+ * @property {number} status - Status HTTP
+ * @property {object} headers - Headers de respuesta (nombres en minúscula)
+ * @property {any} data - Cuerpo interpretado (JSON, texto o null)
+ * @property {string} rawText - Cuerpo sin interpretar
+ * @property {string} url - URL final con el token oculto
+ * @property {{total: number, request: number, parse: number, retryWait: number}} timing - Tiempos en ms
+ * @property {object} request - Petición enviada (sin secretos)
+ * @property {number} attempts - Intentos realizados
+ * @property {string|null} schema - Schema contra el que se validó la respuesta
+ */
 
 class ApiClient {
-  constructor(request) {
+  /**
+   * @param {import("@playwright/test").APIRequestContext} request
+   * @param {object} options
+   * @param {object} options.retry - Opciones de RetryPolicy para todas las peticiones
+   * @param {string|Function} options.auth - header | query | both | none, o una
+   *   función ({method, endpoint, token}) => ({headers, params})
+   * @param {string} options.profile - Perfil de credenciales (admin, read-only,
+   *   second-account...). Por defecto API_PROFILE o "default"
+   * @param {string} options.baseUrl - URL base a usar en lugar de la del perfil
+   * @param {string} options.token - Token a usar en lugar del del perfil
+   * @param {object} options.headers - Headers enviados en todas las peticiones
+   * @param {number} options.timeout - Timeout por petición en ms (por defecto el de Playwright)
+   * @param {Cassette|null} options.cassette - Cassette de grabación/reproducción. Por
+   *   defecto el del test en curso según API_CASSETTE; null lo desactiva
+   * @param {boolean} options.validateSchemas - Validar las respuestas contra el schema
+   *   mapeado en schema-routes.js (por defecto true; API_SCHEMA_VALIDATION=off lo desactiva)
+   * @param {import("./schemas/schema-registry.js").SchemaRegistry} options.schemaRegistry -
+   *   Registro a usar en lugar del de src/schemas
+   */
+  constructor(request, options = {}) {
+    const profile = getProfile(options.profile);
+
     this.request = request;
-    this.baseUrl = process.env.API_BASE_URL || "";
-    this.token = process.env.API_TOKEN || "";
+    this.profile = profile.name;
+    this.baseUrl = options.baseUrl ?? profile.baseUrl;
+    this.token = options.token ?? profile.token;
+    this.auth = options.auth || DEFAULT_AUTH_MODE;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout;
+    this.cassette =
+      options.cassette === undefined ? Cassette.forCurrentTest() : options.cassette;
+    this.validateSchemas =
+      options.validateSchemas ?? process.env.API_SCHEMA_VALIDATION !== "off";
+    this.schemaRegistry = options.schemaRegistry || null;
+    this.retryPolicy = new RetryPolicy(options.retry);
+    this._validateAuth(this.auth);
 
     if (!this.baseUrl || !this.token) {
-      throw new Error("Faltan variables de entorno API_BASE_URL o API_TOKEN");
+      throw new Error(missingProfileMessage(profile.name));
     }
+
+    registerSecret(this.token);
   }
 
   /**
    * Realizar petición GET
    * @param {string} endpoint - Endpoint a consultar
    * @param {object} params - Parámetros de query string
-   * @returns {Promise<{status: number, data: any}>}
+   * @param {object} options - Opciones adicionales (headers)
+   * @returns {Promise<ApiResponse>}
    */
-  async get(endpoint, params = {}) {
-    const url = this._buildUrl(endpoint, params);
-
-    try {
-      const response = await this.request.get(url, {
-        headers: {
-          "X-API-Token": this.token,
-        },
-      });
-
-      const data = await response.json();
-      return {
-        status: response.status(),
-        data: data,
-      };
-    } catch (error) {
-      console.error(`Error en GET ${endpoint}:`, error);
-      throw error;
-    }
+  async get(endpoint, params = {}, options = {}) {
+    return this.send("GET", endpoint, { ...options, params });
   }
 
   /**
    * Realizar petición POST
    * @param {string} endpoint - Endpoint a consultar
    * @param {object} data - Datos para enviar
-   * @returns {Promise<{status: number, data: any}>}
+   * @param {object} options - Opciones adicionales (params, headers, encoding)
+   * @returns {Promise<ApiResponse>}
+   */
+  async post(endpoint, data = {}, options = {}) {
+    return this.send("POST", endpoint, { ...options, data });
+  }
+
+  /**
+   * Realizar petición PUT
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} data - Datos para enviar
+   * @param {object} options - Opciones adicionales (params, headers, encoding)
+   * @returns {Promise<ApiResponse>}
+   */
+  async put(endpoint, data = {}, options = {}) {
+    return this.send("PUT", endpoint, { ...options, data });
+  }
+
+  /**
+   * Realizar petición PATCH (actualización parcial)
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} data - Campos a modificar
+   * @param {object} options - Opciones adicionales (params, headers, encoding)
+   * @returns {Promise<ApiResponse>}
+   */
+  async patch(endpoint, data = {}, options = {}) {
+    return this.send("PATCH", endpoint, { ...options, data });
+  }
+
+  /**
+   * Realizar petición POST multipart/form-data (subida de archivos)
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} files - Archivos por nombre de campo: Buffer, ReadStream,
+   *   ruta en disco o {name, mimeType, buffer}
+   * @param {object} fields - Campos de formulario adicionales
+   * @param {object} options - Opciones adicionales (params, headers)
+   * @returns {Promise<ApiResponse>}
+   */
+  async upload(endpoint, files = {}, fields = {}, options = {}) {
+    return this.send("POST", endpoint, {
+      ...options,
+      data: fields,
+      files,
+      encoding: "multipart",
+    });
+  }
+
+  /**
+   * Realizar petición DELETE
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} options - Opciones adicionales (params, headers, data, encoding)
+   * @returns {Promise<ApiResponse>}
+   */
+  async delete(endpoint, options = {}) {
+    return this.send("DELETE", endpoint, options);
+  }
+
+  /**
+   * Realizar petición HEAD (comprobar existencia sin descargar el cuerpo)
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} options - Opciones adicionales (params, headers)
+   * @returns {Promise<ApiResponse>}
+   */
+  async head(endpoint, options = {}) {
+    return this.send("HEAD", endpoint, options);
+  }
+
+  /**
+   * Realizar petición OPTIONS (por ejemplo, preflight CORS)
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} options - Opciones adicionales (params, headers)
+   * @returns {Promise<ApiResponse>}
+   */
+  async options(endpoint, options = {}) {
+    return this.send("OPTIONS", endpoint, options);
+  }
+
+  /**
+   * Recorrer todas las páginas de un endpoint de listado
+   * @param {string} endpoint - Endpoint de listado
+   * @param {object} params - Parámetros de query (limit define el tamaño de página)
+   * @param {object} options - Opciones de Paginator (style: page | offset, strict, maxPages...)
+   * @returns {Paginator} Iterable asíncrono de páginas; .all() devuelve todos los elementos
+   */
+  paginate(endpoint, params = {}, options = {}) {
+    return new Paginator(this, endpoint, params, options);
+  }
+
+  /**
+   * Enviar una petición con cualquier verbo HTTP. Los recursos creados quedan
+   * registrados en el ResourceTracker del test para eliminarlos al final, y en
+   * el ledger de recursos con el test que los creó
+   * @param {string} method - Verbo HTTP
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} options
+   * @param {object} options.params - Parámetros de query string
+   * @param {object} options.headers - Headers adicionales
+   * @param {any} options.data - Cuerpo de la petición
+   * @param {object} options.files - Archivos (solo encoding multipart)
+   * @param {string} options.encoding - form | json | raw | multipart (por defecto form)
+   * @param {string} options.contentType - Content-Type para encoding raw
+   * @param {object|boolean} options.retry - Sobrescribir la política de reintentos (false la desactiva)
+   * @param {boolean} options.idempotent - Permitir reintentar un POST/PATCH
+   * @param {string|Function} options.auth - Estrategia de autenticación para esta petición
+   * @param {string} options.token - Token para esta petición (por ejemplo, uno malformado)
+   * @param {number} options.timeout - Timeout de esta petición en ms
+   * @param {boolean} options.validateSchema - false para no validar el schema de esta respuesta
+   * @returns {Promise<ApiResponse>}
+   */
+  async send(method, endpoint, options = {}) {
+    const verb = method.toUpperCase();
+    options = this._withAuth(verb, endpoint, {
+      ...options,
+      headers: { ...this.headers, ...(options.headers || {}) },
+    });
+    const timeout = options.timeout ?? this.timeout;
+    const url = this._buildUrl(endpoint, options.params);
+    const description = this._describeRequest(verb, url, options);
+    const policy = this._retryPolicyFor(options);
+    const timing = { total: 0, request: 0, parse: 0, retryWait: 0 };
+    const startedAt = performance.now();
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      const requestStartedAt = performance.now();
+      try {
+        response = await this._fetch(url, description, {
+          method: verb,
+          ...(timeout !== undefined ? { timeout } : {}),
+          ...this._buildBody(verb, options),
+        });
+      } catch (error) {
+        if (policy.shouldRetryError(verb, attempt, error)) {
+          timing.retryWait += await this._waitForRetry(
+            policy,
+            verb,
+            endpoint,
+            attempt,
+            { reason: error.message.split("\n")[0] }
+          );
+          continue;
+        }
+        redactError(error);
+        console.error(`Error en ${verb} ${endpoint}:`, error);
+        throw error;
+      }
+      timing.request = Math.round(performance.now() - requestStartedAt);
+
+      if (policy.shouldRetryStatus(verb, attempt, response.status())) {
+        timing.retryWait += await this._waitForRetry(
+          policy,
+          verb,
+          endpoint,
+          attempt,
+          {
+            reason: `HTTP ${response.status()}`,
+            retryAfter: response.headers()["retry-after"],
+          }
+        );
+        continue;
+      }
+
+      try {
+        const parseStartedAt = performance.now();
+        const parsed = await this._parseResponse(verb, response);
+        timing.parse = Math.round(performance.now() - parseStartedAt);
+        timing.total = Math.round(performance.now() - startedAt);
+        const schema = this._validateSchema(verb, endpoint, parsed, options);
+        ResourceTracker.observe(this, verb, endpoint, parsed);
+
+        return {
+          ...parsed,
+          schema,
+          url: this._redactUrl(response.url()),
+          timing,
+          request: description,
+          attempts: attempt,
+        };
+      } catch (error) {
+        redactError(error);
+        console.error(`Error en ${verb} ${endpoint}:`, error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Enviar la petición, o reproducirla desde el cassette en modo replay.
+   * En modo record la respuesta se graba antes de devolverla. Cada intento
+   * queda en el HAR del test en curso (que puede no ser el que creó el cliente).
+   * @param {string} url
+   * @param {object} description - Petición sin secretos (clave del cassette)
+   * @param {object} fetchOptions - Opciones para APIRequestContext.fetch
+   * @returns {Promise<import("@playwright/test").APIResponse>}
    */
-  async post(endpoint, data = {}) {
-    const url = this._buildUrl(endpoint, { token: this.token });
+  async _fetch(url, description, fetchOptions) {
+    const har = HarRecorder.forCurrentTest();
+    const startedAt = new Date();
+    const startedAtMs = performance.now();
+    let response;
 
     try {
-      const response = await this.request.post(url, {
-        headers: {
-          "X-API-Token": this.token,
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        form: data,
-      });
-
-      const responseData = await response.json();
-      return {
-        status: response.status(),
-        data: responseData,
-      };
+      if (this.cassette?.mode === "replay") {
+        response = this.cassette.replay(description);
+      } else {
+        response = await this.request.fetch(url, fetchOptions);
+        if (this.cassette?.mode === "record") {
+          await this.cassette.record(description, response);
+        }
+      }
     } catch (error) {
-      console.error(`Error en POST ${endpoint}:`, error);
+      har?.recordError(description, error, startedAt, performance.now() - startedAtMs);
       throw error;
     }
+
+    await har?.record(description, response, startedAt, performance.now() - startedAtMs);
+    return response;
   }
 
   /**
-   * Realizar petición DELETE
-   * @param {string} endpoint - Endpoint a consultar
-   * @returns {Promise<{status: number, data: any}>}
+   * Describir la petición enviada (sin secretos) para adjuntar a reportes
+   * @param {string} method
+   * @param {string} url
+   * @param {object} options
+   * @returns {{method: string, url: string, headers: object, params: object, encoding: string|null, body: any}}
+   */
+  _describeRequest(method, url, options = {}) {
+    const hasBody =
+      options.data !== undefined &&
+      !["GET", "HEAD"].includes(method);
+    const encoding = hasBody ? options.encoding || "form" : null;
+    const contentTypes = {
+      form: "application/x-www-form-urlencoded",
+      json: "application/json",
+      raw: options.contentType || "text/plain",
+      multipart: "multipart/form-data",
+    };
+    const redactedHeaders = redact({
+      ...(encoding ? { "Content-Type": contentTypes[encoding] } : {}),
+      ...(options.headers || {}),
+    });
+
+    let body = hasBody ? redact(options.data) : undefined;
+    if (encoding === "multipart") {
+      body = {
+        fields: redact(options.data || {}),
+        files: Object.entries(options.files || {}).map(([field, file]) => ({
+          field,
+          name: file?.name || (typeof file === "string" ? file : field),
+          size: Buffer.isBuffer(file)
+            ? file.length
+            : file?.buffer?.length ?? null,
+        })),
+      };
+    } else if (Buffer.isBuffer(body)) {
+      body = `<${body.length} bytes>`;
+    }
+
+    return {
+      method,
+      url: this._redactUrl(url),
+      headers: redactedHeaders,
+      params: redact({ ...(options.params || {}) }),
+      encoding,
+      body,
+    };
+  }
+
+  /**
+   * Ocultar el token y otros parámetros sensibles en una URL
+   * @param {string} url
+   * @returns {string}
+   */
+  _redactUrl(url) {
+    return redactText(url);
+  }
+
+  /**
+   * Interpretar la respuesta según content-type y longitud del cuerpo.
+   * Un cuerpo vacío devuelve data null; uno que no es JSON devuelve el texto.
+   * @param {string} method
+   * @param {import("@playwright/test").APIResponse} response
+   * @returns {Promise<{status: number, headers: object, data: any, rawText: string, parseError?: string}>}
+   */
+  async _parseResponse(method, response) {
+    const status = response.status();
+    const headers = response.headers();
+    const result = { status, headers, data: null, rawText: "" };
+
+    if (
+      METHODS_WITHOUT_BODY.includes(method) ||
+      STATUSES_WITHOUT_BODY.includes(status)
+    ) {
+      return result;
+    }
+
+    result.rawText = (await response.body()).toString("utf8");
+    if (!result.rawText.trim()) {
+      return result;
+    }
+
+    const contentType = headers["content-type"] || "";
+    const looksLikeJson = /^\s*[[{]/.test(result.rawText);
+
+    if (/json/i.test(contentType) || looksLikeJson) {
+      try {
+        result.data = JSON.parse(result.rawText);
+        return result;
+      } catch (error) {
+        // JSON malformado o truncado: se conserva el texto para asertar sobre él
+        result.parseError = error.message;
+      }
+    }
+
+    result.data = result.rawText;
+    return result;
+  }
+
+  /**
+   * Validar la respuesta contra el schema mapeado para (método, ruta, status).
+   * Las respuestas sin schema mapeado o que no son JSON no se validan. Las
+   * diferencias quedan registradas como drift del test; solo los cambios que
+   * rompen el contrato (campos faltantes, tipos, nulabilidad) lanzan error.
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {{status: number, data: any, parseError?: string}} parsed
+   * @param {object} options - Opciones de la petición (validateSchema: false la omite)
+   * @returns {string|null} Nombre del schema validado
+   * @throws {SchemaValidationError} Con la lista de cambios que rompen el contrato
+   */
+  _validateSchema(method, endpoint, parsed, options = {}) {
+    if (!this.validateSchemas || options.validateSchema === false) return null;
+    if (parsed.parseError || parsed.data === null || typeof parsed.data !== "object") {
+      return null;
+    }
+
+    const registry = this.schemaRegistry || getSchemaRegistry();
+    const pathname = endpoint.split("?")[0];
+    const schema = registry.schemaFor(method, pathname, parsed.status);
+    if (!schema) return null;
+
+    const drift = registry.checkDrift(schema, parsed.data);
+    if (drift.changes.length > 0) {
+      DriftRecorder.forCurrentTest()?.record(
+        { schema, method, route: pathname, status: parsed.status },
+        drift.changes
+      );
+    }
+    if (drift.breaking) {
+      throw new SchemaValidationError(
+        schema,
+        drift.errors,
+        parsed.data,
+        `${method} ${pathname} (${parsed.status})`
+      );
+    }
+    return schema;
+  }
+
+  /**
+   * Resolver la política de reintentos de una petición
+   * @param {object} options - Opciones de la petición (retry, idempotent, files)
+   * @returns {RetryPolicy}
+   */
+  _retryPolicyFor(options = {}) {
+    let policy = this.retryPolicy.with(options.retry);
+
+    // El caller declara que su POST/PATCH es seguro de repetir
+    if (options.idempotent) {
+      policy = policy.with({ retryNonIdempotent: true });
+    }
+
+    // Un stream ya consumido no puede reenviarse
+    const files = Object.values(options.files || {});
+    if (files.some((file) => file instanceof fs.ReadStream)) {
+      policy = policy.with(false);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Esperar antes de reintentar y dejar constancia en el reporte
+   * @param {RetryPolicy} policy
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {number} attempt - Intento que acaba de fallar
+   * @param {object} detail - Motivo y header Retry-After
+   * @returns {Promise<number>} Milisegundos esperados
    */
-  async delete(endpoint) {
-    const url = this._buildUrl(endpoint, { token: this.token });
+  async _waitForRetry(policy, method, endpoint, attempt, detail) {
+    const delay = policy.delayFor(attempt, detail.retryAfter);
+    const description = `${method} ${endpoint} intento ${attempt}/${policy.maxAttempts} falló (${detail.reason}), reintentando en ${delay}ms`;
+
+    console.warn(redactText(`[api-client] ${description}`));
+    this._annotate("api-retry", description);
+
+    await sleep(delay);
+    return delay;
+  }
 
+  /**
+   * Agregar una anotación al test en curso (sin efecto fuera de un test)
+   * @param {string} type
+   * @param {string} description
+   */
+  _annotate(type, description) {
     try {
-      const response = await this.request.delete(url, {
-        headers: {
-          "X-API-Token": this.token,
-        },
-      });
-
-      const data = await response.json();
-      return {
-        status: response.status(),
-        data: data,
+      test.info().annotations.push({ type, description });
+    } catch {
+      // Fuera de un test de Playwright (scripts, hooks globales)
+    }
+  }
+
+  /**
+   * Combinar en las opciones de la petición los headers y params de autenticación.
+   * Lo que el caller pase explícitamente tiene prioridad.
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {object} options
+   * @returns {object} Opciones nuevas (las del caller no se mutan)
+   */
+  _withAuth(method, endpoint, options = {}) {
+    const auth = options.auth || this.auth;
+    const token = options.token ?? this.token;
+    this._validateAuth(auth);
+    registerSecret(token);
+
+    let credentials;
+    if (typeof auth === "function") {
+      credentials = auth({ method, endpoint, token }) || {};
+    } else {
+      const inHeader = auth === "header" || auth === "both";
+      const inQuery = auth === "query" || auth === "both";
+      credentials = {
+        headers: inHeader ? { "X-API-Token": token } : {},
+        params: inQuery ? { token } : {},
       };
-    } catch (error) {
-      console.error(`Error en DELETE ${endpoint}:`, error);
-      throw error;
     }
+
+    return {
+      ...options,
+      headers: { ...(credentials.headers || {}), ...(options.headers || {}) },
+      params: { ...(credentials.params || {}), ...(options.params || {}) },
+    };
+  }
+
+  /**
+   * Verificar que la estrategia de autenticación es válida
+   * @param {string|Function} auth
+   */
+  _validateAuth(auth) {
+    if (typeof auth !== "function" && !AUTH_MODES.includes(auth)) {
+      throw new Error(
+        `Estrategia de autenticación no soportada: ${auth}. Usar: ${AUTH_MODES.join(
+          ", "
+        )} o una función`
+      );
+    }
+  }
+
+  /**
+   * Construir headers y cuerpo según la codificación elegida
+   * @param {string} method
+   * @param {object} options
+   * @returns {object} Opciones para APIRequestContext.fetch
+   */
+  _buildBody(method, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const hasBody =
+      options.data !== undefined || options.files !== undefined;
+
+    if (!hasBody || ["GET", "HEAD"].includes(method)) {
+      return { headers };
+    }
+
+    const encoding = options.encoding || "form";
+    if (!ENCODINGS.includes(encoding)) {
+      throw new Error(
+        `Encoding no soportado: ${encoding}. Usar: ${ENCODINGS.join(", ")}`
+      );
+    }
+
+    switch (encoding) {
+      case "json":
+        return {
+          headers: { "Content-Type": "application/json", ...headers },
+          data: JSON.stringify(options.data),
+        };
+      case "raw":
+        return {
+          headers: {
+            "Content-Type": options.contentType || "text/plain",
+            ...headers,
+          },
+          data: options.data,
+        };
+      case "multipart":
+        return {
+          headers,
+          multipart: this._buildMultipart(options.files, options.data),
+        };
+      default:
+        return {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            ...headers,
+          },
+          form: this._buildForm(options.data),
+        };
+    }
+  }
+
+  /**
+   * Campos de un formulario urlencoded. Playwright une los arrays con comas;
+   * se envían como un campo repetido por elemento (vacío si el array lo está)
+   * @param {object} data
+   * @returns {object|FormData}
+   */
+  _buildForm(data) {
+    if (!data || !Object.values(data).some(Array.isArray)) return data;
+
+    const form = new FormData();
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const values = Array.isArray(value) ? value : [value];
+      (values.length > 0 ? values : [""]).forEach((item) => form.append(key, String(item)));
+    }
+    return form;
+  }
+
+  /**
+   * Normalizar archivos y campos al formato multipart de Playwright
+   * @param {object} files
+   * @param {object} fields
+   * @returns {object}
+   */
+  _buildMultipart(files = {}, fields = {}) {
+    const multipart = {};
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) continue;
+      multipart[key] =
+        typeof value === "object" ? JSON.stringify(value) : String(value);
+    }
+
+    for (const [field, file] of Object.entries(files)) {
+      if (typeof file === "string") {
+        // Ruta en disco: se envía como stream para no cargarla en memoria
+        multipart[field] = fs.createReadStream(file);
+      } else if (Buffer.isBuffer(file)) {
+        multipart[field] = {
+          name: field,
+          mimeType: "application/octet-stream",
+          buffer: file,
+        };
+      } else if (file instanceof fs.ReadStream) {
+        multipart[field] = file;
+      } else if (file && Buffer.isBuffer(file.buffer)) {
+        multipart[field] = {
+          name: file.name || field,
+          mimeType: file.mimeType || "application/octet-stream",
+          buffer: file.buffer,
+        };
+      } else {
+        throw new Error(`Archivo inválido para el campo multipart "${field}"`);
+      }
+    }
+
+    return multipart;
   }
 
   /**
@@ -100,11 +681,6 @@ class ApiClient {
    * @returns {string}
    */
   _buildUrl(endpoint, params = {}) {
-    // Agregar token por defecto si no está presente
-    if (!params.token) {
-      params.token = this.token;
-    }
-
     const queryParams = new URLSearchParams(params).toString();
     const separator = endpoint.includes("?") ? "&" : "?";
 
@@ -114,4 +690,4 @@ class ApiClient {
   }
 }
 
-module.exports = { ApiClient };
+module.exports = { ApiClient, AUTH_MODES };
@@ -0,0 +1,148 @@
+const base = require("@playwright/test");
+const { ApiClient } = require("./api-client.js");
+const { CouponApi } = require("./resources/coupon-api.js");
+const { CouponGroupApi } = require("./resources/coupon-group-api.js");
+const { MediaApi } = require("./resources/media-api.js");
+const { CategoryApi } = require("./resources/category-api.js");
+const { defaultProfileName, hasProfile, missingProfileMessage } = require("./profiles.js");
+const { MockFaults, mockScopeHeaders } = require("./mock-faults.js");
+const { HarRecorder } = require("./har.js");
+const { DriftRecorder } = require("./schemas/schema-drift.js");
+const { ResourceTracker } = require("./resources/resource-tracker.js");
+const { cassetteMode } = require("./cassette.js");
+
+/**
+ * Fixtures de API con perfiles de credenciales.
+ *
+ * - apiProfile: perfil del test (opción, se elige con test.use({ apiProfile: "read-only" }))
+ * - apiClient: ApiClient autenticado con apiProfile
+ * - apiClientFor: fábrica (profile, options) => ApiClient para usar otro perfil en el mismo test
+ * - coupons, couponGroups, media, categories: clientes de recursos sobre apiClient
+ * - faults: inyección de fallas en el mock server (solo con MOCK=1); se limpian al terminar
+ * - apiHar (automática): adjunta al reporte api-calls.har con las peticiones de ApiClient del test
+ * - schemaDrift (automática): adjunta schema-drift.json con las diferencias entre las
+ *   respuestas y sus schemas (ver schema-drift-reporter)
+ * - resources (automática): registra los cupones y categorías creados con ApiClient y
+ *   los elimina al terminar el test; lo que no se pudo eliminar queda en cleanup-report.json
+ *   con el test que lo creó (también en el ledger, ver resources/resource-ledger.js)
+ * - cleanupScope: "test" (por defecto) o "worker" para specs cuyos tests comparten
+ *   recursos (test.use({ cleanupScope: "worker" })): se eliminan al terminar el worker
+ * - workerResources: tracker del worker (también registra lo creado en beforeAll); con
+ *   API_CASSETTE=replay no elimina nada
+ *
+ * Si el perfil elegido no está configurado el test se salta con el motivo.
+ */
+const test = base.test.extend({
+  apiProfile: [defaultProfileName(), { option: true }],
+
+  apiHar: [
+    async ({}, use, testInfo) => {
+      await use(HarRecorder.forTest(testInfo));
+      await HarRecorder.attach(testInfo);
+    },
+    { auto: true },
+  ],
+
+  schemaDrift: [
+    async ({}, use, testInfo) => {
+      await use(DriftRecorder.forTest(testInfo));
+      await DriftRecorder.attach(testInfo);
+    },
+    { auto: true },
+  ],
+
+  cleanupScope: ["test", { option: true }],
+
+  workerResources: [
+    async ({ playwright }, use) => {
+      const tracker = ResourceTracker.forWorker();
+      await use(tracker);
+      ResourceTracker.releaseWorker();
+      // En replay los recursos salen del cassette: no existen en ningún backend
+      if (tracker.entries.length === 0 || cassetteMode() === "replay") return;
+
+      // El request de cada test ya se cerró: se elimina con un contexto propio
+      const request = await playwright.request.newContext();
+      try {
+        await tracker.cleanup({
+          clientFor: (client) =>
+            new ApiClient(request, {
+              profile: client.profile,
+              baseUrl: client.baseUrl,
+              token: client.token,
+              auth: client.auth,
+              cassette: null,
+            }),
+        });
+      } finally {
+        await request.dispose();
+      }
+    },
+    { scope: "worker" },
+  ],
+
+  resources: [
+    // request se declara para que siga abierto mientras se elimina
+    async ({ request, cleanupScope, workerResources }, use, testInfo) => {
+      const tracker = ResourceTracker.forTest(testInfo);
+      await use(tracker);
+      ResourceTracker.release(testInfo);
+
+      if (cleanupScope === "worker") {
+        workerResources.adopt(tracker);
+        return;
+      }
+      await ResourceTracker.attach(testInfo, await tracker.cleanup());
+    },
+    { auto: true },
+  ],
+
+  apiClient: async ({ request, apiProfile }, use, testInfo) => {
+    base.test.skip(!hasProfile(apiProfile), missingProfileMessage(apiProfile));
+    await use(
+      new ApiClient(request, {
+        profile: apiProfile,
+        headers: mockScopeHeaders(testInfo),
+      })
+    );
+  },
+
+  apiClientFor: async ({ request }, use, testInfo) => {
+    await use((profile, options = {}) => {
+      base.test.skip(!hasProfile(profile), missingProfileMessage(profile));
+      return new ApiClient(request, {
+        ...options,
+        profile,
+        headers: { ...mockScopeHeaders(testInfo), ...(options.headers || {}) },
+      });
+    });
+  },
+
+  faults: async ({ request }, use, testInfo) => {
+    base.test.skip(
+      process.env.MOCK !== "1",
+      "La inyección de fallas requiere el mock server (MOCK=1)"
+    );
+    const faults = new MockFaults(request, process.env.API_BASE_URL, testInfo.testId);
+    await use(faults);
+    await faults.clear();
+  },
+
+  coupons: async ({ apiClient }, use) => {
+    await use(new CouponApi(apiClient));
+  },
+
+  couponGroups: async ({ apiClient }, use) => {
+    await use(new CouponGroupApi(apiClient));
+  },
+
+  media: async ({ apiClient }, use) => {
+    await use(new MediaApi(apiClient));
+  },
+
+  categories: async ({ apiClient }, use) => {
+    await use(new CategoryApi(apiClient));
+  },
+});
+
+module.exports = { test, expect: base.expect };
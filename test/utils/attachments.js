@@ -0,0 +1,31 @@
+const { test } = require("@playwright/test");
+const { redact, redactText } = require("./redactor.js");
+
+/**
+ * Adjuntar un objeto como JSON al reporte, con secretos ocultos
+ * @param {string} name - Nombre del adjunto (por ejemplo "create-coupon-response.json")
+ * @param {any} data - Datos a serializar
+ * @returns {Promise<void>}
+ */
+async function attachJson(name, data) {
+  await test.info().attach(name, {
+    body: JSON.stringify(redact(data), null, 2),
+    contentType: "application/json",
+  });
+}
+
+/**
+ * Adjuntar texto plano al reporte, con secretos ocultos
+ * @param {string} name - Nombre del adjunto
+ * @param {string} text - Contenido
+ * @param {string} contentType - Content-Type del adjunto
+ * @returns {Promise<void>}
+ */
+async function attachText(name, text, contentType = "text/plain") {
+  await test.info().attach(name, {
+    body: redactText(String(text)),
+    contentType,
+  });
+}
+
+module.exports = { attachJson, attachText };
@@ -0,0 +1,377 @@
+const { automationMetadata } = require("../test-run.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Margen hacia atrás del inicio de validez: el cupón ya es válido aunque el
+// reloj del servidor esté unos minutos atrasado
+const DEFAULT_START_OFFSET_MS = -HOUR_MS;
+const DEFAULT_DURATION_DAYS = 30;
+
+const DISCOUNT_TYPES = ["percent", "amount"];
+
+// Contador del proceso para que dos códigos del mismo milisegundo no choquen
+let sequence = 0;
+
+/**
+ * Sufijo único por proceso y momento (base 36, en minúsculas)
+ * @returns {string}
+ */
+function uniqueSuffix() {
+  sequence = (sequence + 1) % 1296;
+  const worker = process.env.TEST_WORKER_INDEX || "0";
+  return `${Date.now().toString(36)}${worker}${sequence.toString(36).padStart(2, "0")}`;
+}
+
+/**
+ * Código de cupón único (custom_code), por ejemplo QA-REUSE-LM3K2P0A1
+ * @param {string} prefix
+ * @returns {string}
+ */
+function uniqueCouponCode(prefix = "QA") {
+  return `${prefix}-${uniqueSuffix()}`.toUpperCase();
+}
+
+/**
+ * type_code único, por ejemplo qa_single_lm3k2p0a1
+ * @param {string} prefix
+ * @returns {string}
+ */
+function uniqueTypeCode(prefix = "qa") {
+  return `${prefix}_${uniqueSuffix()}`.toLowerCase();
+}
+
+/**
+ * Ventana de validez relativa a ahora
+ *
+ *   couponWindow()                          // desde hace una hora, por 30 días
+ *   couponWindow({ startsInDays: 7 })       // todavía no vigente
+ *   couponWindow({ startsInDays: -10, days: 5 }) // vencido hace 5 días
+ *
+ * @param {object} options
+ * @param {number} options.startsInDays - Días hasta el inicio (negativo: ya empezó)
+ * @param {number} options.days - Duración en días
+ * @param {Date} options.now - Momento de referencia (por defecto ahora)
+ * @returns {{valid_from: string, valid_to: string}} Fechas ISO 8601
+ */
+function couponWindow(options = {}) {
+  const now = (options.now || new Date()).getTime();
+  const start =
+    options.startsInDays === undefined
+      ? now + DEFAULT_START_OFFSET_MS
+      : now + options.startsInDays * DAY_MS;
+  const end = start + (options.days ?? DEFAULT_DURATION_DAYS) * DAY_MS;
+
+  return {
+    valid_from: new Date(start).toISOString(),
+    valid_to: new Date(end).toISOString(),
+  };
+}
+
+/**
+ * Builder de datos para crear o actualizar cupones. Los presets y los métodos
+ * fluidos mantienen el cupón válido (ventana vigente, descuento coherente con
+ * su tipo, custom_code solo en reutilizables, códigos únicos); build() lo
+ * verifica. Los overrides de with() se aplican después de esa verificación:
+ * son la vía para armar datos inválidos en los tests negativos.
+ *
+ * Todo cupón lleva metadata.created_by y la procedencia (run_id, worker, spec y
+ * test; ver test-run.js) para que scripts/sweep-test-data.js encuentre los que
+ * quedaron de corridas caídas y se sepa qué test los creó.
+ *
+ *   const payload = CouponBuilder.reusable(groupId).amount(15).maxUse(5, 2).build();
+ *   const invalid = CouponBuilder.singleUse(groupId).with({ valid_from: "fecha-invalida" }).build();
+ */
+class CouponBuilder {
+  /**
+   * @param {string} group - _id del grupo de cupones
+   */
+  constructor(group) {
+    this.fields = {
+      group,
+      ...couponWindow(),
+      is_reusable: false,
+      max_use: 1,
+      customer_max_use: 1,
+      quantity: 1,
+      discount_type: "percent",
+      percent: 10,
+      type: "ppv-live",
+      type_code: uniqueTypeCode("qa_coupon"),
+      payment_required: false,
+      detail: "QA Test - Cupón",
+      metadata: automationMetadata(),
+    };
+    this.overrides = {};
+    this.removed = new Set();
+  }
+
+  /**
+   * Cupón de un solo uso (código generado por la API)
+   * @param {string} group
+   * @returns {CouponBuilder}
+   */
+  static singleUse(group) {
+    return new CouponBuilder(group)
+      .typeCode("qa_single")
+      .detail("QA Test - Single Use Coupon");
+  }
+
+  /**
+   * Cupón reutilizable con custom_code único
+   * @param {string} group
+   * @param {string} code - Código propio (por defecto uno único QA-REUSE-...)
+   * @returns {CouponBuilder}
+   */
+  static reusable(group, code = uniqueCouponCode("QA-REUSE")) {
+    return new CouponBuilder(group)
+      .reusable(code)
+      .maxUse(5, 2)
+      .typeCode("qa_reusable")
+      .detail("QA Test - Reusable Custom Coupon");
+  }
+
+  /**
+   * Cupón de un solo uso con metadata
+   * @param {string} group
+   * @param {object} metadata
+   * @returns {CouponBuilder}
+   */
+  static withMetadata(group, metadata = { source: "qa-automation" }) {
+    return CouponBuilder.singleUse(group)
+      .metadata(metadata)
+      .typeCode("qa_metadata")
+      .detail("QA Test - Coupon with Metadata");
+  }
+
+  /**
+   * Hacer el cupón reutilizable con código propio
+   * @param {string} code - custom_code (por defecto uno único)
+   * @returns {CouponBuilder}
+   */
+  reusable(code = uniqueCouponCode("QA-REUSE")) {
+    this.fields.is_reusable = true;
+    this.fields.custom_code = code;
+    return this;
+  }
+
+  /**
+   * Hacer el cupón de un solo uso (sin custom_code)
+   * @returns {CouponBuilder}
+   */
+  singleUse() {
+    this.fields.is_reusable = false;
+    this.fields.max_use = 1;
+    this.fields.customer_max_use = 1;
+    delete this.fields.custom_code;
+    return this;
+  }
+
+  /**
+   * Descuento porcentual
+   * @param {number} percent - Entre 0 y 100
+   * @returns {CouponBuilder}
+   */
+  percent(percent) {
+    this.fields.discount_type = "percent";
+    this.fields.percent = percent;
+    delete this.fields.amount;
+    return this;
+  }
+
+  /**
+   * Descuento por monto fijo
+   * @param {number} amount
+   * @returns {CouponBuilder}
+   */
+  amount(amount) {
+    this.fields.discount_type = "amount";
+    this.fields.amount = amount;
+    delete this.fields.percent;
+    return this;
+  }
+
+  /**
+   * Usos totales y por cliente
+   * @param {number} maxUse
+   * @param {number} customerMaxUse - Por defecto igual a maxUse
+   * @returns {CouponBuilder}
+   */
+  maxUse(maxUse, customerMaxUse = maxUse) {
+    this.fields.max_use = maxUse;
+    this.fields.customer_max_use = customerMaxUse;
+    return this;
+  }
+
+  /**
+   * Cantidad de cupones a generar
+   * @param {number} quantity
+   * @returns {CouponBuilder}
+   */
+  quantity(quantity) {
+    this.fields.quantity = quantity;
+    return this;
+  }
+
+  /**
+   * Ventana de validez relativa a ahora (ver couponWindow)
+   * @param {object} options - startsInDays, days
+   * @returns {CouponBuilder}
+   */
+  validFor(options = {}) {
+    Object.assign(this.fields, couponWindow(options));
+    return this;
+  }
+
+  /**
+   * Ventana que ya terminó
+   * @param {number} daysAgo - Días desde el fin de la validez
+   * @returns {CouponBuilder}
+   */
+  expired(daysAgo = 1) {
+    return this.validFor({ startsInDays: -(daysAgo + DEFAULT_DURATION_DAYS) });
+  }
+
+  /**
+   * Ventana que todavía no empezó
+   * @param {number} daysAhead - Días hasta el inicio
+   * @returns {CouponBuilder}
+   */
+  notYetValid(daysAhead = 7) {
+    return this.validFor({ startsInDays: daysAhead });
+  }
+
+  /**
+   * Tipo de acceso del cupón
+   * @param {string} type - Por ejemplo "ppv-live"
+   * @returns {CouponBuilder}
+   */
+  accessType(type) {
+    this.fields.type = type;
+    return this;
+  }
+
+  /**
+   * type_code único con el prefijo indicado
+   * @param {string} prefix
+   * @returns {CouponBuilder}
+   */
+  typeCode(prefix) {
+    this.fields.type_code = uniqueTypeCode(prefix);
+    return this;
+  }
+
+  /**
+   * @param {boolean} required
+   * @returns {CouponBuilder}
+   */
+  paymentRequired(required = true) {
+    this.fields.payment_required = required;
+    return this;
+  }
+
+  /**
+   * @param {string} detail
+   * @returns {CouponBuilder}
+   */
+  detail(detail) {
+    this.fields.detail = detail;
+    return this;
+  }
+
+  /**
+   * Metadata del cupón (se envía serializada, junto con created_by y la procedencia)
+   * @param {object} metadata
+   * @returns {CouponBuilder}
+   */
+  metadata(metadata) {
+    this.fields.metadata = automationMetadata(metadata);
+    return this;
+  }
+
+  /**
+   * Sobrescribir campos tal cual, sin verificarlos (datos inválidos, campos extra)
+   * @param {object} overrides
+   * @returns {CouponBuilder}
+   */
+  with(overrides) {
+    Object.assign(this.overrides, overrides);
+    return this;
+  }
+
+  /**
+   * Quitar campos del payload (por ejemplo, para probar campos requeridos)
+   * @param {...string} fields
+   * @returns {CouponBuilder}
+   */
+  without(...fields) {
+    fields.forEach((field) => this.removed.add(field));
+    return this;
+  }
+
+  /**
+   * Datos listos para enviar como form (todos los valores en string)
+   * @returns {import("../resources/coupon-api.js").CouponPayload}
+   * @throws {Error} Si los campos del builder no forman un cupón válido
+   */
+  build() {
+    this._assertValid();
+
+    const payload = {};
+    for (const [field, value] of Object.entries({ ...this.fields, ...this.overrides })) {
+      if (this.removed.has(field) || value === undefined) continue;
+      payload[field] = toFormValue(value);
+    }
+    return payload;
+  }
+
+  /**
+   * Verificar las reglas que la API exige a un cupón válido
+   * @throws {Error}
+   */
+  _assertValid() {
+    const { fields } = this;
+    const problems = [];
+
+    if (!(Date.parse(fields.valid_from) < Date.parse(fields.valid_to))) {
+      problems.push("valid_from debe ser anterior a valid_to");
+    }
+    if (!DISCOUNT_TYPES.includes(fields.discount_type)) {
+      problems.push(`discount_type debe ser ${DISCOUNT_TYPES.join(" o ")}`);
+    }
+    if (fields.discount_type === "percent" && !(fields.percent >= 0 && fields.percent <= 100)) {
+      problems.push("percent debe estar entre 0 y 100");
+    }
+    if (fields.discount_type === "amount" && !(fields.amount >= 0)) {
+      problems.push("amount debe ser un número positivo");
+    }
+    if (!(Number.isInteger(fields.quantity) && fields.quantity >= 1)) {
+      problems.push("quantity debe ser un entero positivo");
+    }
+    if (fields.customer_max_use > fields.max_use) {
+      problems.push("customer_max_use no puede superar max_use");
+    }
+    if (fields.custom_code && !fields.is_reusable) {
+      problems.push("custom_code solo aplica a cupones reutilizables");
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `CouponBuilder: ${problems.join(", ")}. Usar with() para armar datos inválidos a propósito`
+      );
+    }
+  }
+}
+
+/**
+ * Valor de form: booleanos y números como texto, objetos como JSON
+ * @param {any} value
+ * @returns {string}
+ */
+function toFormValue(value) {
+  if (value === null) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+module.exports = { CouponBuilder, couponWindow, uniqueCouponCode, uniqueTypeCode };
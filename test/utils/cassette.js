@@ -0,0 +1,594 @@
+const fs = require("fs");
+const path = require("path");
+const { test } = require("@playwright/test");
+const { redact, redactText } = require("./redactor.js");
+
+// API_CASSETTE: off (por defecto), record (graba el tráfico) o replay (lo sirve sin red)
+const CASSETTE_MODES = ["off", "record", "replay"];
+const CASSETTE_VERSION = 1;
+// Valor con el que se comparan los campos volátiles declarados
+const VOLATILE_PLACEHOLDER = "<volátil>";
+
+// Cassettes en uso por test (los ApiClient de un mismo test comparten cassette)
+const activeCassettes = new Map();
+// Cassettes de otros tests ya leídos, para buscar peticiones hechas en hooks
+const siblingCache = new Map();
+// Interacciones ya reproducidas por archivo (las comparten el test y sus vecinos)
+const usedByFile = new Map();
+
+/**
+ * Error de grabación/reproducción: cassette inexistente o petición no grabada
+ */
+class CassetteError extends Error {
+  /**
+   * @param {"missing"|"mismatch"} reason
+   * @param {string} file - Ruta del cassette
+   * @param {string} message
+   */
+  constructor(reason, file, message) {
+    super(message);
+    this.name = "CassetteError";
+    this.reason = reason;
+    this.file = file;
+  }
+}
+
+/**
+ * Modo de cassette configurado en API_CASSETTE
+ * @returns {"off"|"record"|"replay"}
+ */
+function cassetteMode() {
+  const mode = (process.env.API_CASSETTE || "off").toLowerCase();
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(
+      `API_CASSETTE no soportado: ${mode}. Usar: ${CASSETTE_MODES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Directorio raíz de los cassettes (API_CASSETTE_DIR o test/cassettes)
+ * @returns {string}
+ */
+function cassetteRoot() {
+  return path.resolve(
+    process.env.API_CASSETTE_DIR || path.join(__dirname, "..", "cassettes")
+  );
+}
+
+/**
+ * Ruta del cassette de un test: <raíz>/<spec sin .spec.js>/<título>.json
+ * @param {import("@playwright/test").TestInfo} testInfo
+ * @returns {string}
+ */
+function cassettePathFor(testInfo) {
+  const specPath = path
+    .relative(path.join(testInfo.config.rootDir, "test"), testInfo.file)
+    .replace(/\.spec\.[jt]s$/, "");
+  const title = slugify(testInfo.titlePath.slice(1).join(" "));
+  return path.join(cassetteRoot(), specPath, `${title}.json`);
+}
+
+/**
+ * Campos volátiles declarados en API_CASSETTE_VOLATILE (separados por coma)
+ * @returns {string[]} Rutas como body.name, body.metadata o body.custom_code:code
+ */
+function volatileFields() {
+  return (process.env.API_CASSETTE_VOLATILE || "")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Tráfico HTTP grabado de un test. En record se reescribe tras cada petición;
+ * en replay cada petición consume, una sola vez, la primera interacción
+ * grabada que coincide exacto en método, ruta, query y cuerpo. Los valores
+ * que cambian en cada corrida (nombres, fechas, metadata) solo se ignoran si
+ * se declaran como volátiles: el campo tiene que estar en las dos peticiones,
+ * su valor no se compara, y en las respuestas ese mismo campo con el valor
+ * grabado pasa a tener el de esta corrida. Lo que no está en el cassette del
+ * test se busca en los demás cassettes del mismo spec (peticiones de
+ * beforeAll, que se graban en el primer test que las ejecuta).
+ */
+class Cassette {
+  /**
+   * @param {string} file - Ruta del archivo JSON
+   * @param {"record"|"replay"} mode
+   * @param {object} meta - Datos del test para el encabezado del archivo
+   * @param {object} options
+   * @param {string[]} options.volatile - Campos que cambian en cada corrida
+   *   (body.<campo> o query.<parámetro>, con puntos para campos anidados).
+   *   Con ":<nombre>" la respuesta lo devuelve con otro nombre
+   *   (body.custom_code:code). Por defecto los de API_CASSETTE_VOLATILE
+   */
+  constructor(file, mode, meta = {}, options = {}) {
+    this.file = file;
+    this.mode = mode;
+    this.meta = meta;
+    const declared = (options.volatile ?? volatileFields()).map((entry) => entry.split(":"));
+    this.volatile = declared.map(([field]) => field);
+    // Campo de la petición → propiedad de la respuesta que lo devuelve
+    this.responseKeys = new Map(
+      declared.map(([field, key]) => [field, key || field.split(".").pop()])
+    );
+    // Campo volátil con su valor grabado → valor de esta corrida
+    this.rewrites = [];
+    this.interactions = mode === "replay" ? readInteractions(file) : [];
+    this.used = new Set();
+    if (mode === "replay") usedByFile.set(file, this.used);
+  }
+
+  /**
+   * Cassette del test en curso según API_CASSETTE. Devuelve null con el modo
+   * off o fuera de un test de Playwright.
+   * @returns {Cassette|null}
+   */
+  static forCurrentTest() {
+    const mode = cassetteMode();
+    if (mode === "off") return null;
+
+    let testInfo;
+    try {
+      testInfo = test.info();
+    } catch {
+      return null;
+    }
+
+    const key = `${testInfo.testId}:${testInfo.retry}`;
+    if (!activeCassettes.has(key)) {
+      const file = cassettePathFor(testInfo);
+      activeCassettes.set(
+        key,
+        new Cassette(file, mode, {
+          spec: path.relative(testInfo.config.rootDir, testInfo.file),
+          title: testInfo.titlePath.slice(1).join(" › "),
+        })
+      );
+      testInfo.annotations.push({
+        type: "api-cassette",
+        description: `${mode}: ${path.relative(testInfo.config.rootDir, file)}`,
+      });
+    }
+    return activeCassettes.get(key);
+  }
+
+  /**
+   * Grabar una interacción y reescribir el archivo
+   * @param {object} request - Petición descrita por ApiClient._describeRequest (sin secretos)
+   * @param {import("@playwright/test").APIResponse} response
+   * @returns {Promise<void>}
+   */
+  async record(request, response) {
+    this.interactions.push({
+      request,
+      response: {
+        status: response.status(),
+        headers: redact(response.headers()),
+        url: redactText(response.url()),
+        ...encodeBody(await response.body()),
+      },
+    });
+    this._save();
+  }
+
+  /**
+   * Responder una petición con la interacción grabada que le corresponde
+   * @param {object} request - Petición descrita por ApiClient._describeRequest
+   * @returns {ReplayedResponse}
+   * @throws {CassetteError} Si el cassette no existe o la petición no fue grabada
+   */
+  replay(request) {
+    if (this.interactions === null) {
+      throw new CassetteError(
+        "missing",
+        this.file,
+        `No existe el cassette ${this.file} para ${request.method} ${requestPath(request)}. ` +
+          "Grabarlo ejecutando el test con API_CASSETTE=record"
+      );
+    }
+
+    const index = this._findUnused(this.interactions, this.used, request);
+    if (index !== -1) return this._respond(this.interactions[index], request);
+
+    const shared = this._findInSiblings(request);
+    if (shared) return this._respond(shared, request);
+
+    const pending = this.interactions.filter((interaction, i) => !this.used.has(i));
+    const closest = closestRequest(
+      pending.map((interaction) => interaction.request),
+      request
+    );
+    const diff = closest ? diffRequests(closest, request, this.volatile) : [];
+    throw new CassetteError(
+      "mismatch",
+      this.file,
+      `La petición ${describeInteraction(request)} no está grabada en ${this.file}.\n` +
+        (pending.length > 0
+          ? `Peticiones grabadas sin usar:\n${pending
+              .slice(0, 5)
+              .map((interaction) => `  - ${describeInteraction(interaction.request)}`)
+              .join("\n")}`
+          : "Todas las peticiones grabadas ya fueron usadas") +
+        (diff.length > 0
+          ? `\nDiferencias con ${closest.method} ${requestPath(closest)} (grabada → actual):\n${diff.join("\n")}`
+          : "") +
+        "\nVolver a grabar con API_CASSETTE=record si el test cambió, o declarar" +
+        " en API_CASSETTE_VOLATILE los campos que cambian en cada corrida"
+    );
+  }
+
+  /**
+   * Primera interacción sin usar que coincide con la petición; la marca como usada
+   * @param {object[]} interactions
+   * @param {Set<number>} used
+   * @param {object} request
+   * @returns {number} -1 si ninguna coincide
+   */
+  _findUnused(interactions, used, request) {
+    const key = interactionKey(request, this.volatile);
+    const index = interactions.findIndex(
+      (interaction, i) =>
+        !used.has(i) && interactionKey(interaction.request, this.volatile) === key
+    );
+    if (index !== -1) used.add(index);
+    return index;
+  }
+
+  /**
+   * Respuesta grabada con los campos volátiles de esta corrida
+   * @param {object} interaction
+   * @param {object} request - Petición actual
+   * @returns {ReplayedResponse}
+   */
+  _respond(interaction, request) {
+    for (const field of this.volatile) {
+      const before = fieldValue(interaction.request, field);
+      const after = fieldValue(request, field);
+      if (before !== undefined && stableStringify(before) !== stableStringify(after)) {
+        this.rewrites.push({ key: this.responseKeys.get(field), before, after });
+      }
+    }
+    return new ReplayedResponse(interaction.response, this.rewrites);
+  }
+
+  /**
+   * Buscar la petición en los demás cassettes del mismo spec. Cada
+   * interacción ajena también se reproduce una sola vez.
+   * @param {object} request
+   * @returns {object|undefined} Interacción grabada
+   */
+  _findInSiblings(request) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) return undefined;
+
+    for (const name of fs.readdirSync(dir)) {
+      const file = path.join(dir, name);
+      if (file === this.file || !name.endsWith(".json")) continue;
+      if (!siblingCache.has(file)) siblingCache.set(file, readInteractions(file) || []);
+      if (!usedByFile.has(file)) usedByFile.set(file, new Set());
+
+      const interactions = siblingCache.get(file);
+      const index = this._findUnused(interactions, usedByFile.get(file), request);
+      if (index !== -1) return interactions[index];
+    }
+    return undefined;
+  }
+
+  /**
+   * Escribir el cassette en disco
+   */
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(
+      this.file,
+      JSON.stringify(
+        {
+          version: CASSETTE_VERSION,
+          ...this.meta,
+          recordedAt: new Date().toISOString(),
+          interactions: this.interactions,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  }
+}
+
+/**
+ * Respuesta reproducida desde un cassette, con la interfaz de APIResponse
+ * que usa ApiClient
+ */
+class ReplayedResponse {
+  /**
+   * @param {object} recorded - Respuesta grabada
+   * @param {object[]} rewrites - Campos volátiles a reescribir (ver Cassette._respond)
+   */
+  constructor(recorded, rewrites = []) {
+    this.recorded = recorded;
+    this.buffer =
+      recorded.encoding === "json"
+        ? Buffer.from(JSON.stringify(rewriteFields(recorded.body, rewrites)))
+        : Buffer.from(recorded.body, recorded.encoding === "base64" ? "base64" : "utf8");
+  }
+
+  status() {
+    return this.recorded.status;
+  }
+
+  ok() {
+    return this.recorded.status >= 200 && this.recorded.status < 300;
+  }
+
+  headers() {
+    return { ...this.recorded.headers };
+  }
+
+  url() {
+    return this.recorded.url;
+  }
+
+  async body() {
+    return this.buffer;
+  }
+
+  async text() {
+    return this.buffer.toString("utf8");
+  }
+
+  async json() {
+    return JSON.parse(await this.text());
+  }
+
+  async dispose() {}
+}
+
+/**
+ * Reemplazar en un cuerpo JSON los campos volátiles que conservan el valor
+ * grabado por el de esta corrida. Solo cambian las propiedades con el mismo
+ * nombre que el campo declarado y exactamente ese valor.
+ * @param {any} value
+ * @param {{key: string, before: any, after: any}[]} rewrites
+ * @returns {any}
+ */
+function rewriteFields(value, rewrites) {
+  if (rewrites.length === 0) return value;
+  if (Array.isArray(value)) return value.map((item) => rewriteFields(item, rewrites));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        const rewrite = rewrites.find(
+          (candidate) =>
+            candidate.key === key &&
+            stableStringify(candidate.before) === stableStringify(item)
+        );
+        return [key, rewrite ? rewrite.after : rewriteFields(item, rewrites)];
+      })
+    );
+  }
+  return value;
+}
+
+/**
+ * Guardar el cuerpo de la respuesta: JSON legible si se puede, texto o base64
+ * si es binario. Los secretos se ocultan antes de escribir el archivo.
+ * @param {Buffer} body
+ * @returns {{encoding: "json"|"utf8"|"base64", body: any}}
+ */
+function encodeBody(body) {
+  const text = body.toString("utf8");
+  if (!Buffer.from(text, "utf8").equals(body)) {
+    return { encoding: "base64", body: body.toString("base64") };
+  }
+  try {
+    return { encoding: "json", body: redact(JSON.parse(text)) };
+  } catch {
+    return { encoding: "utf8", body: redactText(text) };
+  }
+}
+
+/**
+ * Leer las interacciones de un cassette
+ * @param {string} file
+ * @returns {object[]|null} null si el archivo no existe
+ */
+function readInteractions(file) {
+  if (!fs.existsSync(file)) return null;
+
+  const content = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (content.version !== CASSETTE_VERSION) {
+    throw new CassetteError(
+      "mismatch",
+      file,
+      `El cassette ${file} tiene versión ${content.version} (se esperaba ${CASSETTE_VERSION}). Volver a grabarlo`
+    );
+  }
+  return content.interactions || [];
+}
+
+/**
+ * Ruta y query de la petición, sin host (el host cambia entre entornos)
+ * @param {object} request
+ * @returns {string}
+ */
+function requestPath(request) {
+  const url = new URL(request.url);
+  return `${url.pathname}${url.search}`;
+}
+
+/**
+ * Clave con la que se compara una petición: método, ruta, query y cuerpo. Los
+ * campos volátiles presentes se comparan solo por su presencia.
+ * @param {object} request
+ * @param {string[]} volatile - Campos declarados como volátiles
+ * @returns {string}
+ */
+function interactionKey(request, volatile = []) {
+  const { path: route, query, body } = comparableParts(request);
+  for (const field of volatile) {
+    const [part, ...keys] = field.split(".");
+    if (part === "query" && keys.length > 0 && keys.join(".") in query) {
+      query[keys.join(".")] = VOLATILE_PLACEHOLDER;
+    } else if (part === "body" && keys.length > 0) {
+      replaceField(body, keys, VOLATILE_PLACEHOLDER);
+    }
+  }
+  return `${request.method} ${route} ${stableStringify(query)} ${stableStringify(body)}`;
+}
+
+/**
+ * Ruta, query (sin orden, repetidos en array) y copia del cuerpo de una petición
+ * @param {object} request
+ * @returns {{path: string, query: object, body: any}}
+ */
+function comparableParts(request) {
+  const url = new URL(request.url);
+  const query = {};
+  for (const [name, value] of url.searchParams) {
+    query[name] = name in query ? [].concat(query[name], value) : value;
+  }
+  return {
+    path: url.pathname,
+    query,
+    body: request.body === undefined ? null : JSON.parse(JSON.stringify(request.body)),
+  };
+}
+
+/**
+ * Reemplazar un campo anidado si existe
+ * @param {any} target
+ * @param {string[]} keys
+ * @param {any} value
+ */
+function replaceField(target, keys, value) {
+  const parent = keys
+    .slice(0, -1)
+    .reduce((node, key) => (node && typeof node === "object" ? node[key] : undefined), target);
+  const last = keys[keys.length - 1];
+  if (parent && typeof parent === "object" && last in parent) parent[last] = value;
+}
+
+/**
+ * Valor de un campo declarado (body.<campo> o query.<parámetro>) en una petición
+ * @param {object} request
+ * @param {string} field
+ * @returns {any} undefined si la petición no lo tiene
+ */
+function fieldValue(request, field) {
+  const [part, ...keys] = field.split(".");
+  const { query, body } = comparableParts(request);
+  if (part === "query") return query[keys.join(".")];
+  if (part !== "body") return undefined;
+  return keys.reduce(
+    (node, key) => (node && typeof node === "object" ? node[key] : undefined),
+    body
+  );
+}
+
+/**
+ * Petición grabada más parecida a la actual: mismo método y ruta y, si no
+ * hay, mismo método
+ * @param {object[]} recorded - Peticiones grabadas sin usar
+ * @param {object} request
+ * @returns {object|undefined}
+ */
+function closestRequest(recorded, request) {
+  const route = new URL(request.url).pathname;
+  const sameMethod = recorded.filter((candidate) => candidate.method === request.method);
+  return (
+    sameMethod.find((candidate) => new URL(candidate.url).pathname === route) ||
+    sameMethod[0]
+  );
+}
+
+/**
+ * Campos que difieren entre una petición grabada y la actual, sin los volátiles
+ * @param {object} recorded
+ * @param {object} current
+ * @param {string[]} volatile
+ * @returns {string[]} Una línea por campo: "  body.name: "A" → "B""
+ */
+function diffRequests(recorded, current, volatile = []) {
+  const before = flattenParts(recorded);
+  const after = flattenParts(current);
+  const isVolatile = (field) =>
+    volatile.some((declared) => field === declared || field.startsWith(`${declared}.`));
+  const show = (value) => (value === undefined ? "(ausente)" : stableStringify(value));
+
+  return [...new Set([...before.keys(), ...after.keys()])]
+    .filter((field) => !isVolatile(field))
+    .filter((field) => stableStringify(before.get(field)) !== stableStringify(after.get(field)))
+    .sort()
+    .map((field) => `  ${field}: ${show(before.get(field))} → ${show(after.get(field))}`);
+}
+
+/**
+ * Ruta, query y cuerpo de una petición como campo → valor de cada hoja
+ * @param {object} request
+ * @returns {Map<string, any>}
+ */
+function flattenParts(request) {
+  const { path: route, query, body } = comparableParts(request);
+  const fields = new Map([["path", route]]);
+  const collect = (prefix, value) => {
+    if (value && typeof value === "object" && Object.keys(value).length > 0) {
+      Object.entries(value).forEach(([key, item]) => collect(`${prefix}.${key}`, item));
+    } else {
+      fields.set(prefix, value);
+    }
+  };
+  Object.entries(query).forEach(([name, value]) => fields.set(`query.${name}`, value));
+  if (body !== null) collect("body", body);
+  return fields;
+}
+
+/**
+ * Descripción corta de una petición para mensajes de error
+ * @param {object} request
+ * @returns {string}
+ */
+function describeInteraction(request) {
+  const body = request.body === undefined ? "" : ` ${stableStringify(request.body)}`;
+  return `${request.method} ${requestPath(request)}${body}`;
+}
+
+/**
+ * JSON con claves ordenadas, para comparar cuerpos sin depender del orden
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Nombre de archivo a partir del título del test
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+  return text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 150);
+}
+
+module.exports = {
+  Cassette,
+  CassetteError,
+  CASSETTE_MODES,
+  cassetteMode,
+  cassettePathFor,
+};
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const IMAGES_DIR = path.join(__dirname, "../fixtures/images");
+
+// Catálogo de imágenes incluidas en el repositorio (test/fixtures/images)
+const IMAGE_FIXTURES = {
+  jpg: { file: "sample-640x360.jpg", mimeType: "image/jpeg" },
+  png: { file: "sample-256x256.png", mimeType: "image/png" },
+  corrupt: { file: "corrupt.jpg", mimeType: "image/jpeg" },
+};
+
+/**
+ * Obtener la ruta absoluta de una imagen de fixture
+ * @param {string} key - Clave del catálogo (jpg, png, corrupt)
+ * @returns {string}
+ */
+function getFixtureImagePath(key) {
+  const fixture = IMAGE_FIXTURES[key];
+  if (!fixture) {
+    throw new Error(
+      `Fixture de imagen desconocida: ${key}. Disponibles: ${Object.keys(
+        IMAGE_FIXTURES
+      ).join(", ")}`
+    );
+  }
+  return path.join(IMAGES_DIR, fixture.file);
+}
+
+/**
+ * Cargar una imagen de fixture en memoria, lista para multipart
+ * @param {string} key - Clave del catálogo (jpg, png, corrupt)
+ * @returns {{name: string, mimeType: string, buffer: Buffer}}
+ */
+function loadFixtureImage(key) {
+  const filePath = getFixtureImagePath(key);
+  return {
+    name: IMAGE_FIXTURES[key].file,
+    mimeType: IMAGE_FIXTURES[key].mimeType,
+    buffer: fs.readFileSync(filePath),
+  };
+}
+
+/**
+ * Abrir una imagen de fixture como stream de lectura
+ * @param {string} key - Clave del catálogo (jpg, png, corrupt)
+ * @returns {fs.ReadStream}
+ */
+function fixtureImageStream(key) {
+  return fs.createReadStream(getFixtureImagePath(key));
+}
+
+/**
+ * Generar una imagen PNG de color sólido en memoria
+ * @param {object} options
+ * @param {number} options.width - Ancho en píxeles
+ * @param {number} options.height - Alto en píxeles
+ * @param {number[]} options.color - Color RGB, por ejemplo [255, 87, 51]
+ * @param {string} options.name - Nombre del archivo
+ * @returns {{name: string, mimeType: string, buffer: Buffer}}
+ */
+function generatePng({
+  width = 64,
+  height = 64,
+  color = [255, 87, 51],
+  name = `generated-${width}x${height}.png`,
+} = {}) {
+  // Cada fila empieza con el byte de filtro (0 = sin filtro) seguido de RGB
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) {
+    row[1 + x * 3] = color[0];
+    row[2 + x * 3] = color[1];
+    row[3 + x * 3] = color[2];
+  }
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Profundidad de bits
+  header[9] = 2; // Tipo de color: truecolor RGB
+
+  const buffer = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    _pngChunk("IHDR", header),
+    _pngChunk("IDAT", zlib.deflateSync(raw)),
+    _pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+
+  return { name, mimeType: "image/png", buffer };
+}
+
+/**
+ * Construir un chunk PNG (longitud + tipo + datos + CRC)
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function _pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(_crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * CRC32 requerido por el formato PNG
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function _crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+module.exports = {
+  IMAGE_FIXTURES,
+  getFixtureImagePath,
+  loadFixtureImage,
+  fixtureImageStream,
+  generatePng,
+};
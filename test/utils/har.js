@@ -0,0 +1,391 @@
+const fs = require("fs");
+const path = require("path");
+const { test } = require("@playwright/test");
+const { redact, redactText, isSensitiveKey } = require("./redactor.js");
+
+const HAR_VERSION = "1.2";
+const HAR_ATTACHMENT = "api-calls.har";
+const CREATOR = { name: "mediastream-api-tests", version: "1.0.0" };
+
+// Hosts de la plataforma cuyos HAR se pueden convertir en pasos de test
+const PLATFORM_HOSTS = ["dev.platform.mediastre.am", "platform.mediastre.am"];
+
+// Recorders en uso por test (los ApiClient de un mismo test comparten HAR)
+const activeRecorders = new Map();
+
+/**
+ * Registro HAR 1.2 de las peticiones hechas por ApiClient durante un test.
+ * Cada intento (incluidos los reintentos y los errores de red) es una entrada.
+ */
+class HarRecorder {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Recorder del test en curso. Devuelve null fuera de un test de Playwright.
+   * @returns {HarRecorder|null}
+   */
+  static forCurrentTest() {
+    let testInfo;
+    try {
+      testInfo = test.info();
+    } catch {
+      return null;
+    }
+    return HarRecorder.forTest(testInfo);
+  }
+
+  /**
+   * Recorder de un test (se crea en el primer uso)
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @returns {HarRecorder}
+   */
+  static forTest(testInfo) {
+    const key = recorderKey(testInfo);
+    if (!activeRecorders.has(key)) activeRecorders.set(key, new HarRecorder());
+    return activeRecorders.get(key);
+  }
+
+  /**
+   * Adjuntar el HAR del test al reporte (si hubo peticiones) y liberarlo
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @returns {Promise<void>}
+   */
+  static async attach(testInfo) {
+    const key = recorderKey(testInfo);
+    const recorder = activeRecorders.get(key);
+    activeRecorders.delete(key);
+    if (!recorder || recorder.entries.length === 0) return;
+
+    await testInfo.attach(HAR_ATTACHMENT, {
+      body: JSON.stringify(recorder.toHar(), null, 2),
+      contentType: "application/json",
+    });
+  }
+
+  /**
+   * Registrar una respuesta
+   * @param {object} request - Petición descrita por ApiClient._describeRequest (sin secretos)
+   * @param {import("@playwright/test").APIResponse} response
+   * @param {Date} startedAt
+   * @param {number} duration - Milisegundos hasta recibir la respuesta
+   * @returns {Promise<void>}
+   */
+  async record(request, response, startedAt, duration) {
+    const body = await response.body();
+    const headers = redact(response.headers());
+    const mimeType = headers["content-type"] || "";
+
+    this.entries.push({
+      ...this._baseEntry(request, startedAt, duration),
+      response: {
+        status: response.status(),
+        statusText: response.statusText?.() || "",
+        httpVersion: "HTTP/1.1",
+        headers: toNameValue(headers),
+        cookies: [],
+        content: {
+          size: body.length,
+          mimeType,
+          ...(isBinary(body)
+            ? { text: body.toString("base64"), encoding: "base64" }
+            : { text: redactText(body.toString("utf8")) }),
+        },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: body.length,
+      },
+    });
+  }
+
+  /**
+   * Registrar una petición que no obtuvo respuesta (timeout, conexión cortada)
+   * @param {object} request - Petición descrita por ApiClient._describeRequest
+   * @param {Error} error
+   * @param {Date} startedAt
+   * @param {number} duration
+   */
+  recordError(request, error, startedAt, duration) {
+    this.entries.push({
+      ...this._baseEntry(request, startedAt, duration),
+      response: {
+        status: 0,
+        statusText: "",
+        httpVersion: "HTTP/1.1",
+        headers: [],
+        cookies: [],
+        content: { size: 0, mimeType: "" },
+        redirectURL: "",
+        headersSize: -1,
+        bodySize: -1,
+        _error: redactText(error.message.split("\n")[0]),
+      },
+    });
+  }
+
+  /**
+   * Documento HAR completo
+   * @returns {object}
+   */
+  toHar() {
+    return {
+      log: {
+        version: HAR_VERSION,
+        creator: CREATOR,
+        pages: [],
+        entries: this.entries,
+      },
+    };
+  }
+
+  /**
+   * Campos comunes de una entrada: petición, tiempos y cache
+   * @param {object} request
+   * @param {Date} startedAt
+   * @param {number} duration
+   * @returns {object}
+   */
+  _baseEntry(request, startedAt, duration) {
+    const time = Math.round(duration);
+    const url = new URL(request.url);
+    const postData = toPostData(request);
+
+    return {
+      startedDateTime: startedAt.toISOString(),
+      time,
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: "HTTP/1.1",
+        headers: toNameValue(request.headers || {}),
+        queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+        cookies: [],
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData.text || "") : 0,
+        ...(postData ? { postData } : {}),
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+    };
+  }
+}
+
+/**
+ * Paso de test obtenido de un HAR de la plataforma
+ * @typedef {object} HarStep
+ * @property {string} name - Descripción corta (método y endpoint)
+ * @property {string} method
+ * @property {string} endpoint - Ruta de la API (/api/...)
+ * @property {object} params - Query string sin credenciales
+ * @property {any} [data] - Cuerpo de la petición
+ * @property {string} [encoding] - form | json (encoding de ApiClient)
+ * @property {boolean} mutating - true si el paso modifica datos (no es GET/HEAD)
+ * @property {{status: number, dataStatus: string|null}} expected - Respuesta capturada
+ * @property {string} startedDateTime - Momento de la captura
+ */
+
+/**
+ * Convertir un HAR capturado desde la UI de la plataforma en pasos de test
+ * reproducibles con ApiClient. Solo se toman las llamadas a /api/ del host de
+ * la plataforma; se descartan preflights, peticiones abortadas y credenciales
+ * (cookies, headers de auth y parámetros sensibles), que ApiClient agrega por
+ * su cuenta.
+ * @param {string|object} har - Ruta del archivo .har o documento ya parseado
+ * @param {object} options
+ * @param {string[]} options.hosts - Hosts aceptados (por defecto los de la plataforma)
+ * @param {Function} options.filter - (step) => boolean para quedarse con algunos pasos
+ * @returns {HarStep[]}
+ */
+function loadHarSteps(har, options = {}) {
+  const document =
+    typeof har === "string" ? JSON.parse(fs.readFileSync(path.resolve(har), "utf8")) : har;
+  const hosts = options.hosts || PLATFORM_HOSTS;
+  const entries = document?.log?.entries;
+
+  if (!Array.isArray(entries)) {
+    throw new Error("El HAR no tiene log.entries: no parece un archivo HAR válido");
+  }
+
+  return entries
+    .map((entry) => toStep(entry, hosts))
+    .filter(Boolean)
+    .filter((step) => !options.filter || options.filter(step));
+}
+
+/**
+ * Ejecutar un paso de HAR con ApiClient
+ * @param {import("./api-client.js").ApiClient} apiClient
+ * @param {HarStep} step
+ * @returns {Promise<import("./api-client.js").ApiResponse>}
+ */
+async function runHarStep(apiClient, step) {
+  return apiClient.send(step.method, step.endpoint, {
+    params: step.params,
+    ...(step.data !== undefined ? { data: step.data, encoding: step.encoding } : {}),
+  });
+}
+
+/**
+ * Convertir una entrada del HAR en paso (null si no es una llamada a la API)
+ * @param {object} entry
+ * @param {string[]} hosts
+ * @returns {HarStep|null}
+ */
+function toStep(entry, hosts) {
+  const { request, response } = entry;
+  const method = (request?.method || "").toUpperCase();
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch {
+    return null;
+  }
+
+  if (
+    !hosts.includes(url.hostname) ||
+    !url.pathname.startsWith("/api/") ||
+    method === "OPTIONS" ||
+    !response?.status
+  ) {
+    return null;
+  }
+
+  const params = {};
+  for (const [name, value] of url.searchParams) {
+    if (!isSensitiveKey(name)) params[name] = value;
+  }
+
+  return {
+    name: `${method} ${url.pathname}`,
+    method,
+    endpoint: url.pathname,
+    params,
+    ...fromPostData(request.postData),
+    mutating: !["GET", "HEAD"].includes(method),
+    expected: {
+      status: response.status,
+      dataStatus: envelopeStatus(response.content),
+    },
+    startedDateTime: entry.startedDateTime,
+  };
+}
+
+/**
+ * Cuerpo de la petición del HAR en formato de ApiClient, sin claves sensibles
+ * @param {object} postData
+ * @returns {{data?: any, encoding?: string}}
+ */
+function fromPostData(postData) {
+  if (!postData) return {};
+  const mimeType = postData.mimeType || "";
+
+  if (/json/i.test(mimeType)) {
+    try {
+      return { data: dropSensitive(JSON.parse(postData.text || "null")), encoding: "json" };
+    } catch {
+      return { data: postData.text, encoding: "json" };
+    }
+  }
+
+  if (/x-www-form-urlencoded/i.test(mimeType)) {
+    const pairs = postData.text
+      ? [...new URLSearchParams(postData.text)]
+      : (postData.params || []).map(({ name, value }) => [name, value ?? ""]);
+    return { data: dropSensitive(Object.fromEntries(pairs)), encoding: "form" };
+  }
+
+  // multipart y otros: se conservan como texto, para revisar a mano
+  return { data: postData.text, encoding: "raw" };
+}
+
+/**
+ * Status del envelope ({ status: "OK" | "ERROR" }) de la respuesta capturada
+ * @param {object} content - response.content del HAR
+ * @returns {string|null}
+ */
+function envelopeStatus(content = {}) {
+  if (!content.text) return null;
+  try {
+    const text =
+      content.encoding === "base64"
+        ? Buffer.from(content.text, "base64").toString("utf8")
+        : content.text;
+    return JSON.parse(text)?.status ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copiar un objeto sin las claves sensibles (token, password...)
+ * @param {any} value
+ * @returns {any}
+ */
+function dropSensitive(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value).filter(([key]) => !isSensitiveKey(key))
+  );
+}
+
+/**
+ * postData de HAR a partir de la petición descrita por ApiClient
+ * @param {object} request
+ * @returns {object|undefined}
+ */
+function toPostData(request) {
+  if (request.body === undefined) return undefined;
+  const mimeType = request.headers?.["Content-Type"] || "";
+
+  if (request.encoding === "form" && request.body && typeof request.body === "object") {
+    const params = Object.entries(request.body).map(([name, value]) => ({
+      name,
+      value: typeof value === "object" ? JSON.stringify(value) : String(value),
+    }));
+    return {
+      mimeType,
+      params,
+      text: new URLSearchParams(params.map(({ name, value }) => [name, value])).toString(),
+    };
+  }
+
+  return {
+    mimeType: request.encoding === "multipart" ? "multipart/form-data" : mimeType,
+    text: typeof request.body === "string" ? request.body : JSON.stringify(request.body),
+  };
+}
+
+/**
+ * Headers como lista { name, value } (formato HAR)
+ * @param {object} headers
+ * @returns {{name: string, value: string}[]}
+ */
+function toNameValue(headers) {
+  return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Indicar si un cuerpo no es texto UTF-8
+ * @param {Buffer} body
+ * @returns {boolean}
+ */
+function isBinary(body) {
+  return !Buffer.from(body.toString("utf8"), "utf8").equals(body);
+}
+
+/**
+ * @param {import("@playwright/test").TestInfo} testInfo
+ * @returns {string}
+ */
+function recorderKey(testInfo) {
+  return `${testInfo.testId}:${testInfo.retry}`;
+}
+
+module.exports = {
+  HarRecorder,
+  HAR_ATTACHMENT,
+  PLATFORM_HOSTS,
+  loadHarSteps,
+  runHarStep,
+};
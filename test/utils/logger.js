@@ -1,3 +1,6 @@
+const { redact, redactText } = require("./redactor.js");
+
+// Toda la salida pasa por el redactor: tokens y contraseñas nunca llegan al reporte
 class Logger {
   constructor(context = "test") {
     this.context = context;
@@ -9,7 +12,7 @@ class Logger {
    */
   info(message) {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${this.context}] ${message}`);
+    console.log(redactText(`[${timestamp}] [${this.context}] ${message}`));
   }
 
   /**
@@ -19,9 +22,13 @@ class Logger {
    */
   error(message, error = null) {
     const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] [${this.context}] ERROR: ${message}`);
-    if (error) {
-      console.error(error);
+    console.error(
+      redactText(`[${timestamp}] [${this.context}] ERROR: ${message}`)
+    );
+    if (error instanceof Error) {
+      console.error(redactText(error.stack || error.message));
+    } else if (error) {
+      console.error(redact(error));
     }
   }
 
@@ -31,7 +38,9 @@ class Logger {
    */
   warn(message) {
     const timestamp = new Date().toISOString();
-    console.warn(`[${timestamp}] [${this.context}] WARNING: ${message}`);
+    console.warn(
+      redactText(`[${timestamp}] [${this.context}] WARNING: ${message}`)
+    );
   }
 
   /**
@@ -40,7 +49,9 @@ class Logger {
    */
   debug(message) {
     const timestamp = new Date().toISOString();
-    console.debug(`[${timestamp}] [${this.context}] DEBUG: ${message}`);
+    console.debug(
+      redactText(`[${timestamp}] [${this.context}] DEBUG: ${message}`)
+    );
   }
 }
 
@@ -0,0 +1,96 @@
+// Header que asocia cada petición al test que la hizo (ver test/mock-server)
+const MOCK_SCOPE_HEADER = "X-Mock-Scope";
+
+/**
+ * Headers de scope para el mock server. Fuera de MOCK=1 no agrega nada.
+ * @param {import("@playwright/test").TestInfo} testInfo
+ * @returns {object}
+ */
+function mockScopeHeaders(testInfo) {
+  return process.env.MOCK === "1" ? { [MOCK_SCOPE_HEADER]: testInfo.testId } : {};
+}
+
+/**
+ * Cliente de la API de control de fallas del mock server. Las fallas quedan
+ * asociadas al test (scope), así no afectan a otros workers.
+ *
+ *   await faults.inject({ type: "rate-limit", path: "/api/coupon", retryAfter: 1, times: 1 });
+ */
+class MockFaults {
+  /**
+   * @param {import("@playwright/test").APIRequestContext} request
+   * @param {string} baseUrl - URL del mock server
+   * @param {string} scope - Identificador del test
+   */
+  constructor(request, baseUrl, scope) {
+    this.request = request;
+    this.baseUrl = baseUrl;
+    this.scope = scope;
+  }
+
+  /**
+   * Inyectar una falla
+   * @param {object} spec - Ver Fault en test/mock-server/fault-injector.js
+   * @returns {Promise<object>} Falla registrada (con id)
+   */
+  async inject(spec) {
+    const response = await this.request.post(`${this.baseUrl}/__mock/faults`, {
+      data: { ...spec, scope: this.scope },
+    });
+    return this._unwrap(response, "inyectar la falla");
+  }
+
+  /**
+   * Listar las fallas activas del test
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const response = await this.request.get(`${this.baseUrl}/__mock/faults`, {
+      params: { scope: this.scope },
+    });
+    return this._unwrap(response, "listar las fallas");
+  }
+
+  /**
+   * Quitar una falla
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const response = await this.request.delete(
+      `${this.baseUrl}/__mock/faults/${id}`
+    );
+    await this._unwrap(response, `quitar la falla ${id}`);
+  }
+
+  /**
+   * Quitar todas las fallas del test
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const response = await this.request.delete(`${this.baseUrl}/__mock/faults`, {
+      params: { scope: this.scope },
+    });
+    await this._unwrap(response, "quitar las fallas");
+  }
+
+  /**
+   * Validar la respuesta de la API de control
+   * @param {import("@playwright/test").APIResponse} response
+   * @param {string} action - Descripción para el mensaje de error
+   * @returns {Promise<any>}
+   */
+  async _unwrap(response, action) {
+    const body = await response.json().catch(() => null);
+    if (!response.ok() || body?.status !== "OK") {
+      throw new Error(
+        `Mock server: no se pudo ${action} (Status ${response.status()}): ${
+          body?.data ?? "sin detalle"
+        }`
+      );
+    }
+    return body.data;
+  }
+}
+
+module.exports = { MockFaults, mockScopeHeaders, MOCK_SCOPE_HEADER };
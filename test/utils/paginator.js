@@ -0,0 +1,258 @@
+// Estilos de paginación soportados por los endpoints de listado
+const PAGINATION_STYLES = ["page", "offset"];
+
+// Campos donde la API puede informar el total de elementos
+const TOTAL_FIELDS = ["total", "count", "totalCount", "total_count"];
+
+const DEFAULT_PAGINATION_OPTIONS = {
+  style: "page",
+  pageSize: 50,
+  firstPage: 1,
+  maxPages: 1000,
+  idKey: "_id",
+  strict: true,
+};
+
+/**
+ * Página devuelta por Paginator
+ * @typedef {object} Page
+ * @property {number} number - Número de página (desde 1)
+ * @property {object} params - Parámetros de query enviados
+ * @property {any[]} items - Elementos de la página
+ * @property {number|null} total - Total informado por la API, si existe
+ * @property {import("./api-client.js").ApiResponse} response - Respuesta completa
+ */
+
+/**
+ * Recorrido completo de un endpoint de listado, página por página.
+ *
+ * Se detiene con una página vacía, al alcanzar el total informado por la API,
+ * con una página que solo repite elementos ya vistos o al llegar a maxPages.
+ * Mientras recorre registra IDs duplicados entre páginas y, si la API informa
+ * el total, cuántos elementos faltan (ver paginator.report).
+ *
+ *   for await (const page of apiClient.paginate("/api/media", {}, { style: "offset" })) { ... }
+ *   const coupons = await apiClient.paginate("/api/coupon").all();
+ */
+class Paginator {
+  /**
+   * @param {import("./api-client.js").ApiClient} client
+   * @param {string} endpoint - Endpoint de listado
+   * @param {object} params - Parámetros de query fijos (filtros, orden)
+   * @param {object} options
+   * @param {string} options.style - page (page + limit) | offset (offset + limit)
+   * @param {number} options.pageSize - Elementos por página (por defecto params.limit o 50)
+   * @param {number} options.firstPage - Primera página en estilo page
+   * @param {number} options.maxPages - Límite de seguridad de páginas a pedir
+   * @param {string} options.idKey - Campo identificador de cada elemento
+   * @param {boolean} options.strict - Lanzar error si hay duplicados o faltantes al terminar
+   * @param {Function} options.items - (response) => array con los elementos de la página
+   */
+  constructor(client, endpoint, params = {}, options = {}) {
+    const { limit, ...fixedParams } = params;
+
+    this.client = client;
+    this.endpoint = endpoint;
+    this.params = fixedParams;
+    this.options = {
+      ...DEFAULT_PAGINATION_OPTIONS,
+      pageSize: limit || DEFAULT_PAGINATION_OPTIONS.pageSize,
+      ...options,
+    };
+
+    if (!PAGINATION_STYLES.includes(this.options.style)) {
+      throw new Error(
+        `Estilo de paginación no soportado: ${
+          this.options.style
+        }. Usar: ${PAGINATION_STYLES.join(", ")}`
+      );
+    }
+
+    this._resetReport();
+  }
+
+  /**
+   * Recorrer las páginas del endpoint
+   * @returns {AsyncGenerator<Page>}
+   */
+  async *[Symbol.asyncIterator]() {
+    const { style, pageSize, firstPage, maxPages, idKey } = this.options;
+    const seen = new Map();
+    this._resetReport();
+
+    for (let number = 1; ; number++) {
+      if (number > maxPages) {
+        this.report.stoppedBy = "maxPages";
+        break;
+      }
+
+      const params = {
+        ...this.params,
+        limit: pageSize,
+        ...(style === "page"
+          ? { page: firstPage + number - 1 }
+          : { offset: (number - 1) * pageSize }),
+      };
+
+      const response = await this.client.get(this.endpoint, params);
+      const items = this._extractItems(response);
+      const total = this._extractTotal(response);
+      if (total !== null) this.report.total = total;
+
+      if (items.length === 0) {
+        this.report.stoppedBy = "emptyPage";
+        break;
+      }
+
+      this.report.pages++;
+      this.report.items += items.length;
+
+      let newIds = 0;
+      items.forEach((item) => {
+        const id = item?.[idKey];
+        if (id === undefined) return;
+        if (seen.has(id)) {
+          this.report.duplicates.push({
+            id,
+            firstPage: seen.get(id),
+            page: number,
+          });
+        } else {
+          seen.set(id, number);
+          newIds++;
+        }
+      });
+
+      // La API ignora el parámetro de página y repite elementos ya vistos
+      if (newIds === 0 && seen.size > 0) {
+        this.report.stoppedBy = "repeatedPage";
+        break;
+      }
+
+      yield { number, params, items, total, response };
+
+      if (this.report.total !== null && seen.size >= this.report.total) {
+        this.report.stoppedBy = "total";
+        break;
+      }
+    }
+
+    // Con maxPages el recorrido es parcial y los faltantes no se pueden calcular
+    if (this.report.total !== null && this.report.stoppedBy !== "maxPages") {
+      this.report.missing = Math.max(this.report.total - seen.size, 0);
+    }
+
+    if (this.report.duplicates.length > 0 || this.report.missing > 0) {
+      console.warn(
+        `[ApiClient] Paginación inconsistente en ${this.endpoint}: ${this.report.duplicates.length} duplicados, ${this.report.missing} faltantes`
+      );
+      this.client._annotate(
+        "api-pagination",
+        `${this.endpoint}: ${this.report.duplicates.length} duplicados, ${this.report.missing} faltantes en ${this.report.pages} páginas`
+      );
+      if (this.options.strict) {
+        throw new Error(this._describeInconsistency());
+      }
+    }
+  }
+
+  /**
+   * Recorrer todos los elementos de todas las páginas
+   * @returns {AsyncGenerator<any>}
+   */
+  async *items() {
+    for await (const page of this) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Recorrer todas las páginas y devolver todos los elementos
+   * @returns {Promise<any[]>}
+   */
+  async all() {
+    const items = [];
+    for await (const page of this) {
+      items.push(...page.items);
+    }
+    return items;
+  }
+
+  /**
+   * Reiniciar el resumen del recorrido
+   */
+  _resetReport() {
+    this.report = {
+      endpoint: this.endpoint,
+      style: this.options.style,
+      pages: 0,
+      items: 0,
+      total: null,
+      duplicates: [],
+      missing: 0,
+      stoppedBy: null,
+    };
+  }
+
+  /**
+   * Extraer los elementos de una respuesta de listado
+   * @param {import("./api-client.js").ApiResponse} response
+   * @returns {any[]}
+   */
+  _extractItems(response) {
+    if (response.status !== 200 || response.data?.status !== "OK") {
+      throw new Error(
+        `Paginación de ${this.endpoint} interrumpida: Status ${
+          response.status
+        }, Data Status: ${response.data?.status || "N/A"}`
+      );
+    }
+
+    const items = this.options.items
+      ? this.options.items(response)
+      : response.data.data;
+
+    if (!Array.isArray(items)) {
+      throw new Error(
+        `Paginación de ${this.endpoint}: la respuesta no contiene un array de elementos`
+      );
+    }
+    return items;
+  }
+
+  /**
+   * Obtener el total de elementos informado por la API
+   * @param {import("./api-client.js").ApiResponse} response
+   * @returns {number|null}
+   */
+  _extractTotal(response) {
+    const field = TOTAL_FIELDS.find(
+      (name) => typeof response.data?.[name] === "number"
+    );
+    return field ? response.data[field] : null;
+  }
+
+  /**
+   * Mensaje de error con el detalle de duplicados y faltantes
+   * @returns {string}
+   */
+  _describeInconsistency() {
+    const lines = [
+      `Paginación inconsistente en ${this.endpoint} (${this.report.style}, ${this.report.pages} páginas):`,
+    ];
+    this.report.duplicates.slice(0, 10).forEach(({ id, firstPage, page }) => {
+      lines.push(`  - ${id} duplicado: página ${firstPage} y página ${page}`);
+    });
+    if (this.report.duplicates.length > 10) {
+      lines.push(`  - ... y ${this.report.duplicates.length - 10} duplicados más`);
+    }
+    if (this.report.missing > 0) {
+      lines.push(
+        `  - Faltan ${this.report.missing} elementos respecto del total informado (${this.report.total})`
+      );
+    }
+    return lines.join("\n");
+  }
+}
+
+module.exports = { Paginator, PAGINATION_STYLES };
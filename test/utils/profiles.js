@@ -0,0 +1,96 @@
+const { registerSecret } = require("./redactor.js");
+const { cassetteMode } = require("./cassette.js");
+
+// Perfil que usa API_BASE_URL / API_TOKEN
+const DEFAULT_PROFILE = "default";
+
+// URL base usada al reproducir cassettes sin credenciales (API_CASSETTE=replay)
+const REPLAY_BASE_URL = "http://cassette.replay";
+
+// Perfiles usados por la suite: admin, read-only y second-account. Cada uno se
+// configura con API_PROFILE_<NOMBRE>_BASE_URL y API_PROFILE_<NOMBRE>_TOKEN.
+
+/**
+ * Credenciales de un perfil
+ * @typedef {object} ApiProfile
+ * @property {string} name - Nombre del perfil
+ * @property {string} baseUrl - URL base de la API
+ * @property {string} token - Token de acceso
+ * @property {boolean} configured - true si tiene URL y token
+ */
+
+/**
+ * Prefijo de variables de entorno de un perfil ("read-only" → API_PROFILE_READ_ONLY)
+ * @param {string} name
+ * @returns {string}
+ */
+function profileEnvPrefix(name) {
+  return `API_PROFILE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}`;
+}
+
+/**
+ * Nombre del perfil a usar cuando el test no elige ninguno
+ * @returns {string}
+ */
+function defaultProfileName() {
+  return process.env.API_PROFILE || DEFAULT_PROFILE;
+}
+
+/**
+ * Resolver las credenciales de un perfil. Si el perfil no define su URL base
+ * se usa API_BASE_URL; "default" y "admin" también heredan API_TOKEN. Con
+ * API_CASSETTE=replay no hace falta red ni credenciales: lo que falte se
+ * completa con valores de reproducción.
+ * @param {string} name - Nombre del perfil
+ * @returns {ApiProfile}
+ */
+function getProfile(name = defaultProfileName()) {
+  const inheritsToken = name === DEFAULT_PROFILE || name === "admin";
+  const prefix = profileEnvPrefix(name);
+
+  const replaying = cassetteMode() === "replay";
+
+  const baseUrl =
+    (name !== DEFAULT_PROFILE && process.env[`${prefix}_BASE_URL`]) ||
+    process.env.API_BASE_URL ||
+    (replaying ? REPLAY_BASE_URL : "");
+  const token =
+    (name !== DEFAULT_PROFILE && process.env[`${prefix}_TOKEN`]) ||
+    (inheritsToken ? process.env.API_TOKEN : "") ||
+    (replaying ? `replay-${inheritsToken ? DEFAULT_PROFILE : name}-token` : "");
+
+  registerSecret(token);
+
+  return { name, baseUrl, token, configured: Boolean(baseUrl && token) };
+}
+
+/**
+ * Indicar si un perfil tiene credenciales configuradas
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasProfile(name) {
+  return getProfile(name).configured;
+}
+
+/**
+ * Mensaje de error para un perfil sin credenciales
+ * @param {string} name
+ * @returns {string}
+ */
+function missingProfileMessage(name) {
+  if (name === DEFAULT_PROFILE) {
+    return "Faltan variables de entorno API_BASE_URL o API_TOKEN";
+  }
+  const prefix = profileEnvPrefix(name);
+  const tokenVars = name === "admin" ? `${prefix}_TOKEN o API_TOKEN` : `${prefix}_TOKEN`;
+  return `Perfil "${name}" sin configurar: faltan ${tokenVars} (y ${prefix}_BASE_URL o API_BASE_URL)`;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfile,
+  hasProfile,
+  defaultProfileName,
+  missingProfileMessage,
+};
@@ -0,0 +1,178 @@
+const REDACTED = "[REDACTED]";
+
+// Claves cuyo valor nunca debe salir en logs, adjuntos ni reportes
+const DEFAULT_SENSITIVE_KEYS = [
+  "token",
+  "api_token",
+  "x-api-token",
+  "authorization",
+  "password",
+  "passwd",
+  "secret",
+  "cookie",
+  "set-cookie",
+];
+
+// Variables de entorno cuyo valor se considera secreto
+const SECRET_ENV_VARS = ["API_TOKEN", "UI_USER_PASSWORD", "SLACK_WEBHOOK_URL"];
+
+// Tokens de los perfiles de credenciales (ver profiles.js): el proceso del
+// reporter nunca llama a getProfile(), así que se registran por nombre
+const PROFILE_TOKEN_VAR = /^API_PROFILE_.+_TOKEN$/;
+
+// Valores de menos caracteres se ignoran para no mutilar texto legítimo
+const MIN_SECRET_LENGTH = 4;
+
+const sensitiveKeys = new Set(
+  [
+    ...DEFAULT_SENSITIVE_KEYS,
+    ...(process.env.REDACT_KEYS || "").split(","),
+  ]
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const secretValues = new Set();
+
+/**
+ * Registrar un valor secreto para ocultarlo en cualquier texto
+ * @param {string} value
+ */
+function registerSecret(value) {
+  if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+    secretValues.add(value);
+  }
+}
+
+/**
+ * Registrar claves adicionales cuyo valor debe ocultarse
+ * @param {string[]} keys
+ */
+function addSensitiveKeys(keys = []) {
+  keys.forEach((key) => sensitiveKeys.add(String(key).toLowerCase()));
+}
+
+/**
+ * Indicar si una clave de objeto, header o query param es sensible
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSensitiveKey(key) {
+  return sensitiveKeys.has(String(key).toLowerCase());
+}
+
+/**
+ * Ocultar secretos conocidos y parámetros sensibles dentro de un texto
+ * @param {string} text
+ * @returns {string}
+ */
+function redactText(text) {
+  if (typeof text !== "string" || !text) return text;
+
+  let result = text;
+
+  // Valores secretos conocidos, del más largo al más corto
+  [...secretValues]
+    .sort((a, b) => b.length - a.length)
+    .forEach((secret) => {
+      result = result.split(secret).join(REDACTED);
+    });
+
+  // Parámetros sensibles en query string o cuerpo form (?token=..., &password=...)
+  result = result.replace(
+    /(^|[?&])([^=&#\s"'\\]+)=([^&#\s"'\\]*)/g,
+    (match, sep, key) =>
+      isSensitiveKey(safeDecode(key)) ? `${sep}${key}=${REDACTED}` : match
+  );
+
+  // Pares "clave": "valor" dentro de JSON serializado
+  result = result.replace(
+    /("([^"\\]+)"\s*:\s*)"(?:[^"\\]|\\.)*"/g,
+    (match, prefix, key) =>
+      isSensitiveKey(key) ? `${prefix}"${REDACTED}"` : match
+  );
+
+  // Los mismos pares dentro de JSON serializado dos veces (\"clave\": \"valor\")
+  result = result.replace(
+    /(\\"([^"\\]+)\\"\s*:\s*)\\"(?:[^"\\]|\\\\\\"|\\[^"])*?\\"/g,
+    (match, prefix, key) =>
+      isSensitiveKey(key) ? `${prefix}\\"${REDACTED}\\"` : match
+  );
+
+  return result;
+}
+
+/**
+ * Decodificar un componente de URL sin fallar ante secuencias inválidas
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Copiar un valor ocultando secretos en claves sensibles y en textos
+ * @param {any} value
+ * @returns {any}
+ */
+function redact(value) {
+  if (typeof value === "string") return redactText(value);
+  if (Buffer.isBuffer(value) || value === null || typeof value !== "object") {
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(redact);
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] =
+      isSensitiveKey(key) && item !== null && item !== undefined
+        ? REDACTED
+        : redact(item);
+  }
+  return copy;
+}
+
+/**
+ * Ocultar secretos en el mensaje y stack de un error (lo modifica y lo devuelve)
+ * @param {Error} error
+ * @returns {Error}
+ */
+function redactError(error) {
+  if (error instanceof Error) {
+    error.message = redactText(error.message);
+    if (error.stack) error.stack = redactText(error.stack);
+  }
+  return error;
+}
+
+/**
+ * Registrar los secretos de las variables de entorno (SECRET_ENV_VARS, tokens
+ * API_PROFILE_*_TOKEN y REDACT_VALUES). Se llama al cargar el módulo y de nuevo cuando .env ya se
+ * cargó (api-client.js lo carga al importarse)
+ * @param {object} env
+ */
+function registerEnvSecrets(env = process.env) {
+  SECRET_ENV_VARS.forEach((name) => registerSecret(env[name]));
+  Object.keys(env)
+    .filter((name) => PROFILE_TOKEN_VAR.test(name))
+    .forEach((name) => registerSecret(env[name]));
+  (env.REDACT_VALUES || "").split(",").forEach((value) => registerSecret(value.trim()));
+}
+
+registerEnvSecrets();
+
+module.exports = {
+  REDACTED,
+  registerSecret,
+  registerEnvSecrets,
+  addSensitiveKeys,
+  isSensitiveKey,
+  redact,
+  redactText,
+  redactError,
+};
@@ -0,0 +1,40 @@
+const { redact } = require("../redactor.js");
+
+/**
+ * Error lanzado por los clientes de recursos cuando la respuesta no es
+ * HTTP 2xx con envelope { status: "OK" }.
+ *
+ * Conserva la respuesta completa para que los tests negativos puedan
+ * validar el código de error de la API:
+ *
+ *   await expect(coupons.create(payload)).rejects.toMatchObject({ code: "COUPON_CODE_ALREADY_EXISTS" });
+ */
+class ApiEnvelopeError extends Error {
+  /**
+   * @param {string} method - Verbo HTTP
+   * @param {string} endpoint - Endpoint consultado
+   * @param {import("../api-client.js").ApiResponse} response
+   */
+  constructor(method, endpoint, response) {
+    const dataStatus = response.data?.status || "N/A";
+    const code =
+      typeof response.data?.data === "string" ? response.data.data : null;
+
+    super(
+      `${method} ${endpoint} respondió Status ${response.status}, Data Status: ${dataStatus}${
+        code ? ` (${code})` : ""
+      }`
+    );
+
+    this.name = "ApiEnvelopeError";
+    this.method = method;
+    this.endpoint = endpoint;
+    this.status = response.status;
+    this.dataStatus = dataStatus;
+    this.code = code;
+    this.body = redact(response.data);
+    this.response = response;
+  }
+}
+
+module.exports = { ApiEnvelopeError };
@@ -0,0 +1,140 @@
+const { ResourceApi } = require("./resource-api.js");
+
+const CATEGORY_ENDPOINT = "/api/category";
+
+/**
+ * Datos para crear o actualizar una categoría
+ * @typedef {object} CategoryPayload
+ * @property {string} name
+ * @property {string} [description]
+ * @property {boolean} [is_active]
+ * @property {string} [parent] - _id de la categoría padre
+ */
+
+/**
+ * Categoría devuelta por la API
+ * @typedef {object} Category
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} slug
+ * @property {string} [description]
+ * @property {boolean} visible
+ * @property {string} date_created
+ */
+
+/**
+ * Cliente del recurso categorías (/api/category)
+ */
+class CategoryApi extends ResourceApi {
+  /**
+   * Listar categorías
+   * @param {object} params - Filtros (limit, page...)
+   * @returns {Promise<Category[]>}
+   */
+  async list(params = {}) {
+    return this._request("GET", CATEGORY_ENDPOINT, { params });
+  }
+
+  /**
+   * Recorrer todas las páginas de categorías
+   * @param {object} params - Filtros (limit define el tamaño de página)
+   * @param {object} options - Opciones de Paginator
+   * @returns {import("../paginator.js").Paginator}
+   */
+  paginate(params = {}, options = {}) {
+    return this.api.paginate(CATEGORY_ENDPOINT, params, options);
+  }
+
+  /**
+   * Crear una categoría
+   * @param {CategoryPayload} payload
+   * @returns {Promise<Category>}
+   */
+  async create(payload) {
+    return this._request("POST", CATEGORY_ENDPOINT, { data: payload });
+  }
+
+  /**
+   * Obtener una categoría por _id
+   * @param {string} id
+   * @returns {Promise<Category>}
+   */
+  async getById(id) {
+    return this._request("GET", this._path(id));
+  }
+
+  /**
+   * Actualizar una categoría (la API usa POST sobre el recurso)
+   * @param {string} id
+   * @param {Partial<CategoryPayload>} payload
+   * @returns {Promise<Category>}
+   */
+  async update(id, payload) {
+    return this._request("POST", this._path(id), { data: payload });
+  }
+
+  /**
+   * Eliminar una categoría
+   * @param {string} id
+   * @returns {Promise<any>} data del envelope, o null si la respuesta es 204
+   */
+  async remove(id) {
+    return this._request("DELETE", this._path(id));
+  }
+
+  /**
+   * Listar los medias asociados a una categoría
+   * @param {string} id
+   * @returns {Promise<import("./media-api.js").Media[]>}
+   */
+  async listMedia(id) {
+    return this._request("GET", this._path(id, "media"));
+  }
+
+  /**
+   * Asociar un media a una categoría
+   * @param {string} id
+   * @param {string} mediaId
+   * @returns {Promise<any>}
+   */
+  async attachMedia(id, mediaId) {
+    return this._request("POST", this._path(id, "media"), {
+      data: { media_id: mediaId },
+    });
+  }
+
+  /**
+   * Subir la imagen de una categoría
+   * @param {string} id
+   * @param {Buffer|string|import("fs").ReadStream|{name: string, mimeType: string, buffer: Buffer}} image
+   * @returns {Promise<any>}
+   */
+  async uploadImage(id, image) {
+    return this._request("POST", this._path(id, "image"), {
+      files: { image },
+      encoding: "multipart",
+    });
+  }
+
+  /**
+   * Eliminar la imagen de una categoría
+   * @param {string} id
+   * @returns {Promise<any>}
+   */
+  async removeImage(id) {
+    return this._request("DELETE", this._path(id, "image"));
+  }
+
+  /**
+   * Ruta de una categoría o de un sub-recurso
+   * @param {string} id
+   * @param {string} subresource - media | image
+   * @returns {string}
+   */
+  _path(id, subresource) {
+    const path = `${CATEGORY_ENDPOINT}/${this._segment(id)}`;
+    return subresource ? `${path}/${subresource}` : path;
+  }
+}
+
+module.exports = { CategoryApi };
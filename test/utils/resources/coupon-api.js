@@ -0,0 +1,118 @@
+const { ResourceApi } = require("./resource-api.js");
+
+const COUPON_ENDPOINT = "/api/coupon";
+
+/**
+ * Datos para crear o actualizar un cupón (se envían como form, todo en string).
+ * En los tests se arman con CouponBuilder (test/utils/builders/coupon-builder.js)
+ * @typedef {object} CouponPayload
+ * @property {string} group - _id del grupo de cupones
+ * @property {string} valid_from - Inicio de validez (ISO 8601)
+ * @property {string} valid_to - Fin de validez (ISO 8601)
+ * @property {"true"|"false"} is_reusable
+ * @property {string} [custom_code] - Código propio (solo cupones reutilizables)
+ * @property {string} [max_use]
+ * @property {string} [customer_max_use]
+ * @property {string} [quantity] - Cantidad de cupones a generar
+ * @property {"percent"|"amount"} discount_type
+ * @property {string} [percent]
+ * @property {string} [amount]
+ * @property {string} [detail]
+ * @property {string} type - Tipo de acceso (por ejemplo "ppv-live")
+ * @property {string} type_code
+ * @property {"true"|"false"} payment_required
+ * @property {string} [metadata] - JSON serializado
+ */
+
+/**
+ * Cupón devuelto por la API
+ * @typedef {object} Coupon
+ * @property {string} _id
+ * @property {string} code
+ * @property {string|{_id: string}} group
+ * @property {string} [subgroup]
+ * @property {boolean} is_reusable
+ * @property {boolean} is_used
+ * @property {boolean} is_valid
+ * @property {string} [detail]
+ * @property {number} [amount]
+ * @property {number} [percent]
+ * @property {string} date_created
+ */
+
+/**
+ * Cliente del recurso cupones (/api/coupon)
+ */
+class CouponApi extends ResourceApi {
+  /**
+   * Listar cupones
+   * @param {object} params - Filtros (limit, page, subgroup, search...)
+   * @returns {Promise<Coupon[]>}
+   */
+  async list(params = {}) {
+    return this._request("GET", COUPON_ENDPOINT, { params });
+  }
+
+  /**
+   * Recorrer todas las páginas de cupones
+   * @param {object} params - Filtros (limit define el tamaño de página)
+   * @param {object} options - Opciones de Paginator
+   * @returns {import("../paginator.js").Paginator}
+   */
+  paginate(params = {}, options = {}) {
+    return this.api.paginate(COUPON_ENDPOINT, params, options);
+  }
+
+  /**
+   * Crear cupones. La API devuelve un array (uno por cada unidad de quantity)
+   * @param {CouponPayload} payload
+   * @returns {Promise<Coupon[]>}
+   */
+  async create(payload) {
+    return this._request("POST", COUPON_ENDPOINT, { data: payload });
+  }
+
+  /**
+   * Obtener un cupón por _id
+   * @param {string} id
+   * @returns {Promise<Coupon>}
+   */
+  async getById(id) {
+    return this._request("GET", `${COUPON_ENDPOINT}/${this._segment(id)}`);
+  }
+
+  /**
+   * Buscar un cupón por su código
+   * @param {string} code
+   * @returns {Promise<Coupon>}
+   */
+  async searchByCode(code) {
+    return this._request(
+      "GET",
+      `${COUPON_ENDPOINT}/${this._segment(code)}/search`
+    );
+  }
+
+  /**
+   * Actualizar un cupón (la API usa POST sobre el recurso)
+   * @param {string} id
+   * @param {Partial<CouponPayload>} payload
+   * @returns {Promise<Coupon>}
+   */
+  async update(id, payload) {
+    return this._request("POST", `${COUPON_ENDPOINT}/${this._segment(id)}`, {
+      data: payload,
+    });
+  }
+
+  /**
+   * Eliminar un cupón
+   * @param {string} id
+   * @returns {Promise<any>} data del envelope, o null si la respuesta es 204
+   */
+  async remove(id) {
+    return this._request("DELETE", `${COUPON_ENDPOINT}/${this._segment(id)}`);
+  }
+}
+
+module.exports = { CouponApi };
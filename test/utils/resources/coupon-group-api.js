@@ -0,0 +1,64 @@
+const { ResourceApi } = require("./resource-api.js");
+
+const COUPON_GROUP_ENDPOINT = "/api/coupon-group";
+
+/**
+ * Grupo de cupones (ver src/schemas/cupones/grupo-list.schema.json)
+ * @typedef {object} CouponGroup
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} account - _id de la cuenta dueña del grupo
+ * @property {number} coupon_total
+ * @property {number} coupon_used_total
+ * @property {number} coupon_valid_total
+ * @property {string} date_created
+ * @property {string} [gateway]
+ */
+
+/**
+ * Subgrupo de un grupo de cupones
+ * @typedef {object} CouponSubgroup
+ * @property {string} _id
+ * @property {string} name
+ * @property {number} total - Cupones del subgrupo
+ */
+
+/**
+ * Cliente del recurso grupos de cupones (/api/coupon-group)
+ */
+class CouponGroupApi extends ResourceApi {
+  /**
+   * Listar grupos de cupones
+   * @param {object} params - Filtros
+   * @returns {Promise<CouponGroup[]>}
+   */
+  async list(params = {}) {
+    return this._request("GET", COUPON_GROUP_ENDPOINT, { params });
+  }
+
+  /**
+   * Obtener el detalle de un grupo: la API devuelve sus subgrupos
+   * @param {string} id - _id del grupo
+   * @returns {Promise<CouponSubgroup[]>}
+   */
+  async getById(id) {
+    return this._request(
+      "GET",
+      `${COUPON_GROUP_ENDPOINT}/${this._segment(id)}`
+    );
+  }
+
+  /**
+   * Listar los cupones de un subgrupo
+   * @param {string} subgroupId
+   * @param {object} params - Filtros adicionales
+   * @returns {Promise<import("./coupon-api.js").Coupon[]>}
+   */
+  async listCoupons(subgroupId, params = {}) {
+    return this._request("GET", "/api/coupon", {
+      params: { ...params, subgroup: subgroupId },
+    });
+  }
+}
+
+module.exports = { CouponGroupApi };
@@ -0,0 +1,98 @@
+const { ResourceApi } = require("./resource-api.js");
+
+const MEDIA_ENDPOINT = "/api/media";
+
+/**
+ * Filtros del listado de medias
+ * @typedef {object} MediaFilters
+ * @property {number} [limit]
+ * @property {number} [offset]
+ * @property {string} [id]
+ * @property {string} [query] - Búsqueda por texto
+ * @property {string} [type]
+ * @property {string} [category] - _id de categoría
+ * @property {boolean} [without_category]
+ * @property {number} [min_duration]
+ * @property {number} [max_duration]
+ * @property {number} [min_views]
+ * @property {boolean} [count]
+ */
+
+/**
+ * Media devuelto por la API
+ * @typedef {object} Media
+ * @property {string} _id
+ * @property {string} title
+ * @property {string} type
+ * @property {number} [duration]
+ * @property {number} [views]
+ * @property {string[]} [categories]
+ * @property {boolean} [is_published]
+ * @property {object} [thumbnails]
+ * @property {string} date_created
+ */
+
+/**
+ * Cliente del recurso media (/api/media)
+ */
+class MediaApi extends ResourceApi {
+  /**
+   * Listar medias
+   * @param {MediaFilters} params
+   * @returns {Promise<Media[]>}
+   */
+  async list(params = {}) {
+    return this._request("GET", MEDIA_ENDPOINT, { params });
+  }
+
+  /**
+   * Recorrer todas las páginas de medias (paginación por offset)
+   * @param {MediaFilters} params - Filtros (limit define el tamaño de página)
+   * @param {object} options - Opciones de Paginator
+   * @returns {import("../paginator.js").Paginator}
+   */
+  paginate(params = {}, options = {}) {
+    return this.api.paginate(MEDIA_ENDPOINT, params, {
+      style: "offset",
+      ...options,
+    });
+  }
+
+  /**
+   * Obtener un media por _id (la API filtra el listado con ?id=)
+   * @param {string} id
+   * @returns {Promise<Media|null>} null si no existe
+   */
+  async getById(id) {
+    const data = await this._request("GET", MEDIA_ENDPOINT, {
+      params: { id },
+    });
+    if (!Array.isArray(data)) return data;
+    return data.find((media) => (media._id || media.id) === id) || null;
+  }
+
+  /**
+   * Actualizar un media (la API usa POST sobre el recurso). categories
+   * reemplaza la lista completa de categorías asociadas
+   * @param {string} id
+   * @param {{title?: string, description?: string, is_published?: boolean, categories?: string[], tags?: string[]}} payload
+   * @returns {Promise<Media>}
+   */
+  async update(id, payload) {
+    return this._request("POST", `${MEDIA_ENDPOINT}/${this._segment(id)}`, {
+      data: payload,
+    });
+  }
+
+  /**
+   * Buscar medias por texto
+   * @param {string} query
+   * @param {MediaFilters} params - Filtros adicionales
+   * @returns {Promise<Media[]>}
+   */
+  async search(query, params = {}) {
+    return this.list({ ...params, query });
+  }
+}
+
+module.exports = { MediaApi };
@@ -0,0 +1,64 @@
+const { ApiEnvelopeError } = require("./api-envelope-error.js");
+
+// Status sin cuerpo que cuentan como éxito (por ejemplo, DELETE → 204)
+const EMPTY_SUCCESS_STATUSES = [204, 205];
+
+/**
+ * Base de los clientes de recursos (CouponApi, CategoryApi, ...).
+ * Centraliza la validación del envelope { status, data } de la plataforma.
+ */
+class ResourceApi {
+  /**
+   * @param {import("../api-client.js").ApiClient} apiClient
+   */
+  constructor(apiClient) {
+    this.api = apiClient;
+  }
+
+  /**
+   * Enviar una petición y devolver `data` del envelope si es OK
+   * @param {string} method - Verbo HTTP
+   * @param {string} endpoint - Endpoint a consultar
+   * @param {object} options - Opciones de ApiClient.send
+   * @returns {Promise<any>} Contenido de `data` (null si la respuesta no tiene cuerpo)
+   * @throws {ApiEnvelopeError} Si el status no es 2xx o el envelope no es OK
+   */
+  async _request(method, endpoint, options = {}) {
+    const response = await this.api.send(method, endpoint, options);
+    return this._unwrap(method, endpoint, response);
+  }
+
+  /**
+   * Validar el envelope de una respuesta y devolver su `data`
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {import("../api-client.js").ApiResponse} response
+   * @returns {any}
+   */
+  _unwrap(method, endpoint, response) {
+    if (EMPTY_SUCCESS_STATUSES.includes(response.status)) {
+      return null;
+    }
+
+    const ok =
+      response.status >= 200 &&
+      response.status < 300 &&
+      response.data?.status === "OK";
+
+    if (!ok) {
+      throw new ApiEnvelopeError(method, endpoint, response);
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Codificar un segmento de ruta (IDs, códigos de cupón)
+   * @param {string} value
+   * @returns {string}
+   */
+  _segment(value) {
+    return encodeURIComponent(String(value));
+  }
+}
+
+module.exports = { ResourceApi };
@@ -0,0 +1,79 @@
+/**
+ * ID de una referencia que puede venir poblada ({ _id, name }) o como string
+ * @param {object|string} ref
+ * @returns {string|null}
+ */
+function refId(ref) {
+  if (ref && typeof ref === "object") return ref._id || ref.id || null;
+  return ref || null;
+}
+
+/**
+ * Nombre de un tag o categoría embebido en un media (objeto o string)
+ * @param {object|string} ref
+ * @returns {string|null}
+ */
+function refName(ref) {
+  if (ref && typeof ref === "object") return ref.name || ref.id || null;
+  return ref || null;
+}
+
+/**
+ * Cómo extraer datos de un tipo de recurso para TestDataManager
+ * @typedef {object} ResourceExtractor
+ * @property {string} label - Nombre legible, para los motivos de skip
+ * @property {(item: object) => string} id - ID del recurso
+ * @property {Object<string, (item: object) => any>} fields - Campos derivados: cada
+ *   función devuelve un valor o una lista; se guardan sin repetir y sin null/undefined
+ */
+
+/**
+ * Extractores de los recursos de la plataforma. Los campos replican lo que los
+ * specs cosechaban a mano en sus beforeAll.
+ * @type {Object<string, ResourceExtractor>}
+ */
+const RESOURCE_EXTRACTORS = {
+  coupon: {
+    label: "cupón",
+    id: (coupon) => coupon._id,
+    fields: {
+      ids: (coupon) => coupon._id,
+      groupIds: (coupon) => refId(coupon.group),
+      codes: (coupon) => coupon.code,
+    },
+  },
+  "coupon-group": {
+    label: "grupo de cupones",
+    id: (group) => group._id,
+    fields: {
+      ids: (group) => group._id,
+      names: (group) => group.name,
+    },
+  },
+  media: {
+    label: "media",
+    id: (media) => media.id || media._id,
+    fields: {
+      ids: (media) => [media.id, media._id],
+      titles: (media) => media.title,
+      types: (media) => media.type,
+      tags: (media) => (media.tags || []).map(refName),
+      categories: (media) => (media.categories || []).map(refName),
+      durations: (media) => media.duration || null,
+      views: (media) => media.views,
+      dates: (media) => [media.date_created, media.created_at],
+    },
+  },
+  category: {
+    label: "categoría",
+    id: (category) => category._id,
+    fields: {
+      ids: (category) => category._id,
+      names: (category) => category.name,
+      slugs: (category) => category.slug,
+      parentIds: (category) => refId(category.parent),
+    },
+  },
+};
+
+module.exports = { RESOURCE_EXTRACTORS, refId, refName };
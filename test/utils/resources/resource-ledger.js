@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LEDGER_PATH = path.join("resource-ledger", "ledger.jsonl");
+
+// Una instancia por archivo: los workers y los scripts escriben en el mismo ledger
+const ledgers = new Map();
+
+/**
+ * Línea del ledger
+ * @typedef {object} LedgerEvent
+ * @property {"created"|"deleted"} event
+ * @property {string} kind - coupon | category
+ * @property {string} id
+ * @property {string|null} label - Código o nombre
+ * @property {string} run_id
+ * @property {number|null} worker
+ * @property {string|null} spec
+ * @property {string|null} test
+ * @property {string} at - ISO 8601
+ */
+
+/**
+ * Estado de un recurso según el ledger: quién lo creó y si se eliminó
+ * @typedef {object} LedgerResource
+ * @property {string} kind
+ * @property {string} id
+ * @property {string|null} label
+ * @property {string} run_id
+ * @property {number|null} worker
+ * @property {string|null} spec
+ * @property {string|null} test
+ * @property {string} createdAt
+ * @property {string|null} deletedAt
+ */
+
+/**
+ * Archivo local (JSONL, solo se agregan líneas) que asocia cada recurso creado
+ * con ApiClient a la corrida, el worker y el test que lo creó, y registra
+ * cuándo se eliminó. Lo escribe ResourceTracker.observe y lo leen el sweeper y
+ * scripts/slack-report.js para explicar de dónde salió un recurso que quedó.
+ *
+ * Ruta: RESOURCE_LEDGER (por defecto resource-ledger/ledger.jsonl);
+ * RESOURCE_LEDGER=off lo desactiva.
+ */
+class ResourceLedger {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath = DEFAULT_LEDGER_PATH) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  /**
+   * Ledger configurado por RESOURCE_LEDGER
+   * @returns {ResourceLedger|null} null si está desactivado
+   */
+  static shared() {
+    const target = process.env.RESOURCE_LEDGER ?? DEFAULT_LEDGER_PATH;
+    if (target === "" || target === "off") return null;
+
+    const filePath = path.resolve(target);
+    if (!ledgers.has(filePath)) ledgers.set(filePath, new ResourceLedger(filePath));
+    return ledgers.get(filePath);
+  }
+
+  /**
+   * Agregar un evento. Un error de escritura no hace fallar el test: se avisa
+   * y se sigue.
+   * @param {"created"|"deleted"} event
+   * @param {{kind: string, id: string, label?: string|null}} resource
+   * @param {import("../test-run.js").Provenance} provenance
+   */
+  record(event, { kind, id, label = null }, provenance) {
+    const line = { event, kind, id, label, ...provenance, at: new Date().toISOString() };
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${JSON.stringify(line)}\n`);
+    } catch (error) {
+      console.warn(`[resource-ledger] No se pudo escribir ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eventos del ledger en orden; las líneas corruptas se ignoran
+   * @returns {LedgerEvent[]}
+   */
+  events() {
+    if (!fs.existsSync(this.filePath)) return [];
+    return fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Recursos creados, con su procedencia y si se eliminaron
+   * @param {object} options
+   * @param {string} options.runId - Solo los creados en esta corrida
+   * @returns {LedgerResource[]}
+   */
+  resources({ runId } = {}) {
+    const byKey = new Map();
+
+    for (const entry of this.events()) {
+      const key = `${entry.kind}:${entry.id}`;
+      if (entry.event === "created") {
+        byKey.set(key, {
+          kind: entry.kind,
+          id: entry.id,
+          label: entry.label,
+          run_id: entry.run_id,
+          worker: entry.worker,
+          spec: entry.spec,
+          test: entry.test,
+          createdAt: entry.at,
+          deletedAt: null,
+        });
+      } else if (entry.event === "deleted" && byKey.has(key)) {
+        byKey.get(key).deletedAt = entry.at;
+      }
+    }
+
+    return [...byKey.values()].filter((resource) => !runId || resource.run_id === runId);
+  }
+
+  /**
+   * Recursos que se crearon y no se eliminaron
+   * @param {object} options
+   * @param {string} options.runId - Solo los de esta corrida
+   * @returns {LedgerResource[]}
+   */
+  leftovers(options = {}) {
+    return this.resources(options).filter((resource) => !resource.deletedAt);
+  }
+
+  /**
+   * Quién creó un recurso
+   * @param {string} kind
+   * @param {string} id
+   * @returns {LedgerResource|null}
+   */
+  origin(kind, id) {
+    return this.resources().find((resource) => resource.kind === kind && resource.id === id) || null;
+  }
+
+  /**
+   * ID de la última corrida que escribió en el ledger
+   * @returns {string|null}
+   */
+  latestRunId() {
+    const events = this.events();
+    return events.length > 0 ? events[events.length - 1].run_id : null;
+  }
+}
+
+/**
+ * Origen legible de un recurso: spec › test, o la corrida si se creó fuera de un test
+ * @param {{spec?: string|null, test?: string|null, run_id?: string, worker?: number|null}} provenance
+ * @returns {string}
+ */
+function describeOrigin(provenance) {
+  if (provenance?.spec) return `${provenance.spec} › ${provenance.test}`;
+  if (provenance?.run_id) {
+    return `corrida ${provenance.run_id}${provenance.worker != null ? ` (worker ${provenance.worker})` : ""}`;
+  }
+  return "origen desconocido";
+}
+
+module.exports = { ResourceLedger, describeOrigin, DEFAULT_LEDGER_PATH };
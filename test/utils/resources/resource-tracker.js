@@ -0,0 +1,370 @@
+const { test } = require("@playwright/test");
+const { CouponApi } = require("./coupon-api.js");
+const { CategoryApi } = require("./category-api.js");
+const { RetryPolicy, sleep } = require("../retry-policy.js");
+const { currentProvenance } = require("../test-run.js");
+const { ResourceLedger, describeOrigin } = require("./resource-ledger.js");
+
+const CLEANUP_ATTACHMENT = "cleanup-report.json";
+const CLEANUP_ANNOTATION = "cleanup-failed";
+
+// Intentos de borrado por recurso (además de los reintentos de ApiClient por 5xx)
+const CLEANUP_ATTEMPTS = parseInt(process.env.API_CLEANUP_ATTEMPTS || "3", 10);
+
+// Recursos que ApiClient registra al crearlos (POST al endpoint con envelope OK).
+// El orden es el de borrado: cada tipo va antes que los tipos de los que puede
+// depender (los cupones antes que sus grupos, las subcategorías se resuelven por
+// orden inverso de creación). Los grupos y los medias no se crean por la API.
+const TRACKED_RESOURCES = [
+  {
+    kind: "coupon",
+    endpoint: "/api/coupon",
+    label: (coupon) => coupon.code,
+    remove: (client, id) => new CouponApi(client).remove(id),
+  },
+  {
+    kind: "category",
+    endpoint: "/api/category",
+    label: (category) => category.name,
+    remove: (client, id) => new CategoryApi(client).remove(id),
+  },
+];
+
+// Trackers en uso por test, y el del worker (recursos que sobreviven al test)
+const activeTrackers = new Map();
+let workerTracker = null;
+
+// Orden global de creación, compartido entre trackers para poder adoptar entradas
+let sequence = 0;
+
+/**
+ * Recurso registrado para eliminar
+ * @typedef {object} TrackedResource
+ * @property {string} kind - coupon | category
+ * @property {string} id
+ * @property {string|null} label - Código o nombre, para el reporte
+ * @property {import("../api-client.js").ApiClient} client - Cliente que lo creó
+ * @property {number} sequence - Orden de creación
+ * @property {import("../test-run.js").Provenance|null} origin - Test que lo creó
+ */
+
+/**
+ * Resultado de una limpieza
+ * @typedef {object} CleanupReport
+ * @property {"test"|"worker"} scope
+ * @property {object[]} deleted - Eliminados ({ kind, id, label, origin, attempts })
+ * @property {object[]} alreadyGone - Ya no existían (el test los borró por otra vía)
+ * @property {object[]} failed - No se pudieron eliminar (con error)
+ */
+
+/**
+ * Registro de los recursos creados con ApiClient durante un test (o un worker)
+ * para eliminarlos al final en orden inverso de dependencias, con reintentos.
+ * Lo usan las fixtures resources y workerResources de api-fixtures.js.
+ */
+class ResourceTracker {
+  /**
+   * @param {"test"|"worker"} scope
+   */
+  constructor(scope = "test") {
+    this.scope = scope;
+    /** @type {TrackedResource[]} */
+    this.entries = [];
+  }
+
+  /**
+   * Tracker del test en curso; en hooks sin tracker propio (beforeAll), el del
+   * worker si existe. Devuelve null fuera de un test de Playwright.
+   * @returns {ResourceTracker|null}
+   */
+  static forCurrentTest() {
+    let testInfo;
+    try {
+      testInfo = test.info();
+    } catch {
+      return null;
+    }
+    return activeTrackers.get(trackerKey(testInfo)) || workerTracker;
+  }
+
+  /**
+   * Tracker de un test (se crea en el primer uso)
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @returns {ResourceTracker}
+   */
+  static forTest(testInfo) {
+    const key = trackerKey(testInfo);
+    if (!activeTrackers.has(key)) activeTrackers.set(key, new ResourceTracker("test"));
+    return activeTrackers.get(key);
+  }
+
+  /**
+   * Dejar de registrar recursos para un test
+   * @param {import("@playwright/test").TestInfo} testInfo
+   */
+  static release(testInfo) {
+    activeTrackers.delete(trackerKey(testInfo));
+  }
+
+  /**
+   * Tracker del worker (se crea en el primer uso)
+   * @returns {ResourceTracker}
+   */
+  static forWorker() {
+    if (!workerTracker) workerTracker = new ResourceTracker("worker");
+    return workerTracker;
+  }
+
+  /**
+   * Dejar de registrar recursos en el tracker del worker
+   */
+  static releaseWorker() {
+    workerTracker = null;
+  }
+
+  /**
+   * Adjuntar al test el reporte de lo que no se pudo eliminar (sin efecto si
+   * se eliminó todo)
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @param {CleanupReport} report
+   * @returns {Promise<void>}
+   */
+  static async attach(testInfo, report) {
+    if (report.failed.length === 0) return;
+
+    testInfo.annotations.push({ type: CLEANUP_ANNOTATION, description: describeFailed(report) });
+    await testInfo.attach(CLEANUP_ATTACHMENT, {
+      body: JSON.stringify(report, null, 2),
+      contentType: "application/json",
+    });
+  }
+
+  /**
+   * Registrar las creaciones y eliminaciones de una respuesta de ApiClient: en
+   * el ledger (con la procedencia) y en el tracker del test en curso, si hay uno
+   * @param {import("../api-client.js").ApiClient} client
+   * @param {string} method
+   * @param {string} endpoint
+   * @param {{status: number, data: any}} parsed
+   */
+  static observe(client, method, endpoint, parsed) {
+    const changes = resourceChanges(method, endpoint, parsed);
+    if (changes.length === 0) return;
+
+    const provenance = currentProvenance();
+    const ledger = ResourceLedger.shared();
+    const tracker = ResourceTracker.forCurrentTest();
+
+    for (const change of changes) {
+      ledger?.record(change.event, change, provenance);
+      if (change.event === "created") {
+        tracker?.track(client, change.kind, change.id, change.label, provenance);
+      } else {
+        tracker?.forget(change.kind, change.id);
+      }
+    }
+  }
+
+  /**
+   * Registrar un recurso para eliminarlo al final
+   * @param {import("../api-client.js").ApiClient} client - Cliente con el que se eliminará
+   * @param {string} kind - Tipo de TRACKED_RESOURCES
+   * @param {string} id
+   * @param {string} label - Código o nombre, para el reporte
+   * @param {import("../test-run.js").Provenance} origin - Test que lo creó
+   */
+  track(client, kind, id, label = null, origin = null) {
+    if (!resourceFor(kind)) {
+      throw new Error(
+        `Tipo de recurso no soportado: ${kind}. Usar: ${TRACKED_RESOURCES.map((r) => r.kind).join(", ")}`
+      );
+    }
+    if (this.entries.some((entry) => entry.kind === kind && entry.id === id)) return;
+    this.entries.push({ kind, id, label, client, sequence: ++sequence, origin });
+  }
+
+  /**
+   * Dejar de registrar un recurso (por ejemplo, porque el test lo eliminó)
+   * @param {string} kind
+   * @param {string} id
+   */
+  forget(kind, id) {
+    this.entries = this.entries.filter((entry) => !(entry.kind === kind && entry.id === id));
+  }
+
+  /**
+   * Pasar a este tracker los recursos de otro (que queda vacío)
+   * @param {ResourceTracker} other
+   */
+  adopt(other) {
+    other.entries.forEach((entry) =>
+      this.track(entry.client, entry.kind, entry.id, entry.label, entry.origin)
+    );
+    other.entries = [];
+  }
+
+  /**
+   * Eliminar los recursos registrados: primero por tipo (los dependientes antes)
+   * y dentro de cada tipo del último creado al primero. Un recurso que ya no
+   * existe cuenta como eliminado; los que fallan después de todos los intentos
+   * quedan registrados para una próxima limpieza.
+   * @param {object} options
+   * @param {Function} options.clientFor - (client) => ApiClient a usar para eliminar
+   *   (por defecto el que creó el recurso)
+   * @param {number} options.attempts - Intentos por recurso (por defecto API_CLEANUP_ATTEMPTS o 3)
+   * @param {number} options.baseDelayMs - Espera base entre intentos
+   * @returns {Promise<CleanupReport>}
+   */
+  async cleanup(options = {}) {
+    const clientFor = options.clientFor || ((client) => client);
+    const policy = new RetryPolicy({
+      maxAttempts: options.attempts ?? CLEANUP_ATTEMPTS,
+      ...(options.baseDelayMs !== undefined ? { baseDelayMs: options.baseDelayMs } : {}),
+    });
+    const report = { scope: this.scope, deleted: [], alreadyGone: [], failed: [] };
+    const pending = [];
+
+    for (const entry of this._deletionOrder()) {
+      const result = await this._remove(entry, clientFor(entry.client), policy);
+      const item = {
+        kind: entry.kind,
+        id: entry.id,
+        label: entry.label,
+        origin: entry.origin,
+        attempts: result.attempts,
+      };
+
+      if (result.error) {
+        report.failed.push({ ...item, error: result.error });
+        pending.push(entry);
+      } else if (result.gone) {
+        report.alreadyGone.push(item);
+      } else {
+        report.deleted.push(item);
+      }
+    }
+
+    this.entries = pending;
+    if (report.failed.length > 0) {
+      console.warn(`[resource-cleanup] ${describeFailed(report)}`);
+    }
+    return report;
+  }
+
+  /**
+   * Entradas en el orden en que deben eliminarse
+   * @returns {TrackedResource[]}
+   */
+  _deletionOrder() {
+    const rank = (entry) => TRACKED_RESOURCES.findIndex((resource) => resource.kind === entry.kind);
+    return [...this.entries].sort((a, b) => rank(a) - rank(b) || b.sequence - a.sequence);
+  }
+
+  /**
+   * Eliminar un recurso con reintentos
+   * @param {TrackedResource} entry
+   * @param {import("../api-client.js").ApiClient} client
+   * @param {RetryPolicy} policy
+   * @returns {Promise<{attempts: number, gone?: boolean, error?: string}>}
+   */
+  async _remove(entry, client, policy) {
+    const resource = resourceFor(entry.kind);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await resource.remove(client, entry.id);
+        return { attempts: attempt };
+      } catch (error) {
+        if (isNotFound(error)) return { attempts: attempt, gone: true };
+        if (attempt >= policy.maxAttempts) {
+          return { attempts: attempt, error: error.message.split("\n")[0] };
+        }
+        await sleep(policy.delayFor(attempt));
+      }
+    }
+  }
+}
+
+/**
+ * Clave del tracker: el mismo test puede reintentarse en el mismo worker
+ * @param {import("@playwright/test").TestInfo} testInfo
+ * @returns {string}
+ */
+function trackerKey(testInfo) {
+  return `${testInfo.testId}:${testInfo.retry}`;
+}
+
+/**
+ * Recursos creados y eliminados según una respuesta: POST al endpoint con
+ * envelope OK crea (uno o varios), DELETE a endpoint/{id} exitoso elimina
+ * @param {string} method
+ * @param {string} endpoint
+ * @param {{status: number, data: any}} parsed
+ * @returns {Array<{event: "created"|"deleted", kind: string, id: string, label: string|null}>}
+ */
+function resourceChanges(method, endpoint, parsed) {
+  const pathname = endpoint.split("?")[0].replace(/\/+$/, "");
+  const ok = parsed.status >= 200 && parsed.status < 300;
+
+  for (const resource of TRACKED_RESOURCES) {
+    if (method === "POST" && pathname === resource.endpoint) {
+      if (!ok || parsed.data?.status !== "OK") return [];
+      return [].concat(parsed.data.data || [])
+        .filter((item) => item?._id)
+        .map((item) => ({
+          event: "created",
+          kind: resource.kind,
+          id: item._id,
+          label: resource.label(item) ?? null,
+        }));
+    }
+
+    const match = pathname.match(new RegExp(`^${resource.endpoint}/([^/]+)$`));
+    if (method === "DELETE" && match) {
+      if (!ok || (parsed.status !== 204 && parsed.data?.status !== "OK")) return [];
+      return [{ event: "deleted", kind: resource.kind, id: decodeURIComponent(match[1]), label: null }];
+    }
+  }
+  return [];
+}
+
+/**
+ * @param {string} kind
+ * @returns {object|undefined}
+ */
+function resourceFor(kind) {
+  return TRACKED_RESOURCES.find((resource) => resource.kind === kind);
+}
+
+/**
+ * El recurso ya no existe: 404, o envelope ERROR con código *_NOT_FOUND
+ * (DELETE /api/coupon/{id} responde 200 COUPON_NOT_FOUND)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isNotFound(error) {
+  return (
+    error?.name === "ApiEnvelopeError" &&
+    (error.status === 404 || /NOT_FOUND$/.test(error.code || ""))
+  );
+}
+
+/**
+ * Resumen de una línea de los recursos que no se pudieron eliminar
+ * @param {CleanupReport} report
+ * @returns {string}
+ */
+function describeFailed(report) {
+  const items = report.failed.map(
+    (item) => `${item.kind} ${item.label || item.id} de ${describeOrigin(item.origin)} (${item.error})`
+  );
+  return `${report.failed.length} recurso(s) sin eliminar: ${items.join("; ")}`;
+}
+
+module.exports = {
+  ResourceTracker,
+  TRACKED_RESOURCES,
+  isNotFound,
+  CLEANUP_ATTACHMENT,
+  CLEANUP_ANNOTATION,
+};
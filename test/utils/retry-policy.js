@@ -0,0 +1,136 @@
+// Métodos que pueden repetirse sin efectos secundarios adicionales
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Errores de red considerados transitorios
+const TRANSIENT_ERROR_PATTERN =
+  /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EPIPE|EAI_AGAIN|socket hang up/i;
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: parseInt(process.env.API_RETRY_MAX_ATTEMPTS || "3", 10),
+  baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS || "300", 10),
+  maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS || "5000", 10),
+  jitter: 0.5,
+  retryOnStatus: [429, 502, 503, 504],
+  retryNonIdempotent: false,
+};
+
+class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAttempts - Intentos totales (1 = sin reintentos)
+   * @param {number} options.baseDelayMs - Espera base del backoff exponencial
+   * @param {number} options.maxDelayMs - Espera máxima entre intentos
+   * @param {number} options.jitter - Fracción aleatoria aplicada a la espera (0-1)
+   * @param {number[]} options.retryOnStatus - Status HTTP que disparan reintento
+   * @param {boolean} options.retryNonIdempotent - Permitir reintentar POST/PATCH
+   */
+  constructor(options = {}) {
+    Object.assign(this, DEFAULT_RETRY_OPTIONS, options);
+  }
+
+  /**
+   * Crear una política derivada con algunas opciones sobrescritas
+   * @param {object|boolean} overrides - false desactiva los reintentos
+   * @returns {RetryPolicy}
+   */
+  with(overrides) {
+    if (overrides === false) {
+      return new RetryPolicy({ ...this, maxAttempts: 1 });
+    }
+    return new RetryPolicy({ ...this, ...(overrides || {}) });
+  }
+
+  /**
+   * Indicar si un método puede reintentarse con esta política
+   * @param {string} method
+   * @returns {boolean}
+   */
+  allowsMethod(method) {
+    return (
+      this.retryNonIdempotent ||
+      IDEMPOTENT_METHODS.includes(method.toUpperCase())
+    );
+  }
+
+  /**
+   * Decidir si reintentar tras una respuesta HTTP
+   * @param {string} method
+   * @param {number} attempt - Intento que acaba de terminar (desde 1)
+   * @param {number} status
+   * @returns {boolean}
+   */
+  shouldRetryStatus(method, attempt, status) {
+    return (
+      attempt < this.maxAttempts &&
+      this.allowsMethod(method) &&
+      this.retryOnStatus.includes(status)
+    );
+  }
+
+  /**
+   * Decidir si reintentar tras un error de red
+   * @param {string} method
+   * @param {number} attempt - Intento que acaba de terminar (desde 1)
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  shouldRetryError(method, attempt, error) {
+    return (
+      attempt < this.maxAttempts &&
+      this.allowsMethod(method) &&
+      TRANSIENT_ERROR_PATTERN.test(error?.message || "")
+    );
+  }
+
+  /**
+   * Calcular la espera antes del siguiente intento
+   * @param {number} attempt - Intento que acaba de terminar (desde 1)
+   * @param {string} retryAfter - Valor del header Retry-After, si existe
+   * @returns {number} Milisegundos
+   */
+  delayFor(attempt, retryAfter) {
+    const fromHeader = parseRetryAfter(retryAfter);
+    if (fromHeader !== null) {
+      return Math.min(fromHeader, this.maxDelayMs);
+    }
+
+    const exponential = this.baseDelayMs * 2 ** (attempt - 1);
+    const spread = exponential * this.jitter;
+    const withJitter = exponential - spread + Math.random() * spread * 2;
+    return Math.round(Math.min(Math.max(withJitter, 0), this.maxDelayMs));
+  }
+}
+
+/**
+ * Interpretar el header Retry-After (segundos o fecha HTTP)
+ * @param {string} value
+ * @returns {number|null} Milisegundos, o null si no es válido
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Esperar un número de milisegundos
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  RetryPolicy,
+  IDEMPOTENT_METHODS,
+  parseRetryAfter,
+  sleep,
+};
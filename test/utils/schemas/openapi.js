@@ -0,0 +1,552 @@
+const fs = require("fs");
+const path = require("path");
+const { HAR_ATTACHMENT } = require("../har.js");
+const { isSensitiveKey } = require("../redactor.js");
+const { SchemaInferrer } = require("./schema-inference.js");
+
+const OPENAPI_VERSION = "3.1.0";
+const COMPONENTS_PREFIX = "#/components/schemas/";
+
+const OBJECT_ID_PATTERN = /^[a-fA-F0-9]{24}$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+const NUMBER_PATTERN = /^-?\d+\.\d+$/;
+
+// Headers que ApiClient agrega en todas las peticiones (credenciales y encoding)
+const IGNORED_HEADERS = ["content-type", "x-api-token", "x-mock-scope"];
+
+const SECURITY_SCHEMES = {
+  apiTokenHeader: { type: "apiKey", in: "header", name: "X-API-Token" },
+  apiTokenQuery: { type: "apiKey", in: "query", name: "token" },
+};
+
+/**
+ * Generador de un documento OpenAPI 3.1 con la superficie de la API que
+ * ejercitan los tests:
+ *
+ *   - components.schemas: todos los schemas de src/schemas (con los $ref
+ *     entre archivos reescritos a #/components/schemas/...)
+ *   - paths: las llamadas observadas por ApiClient (HAR de cada test) con sus
+ *     parámetros de query, cuerpos y status, más las rutas de schema-routes.js
+ *     que ningún test llamó (marcadas con x-observed: false)
+ *
+ *   const builder = new OpenApiBuilder({ registry: getSchemaRegistry() });
+ *   harsFromReport(report).forEach((har) => builder.addHar(har));
+ *   const document = builder.toDocument();
+ */
+class OpenApiBuilder {
+  /**
+   * @param {object} options
+   * @param {import("./schema-registry.js").SchemaRegistry} options.registry
+   * @param {object} options.info - Sobrescribir title, version o description
+   * @param {string[]} options.servers - URLs base de la API
+   * @param {boolean} options.includeUnobserved - Incluir rutas mapeadas que no se
+   *   llamaron (por defecto true)
+   */
+  constructor(options = {}) {
+    if (!options.registry) throw new Error("OpenApiBuilder necesita un SchemaRegistry");
+
+    this.registry = options.registry;
+    this.info = options.info || {};
+    this.servers = options.servers || [];
+    this.includeUnobserved = options.includeUnobserved ?? true;
+    this.operations = new Map();
+    this.calls = 0;
+  }
+
+  /**
+   * Agregar las llamadas de un HAR (api-calls.har de un test o uno capturado)
+   * @param {object} har
+   * @returns {OpenApiBuilder}
+   */
+  addHar(har) {
+    const entries = har?.log?.entries;
+    if (!Array.isArray(entries)) {
+      throw new Error("El HAR no tiene log.entries: no parece un archivo HAR válido");
+    }
+    entries.forEach((entry) => this.addEntry(entry));
+    return this;
+  }
+
+  /**
+   * Agregar una llamada. Se ignoran las que no llegaron a tener respuesta y
+   * las que no son de /api/.
+   * @param {object} entry - Entrada HAR
+   * @returns {boolean} true si se agregó
+   */
+  addEntry(entry) {
+    const { request, response } = entry || {};
+    if (!request?.url || !response?.status) return false;
+
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch {
+      return false;
+    }
+    if (!url.pathname.startsWith("/api/")) return false;
+
+    const method = request.method.toUpperCase();
+    const pathname = url.pathname.replace(/\/+$/, "");
+    const template = this._templateFor(pathname);
+    const operation = this._operation(method, template);
+    operation.calls++;
+    this.calls++;
+
+    // Parámetros de ruta: los segmentos ":param" de la plantilla
+    const segments = pathname.split("/");
+    template.split("/").forEach((segment, i) => {
+      if (segment.startsWith(":")) addSample(operation.pathParams, segment.slice(1), segments[i]);
+    });
+
+    // Los HAR exportados por el navegador a veces dejan queryString vacío y los
+    // parámetros solo en la URL
+    const query = request.queryString?.length
+      ? request.queryString.map(({ name, value }) => [name, value])
+      : [...url.searchParams];
+    for (const [name, value] of query) {
+      if (!isSensitiveKey(name)) addSample(operation.queryParams, name, value);
+    }
+
+    for (const { name, value } of request.headers || []) {
+      const header = name.toLowerCase();
+      if (!IGNORED_HEADERS.includes(header) && !isSensitiveKey(header)) {
+        addSample(operation.headerParams, name, value);
+      }
+    }
+
+    const body = requestBody(request.postData);
+    if (body) {
+      if (!operation.bodies.has(body.mimeType)) {
+        operation.bodies.set(body.mimeType, {
+          inferrer: new SchemaInferrer({ enumMaxValues: 0, ranges: false }),
+          files: new Set(),
+        });
+      }
+      const sample = operation.bodies.get(body.mimeType);
+      sample.inferrer.add(body.value);
+      body.files.forEach((file) => sample.files.add(file));
+    }
+
+    const mimeType = (response.content?.mimeType || "").split(";")[0].trim();
+    if (!operation.statuses.has(response.status)) {
+      operation.statuses.set(response.status, new Set());
+    }
+    if (mimeType && response.content?.size !== 0) {
+      operation.statuses.get(response.status).add(mimeType);
+    }
+    return true;
+  }
+
+  /**
+   * Documento OpenAPI 3.1
+   * @returns {object}
+   */
+  toDocument() {
+    if (this.includeUnobserved) this._addMappedRoutes();
+
+    const paths = {};
+    const operations = [...this.operations.values()].sort(
+      (a, b) => a.template.localeCompare(b.template) || a.method.localeCompare(b.method)
+    );
+    for (const operation of operations) {
+      const key = toOpenApiPath(operation.template);
+      paths[key] = paths[key] || {};
+      paths[key][operation.method.toLowerCase()] = this._operationObject(operation);
+    }
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: {
+        title: "Mediastream Platform API",
+        version: new Date().toISOString().slice(0, 10),
+        description: `Superficie de la API ejercitada por la suite de tests (${this.calls} llamadas observadas). Generado con scripts/generate-openapi.js a partir de src/schemas y los HAR de ApiClient.`,
+        ...this.info,
+      },
+      ...(this.servers.length > 0 ? { servers: this.servers.map((url) => ({ url })) } : {}),
+      security: Object.keys(SECURITY_SCHEMES).map((name) => ({ [name]: [] })),
+      paths,
+      components: {
+        securitySchemes: SECURITY_SCHEMES,
+        schemas: Object.fromEntries(
+          this.registry
+            .names()
+            .map((name) => [componentName(name), this._componentSchema(name)])
+        ),
+      },
+    };
+  }
+
+  /**
+   * Operation Object de OpenAPI
+   * @param {object} operation - Operación acumulada
+   * @returns {object}
+   */
+  _operationObject(operation) {
+    const { method, template } = operation;
+    const parameters = [
+      ...paramObjects(operation.pathParams, "path"),
+      ...paramObjects(operation.queryParams, "query"),
+      ...paramObjects(operation.headerParams, "header"),
+    ];
+    // Parámetros de ruta de operaciones mapeadas pero no llamadas
+    template.split("/").forEach((segment) => {
+      const name = segment.slice(1);
+      if (segment.startsWith(":") && !operation.pathParams.has(name)) {
+        parameters.unshift({ name, in: "path", required: true, schema: { type: "string" } });
+      }
+    });
+
+    const responses = {};
+    for (const [status, mimeTypes] of [...operation.statuses].sort(([a], [b]) => a - b)) {
+      responses[String(status)] = this._responseObject(method, template, status, mimeTypes);
+    }
+    for (const mapped of operation.mapped) {
+      const key = String(mapped.status).toUpperCase();
+      if (responses[key] || !/^\d{3}$|^[1-5]XX$/.test(key)) continue;
+      responses[key] = {
+        description: `Mapeado en schema-routes.js (${mapped.schema}), no observado`,
+        content: {
+          "application/json": {
+            schema: { $ref: `${COMPONENTS_PREFIX}${componentName(mapped.schema)}` },
+          },
+        },
+        "x-observed": false,
+      };
+    }
+
+    const requestBody = this._requestBodyObject(operation);
+    return {
+      operationId: operationId(method, template),
+      tags: [tagFor(template)],
+      summary: `${method} ${template}`,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(requestBody ? { requestBody } : {}),
+      responses:
+        Object.keys(responses).length > 0
+          ? responses
+          : { default: { description: "Sin respuestas observadas" } },
+      "x-observed": operation.calls > 0,
+      ...(operation.calls > 0 ? { "x-observed-calls": operation.calls } : {}),
+    };
+  }
+
+  /**
+   * Response Object: con el schema mapeado si lo hay
+   * @param {string} method
+   * @param {string} template
+   * @param {number} status
+   * @param {Set<string>} mimeTypes - Content-Types observados
+   * @returns {object}
+   */
+  _responseObject(method, template, status, mimeTypes) {
+    const schema = this.registry.schemaFor(method, template, status);
+    const content = {};
+
+    if (schema) {
+      content["application/json"] = {
+        schema: { $ref: `${COMPONENTS_PREFIX}${componentName(schema)}` },
+      };
+    }
+    for (const mimeType of mimeTypes) {
+      content[mimeType] = content[mimeType] || {};
+    }
+
+    return {
+      description: schema ? `Respuesta observada (${schema})` : "Respuesta observada sin schema",
+      ...(Object.keys(content).length > 0 ? { content } : {}),
+    };
+  }
+
+  /**
+   * Request Body Object inferido de los cuerpos enviados
+   * @param {object} operation
+   * @returns {object|null}
+   */
+  _requestBodyObject(operation) {
+    if (operation.bodies.size === 0) return null;
+
+    const content = {};
+    for (const [mimeType, { inferrer, files }] of operation.bodies) {
+      const { $schema, description, ...schema } = inferrer.toSchema();
+      // Los cuerpos varían entre tests (campos opcionales, casos negativos)
+      delete schema.required;
+      delete schema.additionalProperties;
+      for (const file of files) {
+        schema.properties[file] = { type: "string", contentMediaType: "application/octet-stream" };
+      }
+      content[mimeType] = { schema: rewriteRefs(schema, (ref) => this._resolveRef(ref, null)) };
+    }
+    return { content };
+  }
+
+  /**
+   * Schema de src/schemas como componente: sin $id/$schema, con los $ref
+   * reescritos y sin los valores $data de Ajv (no son JSON Schema estándar)
+   * @param {string} name
+   * @returns {object}
+   */
+  _componentSchema(name) {
+    const { $id, $schema, ...schema } = this.registry.sources.get(name);
+    return rewriteRefs(schema, (ref) => this._resolveRef(ref, $id));
+  }
+
+  /**
+   * Reescribir un $ref (relativo al $id del schema que lo contiene) a
+   * #/components/schemas/<componente>
+   * @param {string} ref
+   * @param {string|null} baseId - $id del schema que contiene el $ref
+   * @returns {string}
+   */
+  _resolveRef(ref, baseId) {
+    const [target, pointer = ""] = ref.split("#");
+    const id = new URL(target || baseId || "", baseId || "https://example.com/schemas/").href;
+    const name = [...this.registry.ids].find(([, existing]) => existing === id)?.[0];
+
+    if (!name) {
+      throw new Error(`No se puede resolver el $ref ${ref}: ningún schema tiene el $id ${id}`);
+    }
+    return `${COMPONENTS_PREFIX}${componentName(name)}${pointer}`;
+  }
+
+  /**
+   * Plantilla de ruta de una llamada: la ruta de schema-routes.js que coincide o,
+   * si no hay ninguna, la ruta con los ObjectId reemplazados por :id
+   * @param {string} pathname
+   * @returns {string}
+   */
+  _templateFor(pathname) {
+    const mapped = this.registry.routes.find((route) => route.pattern.test(pathname));
+    if (mapped) return mapped.route;
+    return pathname
+      .split("/")
+      .map((segment) => (OBJECT_ID_PATTERN.test(segment) ? ":id" : segment))
+      .join("/");
+  }
+
+  /**
+   * Operación acumulada de (método, plantilla); se crea en el primer uso
+   * @param {string} method
+   * @param {string} template
+   * @returns {object}
+   */
+  _operation(method, template) {
+    const key = `${method} ${template}`;
+    if (!this.operations.has(key)) {
+      this.operations.set(key, {
+        method,
+        template,
+        calls: 0,
+        pathParams: new Map(),
+        queryParams: new Map(),
+        headerParams: new Map(),
+        bodies: new Map(),
+        statuses: new Map(),
+        mapped: [],
+      });
+    }
+    return this.operations.get(key);
+  }
+
+  /**
+   * Agregar las rutas de schema-routes.js con método concreto (las de método
+   * "*" describen errores de cualquier verbo y solo se aplican a lo observado).
+   * Se puede llamar más de una vez: las rutas mapeadas no se duplican.
+   */
+  _addMappedRoutes() {
+    this.operations.forEach((operation) => (operation.mapped = []));
+    for (const route of this.registry.routes) {
+      if (route.method !== "*") {
+        this._operation(route.method, route.route).mapped.push(route);
+      }
+    }
+  }
+}
+
+/**
+ * HAR de ApiClient adjuntos a los tests de un reporte JSON de Playwright
+ * (playwright-report/json-report.json)
+ * @param {object} report - Reporte JSON parseado
+ * @param {string} reportDir - Carpeta del reporte, para adjuntos guardados como archivo
+ * @returns {object[]}
+ */
+function harsFromReport(report, reportDir = process.cwd()) {
+  const hars = [];
+  const visit = (suites = []) => {
+    for (const suite of suites) {
+      for (const spec of suite.specs || []) {
+        for (const result of spec.tests.flatMap((test) => test.results || [])) {
+          for (const attachment of result.attachments || []) {
+            if (attachment.name !== HAR_ATTACHMENT) continue;
+            const text = attachment.body
+              ? Buffer.from(attachment.body, "base64").toString("utf8")
+              : attachment.path && fs.existsSync(path.resolve(reportDir, attachment.path))
+              ? fs.readFileSync(path.resolve(reportDir, attachment.path), "utf8")
+              : null;
+            if (text) hars.push(JSON.parse(text));
+          }
+        }
+      }
+      visit(suite.suites);
+    }
+  };
+  visit(report.suites);
+  return hars;
+}
+
+/**
+ * Cuerpo de una petición HAR como objeto para inferir su schema
+ * @param {object} postData
+ * @returns {{mimeType: string, value: object, files: string[]}|null}
+ */
+function requestBody(postData) {
+  if (!postData) return null;
+  const mimeType = (postData.mimeType || "").split(";")[0].trim() || "text/plain";
+
+  if (mimeType === "application/x-www-form-urlencoded") {
+    const pairs = postData.params
+      ? postData.params.map(({ name, value }) => [name, value])
+      : [...new URLSearchParams(postData.text || "")];
+    return { mimeType, value: withoutSensitiveKeys(Object.fromEntries(pairs)), files: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(postData.text);
+  } catch {
+    return null;
+  }
+
+  // ApiClient describe los multipart como { fields, files: [{ field, name, size }] }
+  if (mimeType === "multipart/form-data") {
+    const files = (parsed?.files || []).map((file) => file.field);
+    return { mimeType, value: withoutSensitiveKeys(parsed?.fields || {}), files };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) return null;
+  return { mimeType, value: withoutSensitiveKeys(parsed), files: [] };
+}
+
+/**
+ * Copia de un cuerpo sin los campos sensibles (token, password...), que no
+ * deben aparecer en el documento
+ * @param {object} value
+ * @returns {object}
+ */
+function withoutSensitiveKeys(value) {
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !isSensitiveKey(key)));
+}
+
+/**
+ * Registrar el valor observado de un parámetro
+ * @param {Map<string, string[]>} params
+ * @param {string} name
+ * @param {string} value
+ */
+function addSample(params, name, value) {
+  if (!params.has(name)) params.set(name, []);
+  params.get(name).push(value);
+}
+
+/**
+ * Parameter Objects de OpenAPI con el tipo deducido de los valores observados
+ * @param {Map<string, string[]>} params
+ * @param {string} location - path | query | header
+ * @returns {object[]}
+ */
+function paramObjects(params, location) {
+  return [...params]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, values]) => ({
+      name,
+      in: location,
+      required: location === "path",
+      schema: paramSchema(values),
+      example: values[0],
+    }));
+}
+
+/**
+ * Schema de un parámetro a partir de sus valores (siempre texto en la URL).
+ * No se proponen enums: los valores vienen de datos de prueba.
+ * @param {string[]} values
+ * @returns {object}
+ */
+function paramSchema(values) {
+  const distinct = [...new Set(values)];
+
+  if (distinct.every((value) => INTEGER_PATTERN.test(value))) return { type: "integer" };
+  if (distinct.every((value) => INTEGER_PATTERN.test(value) || NUMBER_PATTERN.test(value))) {
+    return { type: "number" };
+  }
+  if (distinct.every((value) => value === "true" || value === "false")) return { type: "boolean" };
+  if (distinct.every((value) => OBJECT_ID_PATTERN.test(value))) {
+    return { type: "string", pattern: OBJECT_ID_PATTERN.source };
+  }
+  return { type: "string" };
+}
+
+/**
+ * Copia de un schema con los $ref reescritos y sin valores { $data }
+ * @param {any} schema
+ * @param {Function} resolve - (ref) => nuevo $ref
+ * @returns {any}
+ */
+function rewriteRefs(schema, resolve) {
+  if (Array.isArray(schema)) return schema.map((item) => rewriteRefs(item, resolve));
+  if (!schema || typeof schema !== "object") return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([, value]) => !(value && typeof value === "object" && "$data" in value))
+      .map(([key, value]) =>
+        key === "$ref" && typeof value === "string"
+          ? [key, resolve(value)]
+          : [key, rewriteRefs(value, resolve)]
+      )
+  );
+}
+
+/**
+ * Nombre de componente de un schema (cupones/coupon → cupones.coupon)
+ * @param {string} name
+ * @returns {string}
+ */
+function componentName(name) {
+  return name.replace(/\//g, ".");
+}
+
+/**
+ * Ruta de OpenAPI (/api/coupon/:id → /api/coupon/{id})
+ * @param {string} template
+ * @returns {string}
+ */
+function toOpenApiPath(template) {
+  return template.replace(/:(\w+)/g, "{$1}");
+}
+
+/**
+ * operationId único por método y ruta (GET /api/coupon/:id → getApiCouponById)
+ * @param {string} method
+ * @param {string} template
+ * @returns {string}
+ */
+function operationId(method, template) {
+  const words = template
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => (segment.startsWith(":") ? `by-${segment.slice(1)}` : segment))
+    .join("-")
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean);
+  return [method.toLowerCase(), ...words.map((word) => word[0].toUpperCase() + word.slice(1))].join("");
+}
+
+/**
+ * Tag de una ruta: el recurso después de /api/
+ * @param {string} template
+ * @returns {string}
+ */
+function tagFor(template) {
+  return template.split("/")[2] || "api";
+}
+
+module.exports = { OpenApiBuilder, harsFromReport };
@@ -0,0 +1,250 @@
+const { test } = require("@playwright/test");
+const { redactText } = require("../redactor.js");
+const { readablePath, valueAt } = require("./schema-validation-error.js");
+
+const DRIFT_ANNOTATION = "schema-drift";
+const DRIFT_ATTACHMENT = "schema-drift.json";
+
+// Tipos de cambio; solo los campos nuevos (added) no rompen el contrato
+const DRIFT_KINDS = ["added", "removed", "type", "nullability", "constraint"];
+
+const DRIFT_LABELS = {
+  added: "campo nuevo",
+  removed: "campo faltante",
+  type: "cambio de tipo",
+  nullability: "ahora llega null",
+  constraint: "valor fuera del schema",
+};
+
+// Keywords que solo agrupan errores de otras reglas (ya informados aparte)
+const COMPOSITE_KEYWORDS = ["if", "then", "else", "oneOf", "anyOf", "allOf", "not"];
+
+// Recorders en uso por test (los ApiClient de un mismo test comparten el registro)
+const activeRecorders = new Map();
+
+/**
+ * Cambio entre una respuesta real y su schema
+ * @typedef {object} SchemaChange
+ * @property {string} kind - added | removed | type | nullability | constraint
+ * @property {boolean} breaking - false solo para campos nuevos
+ * @property {string} path - Ruta del campo con los índices agrupados (data[].group)
+ * @property {string} [expected] - Qué dice el schema
+ * @property {string} [actual] - Qué llegó
+ */
+
+/**
+ * Clasificar los errores de Ajv de una respuesta en cambios de contrato
+ * @param {object[]} strictErrors - Errores contra el schema tal como está escrito
+ * @param {object[]} breakingErrors - Errores contra el schema sin additionalProperties
+ * @param {any} data - Cuerpo validado
+ * @returns {SchemaChange[]}
+ */
+function classifyDrift(strictErrors = [], breakingErrors = [], data) {
+  const changes = new Map();
+  const add = (change) => {
+    const key = `${change.kind}:${change.path}`;
+    if (!changes.has(key)) changes.set(key, change);
+  };
+
+  strictErrors
+    .filter((error) => error.keyword === "additionalProperties")
+    .forEach((error) => {
+      const pointer = `${error.instancePath}/${error.params.additionalProperty}`;
+      add({
+        kind: "added",
+        breaking: false,
+        path: normalizePath(pointer),
+        actual: jsonType(valueAt(data, pointer)),
+      });
+    });
+
+  const specific = breakingErrors.filter(
+    (error) => !COMPOSITE_KEYWORDS.includes(error.keyword)
+  );
+  (specific.length > 0 ? specific : breakingErrors).forEach((error) => {
+    add(toBreakingChange(error, data));
+  });
+
+  return [...changes.values()];
+}
+
+/**
+ * Cambio que rompe el contrato a partir de un error de Ajv
+ * @param {object} error
+ * @param {any} data
+ * @returns {SchemaChange}
+ */
+function toBreakingChange(error, data) {
+  const value = valueAt(data, error.instancePath);
+
+  switch (error.keyword) {
+    case "required":
+      return {
+        kind: "removed",
+        breaking: true,
+        path: normalizePath(`${error.instancePath}/${error.params.missingProperty}`),
+      };
+    case "type":
+      return {
+        kind: value === null ? "nullability" : "type",
+        breaking: true,
+        path: normalizePath(error.instancePath),
+        expected: String(error.params.type),
+        actual: jsonType(value),
+      };
+    default:
+      return {
+        kind: "constraint",
+        breaking: true,
+        path: normalizePath(error.instancePath),
+        expected: `${error.keyword}: ${error.message}`,
+        actual: preview(value),
+      };
+  }
+}
+
+/**
+ * Registro de los cambios de contrato detectados durante un test. Cada cambio
+ * se anota en el test (anotación schema-drift) y al terminar se adjunta
+ * schema-drift.json, que lee schema-drift-reporter para el resumen del run.
+ */
+class DriftRecorder {
+  /**
+   * @param {import("@playwright/test").TestInfo} testInfo
+   */
+  constructor(testInfo) {
+    this.testInfo = testInfo;
+    this.entries = [];
+  }
+
+  /**
+   * Recorder del test en curso. Devuelve null fuera de un test de Playwright.
+   * @returns {DriftRecorder|null}
+   */
+  static forCurrentTest() {
+    let testInfo;
+    try {
+      testInfo = test.info();
+    } catch {
+      return null;
+    }
+    return DriftRecorder.forTest(testInfo);
+  }
+
+  /**
+   * Recorder de un test (se crea en el primer uso)
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @returns {DriftRecorder}
+   */
+  static forTest(testInfo) {
+    const key = recorderKey(testInfo);
+    if (!activeRecorders.has(key)) activeRecorders.set(key, new DriftRecorder(testInfo));
+    return activeRecorders.get(key);
+  }
+
+  /**
+   * Adjuntar los cambios del test al reporte (si hubo) y liberar el recorder
+   * @param {import("@playwright/test").TestInfo} testInfo
+   * @returns {Promise<void>}
+   */
+  static async attach(testInfo) {
+    const key = recorderKey(testInfo);
+    const recorder = activeRecorders.get(key);
+    activeRecorders.delete(key);
+    if (!recorder || recorder.entries.length === 0) return;
+
+    await testInfo.attach(DRIFT_ATTACHMENT, {
+      body: JSON.stringify(recorder.entries, null, 2),
+      contentType: "application/json",
+    });
+  }
+
+  /**
+   * Registrar los cambios de una respuesta. Un mismo cambio del mismo schema
+   * se anota una sola vez por test.
+   * @param {{schema: string, method: string, route: string, status: number}} source
+   * @param {SchemaChange[]} changes
+   */
+  record(source, changes) {
+    for (const change of changes) {
+      const duplicated = this.entries.some(
+        (entry) =>
+          entry.schema === source.schema &&
+          entry.kind === change.kind &&
+          entry.path === change.path
+      );
+      if (duplicated) continue;
+
+      this.entries.push({ ...source, ...change });
+      this.testInfo.annotations.push({
+        type: DRIFT_ANNOTATION,
+        description: describeChange({ ...source, ...change }),
+      });
+    }
+  }
+}
+
+/**
+ * Descripción de una línea de un cambio registrado
+ * @param {SchemaChange & {schema: string, method: string, route: string}} change
+ * @returns {string}
+ */
+function describeChange(change) {
+  const detail =
+    change.expected !== undefined
+      ? ` (se esperaba ${change.expected}, llegó ${change.actual})`
+      : change.actual !== undefined
+      ? ` (${change.actual})`
+      : "";
+  const impact = change.breaking ? "rompe el contrato" : "aditivo";
+  return `${impact} · ${change.schema} · ${DRIFT_LABELS[change.kind]} ${change.path}${detail} · ${change.method} ${change.route}`;
+}
+
+/**
+ * Ruta legible con los índices de arreglo agrupados (data[3].x → data[].x)
+ * @param {string} pointer - JSON Pointer de Ajv
+ * @returns {string}
+ */
+function normalizePath(pointer) {
+  return readablePath(pointer).replace(/\[\d+\]/g, "[]");
+}
+
+/**
+ * Tipo JSON de un valor, para el detalle del cambio
+ * @param {any} value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Valor abreviado
+ * @param {any} value
+ * @returns {string}
+ */
+function preview(value) {
+  const text = redactText(JSON.stringify(value) ?? "undefined");
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * @param {import("@playwright/test").TestInfo} testInfo
+ * @returns {string}
+ */
+function recorderKey(testInfo) {
+  return `${testInfo.testId}:${testInfo.retry}`;
+}
+
+module.exports = {
+  DriftRecorder,
+  DRIFT_ANNOTATION,
+  DRIFT_ATTACHMENT,
+  DRIFT_KINDS,
+  DRIFT_LABELS,
+  classifyDrift,
+  describeChange,
+};
@@ -0,0 +1,314 @@
+// Base de los $id (la misma que usa SchemaRegistry)
+const SCHEMA_ID_BASE = "https://example.com/schemas/";
+
+// Definiciones compartidas de src/schemas/common/common.schema.json
+const OBJECT_ID_REF = "common.schema.json#/$defs/ObjectId";
+const DATE_TIME_REF = "common.schema.json#/$defs/DateTime";
+
+const OBJECT_ID_PATTERN = /^[a-fA-F0-9]{24}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Máximo de valores distintos que se guardan por campo de texto
+const MAX_TRACKED_VALUES = 50;
+
+const DEFAULT_INFERENCE_OPTIONS = {
+  enumMaxValues: 8,
+  enumMinSamples: 5,
+  ranges: true,
+};
+
+/**
+ * Inferencia de un schema draft-07 a partir de respuestas reales. Acumula
+ * estadísticas de cada campo (tipos vistos, presencia, valores distintos,
+ * rangos) y genera un borrador para revisar a mano:
+ *
+ *   - required: los campos presentes en todos los objetos de la muestra
+ *   - enum: textos con pocos valores distintos que se repiten (type, status...)
+ *   - ObjectId y date-time: $ref a common.schema.json
+ *   - minimum/maximum: el rango observado en los números
+ *
+ *   const inferrer = new SchemaInferrer();
+ *   responses.forEach((response) => inferrer.add(response.data));
+ *   const schema = inferrer.toSchema({ name: "coupons-list" });
+ */
+class SchemaInferrer {
+  /**
+   * @param {object} options
+   * @param {number} options.enumMaxValues - Máximo de valores distintos para proponer un enum
+   * @param {number} options.enumMinSamples - Mínimo de muestras del campo para proponer un enum
+   * @param {boolean} options.ranges - Incluir minimum/maximum observados en los números
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_INFERENCE_OPTIONS, ...options };
+    this.root = createNode();
+    this.samples = 0;
+  }
+
+  /**
+   * Agregar un cuerpo de respuesta a la muestra
+   * @param {any} value
+   * @returns {SchemaInferrer}
+   */
+  add(value) {
+    addValue(this.root, value);
+    this.samples++;
+    return this;
+  }
+
+  /**
+   * Generar el borrador del schema
+   * @param {object} meta
+   * @param {string} meta.name - Nombre del archivo sin .schema.json (define el $id)
+   * @param {string} meta.title
+   * @param {string} meta.description
+   * @returns {object}
+   */
+  toSchema(meta = {}) {
+    if (this.samples === 0) {
+      throw new Error("No hay muestras: agregar al menos una respuesta antes de inferir el schema");
+    }
+
+    return {
+      ...(meta.name ? { $id: `${SCHEMA_ID_BASE}${meta.name}.schema.json` } : {}),
+      $schema: "http://json-schema.org/draft-07/schema#",
+      ...(meta.title ? { title: meta.title } : {}),
+      description:
+        meta.description ||
+        `Borrador inferido de ${this.samples} respuestas. Revisar antes de mapearlo en schema-routes.js`,
+      ...nodeToSchema(this.root, this.options),
+    };
+  }
+}
+
+/**
+ * Muestrear un endpoint con ApiClient e inferir el schema de su respuesta.
+ * Con allPages recorre el listado con Paginator y usa cada página como muestra.
+ * El ApiClient debe crearse con validateSchemas: false para poder muestrear
+ * endpoints cuyo schema actual ya no coincide con la API.
+ * @param {import("../api-client.js").ApiClient} apiClient
+ * @param {string} endpoint
+ * @param {object} options
+ * @param {object} options.params - Parámetros de query
+ * @param {boolean} options.allPages - Recorrer todas las páginas del listado
+ * @param {string} options.style - page | offset (estilo de paginación)
+ * @param {number} options.maxPages - Límite de páginas a pedir
+ * @param {object} options.inference - Opciones de SchemaInferrer
+ * @returns {Promise<{inferrer: SchemaInferrer, responses: number, items: number, statuses: number[]}>}
+ */
+async function inferFromEndpoint(apiClient, endpoint, options = {}) {
+  const inferrer = new SchemaInferrer(options.inference);
+  const statuses = new Set();
+  let items = 0;
+
+  const addResponse = (response) => {
+    if (!response.data || typeof response.data !== "object") {
+      throw new Error(
+        `${endpoint} respondió ${response.status} sin cuerpo JSON: no se puede inferir el schema`
+      );
+    }
+    statuses.add(response.status);
+    inferrer.add(response.data);
+    if (Array.isArray(response.data.data)) items += response.data.data.length;
+  };
+
+  if (options.allPages) {
+    const paginator = apiClient.paginate(endpoint, options.params || {}, {
+      style: options.style || "page",
+      maxPages: options.maxPages,
+      strict: false,
+    });
+    for await (const page of paginator) addResponse(page.response);
+  } else {
+    addResponse(await apiClient.get(endpoint, options.params || {}));
+  }
+
+  return { inferrer, responses: inferrer.samples, items, statuses: [...statuses] };
+}
+
+/**
+ * Estadísticas vacías de un campo
+ * @returns {object}
+ */
+function createNode() {
+  return {
+    count: 0,
+    types: new Map(),
+    properties: new Map(),
+    items: null,
+    values: new Map(),
+    valuesOverflow: false,
+    formats: { objectId: 0, dateTime: 0 },
+    emptyStrings: 0,
+    min: Infinity,
+    max: -Infinity,
+  };
+}
+
+/**
+ * Tipo JSON Schema de un valor (integer se distingue de number)
+ * @param {any} value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Acumular un valor en las estadísticas del campo
+ * @param {object} node
+ * @param {any} value
+ */
+function addValue(node, value) {
+  const type = jsonType(value);
+  node.count++;
+  node.types.set(type, (node.types.get(type) || 0) + 1);
+
+  switch (type) {
+    case "object":
+      for (const [key, child] of Object.entries(value)) {
+        if (!node.properties.has(key)) node.properties.set(key, createNode());
+        addValue(node.properties.get(key), child);
+      }
+      break;
+    case "array":
+      if (!node.items) node.items = createNode();
+      value.forEach((item) => addValue(node.items, item));
+      break;
+    case "string":
+      if (node.values.size < MAX_TRACKED_VALUES || node.values.has(value)) {
+        node.values.set(value, (node.values.get(value) || 0) + 1);
+      } else {
+        node.valuesOverflow = true;
+      }
+      if (OBJECT_ID_PATTERN.test(value)) node.formats.objectId++;
+      if (DATE_TIME_PATTERN.test(value)) node.formats.dateTime++;
+      if (value === "") node.emptyStrings++;
+      break;
+    case "integer":
+    case "number":
+      node.min = Math.min(node.min, value);
+      node.max = Math.max(node.max, value);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Convertir las estadísticas de un campo en schema
+ * @param {object} node
+ * @param {object} options
+ * @returns {object}
+ */
+function nodeToSchema(node, options) {
+  if (node.count === 0) return {};
+
+  const types = [...node.types.keys()];
+  // integer y number en el mismo campo: number
+  const merged = types.includes("number")
+    ? types.filter((type) => type !== "integer")
+    : types;
+
+  const variants = merged
+    .filter((type) => type !== "null")
+    .map((type) => typeSchema(type, node, options));
+  if (merged.includes("null")) variants.push({ type: "null" });
+
+  if (variants.length === 1) return variants[0];
+
+  // Un tipo más null: minLength, minimum... solo aplican al tipo, se puede
+  // agregar null a "type" (no así con enum o $ref, que también restringen null)
+  const [first] = variants;
+  if (variants.length === 2 && merged.includes("null") && first.type && !first.enum) {
+    return { ...first, type: [first.type, "null"] };
+  }
+
+  // Solo tipos simples: se combinan en "type": [...]
+  if (variants.every((variant) => Object.keys(variant).length === 1 && variant.type)) {
+    return { type: variants.map((variant) => variant.type) };
+  }
+  return { oneOf: variants };
+}
+
+/**
+ * Schema de un tipo concreto del campo
+ * @param {string} type
+ * @param {object} node
+ * @param {object} options
+ * @returns {object}
+ */
+function typeSchema(type, node, options) {
+  switch (type) {
+    case "object":
+      return objectSchema(node, options);
+    case "array":
+      return {
+        type: "array",
+        minItems: 0,
+        items: node.items ? nodeToSchema(node.items, options) : {},
+      };
+    case "string":
+      return stringSchema(node, options);
+    case "integer":
+    case "number":
+      return {
+        type,
+        ...(options.ranges && Number.isFinite(node.min)
+          ? { minimum: node.min, maximum: node.max }
+          : {}),
+      };
+    default:
+      return { type };
+  }
+}
+
+/**
+ * Schema de objeto: required son las propiedades presentes en todas las muestras
+ * @param {object} node
+ * @param {object} options
+ * @returns {object}
+ */
+function objectSchema(node, options) {
+  const objects = node.types.get("object");
+  const properties = {};
+  const required = [];
+
+  for (const [key, child] of node.properties) {
+    properties[key] = nodeToSchema(child, options);
+    if (child.count === objects) required.push(key);
+  }
+
+  return {
+    type: "object",
+    additionalProperties: false,
+    ...(required.length > 0 ? { required } : {}),
+    properties,
+  };
+}
+
+/**
+ * Schema de texto: formato conocido, enum o texto libre
+ * @param {object} node
+ * @param {object} options
+ * @returns {object}
+ */
+function stringSchema(node, options) {
+  const strings = node.types.get("string");
+
+  if (node.formats.objectId === strings) return { $ref: OBJECT_ID_REF };
+  if (node.formats.dateTime === strings) return { $ref: DATE_TIME_REF };
+
+  const distinct = node.values.size;
+  const repeated = strings >= options.enumMinSamples && distinct * 2 <= strings;
+  if (!node.valuesOverflow && distinct <= options.enumMaxValues && repeated) {
+    return { type: "string", enum: [...node.values.keys()].sort() };
+  }
+
+  return { type: "string", ...(node.emptyStrings === 0 ? { minLength: 1 } : {}) };
+}
+
+module.exports = { SchemaInferrer, inferFromEndpoint };
@@ -0,0 +1,325 @@
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { SCHEMA_ROUTES } = require("./schema-routes.js");
+const { SchemaValidationError } = require("./schema-validation-error.js");
+const { classifyDrift } = require("./schema-drift.js");
+
+const DEFAULT_SCHEMA_DIR = path.join(__dirname, "..", "..", "..", "src", "schemas");
+
+// Base de los $id de los schemas que no declaran uno propio
+const SCHEMA_ID_BASE = "https://example.com/schemas/";
+
+/**
+ * Resultado de validar un cuerpo contra un schema
+ * @typedef {object} SchemaValidationResult
+ * @property {boolean} valid
+ * @property {string} schema - Nombre del schema
+ * @property {object[]} errors - Errores de Ajv (vacío si es válido)
+ */
+
+/**
+ * Resultado de comparar un cuerpo con su schema (ver checkDrift)
+ * @typedef {object} SchemaDriftResult
+ * @property {boolean} valid - Cumple el schema tal como está escrito
+ * @property {boolean} breaking - Hay cambios que rompen el contrato
+ * @property {import("./schema-drift.js").SchemaChange[]} changes - Cambios detectados
+ * @property {object[]} errors - Errores de Ajv de los cambios que rompen el contrato
+ */
+
+/**
+ * Registro de los schemas JSON de src/schemas. Carga todos los archivos,
+ * resuelve los $ref entre archivos (por $id), compila cada validador una sola
+ * vez y conoce qué schema corresponde a cada (método, ruta, status).
+ *
+ *   const registry = getSchemaRegistry();
+ *   registry.assertValid("cupones/grupo-list", response.data);
+ */
+class SchemaRegistry {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directorio de schemas (por defecto src/schemas)
+   * @param {object[]} options.routes - Mapeo de rutas (por defecto SCHEMA_ROUTES)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_SCHEMA_DIR;
+    this.ajv = new Ajv({ allErrors: true, $data: true, strict: false });
+    addFormats(this.ajv);
+
+    this.ids = new Map();
+    this.sources = new Map();
+    this.validators = new Map();
+    this.lenientAjv = null;
+    this.routes = [];
+
+    this._loadDirectory(this.dir);
+    (options.routes || SCHEMA_ROUTES).forEach((route) => this.mapRoute(route));
+  }
+
+  /**
+   * Nombres de los schemas cargados (cupones/grupo-list, media/media-list...)
+   * @returns {string[]}
+   */
+  names() {
+    return [...this.ids.keys()].sort();
+  }
+
+  /**
+   * Indicar si un schema está cargado
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.ids.has(name);
+  }
+
+  /**
+   * Schema parseado por nombre
+   * @param {string} name
+   * @returns {object}
+   */
+  getSchema(name) {
+    return this.ajv.getSchema(this._idOf(name)).schema;
+  }
+
+  /**
+   * Validador compilado (se compila en el primer uso y queda en cache)
+   * @param {string} name
+   * @returns {import("ajv").ValidateFunction}
+   */
+  getValidator(name) {
+    if (!this.validators.has(name)) {
+      this.validators.set(name, this.ajv.getSchema(this._idOf(name)));
+    }
+    return this.validators.get(name);
+  }
+
+  /**
+   * Validar un cuerpo contra un schema
+   * @param {string} name
+   * @param {any} data
+   * @returns {SchemaValidationResult}
+   */
+  validate(name, data) {
+    const validator = this.getValidator(name);
+    const valid = validator(data);
+    return { valid, schema: name, errors: valid ? [] : [...validator.errors] };
+  }
+
+  /**
+   * Validar un cuerpo y lanzar SchemaValidationError si no cumple
+   * @param {string} name
+   * @param {any} data
+   * @param {string} context - Qué se validó, para el mensaje
+   * @throws {SchemaValidationError}
+   */
+  assertValid(name, data, context) {
+    const result = this.validate(name, data);
+    if (!result.valid) {
+      throw new SchemaValidationError(name, result.errors, data, context);
+    }
+  }
+
+  /**
+   * Comparar un cuerpo con su schema y clasificar las diferencias. Los campos
+   * nuevos (additionalProperties) son cambios aditivos: se informan pero no
+   * rompen el contrato. Campos que faltan, cambios de tipo, de nulabilidad o
+   * de valores sí lo rompen.
+   * @param {string} name
+   * @param {any} data
+   * @returns {SchemaDriftResult}
+   */
+  checkDrift(name, data) {
+    const strict = this.validate(name, data);
+    if (strict.valid) return { valid: true, breaking: false, changes: [], errors: [] };
+
+    // Segunda pasada sin additionalProperties: lo que falle ahí rompe el contrato
+    const lenient = this._getLenientAjv().getSchema(this._idOf(name));
+    const breakingErrors = lenient(data) ? [] : [...lenient.errors];
+    const changes = classifyDrift(strict.errors, breakingErrors, data);
+
+    return {
+      valid: false,
+      breaking: changes.some((change) => change.breaking),
+      changes,
+      errors: breakingErrors,
+    };
+  }
+
+  /**
+   * Asociar un schema de respuesta a un endpoint. Si el schema no está cargado
+   * (archivo vacío o inexistente) la ruta se ignora.
+   * @param {{method: string, route: string, status: number|string, schema: string}} route
+   * @returns {boolean} true si quedó registrada
+   */
+  mapRoute({ method, route, status, schema }) {
+    if (!this.has(schema)) return false;
+
+    this.routes.push({
+      method: method.toUpperCase(),
+      route,
+      status,
+      schema,
+      pattern: compileRoute(route),
+    });
+    return true;
+  }
+
+  /**
+   * Schema de respuesta para una petición, o null si no hay ninguno mapeado
+   * @param {string} method
+   * @param {string} pathname - Ruta sin query string
+   * @param {number} status
+   * @returns {string|null}
+   */
+  schemaFor(method, pathname, status) {
+    const verb = method.toUpperCase();
+    const match = this.routes.find(
+      (route) =>
+        (route.method === "*" || route.method === verb) &&
+        matchesStatus(route.status, status) &&
+        route.pattern.test(pathname)
+    );
+    return match ? match.schema : null;
+  }
+
+  /**
+   * Cargar recursivamente los .json de un directorio. Los archivos vacíos
+   * son schemas pendientes de escribir y se omiten.
+   * @param {string} dir
+   */
+  _loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        this._loadDirectory(file);
+      } else if (entry.name.endsWith(".json") && fs.statSync(file).size > 0) {
+        this._loadFile(file);
+      }
+    }
+  }
+
+  /**
+   * Registrar un archivo de schema en Ajv con su $id
+   * @param {string} file
+   */
+  _loadFile(file) {
+    const name = path
+      .relative(this.dir, file)
+      .split(path.sep)
+      .join("/")
+      .replace(/(\.schema)?\.json$/, "");
+
+    let schema;
+    try {
+      schema = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Schema inválido en ${file}: ${error.message}`);
+    }
+
+    const id = schema.$id || `${SCHEMA_ID_BASE}${path.basename(file)}`;
+    const duplicated = [...this.ids].find(([, existing]) => existing === id);
+    if (duplicated) {
+      throw new Error(
+        `El $id ${id} de ${name} ya lo usa ${duplicated[0]}: cada schema necesita un $id propio`
+      );
+    }
+
+    this.ajv.addSchema({ ...schema, $id: id });
+    this.ids.set(name, id);
+    this.sources.set(name, { ...schema, $id: id });
+  }
+
+  /**
+   * Instancia de Ajv con los mismos schemas sin additionalProperties: false
+   * (se crea en el primer checkDrift con diferencias)
+   * @returns {import("ajv").default}
+   */
+  _getLenientAjv() {
+    if (!this.lenientAjv) {
+      this.lenientAjv = new Ajv({ allErrors: true, $data: true, strict: false });
+      addFormats(this.lenientAjv);
+      for (const schema of this.sources.values()) {
+        this.lenientAjv.addSchema(allowAdditionalProperties(schema));
+      }
+    }
+    return this.lenientAjv;
+  }
+
+  /**
+   * $id de un schema por nombre
+   * @param {string} name
+   * @returns {string}
+   */
+  _idOf(name) {
+    if (!this.ids.has(name)) {
+      throw new Error(
+        `Schema no encontrado: ${name}. Disponibles: ${this.names().join(", ")}`
+      );
+    }
+    return this.ids.get(name);
+  }
+}
+
+/**
+ * Convertir una ruta con parámetros (/api/category/:id/media) en expresión regular
+ * @param {string} route
+ * @returns {RegExp}
+ */
+function compileRoute(route) {
+  const source = route
+    .split("/")
+    .map((segment) =>
+      segment.startsWith(":")
+        ? "[^/]+"
+        : segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("/");
+  return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * Indicar si un status coincide con el de una ruta (200, "4xx" o "*")
+ * @param {number|string} expected
+ * @param {number} status
+ * @returns {boolean}
+ */
+function matchesStatus(expected, status) {
+  if (expected === "*") return true;
+  if (/^[1-5]xx$/i.test(String(expected))) {
+    return Math.floor(status / 100) === Number(String(expected)[0]);
+  }
+  return Number(expected) === status;
+}
+
+/**
+ * Copia de un schema que acepta propiedades adicionales en todos sus objetos
+ * @param {any} schema
+ * @returns {any}
+ */
+function allowAdditionalProperties(schema) {
+  if (Array.isArray(schema)) return schema.map(allowAdditionalProperties);
+  if (!schema || typeof schema !== "object") return schema;
+
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key, value]) => !(key === "additionalProperties" && value === false))
+      .map(([key, value]) => [key, allowAdditionalProperties(value)])
+  );
+}
+
+let defaultRegistry = null;
+
+/**
+ * Registro compartido de src/schemas (se carga una vez por worker)
+ * @returns {SchemaRegistry}
+ */
+function getSchemaRegistry() {
+  if (!defaultRegistry) defaultRegistry = new SchemaRegistry();
+  return defaultRegistry;
+}
+
+module.exports = { SchemaRegistry, getSchemaRegistry };
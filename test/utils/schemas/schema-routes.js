@@ -0,0 +1,54 @@
+/**
+ * Schema de respuesta de cada endpoint: (método, ruta, status) → nombre del
+ * schema en src/schemas (ruta relativa sin .schema.json). ApiClient valida
+ * automáticamente las respuestas que coinciden; gana la primera fila que
+ * coincide. ":param" acepta un segmento, método "*" cualquier verbo y status
+ * "*" o "4xx" un rango de códigos.
+ *
+ * Las rutas cuyo schema todavía no existe (o está vacío) se ignoran.
+ */
+const SCHEMA_ROUTES = [
+  // Cupones
+  { method: "GET", route: "/api/coupon", status: 200, schema: "cupones/coupons-list" },
+  { method: "POST", route: "/api/coupon", status: 200, schema: "cupones/coupon-create" },
+  { method: "GET", route: "/api/coupon/:code/search", status: 200, schema: "cupones/coupon" },
+  { method: "GET", route: "/api/coupon/:id", status: 200, schema: "cupones/coupon" },
+  { method: "POST", route: "/api/coupon/:id", status: 200, schema: "cupones/coupon" },
+  { method: "DELETE", route: "/api/coupon/:id", status: 200, schema: "cupones/coupon" },
+  { method: "*", route: "/api/coupon", status: "4xx", schema: "cupones/error" },
+  { method: "*", route: "/api/coupon/:id", status: "4xx", schema: "cupones/error" },
+  { method: "*", route: "/api/coupon/:code/search", status: "4xx", schema: "cupones/error" },
+  { method: "*", route: "/api/coupon", status: "5xx", schema: "cupones/error" },
+  { method: "*", route: "/api/coupon/:id", status: "5xx", schema: "cupones/error" },
+
+  // Grupos de cupones
+  { method: "GET", route: "/api/coupon-group", status: 200, schema: "cupones/grupo-list" },
+  { method: "GET", route: "/api/coupon-group/:id", status: 200, schema: "cupones/grupo" },
+  { method: "*", route: "/api/coupon-group/:id", status: "4xx", schema: "cupones/error" },
+
+  // Media
+  { method: "GET", route: "/api/media", status: 200, schema: "media/media-list" },
+  { method: "POST", route: "/api/media", status: 200, schema: "media/media-create" },
+  { method: "GET", route: "/api/media/:id", status: 200, schema: "media/media" },
+  { method: "POST", route: "/api/media/:id", status: 200, schema: "media/media-update" },
+  { method: "*", route: "/api/media", status: "4xx", schema: "media/media-error" },
+  { method: "*", route: "/api/media/:id", status: "4xx", schema: "media/media-error" },
+  { method: "*", route: "/api/media", status: "5xx", schema: "media/media-error" },
+
+  // Categorías
+  { method: "GET", route: "/api/category", status: 200, schema: "categoria/categories-list" },
+  { method: "POST", route: "/api/category", status: 200, schema: "categoria/category-create" },
+  { method: "GET", route: "/api/category/:id", status: 200, schema: "categoria/category" },
+  { method: "POST", route: "/api/category/:id", status: 200, schema: "categoria/category-update" },
+  { method: "DELETE", route: "/api/category/:id", status: 200, schema: "categoria/category" },
+  { method: "GET", route: "/api/category/:id/media", status: 200, schema: "categoria/category-media" },
+  { method: "POST", route: "/api/category/:id/media", status: 200, schema: "categoria/category" },
+  { method: "*", route: "/api/category/:id/image", status: 200, schema: "categoria/category" },
+  { method: "*", route: "/api/category", status: "4xx", schema: "categoria/categoria-error" },
+  { method: "*", route: "/api/category/:id", status: "4xx", schema: "categoria/categoria-error" },
+  { method: "*", route: "/api/category/:id/media", status: "4xx", schema: "categoria/categoria-error" },
+  { method: "*", route: "/api/category/:id/image", status: "4xx", schema: "categoria/categoria-error" },
+  { method: "*", route: "/api/category", status: "5xx", schema: "categoria/categoria-error" },
+];
+
+module.exports = { SCHEMA_ROUTES };
@@ -0,0 +1,134 @@
+const { redact } = require("../redactor.js");
+
+// Máximo de errores listados en el mensaje (el resto queda en error.errors)
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * Error lanzado cuando una respuesta no cumple su schema. El mensaje lista
+ * cada error de Ajv con la ruta dentro del cuerpo, qué se esperaba y qué llegó:
+ *
+ *   GET /api/coupon-group (200) no cumple el schema cupones/grupo-list:
+ *     ✗ data[3].coupon_used_total: debe ser <= 5 (valor: 7)
+ *     ✗ data[0]: falta la propiedad requerida "name"
+ */
+class SchemaValidationError extends Error {
+  /**
+   * @param {string} schema - Nombre del schema en el registro
+   * @param {object[]} errors - Errores de Ajv
+   * @param {any} data - Cuerpo validado
+   * @param {string} context - Qué se validó (por ejemplo "GET /api/coupon (200)")
+   */
+  constructor(schema, errors, data, context = "La respuesta") {
+    super(`${context} no cumple el schema ${schema}:\n${formatSchemaErrors(errors, data)}`);
+
+    this.name = "SchemaValidationError";
+    this.schema = schema;
+    this.errors = errors;
+    this.body = redact(data);
+  }
+}
+
+/**
+ * Diff legible de los errores de Ajv, una línea por error
+ * @param {object[]} errors - Errores de Ajv (allErrors: true)
+ * @param {any} data - Cuerpo validado, para mostrar el valor recibido
+ * @returns {string}
+ */
+function formatSchemaErrors(errors = [], data) {
+  const lines = errors.slice(0, MAX_LISTED_ERRORS).map((error) => {
+    const location = readablePath(error.instancePath);
+    const value = valueAt(data, error.instancePath);
+    const shown =
+      ["required", "additionalProperties"].includes(error.keyword) || value === undefined
+        ? ""
+        : ` (valor: ${preview(value)})`;
+    return `  ✗ ${location}: ${describeError(error)}${shown}  [${error.schemaPath}]`;
+  });
+
+  if (errors.length > MAX_LISTED_ERRORS) {
+    lines.push(`  … y ${errors.length - MAX_LISTED_ERRORS} errores más`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Describir un error de Ajv en castellano
+ * @param {object} error
+ * @returns {string}
+ */
+function describeError(error) {
+  const { keyword, params = {} } = error;
+  switch (keyword) {
+    case "required":
+      return `falta la propiedad requerida "${params.missingProperty}"`;
+    case "additionalProperties":
+      return `propiedad no permitida "${params.additionalProperty}"`;
+    case "type":
+      return `se esperaba ${params.type}`;
+    case "enum":
+      return `debe ser uno de ${JSON.stringify(params.allowedValues)}`;
+    case "const":
+      return `debe ser ${JSON.stringify(params.allowedValue)}`;
+    case "format":
+      return `no tiene formato ${params.format}`;
+    case "pattern":
+      return `no cumple el patrón ${params.pattern}`;
+    case "minimum":
+    case "maximum":
+    case "exclusiveMinimum":
+    case "exclusiveMaximum":
+      return `debe ser ${params.comparison} ${params.limit}`;
+    case "minLength":
+      return `debe tener al menos ${params.limit} caracteres`;
+    case "minItems":
+      return `debe tener al menos ${params.limit} elementos`;
+    default:
+      return error.message || keyword;
+  }
+}
+
+/**
+ * Convertir un JSON Pointer de Ajv (/data/3/name) en ruta legible (data[3].name)
+ * @param {string} pointer
+ * @returns {string}
+ */
+function readablePath(pointer = "") {
+  if (!pointer) return "(raíz)";
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce(
+      (result, segment) =>
+        /^\d+$/.test(segment)
+          ? `${result}[${segment}]`
+          : `${result}${result ? "." : ""}${segment}`,
+      ""
+    );
+}
+
+/**
+ * Valor del cuerpo en la ruta del error
+ * @param {any} data
+ * @param {string} pointer
+ * @returns {any}
+ */
+function valueAt(data, pointer = "") {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((value, segment) => (value == null ? undefined : value[segment]), data);
+}
+
+/**
+ * Valor abreviado para el mensaje
+ * @param {any} value
+ * @returns {string}
+ */
+function preview(value) {
+  const text = JSON.stringify(redact(value));
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+module.exports = { SchemaValidationError, formatSchemaErrors, readablePath, valueAt };
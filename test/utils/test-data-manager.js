@@ -1,52 +1,200 @@
+const { test } = require("@playwright/test");
+const { RESOURCE_EXTRACTORS } = require("./resources/resource-extractors.js");
+
+// Extractores disponibles para todas las instancias (ver registerExtractor)
+const extractors = { ...RESOURCE_EXTRACTORS };
+
+/**
+ * Pools de datos reales de la cuenta para los tests: cada tipo de recurso
+ * (coupon, coupon-group, media, category) se carga desde una respuesta de
+ * listado y su extractor deriva los campos útiles (ids, códigos, tags...).
+ * Los picks filtrados saltan el test con el motivo si no hay candidato.
+ *
+ *   const testData = new TestDataManager();
+ *   testData.load("media", response.data);
+ *   const media = testData.pick("media", {
+ *     where: (m) => m.tags.length > 0 && m.duration > 60,
+ *     reason: "con tags y duración > 60",
+ *   });
+ *   const durations = testData.requireValues("media", "durations");
+ */
 class TestDataManager {
-  constructor() {
-    this.groupIds = [];
-    this.couponCodes = [];
-    this.coupons = [];
+  /**
+   * @param {object} options
+   * @param {Object<string, import("./resources/resource-extractors.js").ResourceExtractor>} options.extractors -
+   *   Extractores adicionales (o que reemplazan a los registrados) para esta instancia
+   */
+  constructor(options = {}) {
+    this.extractors = { ...options.extractors };
+    /** @type {Map<string, {items: object[], fields: Object<string, any[]>}>} */
+    this.pools = new Map();
   }
 
   /**
-   * Procesar datos de cupones para extraer información útil
-   * @param {object} couponsResponse - Respuesta de la API de cupones
+   * Registrar el extractor de un tipo de recurso para todas las instancias
+   * @param {string} kind
+   * @param {import("./resources/resource-extractors.js").ResourceExtractor} extractor
    */
-  processCouponsData(couponsResponse) {
-    if (
-      !couponsResponse ||
-      !couponsResponse.data ||
-      !Array.isArray(couponsResponse.data)
-    ) {
-      return;
+  static registerExtractor(kind, extractor) {
+    if (typeof extractor?.id !== "function" || !extractor.fields) {
+      throw new Error(`Extractor inválido para ${kind}: requiere id(item) y fields`);
     }
+    extractors[kind] = extractor;
+  }
 
-    const coupons = couponsResponse.data;
+  /**
+   * Cargar (reemplazar) el pool de un tipo de recurso
+   * @param {string} kind - coupon | coupon-group | media | category u otro registrado
+   * @param {object[]|{data: object[]}} source - Lista de recursos o envelope de la API
+   * @returns {number} Recursos cargados (0 si la respuesta no trae una lista: el pool no cambia)
+   */
+  load(kind, source) {
+    const extractor = this._extractor(kind);
+    const items = Array.isArray(source) ? source : source?.data;
+    if (!Array.isArray(items)) return 0;
 
-    // Limpiar arrays antes de procesar nuevos datos
-    this.groupIds = [];
-    this.couponCodes = [];
-    this.coupons = [];
+    const fields = Object.fromEntries(Object.keys(extractor.fields).map((field) => [field, new Set()]));
+    for (const item of items) {
+      for (const [field, extract] of Object.entries(extractor.fields)) {
+        [].concat(extract(item))
+          .filter((value) => value !== undefined && value !== null && value !== "")
+          .forEach((value) => fields[field].add(value));
+      }
+    }
 
-    coupons.forEach((coupon) => {
-      // Guardar el cupón completo
-      this.coupons.push(coupon);
+    this.pools.set(kind, {
+      items: [...items],
+      fields: Object.fromEntries(Object.entries(fields).map(([field, values]) => [field, [...values]])),
+    });
+    return items.length;
+  }
 
-      // Extraer Group ID
-      if (coupon.group) {
-        // Si group es un objeto, extraer el _id, si es string, usarlo directamente
-        const groupId =
-          typeof coupon.group === "object" && coupon.group._id
-            ? coupon.group._id
-            : coupon.group;
+  /**
+   * Recursos del pool, opcionalmente filtrados
+   * @param {string} kind
+   * @param {(item: object) => boolean} where
+   * @returns {object[]}
+   */
+  all(kind, where = () => true) {
+    this._extractor(kind);
+    return (this.pools.get(kind)?.items || []).filter(where);
+  }
 
-        if (groupId && !this.groupIds.includes(groupId)) {
-          this.groupIds.push(groupId);
-        }
-      }
+  /**
+   * Valores únicos de un campo del extractor
+   * @param {string} kind
+   * @param {string} field
+   * @returns {any[]}
+   */
+  values(kind, field) {
+    const extractor = this._extractor(kind);
+    if (!extractor.fields[field]) {
+      throw new Error(
+        `El extractor de ${kind} no tiene el campo ${field}. Campos: ${Object.keys(extractor.fields).join(", ")}`
+      );
+    }
+    return [...(this.pools.get(kind)?.fields[field] || [])];
+  }
 
-      // Extraer códigos de cupón
-      if (coupon.code && !this.couponCodes.includes(coupon.code)) {
-        this.couponCodes.push(coupon.code);
-      }
-    });
+  /**
+   * Un recurso que cumpla el filtro; si no hay, salta el test con el motivo
+   * (fuera de un test lanza un Error)
+   * @param {string} kind
+   * @param {object} options
+   * @param {(item: object) => boolean} options.where - Filtro (por defecto cualquiera)
+   * @param {string} options.reason - Qué se buscaba, para el motivo del skip
+   * @param {boolean} options.random - Elegir al azar entre los candidatos (por defecto el primero)
+   * @returns {object}
+   */
+  pick(kind, { where, reason, random = false } = {}) {
+    const candidates = this.all(kind, where);
+    if (candidates.length === 0) this._skip(kind, reason);
+    return random ? randomItem(candidates) : candidates[0];
+  }
+
+  /**
+   * Un valor de un campo; si el campo está vacío, salta el test
+   * @param {string} kind
+   * @param {string} field
+   * @param {object} options
+   * @param {string} options.reason
+   * @param {boolean} options.random
+   * @returns {any}
+   */
+  pickValue(kind, field, { reason, random = false } = {}) {
+    const values = this.requireValues(kind, field, reason);
+    return random ? randomItem(values) : values[0];
+  }
+
+  /**
+   * Valores de un campo; si está vacío, salta el test
+   * @param {string} kind
+   * @param {string} field
+   * @param {string} reason - Por defecto "con <campo>"
+   * @returns {any[]}
+   */
+  requireValues(kind, field, reason = `con ${field}`) {
+    const values = this.values(kind, field);
+    if (values.length === 0) this._skip(kind, reason);
+    return values;
+  }
+
+  /**
+   * Cantidad de recursos y de valores por campo de cada pool cargado
+   * @returns {Object<string, {items: number, fields: Object<string, number>}>}
+   */
+  poolStats() {
+    return Object.fromEntries(
+      [...this.pools].map(([kind, pool]) => [
+        kind,
+        {
+          items: pool.items.length,
+          fields: Object.fromEntries(Object.entries(pool.fields).map(([field, values]) => [field, values.length])),
+        },
+      ])
+    );
+  }
+
+  /**
+   * Extractor de un tipo
+   * @param {string} kind
+   * @returns {import("./resources/resource-extractors.js").ResourceExtractor}
+   */
+  _extractor(kind) {
+    const extractor = this.extractors[kind] || extractors[kind];
+    if (!extractor) {
+      const kinds = new Set([...Object.keys(extractors), ...Object.keys(this.extractors)]);
+      throw new Error(`Tipo de recurso sin extractor: ${kind}. Usar: ${[...kinds].join(", ")} o registerExtractor()`);
+    }
+    return extractor;
+  }
+
+  /**
+   * Saltar el test en curso porque el pool no tiene candidatos
+   * @param {string} kind
+   * @param {string} reason
+   */
+  _skip(kind, reason) {
+    const label = this._extractor(kind).label || kind;
+    const loaded = this.pools.get(kind)?.items.length ?? 0;
+    const message = `No hay ${label} ${reason || "disponible"} en los datos de la cuenta (${loaded} cargados)`;
+
+    try {
+      test.info();
+    } catch {
+      throw new Error(message);
+    }
+    test.skip(true, message);
+  }
+
+  // ==================== ATAJOS DEL POOL DE CUPONES ====================
+
+  /**
+   * Procesar datos de cupones para extraer información útil
+   * @param {object} couponsResponse - Respuesta de la API de cupones
+   */
+  processCouponsData(couponsResponse) {
+    this.load("coupon", couponsResponse);
   }
 
   /**
@@ -54,7 +202,7 @@ class TestDataManager {
    * @returns {string[]}
    */
   getAllGroupIds() {
-    return [...this.groupIds];
+    return this.values("coupon", "groupIds");
   }
 
   /**
@@ -62,7 +210,7 @@ class TestDataManager {
    * @returns {string[]}
    */
   getAllCouponCodes() {
-    return [...this.couponCodes];
+    return this.values("coupon", "codes");
   }
 
   /**
@@ -70,7 +218,7 @@ class TestDataManager {
    * @returns {object[]}
    */
   getAllCoupons() {
-    return [...this.coupons];
+    return this.all("coupon");
   }
 
   /**
@@ -78,9 +226,7 @@ class TestDataManager {
    * @returns {string|null}
    */
   getRandomGroupId() {
-    if (this.groupIds.length === 0) return null;
-    const randomIndex = Math.floor(Math.random() * this.groupIds.length);
-    return this.groupIds[randomIndex];
+    return randomItem(this.getAllGroupIds());
   }
 
   /**
@@ -88,9 +234,7 @@ class TestDataManager {
    * @returns {string|null}
    */
   getRandomCouponCode() {
-    if (this.couponCodes.length === 0) return null;
-    const randomIndex = Math.floor(Math.random() * this.couponCodes.length);
-    return this.couponCodes[randomIndex];
+    return randomItem(this.getAllCouponCodes());
   }
 
   /**
@@ -98,9 +242,7 @@ class TestDataManager {
    * @returns {object|null}
    */
   getRandomCoupon() {
-    if (this.coupons.length === 0) return null;
-    const randomIndex = Math.floor(Math.random() * this.coupons.length);
-    return this.coupons[randomIndex];
+    return randomItem(this.getAllCoupons());
   }
 
   /**
@@ -109,20 +251,30 @@ class TestDataManager {
    */
   getStats() {
     return {
-      totalCoupons: this.coupons.length,
-      uniqueGroupIds: this.groupIds.length,
-      uniqueCouponCodes: this.couponCodes.length,
+      totalCoupons: this.all("coupon").length,
+      uniqueGroupIds: this.getAllGroupIds().length,
+      uniqueCouponCodes: this.getAllCouponCodes().length,
     };
   }
 
   /**
-   * Limpiar todos los datos
+   * Limpiar todos los datos (o los de un tipo)
+   * @param {string} kind
    */
-  clear() {
-    this.groupIds = [];
-    this.couponCodes = [];
-    this.coupons = [];
+  clear(kind) {
+    if (kind) this.pools.delete(kind);
+    else this.pools.clear();
   }
 }
 
+/**
+ * Elemento al azar de una lista
+ * @param {any[]} items
+ * @returns {any|null} null si la lista está vacía
+ */
+function randomItem(items) {
+  if (items.length === 0) return null;
+  return items[Math.floor(Math.random() * items.length)];
+}
+
 module.exports = { TestDataManager };
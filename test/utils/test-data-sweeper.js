@@ -0,0 +1,292 @@
+const { AUTOMATION_TAG, PROVENANCE_NAME_PATTERN, parseProvenanceName } = require("./test-run.js");
+const { isNotFound } = require("./resources/resource-tracker.js");
+
+const MINUTE_MS = 60 * 1000;
+const DURATION_UNITS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS };
+const DEFAULT_OLDER_THAN_MS = 24 * DURATION_UNITS.h;
+
+// Procedencia que agrega la suite: los cupones llevan metadata.created_by y
+// las categorías, que no tienen metadata, el sufijo [qa <corrida> w<worker>]
+const CATEGORY_PROVENANCE_MARKERS = [{ field: "name", pattern: PROVENANCE_NAME_PATTERN }];
+
+// Marcas de nombre de los datos creados antes de la procedencia. También pueden
+// coincidir con datos reales de la cuenta: solo se usan con includeLegacy
+const LEGACY_COUPON_MARKERS = [
+  { field: "detail", pattern: /^(QA Test|Test Negativo|Test Comprehensivo|Test de Actualización) - / },
+  { field: "code", pattern: /^(QA|COMP|DUPLICATE_TEST|UPDATE_TEST_ORIGINAL)-/i },
+  { field: "type_code", pattern: /^(qa|neg_test|comp_test|update_test)_/ },
+];
+const LEGACY_CATEGORY_MARKERS = [
+  { field: "name", pattern: /\bQA\b/ },
+  { field: "name", pattern: /^Categoría Temp para Duplicado$/ },
+];
+
+// Orden de borrado: las asociaciones antes que sus categorías
+const SWEEP_ORDER = ["media-category", "coupon", "category"];
+
+/**
+ * Recurso de prueba encontrado en la cuenta
+ * @typedef {object} SweepItem
+ * @property {"coupon"|"category"|"media-category"} kind
+ * @property {string} id - _id del recurso (media-category: _id del media)
+ * @property {string} [categoryId] - media-category: categoría asociada
+ * @property {string} label - Código, nombre o "media → categoría"
+ * @property {string} createdAt - date_created (media-category: el de la categoría)
+ * @property {number} ageMs
+ * @property {string|null} runId - metadata.run_id o el sufijo [qa ...] del nombre
+ * @property {{spec: string|null, test: string|null, worker: number|null}|null} origin -
+ *   Test que lo creó (metadata del cupón o ledger local)
+ * @property {string} marker - Por qué se considera dato de prueba
+ * @property {boolean} legacy - Encontrado solo por una marca de nombre heredada
+ * @property {boolean} stale - Más antiguo que el umbral: se elimina
+ */
+
+/**
+ * Interpretar una duración como 90m, 24h o 7d
+ * @param {string} value
+ * @returns {number} Milisegundos
+ * @throws {Error} Si el formato no es válido
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([mhd])$/);
+  if (!match) {
+    throw new Error(`Duración inválida: ${value}. Usar minutos, horas o días (90m, 24h, 7d)`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+/**
+ * Edad legible, por ejemplo 3d 4h o 45m
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+  const minutes = Math.max(Math.floor(ms / MINUTE_MS), 0);
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+/**
+ * Metadata de un cupón como objeto (la API puede devolverla serializada)
+ * @param {any} metadata
+ * @returns {object}
+ */
+function parseMetadata(metadata) {
+  if (metadata && typeof metadata === "object") return metadata;
+  if (typeof metadata !== "string") return {};
+  try {
+    const parsed = JSON.parse(metadata);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Primera marca que coincide con el recurso
+ * @param {object} resource
+ * @param {{field: string, pattern: RegExp}[]} markers
+ * @returns {string|null} Descripción de la marca (campo=valor)
+ */
+function matchMarker(resource, markers) {
+  const marker = markers.find(({ field, pattern }) => pattern.test(String(resource[field] ?? "")));
+  return marker ? `${marker.field}=${resource[marker.field]}` : null;
+}
+
+/**
+ * Busca en la cuenta los cupones, categorías y asociaciones media-categoría
+ * creados por la suite y elimina los más antiguos que el umbral. Por defecto
+ * solo considera lo que lleva procedencia (metadata.created_by o sufijo
+ * [qa ...]); las marcas de nombre heredadas requieren includeLegacy.
+ * Lo usa scripts/sweep-test-data.js.
+ *
+ *   const sweeper = new TestDataSweeper({ coupons, categories, media }, { olderThanMs: parseDuration("24h") });
+ *   const items = await sweeper.find();
+ *   const report = await sweeper.sweep(items);
+ */
+class TestDataSweeper {
+  /**
+   * @param {object} clients
+   * @param {import("./resources/coupon-api.js").CouponApi} clients.coupons
+   * @param {import("./resources/category-api.js").CategoryApi} clients.categories
+   * @param {import("./resources/media-api.js").MediaApi} clients.media
+   * @param {object} options
+   * @param {number} options.olderThanMs - Umbral de antigüedad (por defecto 24h)
+   * @param {string} options.runId - Solo recursos de esta corrida (metadata.run_id)
+   * @param {boolean} options.includeLegacy - Incluir también lo que coincide con las
+   *   marcas de nombre heredadas (LEGACY_COUPON_MARKERS, LEGACY_CATEGORY_MARKERS)
+   * @param {Date} options.now - Momento de referencia (por defecto ahora)
+   * @param {import("./resources/resource-ledger.js").ResourceLedger|null} options.ledger -
+   *   Ledger para completar el origen de lo que no lo lleva en metadata
+   */
+  constructor({ coupons, categories, media }, options = {}) {
+    this.coupons = coupons;
+    this.categories = categories;
+    this.media = media;
+    this.olderThanMs = options.olderThanMs ?? DEFAULT_OLDER_THAN_MS;
+    this.runId = options.runId || null;
+    this.includeLegacy = options.includeLegacy === true;
+    this.now = options.now || new Date();
+    this.ledger = options.ledger || null;
+  }
+
+  /**
+   * Recorrer la cuenta y devolver los recursos de prueba, los más viejos primero
+   * @returns {Promise<SweepItem[]>}
+   */
+  async find() {
+    const items = [];
+    const origins = new Map(
+      (this.ledger?.resources() || []).map((entry) => [`${entry.kind}:${entry.id}`, entry])
+    );
+    const ledgerOrigin = (kind, id) => {
+      const entry = origins.get(`${kind}:${id}`);
+      return entry ? { spec: entry.spec, test: entry.test, worker: entry.worker } : null;
+    };
+
+    for (const coupon of await this.coupons.paginate({ limit: 100 }, { strict: false }).all()) {
+      const metadata = parseMetadata(coupon.metadata);
+      const provenance =
+        metadata.created_by === AUTOMATION_TAG ? `metadata.created_by=${AUTOMATION_TAG}` : null;
+      const marker = provenance || this._legacyMarker(coupon, LEGACY_COUPON_MARKERS);
+      if (!marker) continue;
+      items.push({
+        ...this._item("coupon", coupon._id, coupon.code, coupon.date_created, metadata.run_id, marker),
+        legacy: !provenance,
+        origin: metadata.spec
+          ? { spec: metadata.spec, test: metadata.test ?? null, worker: metadata.worker ?? null }
+          : ledgerOrigin("coupon", coupon._id),
+      });
+    }
+
+    for (const category of await this.categories.paginate({ limit: 100 }, { strict: false }).all()) {
+      const provenance = matchMarker(category, CATEGORY_PROVENANCE_MARKERS);
+      const marker = provenance || this._legacyMarker(category, LEGACY_CATEGORY_MARKERS);
+      if (!marker) continue;
+      const runId = parseProvenanceName(category.name)?.runId;
+      const origin = ledgerOrigin("category", category._id);
+      items.push({
+        ...this._item("category", category._id, category.name, category.date_created, runId, marker),
+        legacy: !provenance,
+        origin,
+      });
+
+      for (const media of await this.categories.listMedia(category._id)) {
+        items.push({
+          ...this._item(
+            "media-category",
+            media._id || media.id,
+            `${media.title} → ${category.name}`,
+            category.date_created,
+            runId,
+            `categoría ${category._id}`
+          ),
+          categoryId: category._id,
+          legacy: !provenance,
+          origin,
+        });
+      }
+    }
+
+    return items
+      .filter((item) => !this.runId || item.runId === this.runId)
+      .sort((a, b) => b.ageMs - a.ageMs);
+  }
+
+  /**
+   * Eliminar los recursos vencidos (stale): primero las asociaciones, después
+   * los cupones y al final las categorías. Un recurso que ya no existe cuenta
+   * como eliminado.
+   * @param {SweepItem[]} items - Resultado de find()
+   * @returns {Promise<{deleted: SweepItem[], failed: Array<SweepItem & {error: string}>, kept: SweepItem[]}>}
+   */
+  async sweep(items) {
+    const report = { deleted: [], failed: [], kept: items.filter((item) => !item.stale) };
+    const stale = items
+      .filter((item) => item.stale)
+      .sort((a, b) => SWEEP_ORDER.indexOf(a.kind) - SWEEP_ORDER.indexOf(b.kind));
+
+    for (const item of stale) {
+      try {
+        await this._remove(item);
+        report.deleted.push(item);
+      } catch (error) {
+        if (isNotFound(error)) {
+          report.deleted.push(item);
+        } else {
+          report.failed.push({ ...item, error: error.message.split("\n")[0] });
+        }
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Eliminar un recurso o quitar una asociación
+   * @param {SweepItem} item
+   * @returns {Promise<void>}
+   */
+  async _remove(item) {
+    if (item.kind === "coupon") {
+      await this.coupons.remove(item.id);
+    } else if (item.kind === "category") {
+      await this.categories.remove(item.id);
+    } else {
+      // La API no tiene un DELETE de la asociación: se reescriben las categorías del media
+      const media = await this.media.getById(item.id);
+      if (!media) return;
+      const categories = (media.categories || [])
+        .map((category) => category._id || category)
+        .filter((id) => id !== item.categoryId);
+      await this.media.update(item.id, { categories });
+    }
+  }
+
+  /**
+   * Marca de nombre heredada que coincide, si includeLegacy está activo
+   * @param {object} resource
+   * @param {{field: string, pattern: RegExp}[]} markers
+   * @returns {string|null}
+   */
+  _legacyMarker(resource, markers) {
+    return this.includeLegacy ? matchMarker(resource, markers) : null;
+  }
+
+  /**
+   * Armar un SweepItem con su edad respecto de now
+   * @param {string} kind
+   * @param {string} id
+   * @param {string} label
+   * @param {string} createdAt
+   * @param {string|undefined} runId
+   * @param {string} marker
+   * @returns {SweepItem}
+   */
+  _item(kind, id, label, createdAt, runId, marker) {
+    const ageMs = this.now.getTime() - Date.parse(createdAt);
+    return {
+      kind,
+      id,
+      label: label ?? id,
+      createdAt,
+      ageMs,
+      runId: runId || null,
+      origin: null,
+      marker,
+      legacy: false,
+      stale: ageMs >= this.olderThanMs,
+    };
+  }
+}
+
+module.exports = {
+  TestDataSweeper,
+  parseDuration,
+  formatAge,
+  CATEGORY_PROVENANCE_MARKERS,
+  LEGACY_COUPON_MARKERS,
+  LEGACY_CATEGORY_MARKERS,
+};
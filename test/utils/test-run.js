@@ -0,0 +1,103 @@
+const crypto = require("crypto");
+const path = require("path");
+const { test } = require("@playwright/test");
+
+// Valor de metadata.created_by en todo lo que crea la suite (ver scripts/sweep-test-data.js)
+const AUTOMATION_TAG = "qa-automation";
+
+// Sufijo de procedencia en los nombres de recursos sin metadata (categorías):
+// "Categoría QA 123 [qa 20260310T120000-a1b2c3 w0]"
+const PROVENANCE_NAME_PATTERN = /\s\[qa (\S+) w(\d+|-)\]$/;
+
+/**
+ * Procedencia de un recurso creado por la suite
+ * @typedef {object} Provenance
+ * @property {string} run_id - ID de la corrida
+ * @property {number|null} worker - Índice del worker de Playwright
+ * @property {string|null} spec - Archivo del spec, relativo a la raíz del repo
+ * @property {string|null} test - Título completo del test (describe › test)
+ */
+
+/**
+ * Generar un ID de corrida: fecha UTC y sufijo aleatorio, por ejemplo 20260310T120000-a1b2c3
+ * @returns {string}
+ */
+function generateRunId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  return `${timestamp}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * ID de la corrida en curso. test/global-setup.js lo fija en TEST_RUN_ID para
+ * que todos los workers compartan el mismo; fuera de Playwright se genera uno
+ * por proceso.
+ * @returns {string}
+ */
+function currentRunId() {
+  if (!process.env.TEST_RUN_ID) process.env.TEST_RUN_ID = generateRunId();
+  return process.env.TEST_RUN_ID;
+}
+
+/**
+ * Procedencia del código en curso: corrida, worker y, dentro de un test o
+ * hook, el spec y el título. Fuera de Playwright solo tiene run_id.
+ * @returns {Provenance}
+ */
+function currentProvenance() {
+  let testInfo = null;
+  try {
+    testInfo = test.info();
+  } catch {
+    // Fixture de worker, globalSetup o script
+  }
+  const worker = testInfo ? testInfo.workerIndex : parseInt(process.env.TEST_WORKER_INDEX, 10);
+
+  return {
+    run_id: currentRunId(),
+    worker: Number.isInteger(worker) ? worker : null,
+    spec: testInfo ? path.relative(testInfo.config.rootDir, testInfo.file) : null,
+    test: testInfo ? testInfo.titlePath.slice(1).join(" › ") : null,
+  };
+}
+
+/**
+ * Metadata estándar de los recursos creados por la suite: el tag y la procedencia
+ * @param {object} extra - Campos adicionales (created_by y los de procedencia no se pueden sobrescribir)
+ * @returns {{created_by: string} & Provenance}
+ */
+function automationMetadata(extra = {}) {
+  return { ...extra, created_by: AUTOMATION_TAG, ...currentProvenance() };
+}
+
+/**
+ * Nombre con el sufijo de procedencia, para recursos que no aceptan metadata.
+ * El spec y el test quedan en el ledger (resources/resource-ledger.js).
+ * @param {string} name
+ * @returns {string}
+ */
+function provenanceName(name) {
+  const { run_id: runId, worker } = currentProvenance();
+  return `${name} [qa ${runId} w${worker ?? "-"}]`;
+}
+
+/**
+ * Leer el sufijo de procedencia de un nombre
+ * @param {string} name
+ * @returns {{runId: string, worker: number|null}|null} null si el nombre no lo tiene
+ */
+function parseProvenanceName(name) {
+  const match = String(name ?? "").match(PROVENANCE_NAME_PATTERN);
+  if (!match) return null;
+  return { runId: match[1], worker: match[2] === "-" ? null : parseInt(match[2], 10) };
+}
+
+module.exports = {
+  AUTOMATION_TAG,
+  PROVENANCE_NAME_PATTERN,
+  generateRunId,
+  currentRunId,
+  currentProvenance,
+  automationMetadata,
+  provenanceName,
+  parseProvenanceName,
+};
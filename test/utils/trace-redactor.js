@@ -0,0 +1,138 @@
+const fs = require("fs");
+const zlib = require("zlib");
+const { redactText } = require("./redactor.js");
+
+// Firmas del formato ZIP usado por los traces de Playwright
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIR_SIGNATURE = 0x06054b50;
+
+/**
+ * Reescribir un trace.zip ocultando secretos en todas sus entradas de texto
+ * (eventos, red y recursos JSON). Las entradas binarias se copian sin cambios.
+ * @param {string} tracePath - Ruta al trace.zip
+ * @returns {number} Cantidad de entradas modificadas
+ */
+function redactTraceArchive(tracePath) {
+  const entries = readZipEntries(fs.readFileSync(tracePath));
+  let changed = 0;
+
+  for (const entry of entries) {
+    if (entry.data.includes(0)) continue; // Binario (imágenes, fuentes)
+
+    const original = entry.data.toString("utf8");
+    const redacted = redactText(original);
+    if (redacted !== original) {
+      entry.data = Buffer.from(redacted, "utf8");
+      changed++;
+    }
+  }
+
+  if (changed > 0) {
+    fs.writeFileSync(tracePath, writeZipEntries(entries));
+  }
+  return changed;
+}
+
+/**
+ * Leer las entradas de un ZIP usando el directorio central
+ * @param {Buffer} buffer
+ * @returns {{name: string, data: Buffer}[]}
+ */
+function readZipEntries(buffer) {
+  const eocdOffset = buffer.lastIndexOf(
+    Buffer.from([0x50, 0x4b, 0x05, 0x06])
+  );
+  if (
+    eocdOffset < 0 ||
+    buffer.readUInt32LE(eocdOffset) !== END_OF_CENTRAL_DIR_SIGNATURE
+  ) {
+    throw new Error("Archivo ZIP inválido: no se encontró el directorio central");
+  }
+
+  const totalEntries = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < totalEntries; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Archivo ZIP inválido: entrada de directorio corrupta");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      name,
+      data: method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Construir un ZIP (deflate) a partir de sus entradas
+ * @param {{name: string, data: Buffer}[]} entries
+ * @returns {Buffer}
+ */
+function writeZipEntries(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const compressed = zlib.deflateRawSync(entry.data);
+    const crc = zlib.crc32(entry.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+    local.writeUInt16LE(20, 4); // Versión requerida
+    local.writeUInt16LE(0x0800, 6); // Nombres en UTF-8
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = { redactTraceArchive, readZipEntries, writeZipEntries };